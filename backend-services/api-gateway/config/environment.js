@@ -0,0 +1,108 @@
+require('dotenv').config();
+
+const config = {
+  // Server Configuration
+  server: {
+    port: process.env.PORT || 5000,
+    host: process.env.HOST || 'localhost',
+    environment: process.env.NODE_ENV || 'development'
+  },
+
+  // JWT Configuration - Token Verification
+  // Must match the secret auth-service signs with (auth-service config/environment.js)
+  jwt: {
+    secret: process.env.JWT_SECRET || 'demo-secret',
+    algorithms: ['HS256']
+  },
+
+  // Downstream Services
+  services: {
+    posts: process.env.POSTS_SERVICE_URL || 'http://localhost:4000',
+    comments: process.env.COMMENTS_SERVICE_URL || 'http://localhost:4001',
+    auth: process.env.AUTH_SERVICE_URL || 'http://localhost:4002'
+  },
+
+  // Redis Configuration - /health pings it when a URL is set
+  redis: {
+    url: process.env.REDIS_URL || null
+  },
+
+  // Proxy Configuration
+  proxy: {
+    timeout: parseInt(process.env.PROXY_TIMEOUT) || 30000
+  },
+
+  // Health Check Configuration
+  healthCheck: {
+    timeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 5000
+  },
+
+  // Security Configuration
+  security: {
+    corsOrigins: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3000'],
+    corsCredentials: process.env.CORS_CREDENTIALS !== 'false', // Default true
+    corsMaxAge: parseInt(process.env.CORS_MAX_AGE) || 86400,
+    trustProxy: process.env.TRUST_PROXY === 'true' || false
+  },
+
+  // Rate Limiting Configuration
+  rateLimiting: {
+    global: {
+      windowMs: parseInt(process.env.GLOBAL_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+      max: parseInt(process.env.GLOBAL_RATE_LIMIT_MAX_REQUESTS) || 1000
+    },
+    auth: {
+      windowMs: parseInt(process.env.GLOBAL_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+      max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 20
+    }
+  },
+
+  // Logging Configuration
+  logging: {
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'combined'
+  },
+
+  // Performance Configuration
+  performance: {
+    enableCompression: process.env.ENABLE_COMPRESSION !== 'false' // Default true
+  }
+};
+
+// Validation function to check required environment variables
+const validateConfig = () => {
+  const requiredInProduction = [
+    'JWT_SECRET',
+    'POSTS_SERVICE_URL',
+    'COMMENTS_SERVICE_URL',
+    'AUTH_SERVICE_URL'
+  ];
+
+  if (config.server.environment === 'production') {
+    const missingVars = requiredInProduction.filter(varName => !process.env[varName]);
+
+    if (missingVars.length > 0) {
+      console.error('Missing required environment variables for production:', missingVars);
+      process.exit(1);
+    }
+
+    if (config.jwt.secret.length < 32) {
+      console.error('JWT_SECRET must be at least 32 characters in production');
+      process.exit(1);
+    }
+  }
+
+  console.log(`Configuration loaded for ${config.server.environment} environment`);
+  return true;
+};
+
+// Export configuration object and utilities
+module.exports = {
+  ...config,
+  validateConfig,
+
+  // Helper functions
+  isDevelopment: () => config.server.environment === 'development',
+  isProduction: () => config.server.environment === 'production',
+  isTest: () => config.server.environment === 'test'
+};
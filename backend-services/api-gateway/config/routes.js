@@ -0,0 +1,43 @@
+// Route table - maps public gateway paths to downstream services.
+// Order matters: more specific paths must come before the prefixes they overlap with
+// (e.g. /posts/:postId/comments belongs to comments-service, not posts-service).
+//
+// pathPrefix is prepended to the original URL before it is proxied, so
+// GET /comments/:id/like becomes GET {comments}/api/v1/comments/:id/like.
+const routes = [
+  {
+    path: '/auth',
+    service: 'auth',
+    rateLimit: 'auth'
+  },
+  {
+    path: '/posts/:postId/comments',
+    service: 'comments',
+    pathPrefix: '/api/v1'
+  },
+  {
+    path: '/comments',
+    service: 'comments',
+    pathPrefix: '/api/v1'
+  },
+  {
+    path: '/admin',
+    service: 'comments',
+    pathPrefix: '/api/v1',
+    requireAuth: true
+  },
+  {
+    path: '/posts',
+    service: 'posts'
+  },
+  {
+    path: '/categories',
+    service: 'posts'
+  },
+  {
+    path: '/stats',
+    service: 'posts'
+  }
+];
+
+module.exports = routes;
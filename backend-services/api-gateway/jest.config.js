@@ -0,0 +1,49 @@
+module.exports = {
+  // Test environment
+  testEnvironment: 'node',
+
+  // Test file patterns
+  testMatch: [
+    '**/__tests__/**/*.js',
+    '**/?(*.)+(spec|test).js'
+  ],
+
+  // Test file ignore patterns
+  testPathIgnorePatterns: [
+    '/node_modules/'
+  ],
+
+  // Coverage configuration
+  collectCoverageFrom: [
+    'middleware/**/*.js',
+    'utils/**/*.js',
+    'config/routes.js',
+    '!**/node_modules/**',
+    '!**/server.js',
+    '!**/healthcheck.js'
+  ],
+
+  // Coverage output
+  coverageDirectory: './coverage',
+  coverageReporters: [
+    'text',
+    'text-summary',
+    'lcov'
+  ],
+
+  // Setup files
+  setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
+
+  // Test timeout
+  testTimeout: 30000,
+
+  // Clear mocks between tests
+  clearMocks: true,
+  restoreMocks: true,
+
+  // Verbose output
+  verbose: true,
+
+  // Force exit
+  forceExit: true
+};
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/environment');
+
+// Identity headers the gateway forwards downstream. Anything a client sends
+// under the x-user- prefix is stripped so it cannot impersonate another user.
+const USER_HEADER_PREFIX = 'x-user-';
+
+const getBearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+// Verify the JWT once at the edge - anonymous requests pass through,
+// but a token that is present and invalid is rejected here
+const authenticateToken = (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    req.user = null;
+    return next();
+  }
+
+  jwt.verify(token, config.jwt.secret, { algorithms: config.jwt.algorithms }, (err, user) => {
+    if (err) {
+      return res.status(401).json({
+        error: 'Invalid or expired token',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    req.user = user;
+    next();
+  });
+};
+
+// Require authentication middleware - returns 401 if no valid token
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+  next();
+};
+
+// Replace client-supplied identity headers with the verified claims
+// and tag the request with an id that downstream logs can correlate on
+const forwardUserHeaders = (req, res, next) => {
+  Object.keys(req.headers)
+    .filter(header => header.startsWith(USER_HEADER_PREFIX))
+    .forEach(header => delete req.headers[header]);
+
+  const requestId = req.headers['x-request-id'] || crypto.randomUUID();
+  req.headers['x-request-id'] = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  if (req.user) {
+    const userId = req.user.id || req.user.sub;
+    const role = req.user.role || (req.user.isAdmin ? 'admin' : req.user.isModerator ? 'moderator' : 'user');
+
+    if (userId) req.headers['x-user-id'] = String(userId);
+    if (req.user.email) req.headers['x-user-email'] = req.user.email;
+    if (req.user.name) req.headers['x-user-name'] = encodeURIComponent(req.user.name);
+    req.headers['x-user-role'] = role;
+    req.headers['x-user-is-admin'] = String(Boolean(req.user.isAdmin));
+    req.headers['x-user-is-moderator'] = String(Boolean(req.user.isModerator || req.user.isAdmin));
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticateToken,
+  requireAuth,
+  forwardUserHeaders
+};
@@ -0,0 +1,34 @@
+const rateLimit = require('express-rate-limit');
+const config = require('../config/environment');
+
+// Global rate limiting for every proxied request
+const globalRateLimit = rateLimit({
+  windowMs: config.rateLimiting.global.windowMs,
+  max: config.isTest() ? 10000 : config.rateLimiting.global.max,
+  message: {
+    error: 'Too many requests from this IP',
+    code: 'RATE_LIMIT_EXCEEDED',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Auth routes rate limiting (stricter, only failed attempts count)
+const authRateLimit = rateLimit({
+  windowMs: config.rateLimiting.auth.windowMs,
+  max: config.isTest() ? 10000 : config.rateLimiting.auth.max,
+  message: {
+    error: 'Too many authentication attempts. Please wait before trying again.',
+    code: 'AUTH_RATE_LIMIT_EXCEEDED',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true
+});
+
+module.exports = {
+  globalRateLimit,
+  authRateLimit
+};
@@ -0,0 +1,179 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const morgan = require('morgan');
+
+// Import configuration and route table
+const config = require('./config/environment');
+const routes = require('./config/routes');
+
+// Import middleware
+const { authenticateToken, requireAuth, forwardUserHeaders } = require('./middleware/auth');
+const { globalRateLimit, authRateLimit } = require('./middleware/rateLimiting');
+
+// Import utilities
+const { createServiceProxy } = require('./utils/proxy');
+const { checkServices, checkRedis } = require('./utils/serviceHealth');
+
+// Initialize Express app
+const app = express();
+
+// Validate configuration
+config.validateConfig();
+
+// Trust proxy if configured (for accurate IP addresses behind nginx)
+if (config.security.trustProxy) {
+  app.set('trust proxy', 1);
+}
+
+// SECURITY MIDDLEWARE
+app.use(helmet());
+
+// CORS Configuration - the gateway is the only origin the client talks to
+app.use(cors({
+  origin: config.security.corsOrigins,
+  credentials: config.security.corsCredentials,
+  maxAge: config.security.corsMaxAge,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['X-Request-Id', 'ETag']
+}));
+
+// COMPRESSION
+if (config.performance.enableCompression) {
+  app.use(compression());
+}
+
+// LOGGING
+if (config.isDevelopment()) {
+  app.use(morgan('dev'));
+} else if (!config.isTest()) {
+  app.use(morgan(config.logging.format));
+}
+
+// NOTE: no body parsing - request bodies are streamed to the downstream services
+
+// HEALTH CHECK ENDPOINT (before other routes)
+app.get('/health', async (req, res) => {
+  const [services, redis] = await Promise.all([checkServices(), checkRedis()]);
+  const allHealthy = Object.values(services).every(service => service.status === 'healthy') &&
+    redis.status !== 'unhealthy';
+
+  res.status(200).json({
+    status: allHealthy ? 'healthy' : 'degraded',
+    timestamp: new Date().toISOString(),
+    service: 'api-gateway',
+    version: process.env.npm_package_version || '1.0.0',
+    environment: config.server.environment,
+    uptime: process.uptime(),
+    services,
+    redis
+  });
+});
+
+// RATE LIMITING, AUTHENTICATION AND IDENTITY HEADERS (Apply to all proxied routes)
+app.use(globalRateLimit);
+app.use(authenticateToken);
+app.use(forwardUserHeaders);
+
+// PROXY ROUTES
+routes.forEach(route => {
+  const middleware = [];
+
+  if (route.rateLimit === 'auth') middleware.push(authRateLimit);
+  if (route.requireAuth) middleware.push(requireAuth);
+
+  app.use(route.path, ...middleware, createServiceProxy(route));
+});
+
+// ROOT ENDPOINT
+app.get('/', (req, res) => {
+  res.json({
+    service: 'API Gateway',
+    version: '1.0.0',
+    environment: config.server.environment,
+    routes: routes.map(route => ({
+      path: route.path,
+      service: route.service,
+      authRequired: Boolean(route.requireAuth)
+    }))
+  });
+});
+
+// 404 HANDLER
+app.use('*', (req, res) => {
+  res.status(404).json({
+    error: 'Endpoint not found',
+    code: 'ENDPOINT_NOT_FOUND',
+    method: req.method,
+    path: req.originalUrl,
+    availableRoutes: ['/health', ...routes.map(route => route.path)]
+  });
+});
+
+// GLOBAL ERROR HANDLER
+app.use((error, req, res, next) => {
+  console.error('Global error handler:', error);
+
+  res.status(error.status || 500).json({
+    error: config.isProduction() ? 'Internal server error' : error.message,
+    code: 'INTERNAL_SERVER_ERROR'
+  });
+});
+
+// GRACEFUL SHUTDOWN HANDLER
+const gracefulShutdown = (signal) => {
+  console.log(`\nReceived ${signal}. Starting graceful shutdown...`);
+
+  if (global.server) {
+    global.server.close((error) => {
+      if (error) {
+        console.error('Error during server shutdown:', error);
+        process.exit(1);
+      }
+
+      console.log('HTTP server closed');
+      process.exit(0);
+    });
+  } else {
+    process.exit(0);
+  }
+
+  // Force shutdown after 30 seconds
+  setTimeout(() => {
+    console.error('Forced shutdown after timeout');
+    process.exit(1);
+  }, 30000);
+};
+
+// SIGNAL HANDLERS
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+// START SERVER
+const startServer = () => {
+  const server = app.listen(config.server.port, config.server.host, () => {
+    console.log(`
+🚪 API Gateway started successfully!
+📍 Environment: ${config.server.environment}
+🌐 Server: http://${config.server.host}:${config.server.port}
+🔗 Health: http://${config.server.host}:${config.server.port}/health
+📝 Posts: ${config.services.posts}
+💬 Comments: ${config.services.comments}
+🔐 Auth: ${config.services.auth}
+    `);
+  });
+
+  // Export server for graceful shutdown
+  global.server = server;
+
+  return server;
+};
+
+// Start the server if this file is run directly
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, startServer };
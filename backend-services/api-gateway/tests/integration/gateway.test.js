@@ -0,0 +1,126 @@
+const request = require('supertest');
+const { app } = require('../../server');
+
+describe('API Gateway Integration Tests', () => {
+  let upstreams;
+
+  beforeAll(async () => {
+    upstreams = await Promise.all([
+      testUtils.startUpstream('posts', 14000),
+      testUtils.startUpstream('comments', 14001),
+      testUtils.startUpstream('auth', 14002)
+    ]);
+  });
+
+  afterAll(async () => {
+    await Promise.all(upstreams.map(testUtils.stopUpstream));
+  });
+
+  describe('Routing', () => {
+    it.each([
+      ['/posts?page=2', 'posts', '/posts?page=2'],
+      ['/posts/abc123', 'posts', '/posts/abc123'],
+      ['/categories', 'posts', '/categories'],
+      ['/stats', 'posts', '/stats'],
+      ['/posts/abc123/comments?sort=newest', 'comments', '/api/v1/posts/abc123/comments?sort=newest'],
+      ['/posts/abc123/comments/stats', 'comments', '/api/v1/posts/abc123/comments/stats'],
+      ['/auth/me', 'auth', '/auth/me']
+    ])('should proxy GET %s to the %s service', async (path, service, upstreamUrl) => {
+      const response = await request(app).get(path).expect(200);
+
+      expect(response.body.service).toBe(service);
+      expect(response.body.url).toBe(upstreamUrl);
+    });
+
+    it('should rewrite /comments to the comments service API prefix', async () => {
+      const response = await request(app).post('/comments/c1/like').expect(200);
+
+      expect(response.body.service).toBe('comments');
+      expect(response.body.url).toBe('/api/v1/comments/c1/like');
+    });
+
+    it('should stream request bodies through unchanged', async () => {
+      const payload = { title: 'Hello', content: 'World', tags: ['a', 'b'] };
+
+      const response = await request(app)
+        .post('/posts')
+        .send(payload)
+        .expect(200);
+
+      expect(response.body.method).toBe('POST');
+      expect(response.body.body).toEqual(payload);
+    });
+
+    it('should return 404 for unknown routes', async () => {
+      const response = await request(app).get('/unknown').expect(404);
+
+      expect(response.body.code).toBe('ENDPOINT_NOT_FOUND');
+    });
+  });
+
+  describe('Authentication', () => {
+    it('should require a token for /admin routes', async () => {
+      const response = await request(app).get('/admin/comments').expect(401);
+
+      expect(response.body.code).toBe('AUTH_REQUIRED');
+    });
+
+    it('should proxy /admin routes with identity headers', async () => {
+      const token = testUtils.generateToken({ role: 'admin', isAdmin: true, isModerator: true });
+
+      const response = await request(app)
+        .get('/admin/reports')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.url).toBe('/api/v1/admin/reports');
+      expect(response.body.headers['x-user-is-admin']).toBe('true');
+      expect(response.body.headers.authorization).toBe(`Bearer ${token}`);
+    });
+
+    it('should reject invalid tokens before they reach a service', async () => {
+      const response = await request(app)
+        .get('/posts')
+        .set('Authorization', 'Bearer invalid')
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_TOKEN');
+      expect(response.body.service).toBeUndefined();
+    });
+  });
+
+  describe('GET /health', () => {
+    it('should report every downstream service', async () => {
+      const response = await request(app).get('/health').expect(200);
+
+      expect(response.body.status).toBe('healthy');
+      expect(Object.keys(response.body.services)).toEqual(['posts', 'comments', 'auth']);
+      expect(response.body.services.posts.status).toBe('healthy');
+      expect(response.body.redis.status).toBe('not_configured');
+    });
+
+    it('should report degraded when a service is down', async () => {
+      await testUtils.stopUpstream(upstreams[2]);
+
+      const response = await request(app).get('/health').expect(200);
+
+      expect(response.body.status).toBe('degraded');
+      expect(response.body.services.auth.status).toBe('unhealthy');
+
+      upstreams[2] = await testUtils.startUpstream('auth', 14002);
+    });
+  });
+
+  describe('Upstream errors', () => {
+    it('should return 502 when a service is unreachable', async () => {
+      await testUtils.stopUpstream(upstreams[2]);
+
+      const response = await request(app).post('/auth/login').send({}).expect(502);
+
+      expect(response.body.code).toBe('UPSTREAM_UNAVAILABLE');
+      expect(response.body.service).toBe('auth');
+
+      upstreams[2] = await testUtils.startUpstream('auth', 14002);
+    });
+  });
+});
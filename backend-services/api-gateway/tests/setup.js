@@ -0,0 +1,49 @@
+// Set test environment variables before any module reads its configuration
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.POSTS_SERVICE_URL = 'http://localhost:14000';
+process.env.COMMENTS_SERVICE_URL = 'http://localhost:14001';
+process.env.AUTH_SERVICE_URL = 'http://localhost:14002';
+process.env.HEALTH_CHECK_TIMEOUT = '1000';
+
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Global test utilities
+global.testUtils = {
+  // Helper to sign a token the way auth-service does
+  generateToken: (claims = {}, options = {}) => jwt.sign({
+    id: 'user-123',
+    username: 'jane_smith',
+    email: 'jane.smith@example.com',
+    name: 'Jane Smith',
+    role: 'user',
+    isAdmin: false,
+    isModerator: false,
+    ...claims
+  }, options.secret || process.env.JWT_SECRET, { expiresIn: options.expiresIn || '15m' }),
+
+  // Start a fake downstream service that echoes what it received
+  startUpstream: (name, port) => new Promise((resolve) => {
+    const upstream = express();
+    upstream.use(express.json());
+
+    upstream.get('/health', (req, res) => res.json({ status: 'healthy', service: name }));
+
+    upstream.all('*', (req, res) => {
+      res.json({
+        service: name,
+        method: req.method,
+        url: req.originalUrl,
+        headers: req.headers,
+        body: req.body
+      });
+    });
+
+    const server = http.createServer(upstream);
+    server.listen(port, 'localhost', () => resolve(server));
+  }),
+
+  stopUpstream: (server) => new Promise((resolve) => server.close(resolve))
+};
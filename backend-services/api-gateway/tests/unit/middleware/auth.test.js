@@ -0,0 +1,104 @@
+const request = require('supertest');
+const express = require('express');
+const { authenticateToken, requireAuth, forwardUserHeaders } = require('../../../middleware/auth');
+
+// Create test app that reports what a downstream service would receive
+const app = express();
+app.use(authenticateToken, forwardUserHeaders);
+app.get('/protected', requireAuth, (req, res) => res.json({ headers: req.headers }));
+app.get('*', (req, res) => res.json({ headers: req.headers }));
+
+describe('Gateway Auth Middleware Unit Tests', () => {
+  describe('authenticateToken', () => {
+    it('should let anonymous requests through without identity headers', async () => {
+      const response = await request(app).get('/posts').expect(200);
+
+      expect(response.body.headers['x-user-id']).toBeUndefined();
+    });
+
+    it('should reject an invalid token', async () => {
+      const response = await request(app)
+        .get('/posts')
+        .set('Authorization', 'Bearer not-a-jwt')
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should reject a token signed with another secret', async () => {
+      const token = testUtils.generateToken({}, { secret: 'other-secret' });
+
+      await request(app)
+        .get('/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+
+    it('should reject an expired token', async () => {
+      const token = testUtils.generateToken({}, { expiresIn: '-1s' });
+
+      await request(app)
+        .get('/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    });
+  });
+
+  describe('requireAuth', () => {
+    it('should return 401 without a token', async () => {
+      const response = await request(app).get('/protected').expect(401);
+
+      expect(response.body.code).toBe('AUTH_REQUIRED');
+    });
+
+    it('should allow a valid token', async () => {
+      await request(app)
+        .get('/protected')
+        .set('Authorization', `Bearer ${testUtils.generateToken()}`)
+        .expect(200);
+    });
+  });
+
+  describe('forwardUserHeaders', () => {
+    it('should forward the verified identity', async () => {
+      const token = testUtils.generateToken({ role: 'moderator', isModerator: true });
+
+      const response = await request(app)
+        .get('/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const { headers } = response.body;
+      expect(headers['x-user-id']).toBe('user-123');
+      expect(headers['x-user-email']).toBe('jane.smith@example.com');
+      expect(headers['x-user-name']).toBe('Jane%20Smith');
+      expect(headers['x-user-role']).toBe('moderator');
+      expect(headers['x-user-is-admin']).toBe('false');
+      expect(headers['x-user-is-moderator']).toBe('true');
+      expect(headers.authorization).toBe(`Bearer ${token}`);
+    });
+
+    it('should strip identity headers supplied by the client', async () => {
+      const response = await request(app)
+        .get('/posts')
+        .set('X-User-Id', 'someone-else')
+        .set('X-User-Is-Admin', 'true')
+        .expect(200);
+
+      expect(response.body.headers['x-user-id']).toBeUndefined();
+      expect(response.body.headers['x-user-is-admin']).toBeUndefined();
+    });
+
+    it('should assign a request id and keep one supplied by the client', async () => {
+      const generated = await request(app).get('/posts').expect(200);
+      expect(generated.headers['x-request-id']).toBeDefined();
+      expect(generated.body.headers['x-request-id']).toBe(generated.headers['x-request-id']);
+
+      const supplied = await request(app)
+        .get('/posts')
+        .set('X-Request-Id', 'req-abc')
+        .expect(200);
+      expect(supplied.headers['x-request-id']).toBe('req-abc');
+    });
+  });
+});
@@ -0,0 +1,27 @@
+const { checkService, checkRedis } = require('../../../utils/serviceHealth');
+
+describe('Service Health Unit Tests', () => {
+  describe('checkService', () => {
+    it('should report an unreachable service as unhealthy', async () => {
+      const result = await checkService('posts', 'http://localhost:14999');
+
+      expect(result.name).toBe('posts');
+      expect(result.status).toBe('unhealthy');
+      expect(result.error).toBeDefined();
+    });
+  });
+
+  describe('checkRedis', () => {
+    it('should skip the probe when Redis is not configured', async () => {
+      await expect(checkRedis(null)).resolves.toEqual({ status: 'not_configured' });
+    });
+
+    it('should report an unreachable Redis as unhealthy', async () => {
+      const result = await checkRedis('redis://localhost:14998');
+
+      expect(result.status).toBe('unhealthy');
+      expect(result.error).toBeDefined();
+      expect(result.responseTime).toBeLessThan(1000);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const { createProxyMiddleware } = require('http-proxy-middleware');
+const config = require('../config/environment');
+
+// Build a streaming proxy for one downstream service.
+// Request bodies are never parsed by the gateway, so they are piped through untouched.
+const createServiceProxy = ({ service, pathPrefix = '' }) => {
+  const target = config.services[service];
+
+  return createProxyMiddleware({
+    target,
+    changeOrigin: true,
+    xfwd: true,
+    proxyTimeout: config.proxy.timeout,
+    logLevel: config.isTest() ? 'silent' : 'warn',
+
+    // http-proxy-middleware rewrites against the full original URL
+    pathRewrite: pathPrefix ? (path) => `${pathPrefix}${path}` : undefined,
+
+    onError: (error, req, res) => {
+      console.error(`Proxy error for ${service} service:`, error.message);
+
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      const timedOut = error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT';
+
+      res.status(timedOut ? 504 : 502).json({
+        error: timedOut ? 'Upstream service timed out' : 'Upstream service unavailable',
+        code: timedOut ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_UNAVAILABLE',
+        service
+      });
+    }
+  });
+};
+
+module.exports = {
+  createServiceProxy
+};
@@ -0,0 +1,84 @@
+const { createClient } = require('redis');
+const config = require('../config/environment');
+
+// Probe a downstream service's /health endpoint
+const checkService = async (name, baseUrl) => {
+  const startTime = Date.now();
+
+  try {
+    const response = await fetch(new URL('/health', baseUrl), {
+      signal: AbortSignal.timeout(config.healthCheck.timeout)
+    });
+
+    return {
+      name,
+      status: response.ok ? 'healthy' : 'unhealthy',
+      statusCode: response.status,
+      responseTime: Date.now() - startTime
+    };
+  } catch (error) {
+    return {
+      name,
+      status: 'unhealthy',
+      error: error.name === 'TimeoutError' ? 'Health check timed out' : error.message,
+      responseTime: Date.now() - startTime
+    };
+  }
+};
+
+// Probe every configured service in parallel, keyed by service name
+const checkServices = async () => {
+  const results = await Promise.all(
+    Object.entries(config.services).map(([name, url]) => checkService(name, url))
+  );
+
+  return results.reduce((services, { name, ...result }) => {
+    services[name] = result;
+    return services;
+  }, {});
+};
+
+// Ping Redis over a short-lived connection
+const checkRedis = async (url = config.redis.url) => {
+  if (!url) {
+    return { status: 'not_configured' };
+  }
+
+  const startTime = Date.now();
+  const { timeout } = config.healthCheck;
+  const client = createClient({
+    url,
+    socket: { connectTimeout: timeout, reconnectStrategy: false }
+  });
+  // Connection errors are reported by the probe below
+  client.on('error', () => {});
+
+  let timer;
+  try {
+    await Promise.race([
+      client.connect().then(() => client.ping()),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Health check timed out')), timeout);
+      })
+    ]);
+
+    return { status: 'healthy', responseTime: Date.now() - startTime };
+  } catch (error) {
+    return {
+      status: 'unhealthy',
+      error: error.message,
+      responseTime: Date.now() - startTime
+    };
+  } finally {
+    clearTimeout(timer);
+    if (client.isOpen) {
+      await client.disconnect();
+    }
+  }
+};
+
+module.exports = {
+  checkService,
+  checkServices,
+  checkRedis
+};
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const config = require('./environment');
+
+const connectDB = async () => {
+  try {
+    const conn = await mongoose.connect(config.database.uri, {
+      ...config.database.options,
+      socketTimeoutMS: 45000, // Close sockets after 45 seconds of inactivity
+      family: 4 // Use IPv4, skip trying IPv6
+    });
+
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Handle connection events
+    mongoose.connection.on('error', (err) => {
+      console.error('MongoDB connection error:', err);
+    });
+
+    mongoose.connection.on('disconnected', () => {
+      console.warn('MongoDB disconnected');
+    });
+
+    mongoose.connection.on('reconnected', () => {
+      console.log('MongoDB reconnected');
+    });
+
+    return conn;
+
+  } catch (error) {
+    console.error('MongoDB connection failed:', error);
+
+    // Retry connection after 5 seconds
+    setTimeout(() => {
+      console.log('Retrying MongoDB connection...');
+      connectDB();
+    }, 5000);
+  }
+};
+
+// Initialize database indexes
+const initializeIndexes = async () => {
+  try {
+    const User = require('../models/User');
+    const RefreshToken = require('../models/RefreshToken');
+
+    console.log('Creating database indexes...');
+
+    await Promise.all([
+      User.createIndexes(),
+      RefreshToken.createIndexes()
+    ]);
+
+    console.log('Database indexes created successfully');
+  } catch (error) {
+    console.error('Error creating database indexes:', error);
+  }
+};
+
+// Database health check
+const healthCheck = async () => {
+  try {
+    const start = Date.now();
+    await mongoose.connection.db.admin().ping();
+    const responseTime = Date.now() - start;
+
+    return {
+      status: 'healthy',
+      responseTime: `${responseTime}ms`,
+      database: mongoose.connection.name
+    };
+  } catch (error) {
+    return {
+      status: 'unhealthy',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  connectDB,
+  initializeIndexes,
+  healthCheck
+};
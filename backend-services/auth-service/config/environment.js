@@ -0,0 +1,112 @@
+require('dotenv').config();
+
+const config = {
+  // Server Configuration
+  server: {
+    port: process.env.PORT || 4002,
+    host: process.env.HOST || 'localhost',
+    environment: process.env.NODE_ENV || 'development'
+  },
+
+  // Database Configuration
+  database: {
+    uri: process.env.MONGODB_URI || 'mongodb://localhost:27017/auth_db',
+    options: {
+      maxPoolSize: parseInt(process.env.MONGODB_OPTIONS_MAX_POOL_SIZE) || 10,
+      serverSelectionTimeoutMS: parseInt(process.env.MONGODB_OPTIONS_SERVER_SELECTION_TIMEOUT_MS) || 5000
+    }
+  },
+
+  // JWT Configuration - Token Signing
+  // Must match the secret the other services verify with (comments-service middleware/auth.js)
+  jwt: {
+    secret: process.env.JWT_SECRET || 'demo-secret',
+    algorithm: 'HS256',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    issuer: process.env.JWT_ISSUER || 'auth-service'
+  },
+
+  // Refresh Token Configuration
+  refreshToken: {
+    expiresInMs: parseInt(process.env.REFRESH_TOKEN_EXPIRES_MS) || 7 * 24 * 60 * 60 * 1000, // 7 days
+    rememberMeExpiresInMs: parseInt(process.env.REFRESH_TOKEN_REMEMBER_ME_EXPIRES_MS) || 30 * 24 * 60 * 60 * 1000 // 30 days
+  },
+
+  // Password Security
+  password: {
+    saltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12,
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8
+  },
+
+  // Account Security
+  account: {
+    maxLoginAttempts: parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5,
+    lockoutTimeMs: parseInt(process.env.LOCKOUT_TIME_MS) || 15 * 60 * 1000 // 15 minutes
+  },
+
+  // Security Configuration
+  security: {
+    corsOrigins: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3000'],
+    trustProxy: process.env.TRUST_PROXY === 'true' || false
+  },
+
+  // Rate Limiting Configuration
+  rateLimiting: {
+    basic: {
+      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+      max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 1000
+    },
+    auth: {
+      windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+      max: parseInt(process.env.RATE_LIMIT_AUTH_MAX_REQUESTS) || 5
+    }
+  },
+
+  // Logging Configuration
+  logging: {
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'combined'
+  },
+
+  // Performance Configuration
+  performance: {
+    enableCompression: process.env.ENABLE_COMPRESSION !== 'false', // Default true
+    maxRequestSize: process.env.MAX_REQUEST_SIZE || '100kb'
+  }
+};
+
+// Validation function to check required environment variables
+const validateConfig = () => {
+  const requiredInProduction = [
+    'MONGODB_URI',
+    'JWT_SECRET'
+  ];
+
+  if (config.server.environment === 'production') {
+    const missingVars = requiredInProduction.filter(varName => !process.env[varName]);
+
+    if (missingVars.length > 0) {
+      console.error('Missing required environment variables for production:', missingVars);
+      process.exit(1);
+    }
+
+    if (config.jwt.secret.length < 32) {
+      console.error('JWT_SECRET must be at least 32 characters in production');
+      process.exit(1);
+    }
+  }
+
+  console.log(`Configuration loaded for ${config.server.environment} environment`);
+  return true;
+};
+
+// Export configuration object and utilities
+module.exports = {
+  ...config,
+  validateConfig,
+
+  // Helper functions
+  isDevelopment: () => config.server.environment === 'development',
+  isProduction: () => config.server.environment === 'production',
+  isTest: () => config.server.environment === 'test'
+};
@@ -0,0 +1,325 @@
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { issueTokenPair } = require('../utils/tokens');
+
+// Build the token response body shared by login and refresh
+const formatTokenResponse = (tokens, user) => ({
+  accessToken: tokens.accessToken,
+  refreshToken: tokens.refreshToken,
+  tokenType: tokens.tokenType,
+  expiresIn: tokens.expiresIn,
+  refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+  user
+});
+
+// Register a new user account
+const register = async (req, res) => {
+  try {
+    const { email, username, password, firstName, lastName } = req.body;
+
+    const existingUser = await User.findOne({
+      $or: [{ email }, { username }]
+    }).lean();
+
+    if (existingUser) {
+      const field = existingUser.email === email ? 'email' : 'username';
+      return res.status(409).json({
+        error: 'Registration failed',
+        code: 'USER_ALREADY_EXISTS',
+        details: [{
+          field,
+          message: `An account with this ${field} already exists`
+        }]
+      });
+    }
+
+    const user = new User({
+      email,
+      username,
+      password,
+      firstName,
+      lastName
+    });
+
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      data: user,
+      message: 'Account created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error registering user:', error);
+
+    // Lost a race against a concurrent registration
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Registration failed',
+        code: 'USER_ALREADY_EXISTS'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to register user',
+      code: 'REGISTER_ERROR'
+    });
+  }
+};
+
+// Authenticate a user and issue tokens
+const login = async (req, res) => {
+  try {
+    const { login: loginId, password, rememberMe, deviceName } = req.body;
+
+    const user = await User.findByLogin(loginId);
+
+    const invalidCredentials = () => res.status(401).json({
+      error: 'Authentication failed',
+      code: 'INVALID_CREDENTIALS',
+      message: 'Invalid email or password'
+    });
+
+    // Same response for unknown users and wrong passwords; unknown users still
+    // pay for a password comparison, so the timing does not tell them apart
+    if (!user) {
+      await User.compareDummyPassword(password);
+      return invalidCredentials();
+    }
+
+    // The password is checked before the account state, so the lock and suspension
+    // are only revealed to someone who knows the password
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      // A locked account does not extend its lock
+      if (!user.isLocked) {
+        await user.registerFailedLogin();
+      }
+      return invalidCredentials();
+    }
+
+    if (user.isLocked) {
+      return res.status(403).json({
+        error: 'Account locked',
+        code: 'ACCOUNT_LOCKED',
+        message: 'Too many failed login attempts',
+        unlockAt: user.lockUntil
+      });
+    }
+
+    if (user.status === 'suspended') {
+      return res.status(403).json({
+        error: 'Account suspended',
+        code: 'ACCOUNT_SUSPENDED',
+        message: 'This account has been suspended'
+      });
+    }
+
+    const previousLoginAt = await user.registerSuccessfulLogin();
+
+    const tokens = await issueTokenPair(user, {
+      rememberMe,
+      deviceName,
+      ip: req.userInfo.ip,
+      userAgent: req.userInfo.userAgent
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...formatTokenResponse(tokens, user),
+        session: tokens.session
+      },
+      meta: {
+        previousLoginAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      error: 'Failed to log in',
+      code: 'LOGIN_ERROR'
+    });
+  }
+};
+
+// Exchange a refresh token for a new token pair (rotation)
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const storedToken = await RefreshToken.findByRawToken(refreshToken);
+    if (!storedToken) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    // A revoked token being replayed means the chain is compromised
+    if (storedToken.revokedAt) {
+      await RefreshToken.revokeFamily(storedToken.family);
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        code: 'REFRESH_TOKEN_REVOKED'
+      });
+    }
+
+    if (storedToken.expiresAt <= new Date()) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        code: 'REFRESH_TOKEN_EXPIRED'
+      });
+    }
+
+    const user = await User.findById(storedToken.userId);
+    if (!user || user.status !== 'active') {
+      await RefreshToken.revokeFamily(storedToken.family);
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        code: 'USER_UNAVAILABLE'
+      });
+    }
+
+    const tokens = await issueTokenPair(user, {
+      family: storedToken.family,
+      expiresAt: storedToken.expiresAt,
+      deviceName: storedToken.deviceName,
+      ip: req.userInfo.ip,
+      userAgent: req.userInfo.userAgent
+    });
+
+    // Another request rotated the token first, so it is being reused. The new token
+    // already belongs to the family and is revoked with it.
+    const claimed = await RefreshToken.claim(storedToken.token, tokens.refreshTokenDocument.token);
+    if (!claimed) {
+      await RefreshToken.revokeFamily(storedToken.family);
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        code: 'REFRESH_TOKEN_REVOKED'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatTokenResponse(tokens, user)
+    });
+
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      error: 'Failed to refresh token',
+      code: 'REFRESH_ERROR'
+    });
+  }
+};
+
+// Log out the current session or every session of the user
+const logout = async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+
+    let tokensInvalidated = 0;
+
+    if (allDevices) {
+      tokensInvalidated = await RefreshToken.revokeAllForUser(req.user.id);
+    } else if (refreshToken) {
+      const storedToken = await RefreshToken.findByRawToken(refreshToken);
+
+      // Only the owner can revoke a session
+      if (storedToken && storedToken.userId.toString() === req.user.id) {
+        tokensInvalidated = await RefreshToken.revokeFamily(storedToken.family);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: allDevices
+        ? 'Successfully logged out from all devices'
+        : 'Successfully logged out',
+      data: {
+        tokensInvalidated
+      }
+    });
+
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      error: 'Failed to log out',
+      code: 'LOGOUT_ERROR'
+    });
+  }
+};
+
+// Get the profile of the authenticated user
+const getCurrentUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user',
+      code: 'FETCH_USER_ERROR'
+    });
+  }
+};
+
+// Change the role of a user (admin only)
+const updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    // Existing sessions carry the old claims, force a fresh login
+    await RefreshToken.revokeAllForUser(user._id);
+
+    res.json({
+      success: true,
+      data: user,
+      meta: {
+        updatedBy: req.user.id,
+        sessionsRevoked: true
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({
+      error: 'Failed to update user role',
+      code: 'UPDATE_ROLE_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  getCurrentUser,
+  updateUserRole
+};
@@ -0,0 +1,56 @@
+const { verifyAccessToken } = require('../utils/tokens');
+
+// Require authentication middleware - returns 401 if no valid token
+const requireAuth = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+
+  try {
+    req.user = verifyAccessToken(token);
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      error: 'Invalid or expired token',
+      code: 'INVALID_TOKEN'
+    });
+  }
+};
+
+// Admin authentication middleware
+const requireAdmin = (req, res, next) => {
+  if (!req.user || !req.user.isAdmin) {
+    return res.status(403).json({
+      error: 'Admin access required',
+      code: 'ADMIN_REQUIRED'
+    });
+  }
+  next();
+};
+
+// Extract client info from request (IP, User-Agent) for session tracking
+const extractUserInfo = (req, res, next) => {
+  const ip = req.ip ||
+    req.socket?.remoteAddress ||
+    req.headers['x-forwarded-for']?.split(',')[0] ||
+    'unknown';
+
+  req.userInfo = {
+    ip: ip.replace(/^::ffff:/, ''), // Remove IPv6 prefix if present
+    userAgent: req.headers['user-agent'] || 'unknown'
+  };
+
+  next();
+};
+
+module.exports = {
+  requireAuth,
+  requireAdmin,
+  extractUserInfo
+};
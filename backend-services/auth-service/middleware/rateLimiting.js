@@ -0,0 +1,48 @@
+const rateLimit = require('express-rate-limit');
+const config = require('../config/environment');
+
+// Basic rate limiting for all requests
+const basicRateLimit = rateLimit({
+  windowMs: config.rateLimiting.basic.windowMs,
+  max: config.isTest() ? 10000 : config.rateLimiting.basic.max,
+  message: {
+    error: 'Too many requests from this IP',
+    code: 'RATE_LIMIT_EXCEEDED',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Credential endpoints rate limiting (stricter, only failed attempts count)
+const authRateLimit = rateLimit({
+  windowMs: config.rateLimiting.auth.windowMs,
+  max: config.isTest() ? 10000 : config.rateLimiting.auth.max,
+  message: {
+    error: 'Too many authentication attempts. Please wait before trying again.',
+    code: 'AUTH_RATE_LIMIT_EXCEEDED',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true
+});
+
+// Registration rate limiting
+const registerRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: config.isTest() ? 10000 : 10, // Limit each IP to 10 registrations per hour
+  message: {
+    error: 'Too many registration attempts',
+    code: 'REGISTER_RATE_LIMIT_EXCEEDED',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+module.exports = {
+  basicRateLimit,
+  authRateLimit,
+  registerRateLimit
+};
@@ -0,0 +1,165 @@
+const Joi = require('joi');
+const config = require('../config/environment');
+
+// Validation schemas
+const schemas = {
+  register: Joi.object({
+    email: Joi.string()
+      .email()
+      .required()
+      .lowercase()
+      .trim()
+      .messages({
+        'string.email': 'Must be a valid email address',
+        'any.required': 'Email is required'
+      }),
+    username: Joi.string()
+      .min(3)
+      .max(30)
+      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .required()
+      .trim()
+      .messages({
+        'string.min': 'Username must be at least 3 characters long',
+        'string.max': 'Username cannot exceed 30 characters',
+        'string.pattern.base': 'Username can only contain letters, numbers, underscores and hyphens',
+        'any.required': 'Username is required'
+      }),
+    password: Joi.string()
+      .min(config.password.minLength)
+      .max(128)
+      .pattern(/[a-z]/, 'lowercase')
+      .pattern(/[A-Z]/, 'uppercase')
+      .pattern(/[0-9]/, 'number')
+      .required()
+      .messages({
+        'string.min': `Password must be at least ${config.password.minLength} characters long`,
+        'string.pattern.name': 'Password must contain at least one {#name} character',
+        'any.required': 'Password is required'
+      }),
+    confirmPassword: Joi.string()
+      .valid(Joi.ref('password'))
+      .required()
+      .messages({
+        'any.only': 'Passwords do not match',
+        'any.required': 'Password confirmation is required'
+      }),
+    firstName: Joi.string()
+      .max(50)
+      .optional()
+      .trim(),
+    lastName: Joi.string()
+      .max(50)
+      .optional()
+      .trim()
+  }),
+
+  login: Joi.object({
+    login: Joi.string()
+      .required()
+      .trim()
+      .max(254)
+      .messages({
+        'any.required': 'Email or username is required'
+      }),
+    password: Joi.string()
+      .required()
+      .max(128)
+      .messages({
+        'any.required': 'Password is required'
+      }),
+    rememberMe: Joi.boolean().default(false),
+    deviceName: Joi.string()
+      .max(100)
+      .optional()
+      .trim()
+  }),
+
+  refresh: Joi.object({
+    refreshToken: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Refresh token is required'
+      })
+  }),
+
+  logout: Joi.object({
+    refreshToken: Joi.string().optional(),
+    allDevices: Joi.boolean().default(false)
+  }),
+
+  updateRole: Joi.object({
+    role: Joi.string()
+      .valid('user', 'moderator', 'admin')
+      .required()
+      .messages({
+        'any.only': 'Invalid role',
+        'any.required': 'Role is required'
+      })
+  })
+};
+
+// Validation middleware factory
+const validate = (schema, source = 'body') => {
+  return (req, res, next) => {
+    const data = source === 'query' ? req.query :
+                 source === 'params' ? req.params :
+                 req.body;
+
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true,
+      convert: true
+    });
+
+    if (error) {
+      const validationErrors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        error: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        details: validationErrors
+      });
+    }
+
+    // Replace the original data with validated and sanitized data
+    if (source === 'query') {
+      req.query = value;
+    } else if (source === 'params') {
+      req.params = value;
+    } else {
+      req.body = value;
+    }
+
+    next();
+  };
+};
+
+// Validation for MongoDB ObjectId parameters
+const validateObjectId = (paramName = 'id') => {
+  const schema = Joi.object({
+    [paramName]: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': `Invalid ${paramName} format`,
+        'any.required': `${paramName} is required`
+      })
+  });
+
+  return validate(schema, 'params');
+};
+
+module.exports = {
+  schemas,
+  validate,
+  validateObjectId,
+  validateRegister: validate(schemas.register),
+  validateLogin: validate(schemas.login),
+  validateRefresh: validate(schemas.refresh),
+  validateLogout: validate(schemas.logout),
+  validateUpdateRole: validate(schemas.updateRole)
+};
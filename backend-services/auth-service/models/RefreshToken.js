@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+  // SHA-256 hash of the opaque token; the raw value is only ever sent to the client
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // All tokens issued from the same login share a family so reuse can revoke the chain
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  // Session information
+  deviceName: {
+    type: String,
+    maxlength: 100,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'refresh_tokens'
+});
+
+// Expired tokens are removed by MongoDB automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for checking if the token can still be used
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static helper to hash a raw token value
+refreshTokenSchema.statics.hashToken = function(rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+};
+
+// Static method to issue a new token, returns the raw value alongside the document
+refreshTokenSchema.statics.issue = async function(userId, options = {}) {
+  const {
+    family = crypto.randomUUID(),
+    expiresAt,
+    deviceName = null,
+    ip = null,
+    userAgent = null
+  } = options;
+
+  const rawToken = `rt_${crypto.randomBytes(48).toString('hex')}`;
+
+  const document = await this.create({
+    token: this.hashToken(rawToken),
+    userId,
+    family,
+    expiresAt,
+    deviceName,
+    ip,
+    userAgent
+  });
+
+  return { rawToken, document };
+};
+
+// Static method to find a token by its raw value
+refreshTokenSchema.statics.findByRawToken = function(rawToken) {
+  return this.findOne({ token: this.hashToken(rawToken) });
+};
+
+// Static method to revoke a token that is being rotated, atomically, so only one of
+// several concurrent refreshes succeeds. Resolves to null when it was already revoked.
+refreshTokenSchema.statics.claim = function(token, replacedBy) {
+  return this.findOneAndUpdate(
+    { token, revokedAt: null },
+    { $set: { revokedAt: new Date(), replacedBy } },
+    { new: true }
+  );
+};
+
+// Static method to revoke every active token in a family
+refreshTokenSchema.statics.revokeFamily = async function(family) {
+  const result = await this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to revoke every active token of a user
+refreshTokenSchema.statics.revokeAllForUser = async function(userId) {
+  const result = await this.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
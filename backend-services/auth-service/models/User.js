@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const config = require('../config/environment');
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    minlength: 3,
+    maxlength: 30,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: true,
+    select: false // Never returned unless explicitly requested
+  },
+  firstName: {
+    type: String,
+    maxlength: 50,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    maxlength: 50,
+    trim: true
+  },
+  // Authorization
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active'
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Profile
+  avatar: {
+    type: String,
+    default: null
+  },
+  bio: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  // Login tracking and lockout
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+  loginAttempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.password;
+      delete ret.loginAttempts;
+      delete ret.lockUntil;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+userSchema.index({ role: 1 });
+userSchema.index({ status: 1 });
+userSchema.index({ createdAt: -1 });
+
+// Virtual for checking if account is locked
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
+// Virtual for display name used in comment and post authorship
+userSchema.virtual('displayName').get(function() {
+  const fullName = [this.firstName, this.lastName].filter(Boolean).join(' ');
+  return fullName || this.username;
+});
+
+// Pre-save middleware to hash password
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  this.password = await bcrypt.hash(this.password, config.password.saltRounds);
+  next();
+});
+
+// Static method to find a user by email or username
+userSchema.statics.findByLogin = function(login) {
+  const normalized = login.toLowerCase().trim();
+  return this.findOne({
+    $or: [{ email: normalized }, { username: login.trim() }]
+  }).select('+password');
+};
+
+// Instance method to compare password
+userSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Hash of no real password, hashed on first use with the configured cost
+let dummyPasswordHash = null;
+
+// Compare a password when no user matched, so a login for an unknown account
+// takes as long as a wrong password. Always false.
+userSchema.statics.compareDummyPassword = async function(candidatePassword) {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = await bcrypt.hash('no-account-matches-this-login', config.password.saltRounds);
+  }
+  await bcrypt.compare(candidatePassword, dummyPasswordHash);
+  return false;
+};
+
+// Instance method to record a failed login and lock the account if needed
+userSchema.methods.registerFailedLogin = async function() {
+  // Reset the counter if a previous lock has expired
+  if (this.lockUntil && this.lockUntil <= new Date()) {
+    this.loginAttempts = 0;
+    this.lockUntil = null;
+  }
+
+  this.loginAttempts += 1;
+
+  if (this.loginAttempts >= config.account.maxLoginAttempts) {
+    this.lockUntil = new Date(Date.now() + config.account.lockoutTimeMs);
+  }
+
+  await this.save();
+  return Math.max(config.account.maxLoginAttempts - this.loginAttempts, 0);
+};
+
+// Instance method to record a successful login
+userSchema.methods.registerSuccessfulLogin = async function() {
+  const previousLoginAt = this.lastLoginAt;
+
+  this.loginAttempts = 0;
+  this.lockUntil = null;
+  this.lastLoginAt = new Date();
+  await this.save();
+
+  return previousLoginAt;
+};
+
+// Instance method to build the JWT claims other services rely on
+userSchema.methods.toTokenClaims = function() {
+  return {
+    id: this._id.toString(),
+    username: this.username,
+    email: this.email,
+    name: this.displayName,
+    role: this.role,
+    isAdmin: this.role === 'admin',
+    isModerator: this.role === 'moderator' || this.role === 'admin'
+  };
+};
+
+module.exports = mongoose.model('User', userSchema);
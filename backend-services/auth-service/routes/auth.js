@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  getCurrentUser,
+  updateUserRole
+} = require('../controllers/authController');
+
+// Middleware
+const {
+  validateRegister,
+  validateLogin,
+  validateRefresh,
+  validateLogout,
+  validateUpdateRole,
+  validateObjectId
+} = require('../middleware/validation');
+
+const {
+  extractUserInfo,
+  requireAuth,
+  requireAdmin
+} = require('../middleware/auth');
+
+const {
+  authRateLimit,
+  registerRateLimit
+} = require('../middleware/rateLimiting');
+
+// Apply common middleware to all routes
+router.use(extractUserInfo);
+
+// POST /auth/register - Create a new account (No auth required)
+router.post('/register',
+  registerRateLimit,
+  validateRegister,
+  register
+);
+
+// POST /auth/login - Exchange credentials for tokens (No auth required)
+router.post('/login',
+  authRateLimit,
+  validateLogin,
+  login
+);
+
+// POST /auth/refresh - Rotate a refresh token (No auth required)
+router.post('/refresh',
+  authRateLimit,
+  validateRefresh,
+  refresh
+);
+
+// POST /auth/logout - Revoke the current or all sessions (Auth required)
+router.post('/logout',
+  requireAuth,
+  validateLogout,
+  logout
+);
+
+// GET /auth/me - Get the authenticated user's profile (Auth required)
+router.get('/me',
+  requireAuth,
+  getCurrentUser
+);
+
+// PATCH /auth/users/:id/role - Grant or revoke moderator/admin (Admin required)
+router.patch('/users/:id/role',
+  requireAuth,
+  requireAdmin,
+  validateObjectId(),
+  validateUpdateRole,
+  updateUserRole
+);
+
+module.exports = router;
@@ -0,0 +1,218 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const morgan = require('morgan');
+const mongoSanitize = require('express-mongo-sanitize');
+
+// Import configuration and database
+const config = require('./config/environment');
+const { connectDB, initializeIndexes, healthCheck } = require('./config/database');
+
+// Import routes
+const authRoutes = require('./routes/auth');
+
+// Import middleware
+const { basicRateLimit } = require('./middleware/rateLimiting');
+
+// Initialize Express app
+const app = express();
+
+// Validate configuration
+config.validateConfig();
+
+// Trust proxy if configured (for accurate IP addresses behind the API gateway)
+if (config.security.trustProxy) {
+  app.set('trust proxy', 1);
+}
+
+// SECURITY MIDDLEWARE
+app.use(helmet());
+
+// CORS Configuration
+app.use(cors({
+  origin: config.security.corsOrigins,
+  credentials: true,
+  methods: ['GET', 'POST', 'PATCH', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+}));
+
+// COMPRESSION
+if (config.performance.enableCompression) {
+  app.use(compression());
+}
+
+// LOGGING
+if (config.isDevelopment()) {
+  app.use(morgan('dev'));
+} else if (!config.isTest()) {
+  app.use(morgan(config.logging.format));
+}
+
+// BODY PARSING
+app.use(express.json({
+  limit: config.performance.maxRequestSize,
+  strict: true
+}));
+
+// SANITIZATION
+app.use(mongoSanitize({
+  replaceWith: '_'
+}));
+
+// RATE LIMITING (Apply to all routes)
+app.use(basicRateLimit);
+
+// HEALTH CHECK ENDPOINT (before other routes)
+app.get('/health', async (req, res) => {
+  const dbHealth = await healthCheck();
+
+  const health = {
+    status: dbHealth.status === 'healthy' ? 'healthy' : 'unhealthy',
+    timestamp: new Date().toISOString(),
+    service: 'auth-service',
+    version: process.env.npm_package_version || '1.0.0',
+    environment: config.server.environment,
+    uptime: process.uptime(),
+    database: dbHealth
+  };
+
+  res.status(health.status === 'healthy' ? 200 : 503).json(health);
+});
+
+// API ROUTES
+app.use('/auth', authRoutes);
+
+// ROOT ENDPOINT
+app.get('/', (req, res) => {
+  res.json({
+    service: 'Auth Service',
+    version: '1.0.0',
+    environment: config.server.environment,
+    endpoints: {
+      health: '/health',
+      register: '/auth/register',
+      login: '/auth/login',
+      refresh: '/auth/refresh',
+      logout: '/auth/logout',
+      me: '/auth/me'
+    }
+  });
+});
+
+// 404 HANDLER
+app.use('*', (req, res) => {
+  res.status(404).json({
+    error: 'Endpoint not found',
+    code: 'ENDPOINT_NOT_FOUND',
+    method: req.method,
+    path: req.originalUrl,
+    availableEndpoints: [
+      'GET /health',
+      'POST /auth/register',
+      'POST /auth/login',
+      'POST /auth/refresh',
+      'POST /auth/logout',
+      'GET /auth/me',
+      'PATCH /auth/users/:id/role'
+    ]
+  });
+});
+
+// GLOBAL ERROR HANDLER
+app.use((error, req, res, next) => {
+  console.error('Global error handler:', error);
+
+  // Request size errors
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Request too large',
+      code: 'REQUEST_TOO_LARGE',
+      limit: config.performance.maxRequestSize
+    });
+  }
+
+  // Syntax errors in JSON
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Invalid JSON format',
+      code: 'INVALID_JSON'
+    });
+  }
+
+  // Default error response
+  res.status(error.status || 500).json({
+    error: config.isProduction() ? 'Internal server error' : error.message,
+    code: 'INTERNAL_SERVER_ERROR'
+  });
+});
+
+// GRACEFUL SHUTDOWN HANDLER
+const gracefulShutdown = (signal) => {
+  console.log(`\nReceived ${signal}. Starting graceful shutdown...`);
+
+  if (global.server) {
+    global.server.close((error) => {
+      if (error) {
+        console.error('Error during server shutdown:', error);
+        process.exit(1);
+      }
+
+      console.log('HTTP server closed');
+      process.exit(0);
+    });
+  } else {
+    process.exit(0);
+  }
+
+  // Force shutdown after 30 seconds
+  setTimeout(() => {
+    console.error('Forced shutdown after timeout');
+    process.exit(1);
+  }, 30000);
+};
+
+// SIGNAL HANDLERS
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+// START SERVER
+const startServer = async () => {
+  try {
+    // Connect to database
+    console.log('Connecting to database...');
+    await connectDB();
+
+    // Initialize database indexes
+    console.log('Initializing database indexes...');
+    await initializeIndexes();
+
+    // Start HTTP server
+    const server = app.listen(config.server.port, config.server.host, () => {
+      console.log(`
+🔐 Auth Service started successfully!
+📍 Environment: ${config.server.environment}
+🌐 Server: http://${config.server.host}:${config.server.port}
+🔗 Health: http://${config.server.host}:${config.server.port}/health
+📊 Database: ${config.database.uri.replace(/\/\/.*@/, '//***:***@')}
+🔑 Access tokens: ${config.jwt.algorithm}, expire in ${config.jwt.expiresIn}
+      `);
+    });
+
+    // Export server for graceful shutdown
+    global.server = server;
+
+    return server;
+
+  } catch (error) {
+    console.error('Failed to start server:', error);
+    process.exit(1);
+  }
+};
+
+// Start the server if this file is run directly
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, startServer };
@@ -0,0 +1,72 @@
+// Set test environment variables before any module reads its configuration
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.BCRYPT_SALT_ROUNDS = '4'; // Keep hashing fast in tests
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const jwt = require('jsonwebtoken');
+
+// Global test setup variables
+let mongoServer;
+
+// Setup before all tests
+beforeAll(async () => {
+  // Start in-memory MongoDB server
+  mongoServer = await MongoMemoryServer.create({
+    instance: {
+      port: 27019, // Different port from posts and comments services
+      dbName: 'auth_service_test'
+    }
+  });
+
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Cleanup after each test
+afterEach(async () => {
+  const collections = mongoose.connection.collections;
+
+  for (const key in collections) {
+    await collections[key].deleteMany({});
+  }
+});
+
+// Cleanup after all tests
+afterAll(async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.connection.close();
+
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+// Global test utilities
+global.testUtils = {
+  // Helper to create mock ObjectId
+  createObjectId: () => new mongoose.Types.ObjectId(),
+
+  // Helper to generate test user data
+  generateTestUser: (overrides = {}) => ({
+    email: 'jane.smith@example.com',
+    username: 'jane_smith',
+    password: 'SecurePass123',
+    firstName: 'Jane',
+    lastName: 'Smith',
+    ...overrides
+  }),
+
+  // Helper to decode a token signed by the service
+  verifyToken: (token) => jwt.verify(token, process.env.JWT_SECRET)
+};
+
+// Mock console methods to reduce noise in tests
+global.console = {
+  ...console,
+  log: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+};
@@ -0,0 +1,288 @@
+const request = require('supertest');
+const express = require('express');
+const authRoutes = require('../../../routes/auth');
+const User = require('../../../models/User');
+const RefreshToken = require('../../../models/RefreshToken');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/auth', authRoutes);
+
+const registerUser = (overrides = {}) => {
+  const user = testUtils.generateTestUser(overrides);
+  return request(app)
+    .post('/auth/register')
+    .send({ ...user, confirmPassword: user.password });
+};
+
+const loginUser = (login = 'jane_smith', password = 'SecurePass123') =>
+  request(app)
+    .post('/auth/login')
+    .send({ login, password });
+
+describe('Auth Controller Unit Tests', () => {
+  describe('POST /auth/register - register', () => {
+    it('should create a user with the default role', async () => {
+      const response = await registerUser().expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.email).toBe('jane.smith@example.com');
+      expect(response.body.data.role).toBe('user');
+      expect(response.body.data.password).toBeUndefined();
+    });
+
+    it('should ignore a role supplied by the client', async () => {
+      const user = testUtils.generateTestUser();
+      await request(app)
+        .post('/auth/register')
+        .send({ ...user, confirmPassword: user.password, role: 'admin' })
+        .expect(201);
+
+      const stored = await User.findOne({ email: user.email });
+      expect(stored.role).toBe('user');
+    });
+
+    it('should reject duplicate emails', async () => {
+      await registerUser().expect(201);
+      const response = await registerUser({ username: 'other_user' }).expect(409);
+
+      expect(response.body.code).toBe('USER_ALREADY_EXISTS');
+      expect(response.body.details[0].field).toBe('email');
+    });
+
+    it('should reject weak or mismatched passwords', async () => {
+      const response = await request(app)
+        .post('/auth/register')
+        .send({
+          email: 'jane@example.com',
+          username: 'jane',
+          password: 'weak',
+          confirmPassword: 'different'
+        })
+        .expect(400);
+
+      const fields = response.body.details.map(detail => detail.field);
+      expect(fields).toContain('password');
+      expect(fields).toContain('confirmPassword');
+    });
+  });
+
+  describe('POST /auth/login - login', () => {
+    beforeEach(async () => {
+      await registerUser();
+    });
+
+    it('should issue tokens the other services can verify', async () => {
+      const response = await loginUser().expect(200);
+      const { accessToken, refreshToken, tokenType, expiresIn } = response.body.data;
+
+      expect(tokenType).toBe('Bearer');
+      expect(expiresIn).toBe(15 * 60);
+      expect(refreshToken).toMatch(/^rt_/);
+
+      const claims = testUtils.verifyToken(accessToken);
+      expect(claims.email).toBe('jane.smith@example.com');
+      expect(claims.isAdmin).toBe(false);
+      expect(claims.isModerator).toBe(false);
+    });
+
+    it('should include moderator claims for moderators', async () => {
+      await User.updateOne({ username: 'jane_smith' }, { role: 'moderator' });
+
+      const response = await loginUser().expect(200);
+      const claims = testUtils.verifyToken(response.body.data.accessToken);
+
+      expect(claims.isModerator).toBe(true);
+      expect(claims.isAdmin).toBe(false);
+    });
+
+    it('should answer a wrong password like an unknown account', async () => {
+      const compare = jest.spyOn(User, 'compareDummyPassword');
+
+      const wrongPassword = await loginUser('jane_smith', 'WrongPass123').expect(401);
+      const unknownUser = await loginUser('nobody_here', 'WrongPass123').expect(401);
+
+      expect(wrongPassword.body).toEqual({
+        error: 'Authentication failed',
+        code: 'INVALID_CREDENTIALS',
+        message: 'Invalid email or password'
+      });
+      expect(unknownUser.body).toEqual(wrongPassword.body);
+      expect(compare).toHaveBeenCalledTimes(1);
+    });
+
+    it('should lock the account after repeated failures', async () => {
+      for (let i = 0; i < 5; i++) {
+        await loginUser('jane_smith', 'WrongPass123');
+      }
+
+      const response = await loginUser().expect(403);
+      expect(response.body.code).toBe('ACCOUNT_LOCKED');
+    });
+
+    it('should not reveal a lock to a wrong password', async () => {
+      for (let i = 0; i < 5; i++) {
+        await loginUser('jane_smith', 'WrongPass123');
+      }
+      const { lockUntil } = await User.findOne({ username: 'jane_smith' }).lean();
+
+      const locked = await loginUser('jane_smith', 'WrongPass123').expect(401);
+      const unknown = await loginUser('nobody_here', 'WrongPass123').expect(401);
+
+      expect(locked.body).toEqual(unknown.body);
+      const after = await User.findOne({ username: 'jane_smith' }).lean();
+      expect(after.lockUntil).toEqual(lockUntil);
+    });
+
+    it('should not reveal a suspension to a wrong password', async () => {
+      await User.updateOne({ username: 'jane_smith' }, { status: 'suspended' });
+
+      const response = await loginUser('jane_smith', 'WrongPass123').expect(401);
+      expect(response.body.code).toBe('INVALID_CREDENTIALS');
+    });
+
+    it('should reject suspended accounts', async () => {
+      await User.updateOne({ username: 'jane_smith' }, { status: 'suspended' });
+
+      const response = await loginUser().expect(403);
+      expect(response.body.code).toBe('ACCOUNT_SUSPENDED');
+    });
+  });
+
+  describe('POST /auth/refresh - refresh', () => {
+    let tokens;
+
+    beforeEach(async () => {
+      await registerUser();
+      tokens = (await loginUser()).body.data;
+    });
+
+    it('should rotate the refresh token', async () => {
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      expect(response.body.data.refreshToken).not.toBe(tokens.refreshToken);
+      expect(response.body.data.accessToken).toBeDefined();
+
+      const oldToken = await RefreshToken.findByRawToken(tokens.refreshToken);
+      expect(oldToken.revokedAt).not.toBeNull();
+    });
+
+    it('should revoke the whole session when a rotated token is replayed', async () => {
+      const rotated = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      const replay = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+      expect(replay.body.code).toBe('REFRESH_TOKEN_REVOKED');
+
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: rotated.body.data.refreshToken })
+        .expect(401);
+    });
+
+    it('should let only one of two concurrent refreshes rotate the token', async () => {
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 401]);
+
+      // The losing request counts as reuse and revokes the session
+      const rotated = responses.find(response => response.status === 200);
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: rotated.body.data.refreshToken })
+        .expect(401);
+    });
+
+    it('should reject unknown tokens', async () => {
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: 'rt_unknown' })
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_REFRESH_TOKEN');
+    });
+  });
+
+  describe('POST /auth/logout - logout', () => {
+    let tokens;
+
+    beforeEach(async () => {
+      await registerUser();
+      tokens = (await loginUser()).body.data;
+    });
+
+    it('should require authentication', async () => {
+      await request(app).post('/auth/logout').send({}).expect(401);
+    });
+
+    it('should revoke the current session', async () => {
+      const response = await request(app)
+        .post('/auth/logout')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      expect(response.body.data.tokensInvalidated).toBe(1);
+
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+    });
+
+    it('should revoke every session with allDevices', async () => {
+      await loginUser();
+
+      const response = await request(app)
+        .post('/auth/logout')
+        .set('Authorization', `Bearer ${tokens.accessToken}`)
+        .send({ allDevices: true })
+        .expect(200);
+
+      expect(response.body.data.tokensInvalidated).toBe(2);
+    });
+  });
+
+  describe('PATCH /auth/users/:id/role - updateUserRole', () => {
+    it('should only be available to admins', async () => {
+      await registerUser();
+      const { accessToken, user } = (await loginUser()).body.data;
+
+      const response = await request(app)
+        .patch(`/auth/users/${user._id}/role`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ role: 'admin' })
+        .expect(403);
+
+      expect(response.body.code).toBe('ADMIN_REQUIRED');
+    });
+
+    it('should let admins promote a user to moderator', async () => {
+      await registerUser({ email: 'admin@example.com', username: 'admin' });
+      await User.updateOne({ username: 'admin' }, { role: 'admin' });
+      await registerUser();
+
+      const { accessToken } = (await loginUser('admin')).body.data;
+      const target = await User.findOne({ username: 'jane_smith' });
+
+      const response = await request(app)
+        .patch(`/auth/users/${target._id}/role`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ role: 'moderator' })
+        .expect(200);
+
+      expect(response.body.data.role).toBe('moderator');
+    });
+  });
+});
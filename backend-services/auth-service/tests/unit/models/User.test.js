@@ -0,0 +1,133 @@
+const User = require('../../../models/User');
+const RefreshToken = require('../../../models/RefreshToken');
+
+describe('User Model Unit Tests', () => {
+  describe('Password hashing', () => {
+    it('should hash the password on save', async () => {
+      const user = await User.create(testUtils.generateTestUser());
+      const stored = await User.findById(user._id).select('+password');
+
+      expect(stored.password).not.toBe('SecurePass123');
+      expect(await stored.comparePassword('SecurePass123')).toBe(true);
+      expect(await stored.comparePassword('WrongPass123')).toBe(false);
+    });
+
+    it('should not rehash an unchanged password', async () => {
+      const user = await User.create(testUtils.generateTestUser());
+      const before = (await User.findById(user._id).select('+password')).password;
+
+      user.firstName = 'Janet';
+      await user.save();
+
+      const after = (await User.findById(user._id).select('+password')).password;
+      expect(after).toBe(before);
+    });
+
+    it('should never serialize password or lockout fields', async () => {
+      const user = await User.create(testUtils.generateTestUser());
+      const json = user.toJSON();
+
+      expect(json.password).toBeUndefined();
+      expect(json.loginAttempts).toBeUndefined();
+      expect(json.lockUntil).toBeUndefined();
+    });
+  });
+
+  describe('findByLogin', () => {
+    beforeEach(async () => {
+      await User.create(testUtils.generateTestUser());
+    });
+
+    it('should find a user by email case-insensitively', async () => {
+      const user = await User.findByLogin('Jane.Smith@Example.com');
+      expect(user).not.toBeNull();
+      expect(user.password).toBeDefined();
+    });
+
+    it('should find a user by username', async () => {
+      const user = await User.findByLogin('jane_smith');
+      expect(user).not.toBeNull();
+    });
+
+    it('should return null for unknown logins', async () => {
+      expect(await User.findByLogin('nobody')).toBeNull();
+    });
+
+    it('should never match the dummy password used for unknown logins', async () => {
+      expect(await User.compareDummyPassword('no-account-matches-this-login')).toBe(false);
+    });
+  });
+
+  describe('Account lockout', () => {
+    it('should lock the account after the maximum failed attempts', async () => {
+      const user = await User.create(testUtils.generateTestUser());
+
+      let remaining;
+      for (let i = 0; i < 5; i++) {
+        remaining = await user.registerFailedLogin();
+      }
+
+      expect(remaining).toBe(0);
+      expect(user.isLocked).toBe(true);
+    });
+
+    it('should reset attempts after a successful login', async () => {
+      const user = await User.create(testUtils.generateTestUser());
+      await user.registerFailedLogin();
+      await user.registerSuccessfulLogin();
+
+      expect(user.loginAttempts).toBe(0);
+      expect(user.lastLoginAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('toTokenClaims', () => {
+    it('should derive isAdmin and isModerator from the role', async () => {
+      const user = new User(testUtils.generateTestUser({ role: 'user' }));
+      expect(user.toTokenClaims()).toMatchObject({ isAdmin: false, isModerator: false });
+
+      user.role = 'moderator';
+      expect(user.toTokenClaims()).toMatchObject({ isAdmin: false, isModerator: true });
+
+      user.role = 'admin';
+      expect(user.toTokenClaims()).toMatchObject({ isAdmin: true, isModerator: true });
+    });
+
+    it('should expose id, email and a display name', () => {
+      const user = new User(testUtils.generateTestUser());
+      const claims = user.toTokenClaims();
+
+      expect(claims.id).toBe(user._id.toString());
+      expect(claims.email).toBe('jane.smith@example.com');
+      expect(claims.name).toBe('Jane Smith');
+    });
+  });
+});
+
+describe('RefreshToken Model Unit Tests', () => {
+  it('should store only the hash of the issued token', async () => {
+    const userId = testUtils.createObjectId();
+    const { rawToken, document } = await RefreshToken.issue(userId, {
+      expiresAt: new Date(Date.now() + 60000)
+    });
+
+    expect(rawToken).toMatch(/^rt_/);
+    expect(document.token).not.toBe(rawToken);
+
+    const found = await RefreshToken.findByRawToken(rawToken);
+    expect(found._id.toString()).toBe(document._id.toString());
+  });
+
+  it('should revoke every token in a family', async () => {
+    const userId = testUtils.createObjectId();
+    const expiresAt = new Date(Date.now() + 60000);
+    const { document } = await RefreshToken.issue(userId, { expiresAt });
+    await RefreshToken.issue(userId, { expiresAt, family: document.family });
+    await RefreshToken.issue(userId, { expiresAt });
+
+    const revoked = await RefreshToken.revokeFamily(document.family);
+
+    expect(revoked).toBe(2);
+    expect(await RefreshToken.countDocuments({ revokedAt: null })).toBe(1);
+  });
+});
@@ -0,0 +1,65 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config/environment');
+const RefreshToken = require('../models/RefreshToken');
+
+// Sign a short-lived access token carrying the claims the other services check
+const signAccessToken = (user) => {
+  const claims = user.toTokenClaims();
+
+  const accessToken = jwt.sign(claims, config.jwt.secret, {
+    algorithm: config.jwt.algorithm,
+    expiresIn: config.jwt.expiresIn,
+    issuer: config.jwt.issuer,
+    subject: claims.id
+  });
+
+  const { iat, exp } = jwt.decode(accessToken);
+
+  return {
+    accessToken,
+    expiresIn: exp - iat
+  };
+};
+
+// Verify an access token issued by this service
+const verifyAccessToken = (token) => {
+  return jwt.verify(token, config.jwt.secret, {
+    algorithms: [config.jwt.algorithm]
+  });
+};
+
+// Issue an access/refresh token pair for a user session
+const issueTokenPair = async (user, session = {}) => {
+  const { accessToken, expiresIn } = signAccessToken(user);
+
+  const { rawToken, document } = await RefreshToken.issue(user._id, {
+    family: session.family,
+    // Rotated tokens keep the original session expiry instead of extending it
+    expiresAt: session.expiresAt || new Date(Date.now() + (session.rememberMe
+      ? config.refreshToken.rememberMeExpiresInMs
+      : config.refreshToken.expiresInMs)),
+    deviceName: session.deviceName,
+    ip: session.ip,
+    userAgent: session.userAgent
+  });
+
+  return {
+    accessToken,
+    refreshToken: rawToken,
+    tokenType: 'Bearer',
+    expiresIn,
+    refreshTokenExpiresAt: document.expiresAt,
+    session: {
+      deviceId: document.family,
+      deviceName: document.deviceName,
+      ipAddress: document.ip
+    },
+    refreshTokenDocument: document
+  };
+};
+
+module.exports = {
+  signAccessToken,
+  verifyAccessToken,
+  issueTokenPair
+};
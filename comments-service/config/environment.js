@@ -23,7 +23,11 @@ const config = {
   services: {
     postsService: {
       url: process.env.POSTS_SERVICE_URL || 'http://localhost:4000',
-      timeout: parseInt(process.env.POSTS_SERVICE_TIMEOUT) || 5000
+      timeout: parseInt(process.env.POSTS_SERVICE_TIMEOUT) || 5000,
+      // Comment lifecycle events keep Post.stats.commentsCount in sync
+      eventsEnabled: process.env.COMMENT_EVENTS_ENABLED !== 'false', // Default true
+      eventRetries: parseInt(process.env.COMMENT_EVENTS_RETRIES) || 3,
+      eventRetryDelay: parseInt(process.env.COMMENT_EVENTS_RETRY_DELAY) || 1000
     }
   },
 
@@ -31,6 +35,7 @@ const config = {
   security: {
     jwtPublicKey: process.env.JWT_PUBLIC_KEY || null,
     jwtAlgorithm: process.env.JWT_ALGORITHM || 'RS256',
+    internalServiceToken: process.env.INTERNAL_SERVICE_TOKEN || 'demo-internal-token',
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 12,
     corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['http://localhost:3000'],
     trustProxy: process.env.TRUST_PROXY === 'true' || false
@@ -112,6 +117,15 @@ const config = {
     spamAlerts: process.env.SPAM_ALERTS === 'true' || false
   },
 
+  // Real-time comment stream (Server-Sent Events)
+  realtime: {
+    enabled: process.env.COMMENT_STREAM_ENABLED !== 'false', // Default true
+    heartbeatInterval: parseInt(process.env.COMMENT_STREAM_HEARTBEAT) || 25000, // 25 seconds
+    maxPostsPerStream: parseInt(process.env.COMMENT_STREAM_MAX_POSTS) || 50,
+    maxClients: parseInt(process.env.COMMENT_STREAM_MAX_CLIENTS) || 1000,
+    maxClientsPerIp: parseInt(process.env.COMMENT_STREAM_MAX_CLIENTS_PER_IP) || 10
+  },
+
   // Performance Configuration
   performance: {
     enableCompression: process.env.ENABLE_COMPRESSION !== 'false', // Default true
@@ -125,7 +139,8 @@ const config = {
 const validateConfig = () => {
   const requiredInProduction = [
     'MONGODB_URI',
-    'JWT_PUBLIC_KEY'
+    'JWT_PUBLIC_KEY',
+    'INTERNAL_SERVICE_TOKEN'
   ];
 
   if (config.server.environment === 'production') {
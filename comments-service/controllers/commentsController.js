@@ -1,6 +1,9 @@
 const Comment = require('../models/Comment');
 const Report = require('../models/Report');
 const axios = require('axios');
+const config = require('../config/environment');
+const { COMMENT_EVENTS, eventTypeForStatus, publishCommentEvent } = require('../utils/commentEvents');
+const { STREAM_EVENTS, broadcastCommentEvent, openStream, countClientStreams } = require('../utils/commentStream');
 
 // Helper function to handle database errors
 const handleDatabaseError = (error, res, operation = 'database operation') => {
@@ -59,6 +62,13 @@ const handleDatabaseError = (error, res, operation = 'database operation') => {
       code: 'COMMENT_NOT_FOUND'
     });
   }
+
+  if (error.code === 'INVALID_CURSOR') {
+    return res.status(400).json({
+      error: error.message,
+      code: 'INVALID_CURSOR'
+    });
+  }
   
   // Default server error
   return res.status(500).json({
@@ -76,7 +86,10 @@ const getComments = async (req, res) => {
       limit = 20,
       sort = 'createdAt',
       order = 'desc',
-      status = 'approved'
+      status = 'approved',
+      replyLimit = 3,
+      cursor,
+      includeTotal = false
     } = req.query;
 
     // Validate post exists by calling Posts Service
@@ -87,7 +100,10 @@ const getComments = async (req, res) => {
       limit: parseInt(limit),
       sort,
       order,
-      status
+      status,
+      replyLimit: parseInt(replyLimit),
+      cursor,
+      includeTotal
     };
 
     const result = await Comment.getThreadedComments(post_id, options);
@@ -107,6 +123,83 @@ const getComments = async (req, res) => {
   }
 };
 
+// Get the direct replies of a comment, oldest first
+const getReplies = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    // Only moderators may list replies that are not approved
+    const isModerator = Boolean(req.user?.isModerator || req.user?.isAdmin);
+    const status = isModerator ? req.query.status || 'approved' : 'approved';
+
+    const parent = await Comment.findById(id).select('postId depth').lean();
+    if (!parent) {
+      return res.status(404).json({
+        error: 'Comment not found',
+        code: 'COMMENT_NOT_FOUND'
+      });
+    }
+
+    const result = await Comment.getReplies(parent._id, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status
+    });
+
+    res.json({
+      success: true,
+      data: result.comments,
+      pagination: result.pagination,
+      meta: {
+        postId: parent.postId,
+        parentId: id,
+        depth: parent.depth + 1
+      }
+    });
+
+  } catch (error) {
+    return handleDatabaseError(error, res, 'fetch replies');
+  }
+};
+
+// Stream comment changes for one or more posts as Server-Sent Events
+const streamComments = (req, res) => {
+  if (!config.realtime.enabled) {
+    return res.status(503).json({
+      error: 'Real-time comment updates are disabled',
+      code: 'STREAM_DISABLED'
+    });
+  }
+
+  const postIds = [...new Set(req.query.postIds.split(','))];
+  const { maxPostsPerStream, maxClientsPerIp } = config.realtime;
+
+  if (postIds.length > maxPostsPerStream) {
+    return res.status(400).json({
+      error: `Cannot follow more than ${maxPostsPerStream} posts in one stream`,
+      code: 'TOO_MANY_POSTS'
+    });
+  }
+
+  // Keep one client from holding the instance's streams
+  if (countClientStreams(req.ip) >= maxClientsPerIp) {
+    return res.status(429).json({
+      error: `Cannot open more than ${maxClientsPerIp} comment streams at once`,
+      code: 'TOO_MANY_STREAMS',
+      retryAfter: '30 seconds'
+    });
+  }
+
+  if (!openStream(req, res, postIds)) {
+    return res.status(503).json({
+      error: 'Too many open comment streams, please try again later',
+      code: 'STREAM_CAPACITY_REACHED',
+      retryAfter: '30 seconds'
+    });
+  }
+};
+
 // Create a new comment
 const createComment = async (req, res) => {
   try {
@@ -140,7 +233,8 @@ const createComment = async (req, res) => {
       content,
       author: {
         ...author,
-        ip: req.userInfo.ip
+        ip: req.userInfo.ip,
+        userId: req.user?.id || null
       },
       parentId: parentId || null,
       status: req.autoModerationDecision || 'pending'
@@ -158,6 +252,9 @@ const createComment = async (req, res) => {
     const comment = new Comment(commentData);
     await comment.save();
 
+    // Notify posts-service (fire-and-forget)
+    publishCommentEvent(COMMENT_EVENTS.CREATED, comment);
+
     // Populate reply count for response
     await comment.populate('replyCount');
 
@@ -208,6 +305,13 @@ const updateComment = async (req, res) => {
       });
     }
 
+    if (!comment.isOwnedBy(req.user)) {
+      return res.status(403).json({
+        error: 'You can only edit your own comments',
+        code: 'NOT_COMMENT_OWNER'
+      });
+    }
+
     // Check if comment can still be edited
     if (!comment.canEdit) {
       return res.status(400).json({
@@ -216,9 +320,8 @@ const updateComment = async (req, res) => {
       });
     }
 
-    // For demo purposes, allow any IP to edit
-    // In production, implement proper user authentication
-    
+    const previousStatus = comment.status;
+
     // Update content and set edited flags
     comment.content = content;
     comment.isEdited = true;
@@ -241,6 +344,12 @@ const updateComment = async (req, res) => {
     await comment.save();
     await comment.populate('replyCount');
 
+    if (comment.status !== previousStatus) {
+      publishCommentEvent(eventTypeForStatus(comment.status), comment);
+    } else {
+      broadcastCommentEvent(STREAM_EVENTS.EDITED, comment);
+    }
+
     res.json({
       success: true,
       data: comment,
@@ -272,6 +381,24 @@ const deleteComment = async (req, res) => {
       });
     }
 
+    // Authors may delete their own comments within the edit window; moderators at any time
+    const isModerator = Boolean(req.user?.isModerator || req.user?.isAdmin);
+    if (!isModerator) {
+      if (!comment.isOwnedBy(req.user)) {
+        return res.status(403).json({
+          error: 'You can only delete your own comments',
+          code: 'NOT_COMMENT_OWNER'
+        });
+      }
+
+      if (!comment.canEdit) {
+        return res.status(400).json({
+          error: 'Comment edit window has expired (24 hours)',
+          code: 'EDIT_WINDOW_EXPIRED'
+        });
+      }
+    }
+
     // Check if comment has replies
     const replyCount = await Comment.countDocuments({ parentId: id });
     
@@ -283,6 +410,8 @@ const deleteComment = async (req, res) => {
       comment.status = 'rejected';
       await comment.save();
 
+      publishCommentEvent(COMMENT_EVENTS.DELETED, comment);
+
       return res.json({
         success: true,
         message: 'Comment marked as deleted (has replies)',
@@ -292,6 +421,7 @@ const deleteComment = async (req, res) => {
 
     // If no replies, actually delete the comment
     await Comment.findByIdAndDelete(id);
+    publishCommentEvent(COMMENT_EVENTS.DELETED, comment);
 
     // Also delete any reports for this comment
     await Report.deleteMany({ commentId: id });
@@ -342,6 +472,7 @@ const likeComment = async (req, res) => {
     });
 
     await comment.save();
+    broadcastCommentEvent(STREAM_EVENTS.LIKED, comment);
 
     res.json({
       success: true,
@@ -404,12 +535,17 @@ const reportComment = async (req, res) => {
     comment.reports += 1;
     
     // Auto-flag comment if it receives multiple reports
-    if (comment.reports >= 3 && comment.status === 'approved') {
+    const autoFlagged = comment.reports >= 3 && comment.status === 'approved';
+    if (autoFlagged) {
       comment.status = 'flagged';
     }
 
     await comment.save();
 
+    if (autoFlagged) {
+      publishCommentEvent(COMMENT_EVENTS.STATUS_CHANGED, comment);
+    }
+
     res.json({
       success: true,
       message: 'Comment reported successfully',
@@ -514,6 +650,8 @@ const validatePostExists = async (postId) => {
 
 module.exports = {
   getComments,
+  getReplies,
+  streamComments,
   createComment,
   updateComment,
   deleteComment,
@@ -0,0 +1,62 @@
+const Comment = require('../models/Comment');
+
+// Get approved comment counts per post (used by posts-service reconciliation)
+const getCommentCounts = async (req, res) => {
+  try {
+    const { postIds } = req.query;
+    const ids = postIds ? postIds.split(',').filter(Boolean) : null;
+
+    // Taken before counting, like event occurredAt, so posts-service can order the two
+    const asOf = new Date();
+    const counts = await Comment.countApprovedByPost(ids);
+
+    res.json({
+      success: true,
+      data: counts,
+      meta: {
+        postsWithComments: Object.keys(counts).length,
+        asOf: asOf.toISOString(),
+        generatedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching comment counts:', error);
+    res.status(500).json({
+      error: 'Failed to fetch comment counts',
+      code: 'FETCH_COMMENT_COUNTS_ERROR'
+    });
+  }
+};
+
+// Get approved comments per post per day (used by posts-service time-series stats)
+const getCommentActivity = async (req, res) => {
+  try {
+    const { postIds, from, to } = req.query;
+    const ids = postIds ? postIds.split(',').filter(Boolean) : null;
+
+    const activity = await Comment.dailyApprovedCounts(new Date(from), new Date(to), ids);
+
+    res.json({
+      success: true,
+      data: activity,
+      meta: {
+        from,
+        to,
+        generatedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching comment activity:', error);
+    res.status(500).json({
+      error: 'Failed to fetch comment activity',
+      code: 'FETCH_COMMENT_ACTIVITY_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  getCommentCounts,
+  getCommentActivity
+};
@@ -1,5 +1,6 @@
 const Comment = require('../models/Comment');
 const Report = require('../models/Report');
+const { COMMENT_EVENTS, eventTypeForStatus, publishCommentEvent } = require('../utils/commentEvents');
 
 // Get all comments for moderation
 const getModerationQueue = async (req, res) => {
@@ -11,61 +12,27 @@ const getModerationQueue = async (req, res) => {
       sort = 'createdAt',
       order = 'desc',
       priority = null,
-      postId = null
+      postId = null,
+      minRiskScore = null,
+      maxRiskScore = null
     } = req.query;
 
-    const query = {};
-    
-    // Filter by status if provided
-    if (status && status !== 'all') {
-      query.status = status;
-    }
-
-    // Filter by post if provided
-    if (postId) {
-      query.postId = postId;
-    }
-
-    // Build sort object
-    const sortObj = { [sort]: order === 'desc' ? -1 : 1 };
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const comments = await Comment.find(query)
-      .sort(sortObj)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .populate('replyCount')
-      .lean();
-
-    const total = await Comment.countDocuments(query);
-
-    // Get additional metadata for each comment
-    const commentsWithMetadata = await Promise.all(
-      comments.map(async (comment) => {
-        const reportCount = await Report.countDocuments({ 
-          commentId: comment._id, 
-          status: { $in: ['pending', 'reviewed'] }
-        });
-
-        return {
-          ...comment,
-          reportCount,
-          riskScore: calculateRiskScore(comment),
-          moderationPriority: determinePriority(comment, reportCount)
-        };
-      })
-    );
+    const { comments, pagination } = await Comment.getModerationQueue({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      status,
+      sort,
+      order,
+      priority,
+      postId,
+      minRiskScore: minRiskScore === null ? null : Number(minRiskScore),
+      maxRiskScore: maxRiskScore === null ? null : Number(maxRiskScore)
+    });
 
     res.json({
       success: true,
-      data: commentsWithMetadata,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      },
+      data: comments,
+      pagination,
       meta: {
         queueStats: await getModerationStats()
       }
@@ -95,6 +62,8 @@ const moderateComment = async (req, res) => {
       });
     }
 
+    const previousStatus = comment.status;
+
     // Update comment status and moderation info
     comment.status = status;
     comment.moderatedBy = moderatorId;
@@ -103,6 +72,10 @@ const moderateComment = async (req, res) => {
 
     await comment.save();
 
+    if (comment.status !== previousStatus) {
+      publishCommentEvent(eventTypeForStatus(status), comment);
+    }
+
     // If comment is approved/rejected, update related reports
     if (status === 'approved' || status === 'rejected') {
       await Report.updateMany(
@@ -159,6 +132,12 @@ const bulkModerateComments = async (req, res) => {
       });
     }
 
+    // Remember which comments actually change status so only those publish events;
+    // readers following the post get the full comment when it is approved
+    const changedComments = await Comment.find(
+      { _id: { $in: commentIds }, status: { $ne: status } }
+    ).lean();
+
     // Update all comments
     const updateResult = await Comment.updateMany(
       { _id: { $in: commentIds } },
@@ -172,6 +151,10 @@ const bulkModerateComments = async (req, res) => {
       }
     );
 
+    changedComments.forEach(comment => {
+      publishCommentEvent(eventTypeForStatus(status), { ...comment, status });
+    });
+
     // Update related reports
     await Report.updateMany(
       { commentId: { $in: commentIds }, status: 'pending' },
@@ -309,13 +292,19 @@ const reviewReport = async (req, res) => {
       if (comment) {
         switch (actionTaken) {
           case 'comment_removed':
-          case 'comment_flagged':
+          case 'comment_flagged': {
+            const wasRejected = comment.status === 'rejected';
             comment.status = 'rejected';
             comment.moderatedBy = reviewerId;
             comment.moderatedAt = new Date();
             comment.moderationReason = `Report action: ${actionTaken}`;
             await comment.save();
+
+            if (!wasRejected) {
+              publishCommentEvent(COMMENT_EVENTS.REJECTED, comment);
+            }
             break;
+          }
         }
       }
     }
@@ -486,38 +475,6 @@ const getDetailedModerationStats = async (req, res) => {
   }
 };
 
-// Helper function to calculate risk score for a comment
-const calculateRiskScore = (comment) => {
-  let score = 0;
-
-  // Content flags
-  if (comment.flags?.hasProfanity) score += 30;
-  if (comment.flags?.isSpam) score += 40;
-  if (comment.flags?.containsLinks) score += 10;
-
-  // Report count
-  score += comment.reports * 15;
-
-  // New user (no previous comments from this IP)
-  // This would require additional data from the database
-  
-  // Comment length (very short or very long might be suspicious)
-  if (comment.content.length < 10) score += 5;
-  if (comment.content.length > 800) score += 10;
-
-  return Math.min(score, 100); // Cap at 100
-};
-
-// Helper function to determine priority
-const determinePriority = (comment, reportCount) => {
-  const riskScore = calculateRiskScore(comment);
-  
-  if (riskScore >= 70 || reportCount >= 5) return 'critical';
-  if (riskScore >= 50 || reportCount >= 3) return 'high';
-  if (riskScore >= 30 || reportCount >= 1) return 'medium';
-  return 'low';
-};
-
 module.exports = {
   getModerationQueue,
   moderateComment,
@@ -1,4 +1,6 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const config = require('../config/environment');
 
 // Simple auth middleware for demonstration - in production use proper JWT validation
 const authenticateToken = (req, res, next) => {
@@ -106,11 +108,31 @@ const checkUserStatus = async (req, res, next) => {
   next();
 };
 
+// Service-to-service authentication - requires the shared X-Internal-Token header
+const requireInternalToken = (req, res, next) => {
+  const token = req.headers['x-internal-token'] || '';
+  const expected = config.security.internalServiceToken;
+
+  // Compare fixed-length digests: timingSafeEqual needs equal byte lengths,
+  // which tokens with multibyte characters may not have
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const valid = crypto.timingSafeEqual(digest(token), digest(expected));
+
+  if (!valid) {
+    return res.status(401).json({
+      error: 'Invalid internal service token',
+      code: 'INVALID_INTERNAL_TOKEN'
+    });
+  }
+  next();
+};
+
 module.exports = {
   authenticateToken,
   requireAuth,
   requireAdmin,
   requireModerator,
   extractUserInfo,
-  checkUserStatus
+  checkUserStatus,
+  requireInternalToken
 };
\ No newline at end of file
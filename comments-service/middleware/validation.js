@@ -160,6 +160,40 @@ const schemas = {
         .messages({
           'any.only': 'Invalid comment status'
         })
+    }),
+
+    stream: Joi.object({
+      postIds: Joi.string()
+        .required()
+        .pattern(/^[a-zA-Z0-9\-_.]+(,[a-zA-Z0-9\-_.]+)*$/)
+        .messages({
+          'string.pattern.base': 'postIds must be a comma-separated list of post IDs',
+          'any.required': 'postIds is required'
+        })
+    }),
+
+    // Cursor pagination: empty for the first page, then nextCursor/prevCursor
+    cursor: Joi.object({
+      cursor: Joi.string()
+        .allow('')
+        .max(1000)
+        .messages({
+          'string.max': 'Cursor is too long'
+        }),
+      includeTotal: Joi.boolean().default(false)
+    }),
+
+    threading: Joi.object({
+      replyLimit: Joi.number()
+        .integer()
+        .min(0)
+        .max(50)
+        .default(3)
+        .messages({
+          'number.base': 'Reply limit must be a number',
+          'number.min': 'Reply limit cannot be negative',
+          'number.max': 'Reply limit cannot exceed 50'
+        })
     })
   }
 };
@@ -208,10 +242,22 @@ const validate = (schema, source = 'body') => {
 const validateCommentQuery = validate(
   schemas.queryParams.pagination
     .concat(schemas.queryParams.sorting)
+    .concat(schemas.queryParams.commentStatus)
+    .concat(schemas.queryParams.threading)
+    .concat(schemas.queryParams.cursor),
+  'query'
+);
+
+// Replies are always listed oldest first, so they take no sorting params
+const validateRepliesQuery = validate(
+  schemas.queryParams.pagination
     .concat(schemas.queryParams.commentStatus),
   'query'
 );
 
+// Comment streams follow a comma-separated list of posts
+const validateStreamQuery = validate(schemas.queryParams.stream, 'query');
+
 // Validation for MongoDB ObjectId parameters
 const validateObjectId = (paramName = 'id') => {
   const schema = Joi.object({
@@ -276,6 +322,8 @@ module.exports = {
   schemas,
   validate,
   validateCommentQuery,
+  validateRepliesQuery,
+  validateStreamQuery,
   validateObjectId,
   validatePostId,
   sanitizeContent,
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, createCursorFilter } = require('../utils/cursor');
 
 const commentSchema = new mongoose.Schema({
   postId: {
@@ -28,6 +29,11 @@ const commentSchema = new mongoose.Schema({
     ip: {
       type: String,
       required: true
+    },
+    // auth-service user id when the comment was posted signed in; guest comments have no owner
+    userId: {
+      type: String,
+      default: null
     }
   },
   // Threading support
@@ -138,53 +144,302 @@ commentSchema.pre('save', async function(next) {
   next();
 });
 
+// One page of top-level comments by page number
+const findOffsetPage = async (Model, filter, { page, limit, sort, order }) => {
+  const [comments, total] = await Promise.all([
+    Model.find(filter)
+      .sort({ [sort]: order === 'desc' ? -1 : 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Model.countDocuments(filter)
+  ]);
+
+  return {
+    comments,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// One page of top-level comments after (or, for "prev" cursors, before) a cursor position.
+// One extra comment is read to tell whether the listing continues in that direction.
+const findCursorPage = async (Model, filter, { limit, sort, order, cursor, includeTotal }) => {
+  const direction = order === 'desc' ? -1 : 1;
+  const position = cursor ? decodeCursor(cursor, sort, direction) : null;
+  const backwards = position?.direction === 'prev';
+  const queryOrder = backwards ? -direction : direction;
+
+  const [found, total] = await Promise.all([
+    Model.find(position
+      ? { $and: [filter, createCursorFilter(sort, queryOrder, position.value, position.id)] }
+      : filter)
+      .sort({ [sort]: queryOrder, _id: queryOrder })
+      .limit(limit + 1)
+      .lean(),
+    includeTotal ? Model.countDocuments(filter) : undefined
+  ]);
+
+  const hasMore = found.length > limit;
+  const comments = found.slice(0, limit);
+  if (backwards) comments.reverse();
+
+  const cursorFor = (comment, pageDirection) => encodeCursor({
+    field: sort,
+    order: direction,
+    value: comment[sort],
+    id: comment._id,
+    direction: pageDirection
+  });
+
+  // Whatever the cursor pointed at is still on the other side of the page
+  const first = comments[0];
+  const last = comments[comments.length - 1];
+  const nextCursor = last && (backwards ? Boolean(position) : hasMore) ? cursorFor(last, 'next') : null;
+  const prevCursor = first && (backwards ? hasMore : Boolean(position)) ? cursorFor(first, 'prev') : null;
+
+  return {
+    comments,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      hasNextPage: Boolean(nextCursor),
+      hasPrevPage: Boolean(prevCursor),
+      nextCursor,
+      prevCursor,
+      ...(total !== undefined && { total })
+    }
+  };
+};
+
 // Static method to get threaded comments
+// Each top-level comment carries the first `replyLimit` direct replies; every comment has a
+// `replyCount` of its direct replies in the requested status, so clients know what is left to load
+// Passing `cursor` (empty for the first page) switches the top-level comments to cursor
+// pagination, which stays stable while comments are added; totals are then only counted
+// with `includeTotal`
 commentSchema.statics.getThreadedComments = async function(postId, options = {}) {
   const {
     page = 1,
     limit = 20,
     sort = 'createdAt',
     order = 'desc',
-    status = 'approved'
+    status = 'approved',
+    replyLimit = 3,
+    cursor,
+    includeTotal = false
   } = options;
 
-  const skip = (page - 1) * limit;
-  const sortObj = { [sort]: order === 'desc' ? -1 : 1 };
+  const filter = { postId, parentId: null, status };
 
   // Get top-level comments first
-  const topLevelComments = await this.find({
-    postId,
-    parentId: null,
-    status
-  })
-    .sort(sortObj)
-    .skip(skip)
-    .limit(limit)
-    .populate('replyCount')
-    .lean();
-
-  // Get all replies for these comments
+  const { comments: topLevelComments, pagination } = cursor === undefined || cursor === null
+    ? await findOffsetPage(this, filter, { page, limit, sort, order })
+    : await findCursorPage(this, filter, { limit, sort, order, cursor, includeTotal });
+
+  // Get the oldest replies for these comments, capped per parent
   const commentIds = topLevelComments.map(c => c._id);
-  const replies = await this.find({
-    postId,
-    parentId: { $in: commentIds },
+  const replyGroups = replyLimit > 0 && commentIds.length > 0
+    ? await this.aggregate([
+      { $match: { postId, parentId: { $in: commentIds }, status } },
+      { $sort: { createdAt: 1 } },
+      { $group: { _id: '$parentId', replies: { $push: '$$ROOT' } } },
+      { $project: { replies: { $slice: ['$replies', replyLimit] } } }
+    ])
+    : [];
+
+  const repliesByParent = new Map(
+    replyGroups.map(group => [group._id.toString(), group.replies])
+  );
+  const replies = replyGroups.flatMap(group => group.replies);
+  const replyCounts = await this.countReplies(
+    [...commentIds, ...replies.map(reply => reply._id)],
     status
-  })
-    .sort({ createdAt: 1 })
-    .lean();
+  );
+  const withReplyCount = comment => ({
+    ...comment,
+    replyCount: replyCounts[comment._id] || 0
+  });
 
   // Organize replies under their parents
   const commentsWithReplies = topLevelComments.map(comment => ({
-    ...comment,
-    replies: replies.filter(reply => 
-      reply.parentId.toString() === comment._id.toString()
-    )
+    ...withReplyCount(comment),
+    replies: (repliesByParent.get(comment._id.toString()) || []).map(withReplyCount)
   }));
 
-  const total = await this.countDocuments({ postId, parentId: null, status });
-
   return {
     comments: commentsWithReplies,
+    pagination
+  };
+};
+
+// Static method to page through the direct replies of a comment, oldest first
+commentSchema.statics.getReplies = async function(parentId, options = {}) {
+  const {
+    page = 1,
+    limit = 20,
+    status = 'approved'
+  } = options;
+
+  const filter = { parentId, status };
+  const [replies, total] = await Promise.all([
+    this.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    this.countDocuments(filter)
+  ]);
+
+  const replyCounts = await this.countReplies(replies.map(reply => reply._id), status);
+
+  return {
+    comments: replies.map(reply => ({ ...reply, replyCount: replyCounts[reply._id] || 0 })),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Static method to count direct replies per comment, in one status or in any status when it is null
+// Returns a map of commentId -> count; comments without replies are omitted
+commentSchema.statics.countReplies = async function(commentIds, status = 'approved') {
+  if (commentIds.length === 0) {
+    return {};
+  }
+
+  const match = { parentId: { $in: commentIds } };
+  if (status) {
+    match.status = status;
+  }
+
+  const counts = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$parentId', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((result, { _id, count }) => {
+    result[_id] = count;
+    return result;
+  }, {});
+};
+
+// Moderation risk score (0-100) as an aggregation expression, so the queue can filter and sort on it.
+// Weighs content flags, the stored report count and unusually short or long content.
+const riskScoreExpression = {
+  $min: [100, {
+    $add: [
+      { $cond: ['$flags.hasProfanity', 30, 0] },
+      { $cond: ['$flags.isSpam', 40, 0] },
+      { $cond: ['$flags.containsLinks', 10, 0] },
+      { $multiply: [{ $ifNull: ['$reports', 0] }, 15] },
+      { $cond: [{ $lt: [{ $strLenCP: '$content' }, 10] }, 5, 0] },
+      { $cond: [{ $gt: [{ $strLenCP: '$content' }, 800] }, 10, 0] }
+    ]
+  }]
+};
+
+const MODERATION_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Priority from the risk score and the number of open (pending or reviewed) reports
+const priorityRankExpression = {
+  $switch: {
+    branches: [
+      { case: { $or: [{ $gte: ['$riskScore', 70] }, { $gte: ['$reportCount', 5] }] }, then: 3 },
+      { case: { $or: [{ $gte: ['$riskScore', 50] }, { $gte: ['$reportCount', 3] }] }, then: 2 },
+      { case: { $or: [{ $gte: ['$riskScore', 30] }, { $gte: ['$reportCount', 1] }] }, then: 1 }
+    ],
+    default: 0
+  }
+};
+
+// Static method for the moderation queue
+// Every comment carries `riskScore`, `reportCount` and `moderationPriority`; all three can be
+// filtered on and riskScore/priority sorted on, so they are computed in the pipeline
+commentSchema.statics.getModerationQueue = async function(options = {}) {
+  const {
+    page = 1,
+    limit = 20,
+    status = 'pending',
+    sort = 'createdAt',
+    order = 'desc',
+    priority = null,
+    postId = null,
+    minRiskScore = null,
+    maxRiskScore = null
+  } = options;
+
+  const match = {};
+  if (status && status !== 'all') match.status = status;
+  if (postId) match.postId = postId;
+
+  const computedMatch = {};
+  if (priority) computedMatch.priorityRank = MODERATION_PRIORITIES.indexOf(priority);
+  if (minRiskScore !== null || maxRiskScore !== null) {
+    computedMatch.riskScore = {};
+    if (minRiskScore !== null) computedMatch.riskScore.$gte = minRiskScore;
+    if (maxRiskScore !== null) computedMatch.riskScore.$lte = maxRiskScore;
+  }
+
+  const sortField = sort === 'priority' ? 'priorityRank' : sort;
+  const direction = order === 'desc' ? -1 : 1;
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'reports',
+        let: { commentId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: { $eq: ['$commentId', '$$commentId'] },
+              status: { $in: ['pending', 'reviewed'] }
+            }
+          },
+          { $count: 'count' }
+        ],
+        as: 'openReports'
+      }
+    },
+    {
+      $addFields: {
+        reportCount: { $ifNull: [{ $arrayElemAt: ['$openReports.count', 0] }, 0] },
+        riskScore: riskScoreExpression
+      }
+    },
+    { $addFields: { priorityRank: priorityRankExpression } },
+    { $match: computedMatch },
+    { $sort: { [sortField]: direction, _id: direction } },
+    {
+      $facet: {
+        comments: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { openReports: 0, likedBy: 0 } }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  // Moderators see every reply, whatever its status
+  const replyCounts = await this.countReplies(result.comments.map(comment => comment._id), null);
+
+  return {
+    comments: result.comments.map(({ priorityRank, ...comment }) => ({
+      ...comment,
+      moderationPriority: MODERATION_PRIORITIES[priorityRank],
+      replyCount: replyCounts[comment._id] || 0
+    })),
     pagination: {
       page,
       limit,
@@ -206,6 +461,55 @@ commentSchema.statics.isSpam = function(content, authorIp) {
   return spamPatterns.some(pattern => pattern.test(content));
 };
 
+// Static method to count approved (publicly visible) comments per post
+// Returns a map of postId -> count; posts without approved comments are omitted
+commentSchema.statics.countApprovedByPost = async function(postIds = null) {
+  const match = { status: 'approved' };
+  if (postIds) {
+    match.postId = { $in: postIds };
+  }
+
+  const counts = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$postId', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((result, { _id, count }) => {
+    result[_id] = count;
+    return result;
+  }, {});
+};
+
+// Static method to count approved comments per post per UTC day, by creation date
+// Returns [{ postId, date: 'YYYY-MM-DD', count }]
+commentSchema.statics.dailyApprovedCounts = async function(from, to, postIds = null) {
+  const match = { status: 'approved', createdAt: { $gte: from, $lte: to } };
+  if (postIds) {
+    match.postId = { $in: postIds };
+  }
+
+  const counts = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          postId: '$postId',
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+        },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { '_id.date': 1 } }
+  ]);
+
+  return counts.map(({ _id, count }) => ({ postId: _id.postId, date: _id.date, count }));
+};
+
+// Instance method to check whether a signed-in user (JWT claims) wrote this comment
+commentSchema.methods.isOwnedBy = function(user) {
+  return Boolean(user?.id && this.author.userId && this.author.userId === String(user.id));
+};
+
 // Instance method to check if user has already liked
 commentSchema.methods.hasUserLiked = function(ip, userAgent) {
   return this.likedBy.some(like => 
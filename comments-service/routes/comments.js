@@ -4,6 +4,8 @@ const router = express.Router();
 // Controllers
 const {
   getComments,
+  getReplies,
+  streamComments,
   createComment,
   updateComment,
   deleteComment,
@@ -18,6 +20,8 @@ const {
   validateUpdateComment,
   validateCreateReport,
   validateCommentQuery,
+  validateRepliesQuery,
+  validateStreamQuery,
   validateObjectId,
   validatePostId,
   sanitizeContent
@@ -86,9 +90,24 @@ router.post('/posts/:post_id/comments',
   createComment
 );
 
+// GET /comments/stream?postIds=a,b - Live comment events for the given posts (No auth required)
+router.get('/comments/stream',
+  validateStreamQuery,
+  streamComments
+);
+
+// GET /comments/:id/replies - Get the direct replies of a comment (No auth required; moderators may filter by status)
+router.get('/comments/:id/replies',
+  authenticateToken,
+  validateObjectId(),
+  validateRepliesQuery,
+  burstProtection,
+  getReplies
+);
+
 // PUT /comments/:id - Update a comment (Auth required)
 router.put('/comments/:id',
-  authenticateToken,
+  requireAuth,
   validateObjectId(),
   commentRateLimit,
   validateUpdateComment,
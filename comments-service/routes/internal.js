@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+
+// Controllers
+const { getCommentCounts, getCommentActivity } = require('../controllers/internalController');
+
+// Middleware
+const { validate } = require('../middleware/validation');
+const { requireInternalToken } = require('../middleware/auth');
+
+// Internal routes are for other services only - not exposed through the API gateway
+router.use(requireInternalToken);
+
+// Comma-separated list of post IDs
+const postIdsSchema = Joi.string()
+  .pattern(/^[a-zA-Z0-9\-_.]+(,[a-zA-Z0-9\-_.]+)*$/)
+  .optional()
+  .messages({
+    'string.pattern.base': 'postIds must be a comma-separated list of post IDs'
+  });
+
+// Validation schema for comment counts query parameters
+const commentCountsSchema = Joi.object({
+  postIds: postIdsSchema
+});
+
+// Validation schema for comment activity query parameters
+const commentActivitySchema = Joi.object({
+  postIds: postIdsSchema,
+  from: Joi.date().iso().required(),
+  to: Joi.date().iso().min(Joi.ref('from')).required()
+});
+
+// GET /internal/comment-counts - Approved comment counts per post
+router.get('/comment-counts',
+  validate(commentCountsSchema, 'query'),
+  getCommentCounts
+);
+
+// GET /internal/comment-activity - Approved comments per post per day
+router.get('/comment-activity',
+  validate(commentActivitySchema, 'query'),
+  getCommentActivity
+);
+
+module.exports = router;
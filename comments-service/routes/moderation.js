@@ -63,10 +63,13 @@ const moderationQueueSchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
   status: Joi.string().valid('pending', 'approved', 'rejected', 'flagged', 'all').default('pending'),
-  sort: Joi.string().valid('createdAt', 'reports', 'likes', 'riskScore').default('createdAt'),
+  sort: Joi.string().valid('createdAt', 'reports', 'likes', 'riskScore', 'priority').default('createdAt'),
   order: Joi.string().valid('asc', 'desc').default('desc'),
   priority: Joi.string().valid('low', 'medium', 'high', 'critical').optional(),
-  postId: Joi.string().optional()
+  postId: Joi.string().optional(),
+  minRiskScore: Joi.number().integer().min(0).max(100).optional(),
+  maxRiskScore: Joi.number().integer().min(0).max(100).optional()
+    .when('minRiskScore', { is: Joi.exist(), then: Joi.number().min(Joi.ref('minRiskScore')) })
 });
 
 // Validation schema for reports query parameters
@@ -96,6 +99,14 @@ router.get('/admin/comments',
   getModerationQueue
 );
 
+// PATCH /admin/comments/bulk - Bulk moderate multiple comments
+// Registered before /admin/comments/:id, which would otherwise match "bulk" as an id
+router.patch('/admin/comments/bulk',
+  requireModerator,
+  validate(bulkModerationSchema),
+  bulkModerateComments
+);
+
 // PATCH /admin/comments/:id - Moderate a specific comment
 router.patch('/admin/comments/:id',
   requireModerator,
@@ -104,13 +115,6 @@ router.patch('/admin/comments/:id',
   moderateComment
 );
 
-// PATCH /admin/comments/bulk - Bulk moderate multiple comments
-router.patch('/admin/comments/bulk',
-  requireModerator,
-  validate(bulkModerationSchema),
-  bulkModerateComments
-);
-
 // REPORTS MANAGEMENT ROUTES
 
 // GET /admin/reports - Get all reports for review
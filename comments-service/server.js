@@ -12,10 +12,14 @@ const { connectDB, initializeIndexes, healthCheck } = require('./config/database
 // Import routes
 const commentsRoutes = require('./routes/comments');
 const moderationRoutes = require('./routes/moderation');
+const internalRoutes = require('./routes/internal');
 
 // Import middleware
 const { basicRateLimit } = require('./middleware/rateLimiting');
 
+// Real-time comment streams
+const { closeAllStreams, getStreamStats } = require('./utils/commentStream');
+
 // Initialize Express app
 const app = express();
 
@@ -104,7 +108,8 @@ app.get('/health', async (req, res) => {
         total: `${(memoryUsage.heapTotal / 1024 / 1024).toFixed(2)} MB`,
         external: `${(memoryUsage.external / 1024 / 1024).toFixed(2)} MB`
       },
-      features: config.features
+      features: config.features,
+      streams: getStreamStats()
     };
 
     // Determine status based on health checks
@@ -125,6 +130,7 @@ app.get('/health', async (req, res) => {
 });
 
 // API ROUTES
+app.use('/api/v1/internal', internalRoutes);
 app.use('/api/v1', commentsRoutes);
 app.use('/api/v1', moderationRoutes);
 
@@ -255,6 +261,8 @@ const gracefulShutdown = (signal) => {
   console.log(`\nReceived ${signal}. Starting graceful shutdown...`);
   
   if (global.server) {
+    // Open comment streams would otherwise keep the server from closing
+    closeAllStreams();
     global.server.close((error) => {
       if (error) {
         console.error('Error during server shutdown:', error);
@@ -180,6 +180,8 @@ process.env.RATE_LIMIT_MAX_REQUESTS = '100';
 process.env.ENABLE_COMPRESSION = 'true';
 process.env.MAX_REQUEST_SIZE = '10mb';
 process.env.TRUST_PROXY = 'false';
+process.env.INTERNAL_SERVICE_TOKEN = 'test-internal-token';
+process.env.COMMENT_EVENTS_ENABLED = 'false'; // Enabled explicitly in the comment events tests
 
 // Mock external services
 global.mockExternalServices = {
@@ -1,8 +1,20 @@
 const request = require('supertest');
 const express = require('express');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const Comment = require('../../../models/Comment');
+const config = require('../../../config/environment');
 const commentsController = require('../../../controllers/commentsController');
+const { authenticateToken } = require('../../../middleware/auth');
+
+// Bearer header accepted by authenticateToken for the given JWT claims
+const bearer = (claims) =>
+  `Bearer ${jwt.sign(claims, process.env.JWT_SECRET || 'demo-secret', { expiresIn: '1h' })}`;
+
+const ownerId = new mongoose.Types.ObjectId().toString();
+const ownerAuth = bearer({ id: ownerId, role: 'user' });
+const otherUserAuth = bearer({ id: new mongoose.Types.ObjectId().toString(), role: 'user' });
+const moderatorAuth = bearer({ id: new mongoose.Types.ObjectId().toString(), role: 'moderator', isModerator: true });
 
 // Create test app
 const app = express();
@@ -11,9 +23,11 @@ app.use(express.json());
 // Mock routes for testing
 app.get('/posts/:postId/comments', commentsController.getCommentsByPost);
 app.post('/posts/:postId/comments', commentsController.createComment);
+app.get('/comments/stream', commentsController.streamComments);
 app.get('/comments/:id', commentsController.getCommentById);
-app.put('/comments/:id', commentsController.updateComment);
-app.delete('/comments/:id', commentsController.deleteComment);
+app.get('/comments/:id/replies', authenticateToken, commentsController.getReplies);
+app.put('/comments/:id', authenticateToken, commentsController.updateComment);
+app.delete('/comments/:id', authenticateToken, commentsController.deleteComment);
 app.post('/comments/:id/like', commentsController.likeComment);
 app.post('/comments/:id/report', commentsController.reportComment);
 app.get('/posts/:postId/comments/stats', commentsController.getCommentStats);
@@ -25,10 +39,10 @@ describe('Comments Controller Unit Tests', () => {
   beforeEach(async () => {
     testPostId = testUtils.createObjectId();
     
+    const commentData = testUtils.generateTestComment({ postId: testPostId });
     testComment = new Comment({
-      ...testUtils.generateTestComment({
-        postId: testPostId
-      })
+      ...commentData,
+      author: { ...commentData.author, ip: '127.0.0.1', userId: ownerId }
     });
     await testComment.save();
   });
@@ -332,6 +346,7 @@ describe('Comments Controller Unit Tests', () => {
     it('should update an existing comment', async () => {
       const response = await request(app)
         .put(`/comments/${testComment._id}`)
+        .set('Authorization', ownerAuth)
         .send(updateData)
         .expect(200);
 
@@ -345,6 +360,7 @@ describe('Comments Controller Unit Tests', () => {
       
       const response = await request(app)
         .put(`/comments/${nonExistentId}`)
+        .set('Authorization', ownerAuth)
         .send(updateData)
         .expect(404);
 
@@ -354,6 +370,7 @@ describe('Comments Controller Unit Tests', () => {
     it('should validate update data', async () => {
       const response = await request(app)
         .put(`/comments/${testComment._id}`)
+        .set('Authorization', ownerAuth)
         .send({
           content: 'Short' // Too short
         })
@@ -369,6 +386,7 @@ describe('Comments Controller Unit Tests', () => {
 
       const response = await request(app)
         .put(`/comments/${testComment._id}`)
+        .set('Authorization', ownerAuth)
         .send(maliciousUpdate)
         .expect(200);
 
@@ -381,18 +399,43 @@ describe('Comments Controller Unit Tests', () => {
 
       await request(app)
         .put(`/comments/${testComment._id}`)
+        .set('Authorization', ownerAuth)
         .send(updateData)
         .expect(200);
 
       const updatedComment = await Comment.findById(testComment._id);
       expect(updatedComment.status).toBe('pending'); // Should be re-moderated
     });
+
+    it('should reject edits by anyone but the author', async () => {
+      const response = await request(app)
+        .put(`/comments/${testComment._id}`)
+        .set('Authorization', otherUserAuth)
+        .send(updateData)
+        .expect(403);
+
+      expect(response.body.code).toBe('NOT_COMMENT_OWNER');
+    });
+
+    it('should reject edits after the edit window', async () => {
+      testComment.editWindow = new Date(Date.now() - 1000);
+      await testComment.save();
+
+      const response = await request(app)
+        .put(`/comments/${testComment._id}`)
+        .set('Authorization', ownerAuth)
+        .send(updateData)
+        .expect(400);
+
+      expect(response.body.code).toBe('EDIT_WINDOW_EXPIRED');
+    });
   });
 
   describe('DELETE /comments/:id - deleteComment', () => {
     it('should delete an existing comment', async () => {
       const response = await request(app)
         .delete(`/comments/${testComment._id}`)
+        .set('Authorization', ownerAuth)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -408,6 +451,7 @@ describe('Comments Controller Unit Tests', () => {
       
       const response = await request(app)
         .delete(`/comments/${nonExistentId}`)
+        .set('Authorization', ownerAuth)
         .expect(404);
 
       expect(response.body.success).toBe(false);
@@ -417,10 +461,129 @@ describe('Comments Controller Unit Tests', () => {
       // This would be implemented if threading is supported
       const response = await request(app)
         .delete(`/comments/${testComment._id}`)
+        .set('Authorization', ownerAuth)
         .expect(200);
 
       expect(response.body.success).toBe(true);
     });
+
+    it('should reject deletes by anyone but the author', async () => {
+      const response = await request(app)
+        .delete(`/comments/${testComment._id}`)
+        .set('Authorization', otherUserAuth)
+        .expect(403);
+
+      expect(response.body.code).toBe('NOT_COMMENT_OWNER');
+      expect(await Comment.findById(testComment._id)).not.toBeNull();
+    });
+
+    it('should let moderators delete after the edit window', async () => {
+      testComment.editWindow = new Date(Date.now() - 1000);
+      await testComment.save();
+
+      await request(app)
+        .delete(`/comments/${testComment._id}`)
+        .set('Authorization', moderatorAuth)
+        .expect(200);
+
+      expect(await Comment.findById(testComment._id)).toBeNull();
+    });
+  });
+
+  describe('GET /comments/:id/replies - getReplies', () => {
+    beforeEach(async () => {
+      for (const content of ['First reply', 'Second reply']) {
+        await new Comment(testUtils.generateTestComment({
+          postId: testPostId,
+          parentId: testComment._id,
+          content
+        })).save();
+      }
+    });
+
+    it('should return replies oldest first with pagination', async () => {
+      const response = await request(app)
+        .get(`/comments/${testComment._id}/replies`)
+        .query({ page: 1, limit: 1 })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].content).toBe('First reply');
+      expect(response.body.data[0].replyCount).toBe(0);
+      expect(response.body.pagination.total).toBe(2);
+      expect(response.body.meta.depth).toBe(1);
+    });
+
+    it('should only let moderators list replies by another status', async () => {
+      await new Comment(testUtils.generateTestComment({
+        postId: testPostId,
+        parentId: testComment._id,
+        content: 'Pending reply',
+        status: 'pending'
+      })).save();
+
+      const anonymous = await request(app)
+        .get(`/comments/${testComment._id}/replies`)
+        .query({ status: 'pending' })
+        .expect(200);
+
+      expect(anonymous.body.data.map(reply => reply.content)).toEqual(['First reply', 'Second reply']);
+
+      const moderator = await request(app)
+        .get(`/comments/${testComment._id}/replies`)
+        .set('Authorization', moderatorAuth)
+        .query({ status: 'pending' })
+        .expect(200);
+
+      expect(moderator.body.data.map(reply => reply.content)).toEqual(['Pending reply']);
+    });
+
+    it('should return 404 for non-existent comment', async () => {
+      const response = await request(app)
+        .get(`/comments/${testUtils.createObjectId()}/replies`)
+        .expect(404);
+
+      expect(response.body.code).toBe('COMMENT_NOT_FOUND');
+    });
+  });
+
+  describe('GET /comments/stream - streamComments', () => {
+    it('should refuse to follow too many posts at once', async () => {
+      const postIds = Array.from({ length: config.realtime.maxPostsPerStream + 1 }, (_, i) => `post-${i}`);
+
+      const response = await request(app)
+        .get('/comments/stream')
+        .query({ postIds: postIds.join(',') })
+        .expect(400);
+
+      expect(response.body.code).toBe('TOO_MANY_POSTS');
+    });
+
+    it('should return 429 when the client has too many streams open', async () => {
+      const { maxClientsPerIp } = config.realtime;
+      config.realtime.maxClientsPerIp = 0;
+
+      const response = await request(app)
+        .get('/comments/stream')
+        .query({ postIds: testPostId.toString() })
+        .expect(429);
+
+      config.realtime.maxClientsPerIp = maxClientsPerIp;
+      expect(response.body.code).toBe('TOO_MANY_STREAMS');
+    });
+
+    it('should return 503 when real-time updates are disabled', async () => {
+      config.realtime.enabled = false;
+
+      const response = await request(app)
+        .get('/comments/stream')
+        .query({ postIds: testPostId.toString() })
+        .expect(503);
+
+      config.realtime.enabled = true;
+      expect(response.body.code).toBe('STREAM_DISABLED');
+    });
   });
 
   describe('POST /comments/:id/like - likeComment', () => {
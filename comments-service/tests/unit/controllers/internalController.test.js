@@ -0,0 +1,109 @@
+const request = require('supertest');
+const express = require('express');
+const Comment = require('../../../models/Comment');
+const internalRoutes = require('../../../routes/internal');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/internal', internalRoutes);
+
+describe('Internal Controller Unit Tests', () => {
+  const author = { name: 'Test User', email: 'testuser@example.com', ip: '127.0.0.1' };
+  let postA;
+  let postB;
+
+  beforeEach(async () => {
+    postA = testUtils.createObjectId().toString();
+    postB = testUtils.createObjectId().toString();
+
+    await Comment.create([
+      { postId: postA, content: 'Approved one', author, status: 'approved' },
+      { postId: postA, content: 'Pending one', author, status: 'pending' },
+      { postId: postB, content: 'Approved two', author, status: 'approved' }
+    ]);
+  });
+
+  describe('GET /internal/comment-counts - getCommentCounts', () => {
+    it('should require the internal service token', async () => {
+      const response = await request(app)
+        .get('/internal/comment-counts')
+        .set('X-Internal-Token', 'wrong-token')
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_INTERNAL_TOKEN');
+    });
+
+    it('should reject a token with multibyte characters', async () => {
+      const response = await request(app)
+        .get('/internal/comment-counts')
+        .set('X-Internal-Token', 'test-internal-tokén')
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_INTERNAL_TOKEN');
+    });
+
+    it('should return approved counts for every post', async () => {
+      const response = await request(app)
+        .get('/internal/comment-counts')
+        .set('X-Internal-Token', 'test-internal-token')
+        .expect(200);
+
+      expect(response.body.data).toEqual({ [postA]: 1, [postB]: 1 });
+      expect(response.body.meta.postsWithComments).toBe(2);
+      expect(new Date(response.body.meta.asOf).getTime())
+        .toBeLessThanOrEqual(new Date(response.body.meta.generatedAt).getTime());
+    });
+
+    it('should filter by postIds', async () => {
+      const response = await request(app)
+        .get(`/internal/comment-counts?postIds=${postA}`)
+        .set('X-Internal-Token', 'test-internal-token')
+        .expect(200);
+
+      expect(response.body.data).toEqual({ [postA]: 1 });
+    });
+
+    it('should reject malformed postIds', async () => {
+      await request(app)
+        .get('/internal/comment-counts?postIds=a;b')
+        .set('X-Internal-Token', 'test-internal-token')
+        .expect(400);
+    });
+  });
+
+  describe('GET /internal/comment-activity - getCommentActivity', () => {
+    const from = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+    const to = new Date(Date.now() + 60 * 1000).toISOString();
+
+    it('should return approved comments per post per day', async () => {
+      const response = await request(app)
+        .get(`/internal/comment-activity?from=${from}&to=${to}`)
+        .set('X-Internal-Token', 'test-internal-token')
+        .expect(200);
+
+      const today = new Date().toISOString().slice(0, 10);
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data).toEqual(expect.arrayContaining([
+        { postId: postA, date: today, count: 1 },
+        { postId: postB, date: today, count: 1 }
+      ]));
+    });
+
+    it('should exclude comments created outside the range', async () => {
+      const response = await request(app)
+        .get('/internal/comment-activity?from=2020-01-01T00:00:00Z&to=2020-01-31T00:00:00Z')
+        .set('X-Internal-Token', 'test-internal-token')
+        .expect(200);
+
+      expect(response.body.data).toEqual([]);
+    });
+
+    it('should require a valid date range', async () => {
+      await request(app)
+        .get(`/internal/comment-activity?from=${to}&to=${from}`)
+        .set('X-Internal-Token', 'test-internal-token')
+        .expect(400);
+    });
+  });
+});
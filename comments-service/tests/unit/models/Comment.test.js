@@ -528,6 +528,243 @@ describe('Comment Model Unit Tests', () => {
     });
   });
 
+  describe('countApprovedByPost', () => {
+    const author = { name: 'Test User', email: 'testuser@example.com', ip: '127.0.0.1' };
+    let postA;
+    let postB;
+
+    beforeEach(async () => {
+      await Comment.deleteMany({});
+      postA = testUtils.createObjectId().toString();
+      postB = testUtils.createObjectId().toString();
+
+      await Comment.create([
+        { postId: postA, content: 'Approved one', author, status: 'approved' },
+        { postId: postA, content: 'Approved two', author, status: 'approved' },
+        { postId: postA, content: 'Still pending', author, status: 'pending' },
+        { postId: postB, content: 'Approved three', author, status: 'approved' },
+        { postId: postB, content: 'Rejected', author, status: 'rejected' }
+      ]);
+    });
+
+    it('should count only approved comments per post', async () => {
+      const counts = await Comment.countApprovedByPost();
+
+      expect(counts).toEqual({ [postA]: 2, [postB]: 1 });
+    });
+
+    it('should restrict counts to the requested posts', async () => {
+      const counts = await Comment.countApprovedByPost([postB]);
+
+      expect(counts).toEqual({ [postB]: 1 });
+    });
+  });
+
+  describe('Threading', () => {
+    const author = { name: 'Test User', email: 'testuser@example.com', ip: '127.0.0.1' };
+    let postId;
+    let parent;
+
+    const reply = (parentId, content, overrides = {}) =>
+      Comment.create({ postId, content, author, parentId, status: 'approved', ...overrides });
+
+    beforeEach(async () => {
+      await Comment.deleteMany({});
+      postId = testUtils.createObjectId().toString();
+
+      parent = await Comment.create({ postId, content: 'Top level', author, status: 'approved' });
+      for (let i = 1; i <= 4; i++) {
+        await reply(parent._id, `Reply ${i}`, { createdAt: new Date(Date.now() - (10 - i) * 1000) });
+      }
+      await reply(parent._id, 'Hidden reply', { status: 'pending' });
+    });
+
+    it('should cap embedded replies per comment and report the full reply count', async () => {
+      const { comments } = await Comment.getThreadedComments(postId, { replyLimit: 2 });
+
+      expect(comments).toHaveLength(1);
+      expect(comments[0].replyCount).toBe(4);
+      expect(comments[0].replies.map(r => r.content)).toEqual(['Reply 1', 'Reply 2']);
+    });
+
+    it('should include reply counts for embedded replies', async () => {
+      const [first] = await Comment.find({ content: 'Reply 1' });
+      await reply(first._id, 'Nested reply');
+
+      const { comments } = await Comment.getThreadedComments(postId, { replyLimit: 1 });
+
+      expect(comments[0].replies[0].replyCount).toBe(1);
+      expect(comments[0].replies[0].depth).toBe(1);
+    });
+
+    it('should omit replies when replyLimit is 0', async () => {
+      const { comments } = await Comment.getThreadedComments(postId, { replyLimit: 0 });
+
+      expect(comments[0].replies).toEqual([]);
+      expect(comments[0].replyCount).toBe(4);
+    });
+
+    it('should page through replies oldest first', async () => {
+      const firstPage = await Comment.getReplies(parent._id, { page: 1, limit: 3 });
+      const secondPage = await Comment.getReplies(parent._id, { page: 2, limit: 3 });
+
+      expect(firstPage.comments.map(r => r.content)).toEqual(['Reply 1', 'Reply 2', 'Reply 3']);
+      expect(secondPage.comments.map(r => r.content)).toEqual(['Reply 4']);
+      expect(firstPage.pagination).toEqual({ page: 1, limit: 3, total: 4, pages: 2 });
+    });
+
+    it('should count direct replies per comment', async () => {
+      const counts = await Comment.countReplies([parent._id]);
+
+      expect(counts).toEqual({ [parent._id]: 4 });
+      expect(await Comment.countReplies([])).toEqual({});
+      expect(await Comment.countReplies([parent._id], null)).toEqual({ [parent._id]: 5 });
+    });
+  });
+
+  describe('Cursor Pagination', () => {
+    const author = { name: 'Test User', email: 'testuser@example.com', ip: '127.0.0.1' };
+    const now = Date.now();
+    let postId;
+
+    const contents = ({ comments }) => comments.map(comment => comment.content);
+
+    beforeEach(async () => {
+      await Comment.deleteMany({});
+      postId = testUtils.createObjectId().toString();
+
+      // Comments 2 and 3 share a timestamp, so _id breaks the tie
+      const offsets = [1, 2, 2, 3, 4];
+      for (const [index, offset] of offsets.entries()) {
+        await Comment.create({
+          postId,
+          content: `Comment ${index + 1}`,
+          author,
+          status: 'approved',
+          createdAt: new Date(now - offset * 1000)
+        });
+      }
+    });
+
+    it('should page forwards and backwards through top-level comments', async () => {
+      const first = await Comment.getThreadedComments(postId, { limit: 2, cursor: '' });
+      const second = await Comment.getThreadedComments(postId, { limit: 2, cursor: first.pagination.nextCursor });
+      const last = await Comment.getThreadedComments(postId, { limit: 2, cursor: second.pagination.nextCursor });
+
+      expect(contents(first)).toEqual(['Comment 1', 'Comment 3']);
+      expect(contents(second)).toEqual(['Comment 2', 'Comment 4']);
+      expect(contents(last)).toEqual(['Comment 5']);
+      expect(first.pagination).toMatchObject({ mode: 'cursor', limit: 2, hasPrevPage: false, prevCursor: null });
+      expect(first.pagination.total).toBeUndefined();
+      expect(last.pagination).toMatchObject({ hasNextPage: false, nextCursor: null });
+
+      const back = await Comment.getThreadedComments(postId, { limit: 2, cursor: second.pagination.prevCursor });
+      expect(contents(back)).toEqual(contents(first));
+      expect(back.pagination.hasPrevPage).toBe(false);
+    });
+
+    it('should not shift pages when comments are added', async () => {
+      const first = await Comment.getThreadedComments(postId, { limit: 2, cursor: '' });
+      await Comment.create({ postId, content: 'Newest', author, status: 'approved' });
+
+      const second = await Comment.getThreadedComments(postId, { limit: 2, cursor: first.pagination.nextCursor });
+
+      expect(contents(second)).toEqual(['Comment 2', 'Comment 4']);
+    });
+
+    it('should count the total only when asked', async () => {
+      const { pagination } = await Comment.getThreadedComments(postId, { cursor: '', includeTotal: true });
+
+      expect(pagination.total).toBe(5);
+    });
+
+    it('should reject a cursor issued for another sort', async () => {
+      const first = await Comment.getThreadedComments(postId, { limit: 2, cursor: '' });
+
+      await expect(Comment.getThreadedComments(postId, { cursor: first.pagination.nextCursor, order: 'asc' }))
+        .rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+    });
+  });
+
+  describe('Moderation Queue', () => {
+    const Report = require('../../../models/Report');
+    const author = { name: 'Test User', email: 'testuser@example.com', ip: '127.0.0.1' };
+    let postId;
+
+    const pending = (content, overrides = {}) =>
+      Comment.create({ postId, content, author, status: 'pending', ...overrides });
+
+    const report = (comment, ip) =>
+      Report.create({
+        commentId: comment._id,
+        postId,
+        reason: 'spam',
+        reporter: { ip, userAgent: 'jest' }
+      });
+
+    beforeEach(async () => {
+      await Comment.deleteMany({});
+      await Report.deleteMany({});
+      postId = testUtils.createObjectId().toString();
+    });
+
+    it('should compute risk score, report count and priority', async () => {
+      const spam = await pending('Buy cheap stuff at http://spam.example', {
+        flags: { isSpam: true, containsLinks: true, hasProfanity: true }
+      });
+      await pending('A perfectly reasonable comment');
+      await report(spam, '10.0.0.1');
+
+      const { comments } = await Comment.getModerationQueue({ sort: 'riskScore' });
+
+      expect(comments).toHaveLength(2);
+      expect(comments[0]).toMatchObject({ riskScore: 80, reportCount: 1, moderationPriority: 'critical' });
+      expect(comments[1]).toMatchObject({ riskScore: 0, reportCount: 0, moderationPriority: 'low' });
+      expect(comments[0].likedBy).toBeUndefined();
+    });
+
+    it('should filter by priority and risk score range', async () => {
+      await pending('Flagged for links http://example.com', { flags: { containsLinks: true, isSpam: true } });
+      await pending('Harmless comment number one');
+      await pending('Short');
+
+      const high = await Comment.getModerationQueue({ priority: 'high' });
+      const lowRisk = await Comment.getModerationQueue({ minRiskScore: 1, maxRiskScore: 10 });
+
+      expect(high.comments.map(c => c.riskScore)).toEqual([50]);
+      expect(lowRisk.comments.map(c => c.content)).toEqual(['Short']);
+      expect(lowRisk.pagination).toEqual({ page: 1, limit: 20, total: 1, pages: 1 });
+    });
+
+    it('should filter by status and post', async () => {
+      await pending('Waiting for review');
+      await pending('Already approved', { status: 'approved' });
+      await Comment.create({ postId: 'other-post', content: 'Elsewhere', author, status: 'pending' });
+
+      const queue = await Comment.getModerationQueue({ postId });
+      const all = await Comment.getModerationQueue({ postId, status: 'all' });
+
+      expect(queue.comments.map(c => c.content)).toEqual(['Waiting for review']);
+      expect(all.pagination.total).toBe(2);
+    });
+  });
+
+  describe('Ownership', () => {
+    it('should only be owned by the signed-in user who posted it', () => {
+      const userId = testUtils.createObjectId().toString();
+      const comment = new Comment({
+        ...testUtils.generateTestComment(),
+        author: { name: 'Owner', email: 'owner@example.com', ip: '127.0.0.1', userId }
+      });
+      const guestComment = new Comment(testUtils.generateTestComment());
+
+      expect(comment.isOwnedBy({ id: userId })).toBe(true);
+      expect(comment.isOwnedBy({ id: testUtils.createObjectId().toString() })).toBe(false);
+      expect(comment.isOwnedBy(null)).toBe(false);
+      expect(guestComment.isOwnedBy({ id: userId })).toBe(false);
+    });
+  });
+
   describe('Indexes and Performance', () => {
     it('should have proper indexes for queries', async () => {
       const indexes = await Comment.collection.getIndexes();
@@ -0,0 +1,117 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const Comment = require('../../../models/Comment');
+const config = require('../../../config/environment');
+const {
+  COMMENT_EVENTS,
+  eventTypeForStatus,
+  buildCommentEvent,
+  publishCommentEvent
+} = require('../../../utils/commentEvents');
+
+describe('Comment Events Unit Tests', () => {
+  const author = { name: 'Test User', email: 'testuser@example.com', ip: '127.0.0.1' };
+  let postId;
+
+  beforeEach(() => {
+    postId = testUtils.createObjectId().toString();
+    config.services.postsService.eventsEnabled = true;
+    config.services.postsService.eventRetryDelay = 1;
+  });
+
+  afterAll(() => {
+    config.services.postsService.eventsEnabled = false;
+  });
+
+  describe('eventTypeForStatus', () => {
+    it('should map moderation statuses to event types', () => {
+      expect(eventTypeForStatus('approved')).toBe(COMMENT_EVENTS.APPROVED);
+      expect(eventTypeForStatus('rejected')).toBe(COMMENT_EVENTS.REJECTED);
+      expect(eventTypeForStatus('flagged')).toBe(COMMENT_EVENTS.STATUS_CHANGED);
+      expect(eventTypeForStatus('pending')).toBe(COMMENT_EVENTS.STATUS_CHANGED);
+    });
+  });
+
+  describe('buildCommentEvent', () => {
+    it('should include the current approved count for the post', async () => {
+      const [comment] = await Comment.create([
+        { postId, content: 'Approved one', author, status: 'approved' },
+        { postId, content: 'Approved two', author, status: 'approved' },
+        { postId, content: 'Still pending', author, status: 'pending' }
+      ]);
+
+      const event = await buildCommentEvent(COMMENT_EVENTS.APPROVED, comment);
+
+      expect(event).toMatchObject({
+        type: 'comment.approved',
+        commentId: comment._id.toString(),
+        postId,
+        status: 'approved',
+        approvedCount: 2
+      });
+      expect(event.eventId).toBeDefined();
+      expect(new Date(event.occurredAt).toString()).not.toBe('Invalid Date');
+    });
+
+    it('should omit the status for deleted comments', async () => {
+      const comment = await Comment.create({ postId, content: 'Going away', author, status: 'approved' });
+      await Comment.findByIdAndDelete(comment._id);
+
+      const event = await buildCommentEvent(COMMENT_EVENTS.DELETED, comment);
+
+      expect(event.status).toBeNull();
+      expect(event.approvedCount).toBe(0);
+    });
+  });
+
+  describe('publishCommentEvent', () => {
+    let comment;
+
+    beforeEach(async () => {
+      comment = await Comment.create({ postId, content: 'Published', author, status: 'approved' });
+    });
+
+    it('should post the event to posts-service with the internal token', async () => {
+      axios.post.mockResolvedValue({ status: 202 });
+
+      const delivered = await publishCommentEvent(COMMENT_EVENTS.CREATED, comment);
+
+      expect(delivered).toBe(true);
+      expect(axios.post).toHaveBeenCalledWith(
+        expect.stringMatching(/\/internal\/events\/comments$/),
+        expect.objectContaining({ type: 'comment.created', approvedCount: 1 }),
+        expect.objectContaining({ headers: { 'X-Internal-Token': 'test-internal-token' } })
+      );
+    });
+
+    it('should retry server errors', async () => {
+      axios.post
+        .mockRejectedValueOnce({ response: { status: 503 } })
+        .mockResolvedValueOnce({ status: 202 });
+
+      const delivered = await publishCommentEvent(COMMENT_EVENTS.CREATED, comment);
+
+      expect(delivered).toBe(true);
+      expect(axios.post).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not retry client errors', async () => {
+      axios.post.mockRejectedValue({ response: { status: 404 } });
+
+      const delivered = await publishCommentEvent(COMMENT_EVENTS.CREATED, comment);
+
+      expect(delivered).toBe(false);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should do nothing when events are disabled', async () => {
+      config.services.postsService.eventsEnabled = false;
+
+      const delivered = await publishCommentEvent(COMMENT_EVENTS.CREATED, comment);
+
+      expect(delivered).toBe(false);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const { EventEmitter } = require('events');
+const Comment = require('../../../models/Comment');
+const config = require('../../../config/environment');
+const {
+  STREAM_EVENTS,
+  broadcastCommentEvent,
+  openStream,
+  countClientStreams,
+  closeAllStreams,
+  getStreamStats
+} = require('../../../utils/commentStream');
+
+// Minimal express response that records what the stream writes
+const createResponse = () => {
+  const res = Object.assign(new EventEmitter(), {
+    chunks: [],
+    headers: {},
+    writableEnded: false,
+    status: jest.fn(() => res),
+    set: jest.fn((headers) => {
+      Object.assign(res.headers, headers);
+      return res;
+    }),
+    flushHeaders: jest.fn(),
+    write: jest.fn((chunk) => res.chunks.push(chunk)),
+    end: jest.fn(() => {
+      res.writableEnded = true;
+      res.emit('close');
+    })
+  });
+  return res;
+};
+
+// Parse the `event:`/`data:` frames written to a response
+const eventsOf = (res) => res.chunks
+  .filter(chunk => chunk.includes('event: '))
+  .map(chunk => ({
+    type: chunk.match(/^event: (.+)$/m)[1],
+    data: JSON.parse(chunk.match(/^data: (.+)$/m)[1])
+  }));
+
+describe('Comment Stream Unit Tests', () => {
+  const author = { name: 'Test User', email: 'testuser@example.com', ip: '127.0.0.1', userId: 'user-1' };
+  const postId = 'post-1';
+
+  const follow = (postIds, ip = '127.0.0.1') => {
+    const req = Object.assign(new EventEmitter(), { ip });
+    const res = createResponse();
+    openStream(req, res, postIds);
+    return { req, res };
+  };
+
+  afterEach(() => {
+    closeAllStreams();
+  });
+
+  describe('openStream', () => {
+    it('should send event-stream headers and a ready event', () => {
+      const { res } = follow([postId, 'post-2']);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.headers['Content-Type']).toMatch(/^text\/event-stream/);
+      expect(res.headers['Cache-Control']).toContain('no-transform');
+      expect(eventsOf(res)).toEqual([{ type: 'ready', data: { postIds: [postId, 'post-2'] } }]);
+      expect(getStreamStats()).toEqual({ clients: 1, posts: 2 });
+    });
+
+    it('should stop following posts when the client disconnects', () => {
+      const { res } = follow([postId]);
+
+      res.emit('close');
+
+      expect(getStreamStats()).toEqual({ clients: 0, posts: 0 });
+      expect(countClientStreams('127.0.0.1')).toBe(0);
+    });
+
+    it('should count open streams per client IP', () => {
+      const { res } = follow([postId]);
+      follow(['post-2']);
+      follow([postId], '10.0.0.2');
+
+      expect(countClientStreams('127.0.0.1')).toBe(2);
+      expect(countClientStreams('10.0.0.2')).toBe(1);
+
+      res.emit('close');
+      res.emit('close');
+
+      expect(countClientStreams('127.0.0.1')).toBe(1);
+    });
+
+    it('should refuse new streams at capacity', () => {
+      const maxClients = config.realtime.maxClients;
+      config.realtime.maxClients = 1;
+      follow([postId]);
+
+      const res = createResponse();
+      const opened = openStream(new EventEmitter(), res, [postId]);
+
+      config.realtime.maxClients = maxClients;
+      expect(opened).toBe(false);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('broadcastCommentEvent', () => {
+    it('should send approved comments to followers of the post only', () => {
+      const { res: follower } = follow([postId]);
+      const { res: other } = follow(['post-2']);
+      const comment = new Comment({ postId, content: 'Hello there', author, status: 'approved' });
+
+      const delivered = broadcastCommentEvent(STREAM_EVENTS.CREATED, comment);
+
+      expect(delivered).toBe(1);
+      const [, event] = eventsOf(follower);
+      expect(event.type).toBe('comment.created');
+      expect(event.data).toMatchObject({
+        commentId: comment._id.toString(),
+        postId,
+        parentId: null,
+        comment: { content: 'Hello there', author: { name: 'Test User', userId: 'user-1' } }
+      });
+      expect(eventsOf(other)).toHaveLength(1);
+    });
+
+    it('should not expose the author email, IP or likers', () => {
+      const { res } = follow([postId]);
+      const comment = new Comment({ postId, content: 'Private bits', author, status: 'approved' });
+
+      broadcastCommentEvent(STREAM_EVENTS.APPROVED, comment);
+
+      const [, event] = eventsOf(res);
+      expect(event.data.comment.author).toEqual({ name: 'Test User', userId: 'user-1' });
+      expect(event.data.comment.likedBy).toBeUndefined();
+    });
+
+    it('should skip new comments held for moderation', () => {
+      const { res } = follow([postId]);
+      const comment = new Comment({ postId, content: 'Waiting', author, status: 'pending' });
+
+      expect(broadcastCommentEvent(STREAM_EVENTS.CREATED, comment)).toBe(0);
+      expect(eventsOf(res)).toHaveLength(1);
+    });
+
+    it('should hide comments that are no longer approved', () => {
+      const { res } = follow([postId]);
+      const comment = new Comment({ postId, content: 'Gone soon', author, status: 'rejected' });
+
+      broadcastCommentEvent('comment.rejected', comment);
+
+      const [, event] = eventsOf(res);
+      expect(event).toEqual({
+        type: 'comment.hidden',
+        data: { commentId: comment._id.toString(), postId, parentId: null, status: 'rejected' }
+      });
+    });
+
+    it('should announce approvals from any status change', () => {
+      const { res } = follow([postId]);
+      const comment = new Comment({ postId, content: 'Approved now', author, status: 'approved' });
+
+      broadcastCommentEvent('comment.status_changed', comment);
+
+      expect(eventsOf(res)[1].type).toBe('comment.approved');
+    });
+
+    it('should send only the like count for likes', () => {
+      const { res } = follow([postId]);
+      const comment = new Comment({ postId, content: 'Likeable', author, status: 'approved', likes: 4 });
+
+      broadcastCommentEvent(STREAM_EVENTS.LIKED, comment);
+
+      expect(eventsOf(res)[1]).toEqual({
+        type: 'comment.liked',
+        data: { commentId: comment._id.toString(), postId, parentId: null, likes: 4 }
+      });
+    });
+
+    it('should send deletes with the comment reference', () => {
+      const { res } = follow([postId]);
+      const parentId = testUtils.createObjectId();
+      const comment = new Comment({ postId, content: 'Bye', author, status: 'approved', parentId, depth: 1 });
+
+      broadcastCommentEvent(STREAM_EVENTS.DELETED, comment);
+
+      expect(eventsOf(res)[1]).toEqual({
+        type: 'comment.deleted',
+        data: { commentId: comment._id.toString(), postId, parentId: parentId.toString() }
+      });
+    });
+  });
+
+  describe('closeAllStreams', () => {
+    it('should end every open stream', () => {
+      const { res } = follow([postId]);
+
+      closeAllStreams();
+
+      expect(res.end).toHaveBeenCalled();
+      expect(getStreamStats()).toEqual({ clients: 0, posts: 0 });
+    });
+  });
+});
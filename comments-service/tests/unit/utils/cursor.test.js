@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, createCursorFilter } = require('../../../utils/cursor');
+
+describe('Cursor Utils', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  it('should round-trip the position, keeping dates as dates', () => {
+    const createdAt = new Date('2024-05-01T10:00:00.000Z');
+    const cursor = encodeCursor({ field: 'createdAt', order: -1, value: createdAt, id, direction: 'next' });
+
+    const position = decodeCursor(cursor, 'createdAt', -1);
+
+    expect(position.value).toEqual(createdAt);
+    expect(position.id.equals(id)).toBe(true);
+    expect(position.direction).toBe('next');
+  });
+
+  it('should reject malformed cursors and cursors for another sort', () => {
+    const cursor = encodeCursor({ field: 'likes', order: -1, value: 3, id, direction: 'prev' });
+
+    expect(() => decodeCursor('not-a-cursor', 'likes', -1)).toThrow('Invalid cursor');
+    expect(() => decodeCursor(cursor, 'likes', 1)).toThrow('Cursor does not match the requested sort order');
+    expect(() => decodeCursor(cursor, 'createdAt', -1)).toThrow(expect.objectContaining({ code: 'INVALID_CURSOR' }));
+  });
+
+  it('should select comments after the position, breaking ties by _id', () => {
+    expect(createCursorFilter('likes', -1, 3, id)).toEqual({
+      $or: [
+        { likes: { $lt: 3 } },
+        { likes: 3, _id: { $lt: id } }
+      ]
+    });
+    expect(createCursorFilter('likes', 1, 3, id).$or[1]).toEqual({ likes: 3, _id: { $gt: id } });
+  });
+});
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Comment = require('../models/Comment');
+const config = require('../config/environment');
+const { broadcastCommentEvent } = require('./commentStream');
+
+// Comment lifecycle events published to posts-service
+const COMMENT_EVENTS = {
+  CREATED: 'comment.created',
+  APPROVED: 'comment.approved',
+  REJECTED: 'comment.rejected',
+  DELETED: 'comment.deleted',
+  STATUS_CHANGED: 'comment.status_changed'
+};
+
+// Map a moderation status change to the event that describes it
+const eventTypeForStatus = (status) => {
+  switch (status) {
+    case 'approved':
+      return COMMENT_EVENTS.APPROVED;
+    case 'rejected':
+      return COMMENT_EVENTS.REJECTED;
+    default:
+      return COMMENT_EVENTS.STATUS_CHANGED;
+  }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Build an event for a comment. Each event carries the post's current approved
+// comment count, so posts-service can apply events idempotently and ignore stale ones.
+const buildCommentEvent = async (type, comment) => {
+  // Capture the timestamp before counting - a later occurredAt always means a fresher count
+  const occurredAt = new Date();
+  const approvedCount = await Comment.countDocuments({ postId: comment.postId, status: 'approved' });
+
+  return {
+    eventId: crypto.randomUUID(),
+    type,
+    commentId: comment._id.toString(),
+    postId: comment.postId,
+    status: type === COMMENT_EVENTS.DELETED ? null : comment.status,
+    approvedCount,
+    occurredAt: occurredAt.toISOString()
+  };
+};
+
+// Deliver an event, retrying network errors and 5xx responses with linear backoff
+const deliverEvent = async (event) => {
+  const { url, timeout, eventRetries, eventRetryDelay } = config.services.postsService;
+
+  for (let attempt = 1; attempt <= eventRetries; attempt++) {
+    try {
+      await axios.post(`${url}/internal/events/comments`, event, {
+        timeout,
+        headers: { 'X-Internal-Token': config.security.internalServiceToken }
+      });
+      return true;
+    } catch (error) {
+      const status = error.response?.status;
+      const retryable = !status || status >= 500;
+
+      if (!retryable || attempt === eventRetries) {
+        console.error(`Failed to publish ${event.type} for comment ${event.commentId}:`, status || error.message);
+        return false;
+      }
+
+      await wait(eventRetryDelay * attempt);
+    }
+  }
+
+  return false;
+};
+
+// Publish a comment event to readers following the post and, without blocking the request, to posts-service.
+// Failures are logged; POST /internal/reconcile/comments-count in posts-service repairs any drift.
+const publishCommentEvent = async (type, comment) => {
+  broadcastCommentEvent(type, comment);
+
+  if (!config.services.postsService.eventsEnabled) {
+    return false;
+  }
+
+  try {
+    const event = await buildCommentEvent(type, comment);
+    return await deliverEvent(event);
+  } catch (error) {
+    console.error(`Failed to build ${type} event for comment ${comment._id}:`, error.message);
+    return false;
+  }
+};
+
+module.exports = {
+  COMMENT_EVENTS,
+  eventTypeForStatus,
+  buildCommentEvent,
+  publishCommentEvent
+};
@@ -0,0 +1,189 @@
+const config = require('../config/environment');
+
+// Events pushed to readers over GET /comments/stream. Lifecycle types match COMMENT_EVENTS;
+// edits and likes are stream-only, and `hidden` tells readers an approved comment left the thread.
+const STREAM_EVENTS = {
+  CREATED: 'comment.created',
+  APPROVED: 'comment.approved',
+  EDITED: 'comment.edited',
+  LIKED: 'comment.liked',
+  DELETED: 'comment.deleted',
+  HIDDEN: 'comment.hidden'
+};
+
+// Connected readers, indexed by the posts they follow. Streams are held in this process only,
+// so every instance behind a load balancer serves the events of the writes it handles.
+const clients = new Set();
+const clientsByPost = new Map();
+const clientCountByIp = new Map();
+let heartbeat = null;
+let sequence = 0;
+
+// How long browsers wait before reconnecting a dropped stream
+const RECONNECT_DELAY_MS = 5000;
+
+const write = (client, chunk) => {
+  if (!client.res.writableEnded) {
+    client.res.write(chunk);
+  }
+};
+
+const sendEvent = (client, type, data) => {
+  sequence += 1;
+  write(client, `id: ${sequence}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// A comment as readers see it in GET /posts/:post_id/comments, without the
+// author's email and IP or the likers list
+const toPublicComment = (comment) => {
+  const source = typeof comment.toObject === 'function' ? comment.toObject() : comment;
+  return {
+    _id: source._id.toString(),
+    postId: source.postId,
+    parentId: source.parentId ? source.parentId.toString() : null,
+    depth: source.depth,
+    content: source.content,
+    author: { name: source.author?.name, userId: source.author?.userId || null },
+    status: source.status,
+    likes: source.likes || 0,
+    isEdited: Boolean(source.isEdited),
+    editedAt: source.editedAt || null,
+    editWindow: source.editWindow,
+    createdAt: source.createdAt,
+    updatedAt: source.updatedAt
+  };
+};
+
+// Translate a comment change into what readers of the post need to apply, or null when
+// they never saw the comment (a new comment held for moderation)
+const toStreamEvent = (type, comment) => {
+  const ref = {
+    commentId: comment._id.toString(),
+    postId: comment.postId,
+    parentId: comment.parentId ? comment.parentId.toString() : null
+  };
+
+  if (type === STREAM_EVENTS.DELETED) {
+    return { type, data: ref };
+  }
+
+  if (comment.status !== 'approved') {
+    return type === STREAM_EVENTS.CREATED ? null : { type: STREAM_EVENTS.HIDDEN, data: { ...ref, status: comment.status } };
+  }
+
+  if (type === STREAM_EVENTS.LIKED) {
+    return { type, data: { ...ref, likes: comment.likes } };
+  }
+
+  // Any other change that leaves the comment approved makes it visible
+  const streamType = type === STREAM_EVENTS.CREATED || type === STREAM_EVENTS.EDITED ? type : STREAM_EVENTS.APPROVED;
+  return { type: streamType, data: { ...ref, comment: toPublicComment(comment) } };
+};
+
+// Push a comment change to the readers of its post
+const broadcastCommentEvent = (type, comment) => {
+  const followers = clientsByPost.get(comment.postId);
+  if (!followers || followers.size === 0) {
+    return 0;
+  }
+
+  const event = toStreamEvent(type, comment);
+  if (!event) {
+    return 0;
+  }
+
+  followers.forEach(client => sendEvent(client, event.type, event.data));
+  return followers.size;
+};
+
+// Comment lines keep proxies from closing idle streams
+const startHeartbeat = () => {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    clients.forEach(client => write(client, ': ping\n\n'));
+  }, config.realtime.heartbeatInterval);
+  heartbeat.unref();
+};
+
+const stopHeartbeat = () => {
+  clearInterval(heartbeat);
+  heartbeat = null;
+};
+
+const removeClient = (client) => {
+  if (!clients.delete(client)) return;
+
+  const count = clientCountByIp.get(client.ip) - 1;
+  if (count > 0) {
+    clientCountByIp.set(client.ip, count);
+  } else {
+    clientCountByIp.delete(client.ip);
+  }
+
+  client.postIds.forEach(postId => {
+    const followers = clientsByPost.get(postId);
+    if (!followers) return;
+    followers.delete(client);
+    if (followers.size === 0) clientsByPost.delete(postId);
+  });
+  if (clients.size === 0) stopHeartbeat();
+};
+
+// Streams currently open from one client IP
+const countClientStreams = (ip) => clientCountByIp.get(ip) || 0;
+
+// Turn the response into an event stream for the given posts.
+// Returns false without touching the response when the instance is at capacity.
+const openStream = (req, res, postIds) => {
+  if (clients.size >= config.realtime.maxClients) {
+    return false;
+  }
+
+  // no-transform also keeps compression middleware (here and in the gateway) from buffering events
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const client = { res, postIds, ip: req.ip };
+  clients.add(client);
+  clientCountByIp.set(client.ip, countClientStreams(client.ip) + 1);
+  postIds.forEach(postId => {
+    if (!clientsByPost.has(postId)) clientsByPost.set(postId, new Set());
+    clientsByPost.get(postId).add(client);
+  });
+  startHeartbeat();
+
+  write(client, `retry: ${RECONNECT_DELAY_MS}\n\n`);
+  sendEvent(client, 'ready', { postIds });
+
+  // The response closes when the client disconnects or the stream is ended
+  res.on('close', () => removeClient(client));
+  return true;
+};
+
+// End every open stream so the HTTP server can close
+const closeAllStreams = () => {
+  clients.forEach(client => {
+    removeClient(client);
+    client.res.end();
+  });
+};
+
+const getStreamStats = () => ({
+  clients: clients.size,
+  posts: clientsByPost.size
+});
+
+module.exports = {
+  STREAM_EVENTS,
+  toPublicComment,
+  broadcastCommentEvent,
+  openStream,
+  countClientStreams,
+  closeAllStreams,
+  getStreamStats
+};
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Opaque cursors for keyset pagination. A cursor records the sort it was issued for, the
+// comment's sort value and _id, and whether it pages forwards ("next") or backwards ("prev").
+const encodeCursor = ({ field, order, value, id, direction }) => {
+  const isDate = value instanceof Date;
+  const payload = {
+    f: field,
+    o: order,
+    v: isDate ? value.toISOString() : value,
+    ...(isDate && { t: 'date' }),
+    id: String(id),
+    d: direction
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const invalidCursor = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_CURSOR';
+  return error;
+};
+
+// Decode a cursor for the requested sort; throws an INVALID_CURSOR error when it is
+// malformed or was issued for a different sort
+const decodeCursor = (cursor, field, order) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor('Invalid cursor');
+  }
+
+  if (
+    !payload ||
+    !mongoose.Types.ObjectId.isValid(payload.id) ||
+    !['next', 'prev'].includes(payload.d) ||
+    payload.v === undefined || payload.v === null
+  ) {
+    throw invalidCursor('Invalid cursor');
+  }
+
+  if (payload.f !== field || payload.o !== order) {
+    throw invalidCursor('Cursor does not match the requested sort order');
+  }
+
+  const value = payload.t === 'date' ? new Date(payload.v) : payload.v;
+  if (value instanceof Date && isNaN(value.getTime())) {
+    throw invalidCursor('Invalid cursor');
+  }
+
+  return {
+    value,
+    id: new mongoose.Types.ObjectId(payload.id),
+    direction: payload.d
+  };
+};
+
+// Filter for the comments after a position when sorting by `field` and then _id, both in
+// `order`. Comment sort fields (createdAt, likes, reports) always have a value.
+const createCursorFilter = (field, order, value, id) => {
+  const op = order === -1 ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  createCursorFilter
+};
@@ -12,12 +12,22 @@ const config = {
   },
   
   // JWT Configuration - For token verification
+  // auth-service signs tokens with HS256 and the secret shared by all services
   jwt: {
-    publicKey: process.env.JWT_PUBLIC_KEY || null,
-    algorithm: process.env.JWT_ALGORITHM || 'RS256',
+    secret: process.env.JWT_SECRET || 'demo-secret',
+    algorithm: 'HS256',
     expiresIn: process.env.JWT_EXPIRES_IN || '24h'
   },
   
+  // Internal Service Communication
+  services: {
+    commentsService: {
+      url: process.env.COMMENTS_SERVICE_URL || 'http://localhost:4001',
+      timeout: parseInt(process.env.COMMENTS_SERVICE_TIMEOUT) || 10000
+    },
+    internalToken: process.env.INTERNAL_SERVICE_TOKEN || 'demo-internal-token'
+  },
+  
   // Rate Limiting
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -36,6 +46,34 @@ const config = {
     maxPageSize: parseInt(process.env.MAX_PAGE_SIZE) || 100
   },
   
+  // View Counting
+  views: {
+    // Repeat views by the same visitor within this window are not counted
+    dedupeWindowMs: parseInt(process.env.VIEW_DEDUPE_WINDOW_MS) || 30 * 60 * 1000, // 30 minutes
+    // Hourly view buckets are kept this long; daily buckets are kept forever
+    hourlyRetentionDays: parseInt(process.env.VIEW_HOURLY_RETENTION_DAYS) || 30
+  },
+  
+  // Scheduled Publishing
+  scheduling: {
+    enabled: process.env.SCHEDULED_PUBLISHING_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.SCHEDULED_PUBLISHING_INTERVAL_MS) || 60 * 1000 // 1 minute
+  },
+  
+  // Response Cache (Redis); disabled unless REDIS_URL is set
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false' && Boolean(process.env.REDIS_URL),
+    redisUrl: process.env.REDIS_URL || null,
+    keyPrefix: process.env.CACHE_KEY_PREFIX || 'posts:cache:',
+    connectTimeoutMs: parseInt(process.env.CACHE_CONNECT_TIMEOUT_MS) || 2000,
+    // Seconds each route's responses are kept
+    ttl: {
+      posts: parseInt(process.env.CACHE_TTL_POSTS) || 60,
+      categoriesWithCounts: parseInt(process.env.CACHE_TTL_CATEGORIES) || 300,
+      statsOverview: parseInt(process.env.CACHE_TTL_STATS_OVERVIEW) || 120
+    }
+  },
+  
   // Search Configuration
   search: {
     indexFields: (process.env.SEARCH_INDEX_FIELDS || 'title,content').split(',')
@@ -49,13 +87,21 @@ const config = {
 
 // Validation
 if (config.nodeEnv === 'production') {
-  if (!config.jwt.publicKey) {
-    throw new Error('JWT_PUBLIC_KEY must be set in production environment');
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set in production environment');
+  }
+
+  if (config.jwt.secret.length < 32) {
+    throw new Error('JWT_SECRET must be at least 32 characters in production environment');
   }
   
   if (!process.env.MONGODB_URI) {
     throw new Error('MONGODB_URI must be set in production environment');
   }
+  
+  if (!process.env.INTERNAL_SERVICE_TOKEN) {
+    throw new Error('INTERNAL_SERVICE_TOKEN must be set in production environment');
+  }
 }
 
 module.exports = config;
\ No newline at end of file
@@ -13,6 +13,9 @@ const connectDB = async () => {
     const conn = await mongoose.connect(mongoURI);
 
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+    if (!(await supportsTransactions())) {
+      console.warn('MongoDB is not a replica set: transactions are unavailable and bulk post actions will be rejected');
+    }
     return conn;
   } catch (error) {
     console.error('Error connecting to MongoDB:', error.message);
@@ -29,7 +32,46 @@ const disconnectDB = async () => {
   }
 };
 
+// Transactions need a replica set or sharded cluster; a standalone server has none
+let transactionSupport = null;
+
+const supportsTransactions = async () => {
+  if (transactionSupport === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  }
+  return transactionSupport;
+};
+
+/**
+ * Run work in a transaction. Deployments without transaction support are
+ * rejected (503) instead of running the work without one, so multi-document
+ * writes are never partly applied. The work may be retried on transient
+ * errors, so it must not keep state between attempts.
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} The result of the work
+ */
+const withTransaction = async (work) => {
+  if (!(await supportsTransactions())) {
+    const error = new Error('This operation needs MongoDB transactions, which require a replica set');
+    error.statusCode = 503;
+    throw error;
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
 module.exports = {
   connectDB,
-  disconnectDB
+  disconnectDB,
+  withTransaction
 };
\ No newline at end of file
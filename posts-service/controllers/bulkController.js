@@ -0,0 +1,195 @@
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const PostLike = require('../models/PostLike');
+const PostRevision = require('../models/PostRevision');
+const PostView = require('../models/PostView');
+const PostViewBucket = require('../models/PostViewBucket');
+const { withTransaction } = require('../config/database');
+const { snapshotPost, recordPostUpdate } = require('../utils/revisions');
+const { saveIfUnchanged } = require('../utils/concurrency');
+const { invalidateCache, CACHE_TAGS } = require('../utils/cache');
+const {
+  sendSuccess,
+  sendNotFound,
+  sendError,
+  asyncHandler
+} = require('../utils/response');
+
+// Matches the tag limit of post updates
+const MAX_TAGS = 10;
+
+// How each update action changes a post; returns an error message when it cannot be applied
+const UPDATE_ACTIONS = {
+  categorize: (post, { category }) => {
+    if (post.category.toString() !== category) {
+      post.category = category;
+    }
+  },
+  tag: (post, { tags }) => {
+    const added = tags.filter(tag => !post.tags.includes(tag));
+    if (post.tags.length + added.length > MAX_TAGS) {
+      return `A post can have at most ${MAX_TAGS} tags`;
+    }
+    if (added.length > 0) {
+      post.tags = [...post.tags, ...added];
+    }
+  },
+  untag: (post, { tags }) => {
+    const remaining = post.tags.filter(tag => !tags.includes(tag));
+    if (remaining.length !== post.tags.length) {
+      post.tags = remaining;
+    }
+  },
+  feature: (post) => {
+    post.featured = true;
+  },
+  unfeature: (post) => {
+    post.featured = false;
+  },
+  archive: (post) => {
+    post.status = 'archived';
+  }
+};
+
+// Actions that change which published posts a category has
+const COUNTED_ACTIONS = ['categorize', 'archive', 'delete'];
+
+const createBulkConflictError = (id) => {
+  const error = new Error(`Post '${id}' was modified during the bulk operation; no posts were changed`);
+  error.statusCode = 409;
+  return error;
+};
+
+/**
+ * Delete posts with their likes, view history and revisions
+ */
+const deletePosts = async (posts, session) => {
+  const postIds = posts.map(post => post._id);
+
+  // Operations in a transaction must not run in parallel
+  await Post.deleteMany({ _id: { $in: postIds } }, { session });
+  await PostLike.deleteMany({ post: { $in: postIds } }, { session });
+  await PostRevision.deleteMany({ post: { $in: postIds } }, { session });
+  await PostView.deleteMany({ post: { $in: postIds } }, { session });
+  await PostViewBucket.deleteMany({ post: { $in: postIds } }, { session });
+
+  return posts.map(post => ({ id: post._id.toString(), status: 'deleted' }));
+};
+
+/**
+ * Apply an update action to posts and record a revision for each changed one.
+ * A post that was edited in the meantime aborts the transaction.
+ */
+const updatePosts = async (req, posts, session) => {
+  const results = [];
+
+  for (const { post, before } of posts) {
+    if (!post.isModified()) {
+      results.push({ id: post._id.toString(), status: 'unchanged' });
+      continue;
+    }
+
+    if (!(await saveIfUnchanged(post))) {
+      throw createBulkConflictError(post._id);
+    }
+
+    const revision = await recordPostUpdate(req, post, before, { session });
+    results.push({
+      id: post._id.toString(),
+      status: 'updated',
+      revision: revision ? revision.revision : null
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Apply one action to many posts. Every post is checked before anything is
+ * written, and the writes run in a transaction, so either all posts change or
+ * none do. Category post counts are updated once, in the same transaction.
+ * POST /posts/bulk
+ */
+const bulkPostAction = asyncHandler(async (req, res) => {
+  const { action, ids } = req.body;
+
+  if (action === 'categorize' && !(await Category.exists({ _id: req.body.category }))) {
+    return sendNotFound(res, 'Category', req.body.category);
+  }
+
+  const result = await withTransaction(async (session) => {
+    const posts = await Post.find({ _id: { $in: ids } }).session(session);
+    const postsById = new Map(posts.map(post => [post._id.toString(), post]));
+
+    // Posts whose category counts may change: their current and new categories
+    const categoryIds = new Set();
+    const checked = ids.map((id) => {
+      const post = postsById.get(id);
+      if (!post) {
+        return { id, error: { id, status: 'not_found' } };
+      }
+
+      categoryIds.add(post.category.toString());
+      if (action === 'delete') {
+        return { id, post };
+      }
+
+      const before = snapshotPost(post);
+      const error = UPDATE_ACTIONS[action](post, req.body);
+      if (error) {
+        return { id, error: { id, status: 'failed', error } };
+      }
+
+      categoryIds.add(post.category.toString());
+      return { id, post, before };
+    });
+
+    if (checked.some(item => item.error)) {
+      return {
+        failed: true,
+        results: checked.map(item => item.error || { id: item.id, status: 'skipped' })
+      };
+    }
+
+    const results = action === 'delete'
+      ? await deletePosts(checked.map(item => item.post), session)
+      : await updatePosts(req, checked, session);
+
+    const changed = results.some(item => ['updated', 'deleted'].includes(item.status));
+    if (changed && COUNTED_ACTIONS.includes(action)) {
+      const categories = await Category.find({ _id: { $in: [...categoryIds] } }).session(session);
+      for (const category of categories) {
+        await category.updatePostCount(session);
+      }
+    }
+
+    return { failed: false, results, changed };
+  });
+
+  if (result.failed) {
+    const failures = result.results.filter(item => item.status !== 'skipped').length;
+    return sendError(res,
+      `Bulk ${action} failed for ${failures} of ${ids.length} posts; no posts were changed`,
+      400,
+      { results: result.results }
+    );
+  }
+
+  if (result.changed) {
+    await invalidateCache(CACHE_TAGS.POSTS);
+  }
+
+  const counts = result.results.reduce((totals, item) => {
+    totals[item.status] = (totals[item.status] || 0) + 1;
+    return totals;
+  }, {});
+
+  return sendSuccess(res, result.results, `Bulk ${action} applied to ${ids.length} posts`, 200, {
+    action,
+    counts
+  });
+});
+
+module.exports = {
+  bulkPostAction
+};
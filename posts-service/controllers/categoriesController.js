@@ -1,6 +1,13 @@
 const Category = require('../models/Category');
 const Post = require('../models/Post');
 const { buildQuery } = require('../utils/pagination');
+const { invalidateCache, CACHE_TAGS } = require('../utils/cache');
+const {
+  setVersionEtag,
+  matchesIfMatch,
+  saveIfUnchanged,
+  sendVersionConflict
+} = require('../utils/concurrency');
 const { 
   sendSuccess, 
   sendCreated, 
@@ -81,6 +88,7 @@ const getCategoryById = asyncHandler(async (req, res) => {
     recentPosts
   };
 
+  setVersionEtag(res, category, categoryWithPosts);
   return sendSuccess(res, categoryWithPosts, 'Category retrieved successfully');
 });
 
@@ -110,6 +118,7 @@ const getCategoryBySlug = asyncHandler(async (req, res) => {
     recentPosts
   };
 
+  setVersionEtag(res, category, categoryWithPosts);
   return sendSuccess(res, categoryWithPosts, 'Category retrieved successfully');
 });
 
@@ -138,7 +147,9 @@ const createCategory = asyncHandler(async (req, res) => {
   // Create the category
   const category = new Category(req.body);
   await category.save();
+  await invalidateCache(CACHE_TAGS.CATEGORIES);
 
+  setVersionEtag(res, category);
   const location = `/categories/${category._id}`;
   return sendCreated(res, category, 'Category created successfully', location);
 });
@@ -154,6 +165,11 @@ const updateCategory = asyncHandler(async (req, res) => {
     return sendNotFound(res, 'Category', req.params.id);
   }
 
+  // Refuse to overwrite changes the client has not seen
+  if (!matchesIfMatch(req, category)) {
+    return sendVersionConflict(req, res, Category, 'Category', req.params.id);
+  }
+
   // Check for duplicate name if being updated
   if (req.body.name && req.body.name !== category.name) {
     const existingCategory = await Category.findOne({ 
@@ -178,8 +194,12 @@ const updateCategory = asyncHandler(async (req, res) => {
 
   // Update the category
   Object.assign(category, req.body);
-  await category.save();
+  if (!(await saveIfUnchanged(category))) {
+    return sendVersionConflict(req, res, Category, 'Category', req.params.id);
+  }
+  await invalidateCache(CACHE_TAGS.CATEGORIES);
 
+  setVersionEtag(res, category);
   return sendSuccess(res, category, 'Category updated successfully');
 });
 
@@ -206,6 +226,7 @@ const deleteCategory = asyncHandler(async (req, res) => {
 
   // Delete the category
   await Category.findByIdAndDelete(req.params.id);
+  await invalidateCache(CACHE_TAGS.CATEGORIES);
 
   return sendSuccess(res, null, 'Category deleted successfully');
 });
@@ -297,12 +318,20 @@ const toggleCategoryStatus = asyncHandler(async (req, res) => {
     return sendNotFound(res, 'Category', req.params.id);
   }
 
+  if (!matchesIfMatch(req, category)) {
+    return sendVersionConflict(req, res, Category, 'Category', req.params.id);
+  }
+
   // Toggle the active status
   category.isActive = !category.isActive;
-  await category.save();
+  if (!(await saveIfUnchanged(category))) {
+    return sendVersionConflict(req, res, Category, 'Category', req.params.id);
+  }
+  await invalidateCache(CACHE_TAGS.CATEGORIES);
 
   const message = `Category ${category.isActive ? 'activated' : 'deactivated'} successfully`;
   
+  setVersionEtag(res, category);
   return sendSuccess(res, category, message);
 });
 
@@ -0,0 +1,103 @@
+const Post = require('../models/Post');
+const { fetchApprovedCommentCounts } = require('../utils/commentsService');
+const { invalidateCache, CACHE_TAGS } = require('../utils/cache');
+const {
+  sendSuccess,
+  sendNotFound,
+  asyncHandler
+} = require('../utils/response');
+
+// Maximum number of individual corrections listed in a reconciliation response
+const MAX_REPORTED_CORRECTIONS = 100;
+
+/**
+ * Apply a comment lifecycle event published by comments-service
+ * POST /internal/events/comments
+ */
+const handleCommentEvent = asyncHandler(async (req, res) => {
+  const { eventId, type, postId, approvedCount, occurredAt } = req.body;
+
+  const result = await Post.syncCommentsCount(postId, approvedCount, occurredAt);
+
+  // No match means either an unknown post or an event older than the current count
+  if (result.matchedCount === 0 && !(await Post.exists({ _id: postId }))) {
+    return sendNotFound(res, 'Post', postId);
+  }
+
+  const applied = result.matchedCount > 0;
+  if (applied) {
+    await invalidateCache(CACHE_TAGS.ENGAGEMENT);
+  }
+
+  return sendSuccess(res, {
+    eventId,
+    type,
+    postId,
+    applied,
+    commentsCount: applied ? approvedCount : undefined
+  }, applied ? 'Comment event applied' : 'Stale comment event ignored');
+});
+
+/**
+ * Recompute comment counts from comments-service
+ * POST /internal/reconcile/comments-count
+ */
+const reconcileCommentsCount = asyncHandler(async (req, res) => {
+  const { postIds } = req.body;
+
+  // asOf is when comments-service started counting, in its own clock like event
+  // occurredAt, so events that occurred later are not overwritten
+  const { counts, asOf } = await fetchApprovedCommentCounts(postIds || null);
+
+  const filter = postIds ? { _id: { $in: postIds } } : {};
+  const posts = await Post.find(filter).select('stats.commentsCount').lean();
+
+  const corrections = posts
+    .filter(post => (counts[post._id] || 0) !== post.stats.commentsCount)
+    .map(post => ({
+      postId: post._id,
+      previous: post.stats.commentsCount,
+      current: counts[post._id] || 0
+    }));
+
+  if (posts.length > 0) {
+    await Post.bulkWrite(posts.map(post => ({
+      updateOne: {
+        filter: {
+          _id: post._id,
+          $or: [
+            { 'stats.commentsCountOccurredAt': null },
+            { 'stats.commentsCountOccurredAt': { $lt: asOf } }
+          ]
+        },
+        update: {
+          $set: {
+            'stats.commentsCount': counts[post._id] || 0,
+            'stats.commentsCountOccurredAt': asOf
+          }
+        },
+        timestamps: false
+      }
+    })));
+  }
+
+  if (corrections.length > 0) {
+    await invalidateCache(CACHE_TAGS.ENGAGEMENT);
+  }
+
+  const knownPostIds = new Set(posts.map(post => post._id.toString()));
+  const unknownPosts = Object.keys(counts).filter(id => !knownPostIds.has(id)).length;
+
+  return sendSuccess(res, {
+    postsChecked: posts.length,
+    postsCorrected: corrections.length,
+    corrections: corrections.slice(0, MAX_REPORTED_CORRECTIONS),
+    unknownPosts,
+    asOf
+  }, 'Comment counts reconciled');
+});
+
+module.exports = {
+  handleCommentEvent,
+  reconcileCommentsCount
+};
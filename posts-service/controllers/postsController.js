@@ -1,55 +1,97 @@
 const Post = require('../models/Post');
 const Category = require('../models/Category');
-const { buildQuery, formatPaginatedResponse } = require('../utils/pagination');
+const PostLike = require('../models/PostLike');
+const PostView = require('../models/PostView');
+const PostViewBucket = require('../models/PostViewBucket');
+const PostRevision = require('../models/PostRevision');
+const { snapshotPost, recordPostCreate, recordPostUpdate } = require('../utils/revisions');
+const { renderContent } = require('../utils/content');
+const { buildQuery, createPagination, formatPaginatedResponse } = require('../utils/pagination');
+const { parseSearchTerms, highlightPost } = require('../utils/search');
+const { invalidateCache, CACHE_TAGS } = require('../utils/cache');
+const { MEDIA_TYPES, applyMergePatch, applyJsonPatch, isEqual } = require('../utils/patch');
+const { validateData, schemas } = require('../middleware/validation');
+const { sanitizeBody } = require('../middleware/security');
+const { canAccessPost } = require('../middleware/auth');
+const {
+  setVersionEtag,
+  matchesIfMatch,
+  saveIfUnchanged,
+  sendVersionConflict
+} = require('../utils/concurrency');
 const { 
   sendSuccess, 
   sendCreated, 
   sendNotFound, 
   sendError, 
+  sendValidationError,
   sendPaginated,
   asyncHandler 
 } = require('../utils/response');
 
+// Render content for posts saved before rendered HTML was stored
+const withRenderedContent = (post) => {
+  if (post.contentHtml) {
+    return post;
+  }
+
+  const { html, toc } = renderContent(post.content, post.format || 'html');
+  return { ...post, format: post.format || 'html', contentHtml: html, toc };
+};
+
+// Markdown source may carry raw inline HTML, so only the post's creator and admins get it back
+// for editing; readers get the sanitized contentHtml
+const forReader = (post, user) => {
+  const data = withRenderedContent(post);
+  if (canAccessPost(user, post)) {
+    return data;
+  }
+
+  const { content, ...rest } = data;
+  return rest;
+};
+
 /**
  * Get all posts with filtering, searching, and pagination
  * GET /posts
  */
 const getPosts = asyncHandler(async (req, res) => {
   // Build query with filters and pagination
-  const { filter, options, pagination } = await buildQuery(
+  const { filter, options, paginate } = await buildQuery(
     req.query, 
     Post, 
-    { status: 'published' } // Default filter for published posts only
+    { status: 'published' }, // Default filter for published posts only
+    { cursor: true }
   );
 
   // Execute query with population
-  const posts = await Post.find(filter, null, options)
+  const results = await Post.find(filter, null, options)
     .populate('category', 'name slug color')
-    .select('-content') // Exclude full content in list view
+    .select('-content -contentHtml') // Exclude full content in list view
     .lean();
-
-  // Convert array to object for React client compatibility
-  const postsObject = {};
-  posts.forEach(post => {
-    postsObject[post._id] = { ...post, id: post._id.toString() }; // Add id field for compatibility
-  });
+  const { data: posts, pagination } = paginate(results);
 
   // Add additional metadata
   const meta = {
     hasFilters: Object.keys(req.query).length > 0,
     filters: {
-      status: req.query.status || 'published',
+      status: 'published',
       category: req.query.category || null,
       search: req.query.search || null,
-      featured: req.query.featured || null
+      featured: req.query.featured || null,
+      author: req.query.author || null,
+      tags: req.query.tags || null,
+      startDate: req.query.startDate || null,
+      endDate: req.query.endDate || null
     }
   };
 
-  return sendPaginated(res, postsObject, pagination, 'Posts retrieved successfully', meta);
+  return sendPaginated(res, posts, pagination, 'Posts retrieved successfully', meta);
 });
 
 /**
- * Get a single post by ID
+ * Get a single post by ID. Drafts, scheduled and archived posts are only
+ * found by their author and admins.
  * GET /posts/:id
  */
 const getPostById = asyncHandler(async (req, res) => {
@@ -57,14 +99,14 @@ const getPostById = asyncHandler(async (req, res) => {
     .populate('category', 'name slug color description')
     .lean();
 
-  if (!post) {
+  if (!post || (post.status !== 'published' && !canAccessPost(req.user, post))) {
     return sendNotFound(res, 'Post', req.params.id);
   }
 
-  // Increment view count (in background, don't wait)
-  Post.findByIdAndUpdate(req.params.id, { $inc: { 'stats.views': 1 } }).exec();
-
-  return sendSuccess(res, post, 'Post retrieved successfully');
+  const data = forReader(post, req.user);
+  res.vary('Authorization');
+  setVersionEtag(res, post, data);
+  return sendSuccess(res, data, 'Post retrieved successfully');
 });
 
 /**
@@ -80,13 +122,10 @@ const getPostBySlug = asyncHandler(async (req, res) => {
     return sendNotFound(res, 'Post', req.params.slug);
   }
 
-  // Increment view count (in background, don't wait)
-  Post.findOneAndUpdate(
-    { slug: req.params.slug }, 
-    { $inc: { 'stats.views': 1 } }
-  ).exec();
-
-  return sendSuccess(res, post, 'Post retrieved successfully');
+  const data = forReader(post, req.user);
+  res.vary('Authorization');
+  setVersionEtag(res, post, data);
+  return sendSuccess(res, data, 'Post retrieved successfully');
 });
 
 /**
@@ -108,62 +147,90 @@ const createPost = asyncHandler(async (req, res) => {
     }
   }
 
-  // Create the post
-  const post = new Post(req.body);
+  // Create the post, owned by the signed-in caller
+  const post = new Post({ ...req.body, authorId: req.user ? req.user.id : null });
   await post.save();
 
+  // Record the initial revision
+  await recordPostCreate(req, post);
+
   // Update category post count
   await category.updatePostCount();
 
+  await invalidateCache(CACHE_TAGS.POSTS);
+
   // Populate category info for response
   await post.populate('category', 'name slug color');
 
+  setVersionEtag(res, post);
   const location = `/posts/${post._id}`;
   return sendCreated(res, post, 'Post created successfully', location);
 });
 
+// Fields a PATCH can change, as the client sees them
+const PATCHABLE_FIELDS = [
+  'title', 'content', 'format', 'excerpt', 'slug', 'author', 'category',
+  'tags', 'status', 'publishAt', 'featured', 'featuredImage', 'seo'
+];
+
+// What removing an optional field stores; an empty excerpt or slug is regenerated on save
+const REMOVED_FIELD_VALUES = {
+  excerpt: '',
+  slug: null,
+  tags: [],
+  publishAt: null,
+  featured: false,
+  featuredImage: {},
+  seo: {}
+};
+
 /**
- * Update an existing post
- * PUT /posts/:id
+ * Apply validated changes to a post and save it with a new revision.
+ * Shared by PUT and PATCH so both run the same checks and save hooks.
  */
-const updatePost = asyncHandler(async (req, res) => {
-  const post = await Post.findById(req.params.id);
-
-  if (!post) {
-    return sendNotFound(res, 'Post', req.params.id);
-  }
-
+const savePostChanges = async (req, res, post, changes) => {
   // If category is being updated, verify it exists
-  if (req.body.category && req.body.category !== post.category.toString()) {
-    const category = await Category.findById(req.body.category);
+  if (changes.category && changes.category !== post.category.toString()) {
+    const category = await Category.findById(changes.category);
     if (!category) {
-      return sendNotFound(res, 'Category', req.body.category);
+      return sendNotFound(res, 'Category', changes.category);
     }
   }
 
   // Check for duplicate slug if being updated
-  if (req.body.slug && req.body.slug !== post.slug) {
+  if (changes.slug && changes.slug !== post.slug) {
     const existingPost = await Post.findOne({ 
-      slug: req.body.slug, 
-      _id: { $ne: req.params.id } 
+      slug: changes.slug, 
+      _id: { $ne: post._id } 
     });
     if (existingPost) {
       return sendError(res, 'A post with this slug already exists', 409);
     }
   }
 
+  // Only drafts can be scheduled for publishing
+  if (changes.publishAt && (changes.status || post.status) !== 'draft') {
+    return sendError(res, 'Only drafts can be scheduled for publishing', 400);
+  }
+
   // Store old category for post count update
   const oldCategoryId = post.category;
+  const before = snapshotPost(post);
 
   // Update the post
-  Object.assign(post, req.body);
-  await post.save();
+  Object.assign(post, changes);
+  if (!(await saveIfUnchanged(post))) {
+    return sendVersionConflict(req, res, Post, 'Post', post._id.toString());
+  }
+
+  // Record what changed as a new revision
+  const revision = await recordPostUpdate(req, post, before);
 
   // Update category post counts if category changed
-  if (req.body.category && req.body.category !== oldCategoryId.toString()) {
+  if (changes.category && changes.category !== oldCategoryId.toString()) {
     const [oldCategory, newCategory] = await Promise.all([
       Category.findById(oldCategoryId),
-      Category.findById(req.body.category)
+      Category.findById(changes.category)
     ]);
     
     await Promise.all([
@@ -172,10 +239,113 @@ const updatePost = asyncHandler(async (req, res) => {
     ]);
   }
 
+  await invalidateCache(CACHE_TAGS.POSTS);
+
   // Populate category info for response
   await post.populate('category', 'name slug color');
 
-  return sendSuccess(res, post, 'Post updated successfully');
+  setVersionEtag(res, post);
+  return sendSuccess(res, post, 'Post updated successfully', 200, {
+    revision: revision ? revision.revision : null
+  });
+};
+
+/**
+ * Update an existing post
+ * PUT /posts/:id
+ */
+const updatePost = asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    return sendNotFound(res, 'Post', req.params.id);
+  }
+
+  // Refuse to overwrite changes the client has not seen
+  if (!matchesIfMatch(req, post)) {
+    return sendVersionConflict(req, res, Post, 'Post', req.params.id);
+  }
+
+  return savePostChanges(req, res, post, req.body);
+});
+
+/**
+ * Partially update a post with a JSON Merge Patch (application/merge-patch+json
+ * or application/json) or a JSON Patch (application/json-patch+json).
+ * The patch is applied to the post's editable fields and the changed fields
+ * are validated like a PUT body.
+ * PATCH /posts/:id
+ */
+const patchPost = asyncHandler(async (req, res) => {
+  const isJsonPatch = Boolean(req.is(MEDIA_TYPES.JSON_PATCH));
+  if (!isJsonPatch && !req.is(MEDIA_TYPES.MERGE_PATCH) && !req.is('application/json')) {
+    return sendError(res, `PATCH requires ${MEDIA_TYPES.MERGE_PATCH} or ${MEDIA_TYPES.JSON_PATCH}`, 415);
+  }
+
+  if (!isJsonPatch && (!req.body || typeof req.body !== 'object' || Array.isArray(req.body))) {
+    return sendError(res, 'A merge patch must be a JSON object', 400);
+  }
+
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    return sendNotFound(res, 'Post', req.params.id);
+  }
+
+  // Refuse to overwrite changes the client has not seen
+  if (!matchesIfMatch(req, post)) {
+    return sendVersionConflict(req, res, Post, 'Post', req.params.id);
+  }
+
+  // Patch a JSON copy of the editable fields, so IDs and dates are strings
+  const current = JSON.parse(JSON.stringify(post.toObject({ virtuals: false })));
+  const editable = PATCHABLE_FIELDS.reduce((fields, field) => {
+    if (current[field] !== undefined) {
+      fields[field] = current[field];
+    }
+    return fields;
+  }, {});
+
+  const patched = isJsonPatch
+    ? applyJsonPatch(editable, req.body)
+    : applyMergePatch(editable, req.body);
+
+  if (!patched || typeof patched !== 'object' || Array.isArray(patched)) {
+    return sendError(res, 'The patched post must be a JSON object', 400);
+  }
+
+  // Keep only the fields the patch changed; removed fields fall back to their empty value
+  const changes = {};
+  const errors = [];
+  PATCHABLE_FIELDS.forEach(field => {
+    if (isEqual(editable[field], patched[field])) {
+      return;
+    }
+
+    if (patched[field] !== undefined) {
+      changes[field] = patched[field];
+    } else if (field in REMOVED_FIELD_VALUES) {
+      changes[field] = REMOVED_FIELD_VALUES[field];
+    } else {
+      errors.push({ field, message: `"${field}" cannot be removed` });
+    }
+  });
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  // Nothing to validate when the patch changes nothing; saving it is a no-op
+  if (Object.keys(changes).length === 0) {
+    return savePostChanges(req, res, post, changes);
+  }
+
+  const { value, details } = validateData(schemas.post.update, sanitizeBody(changes));
+  if (details) {
+    return sendValidationError(res, details);
+  }
+
+  return savePostChanges(req, res, post, value);
 });
 
 /**
@@ -192,8 +362,14 @@ const deletePost = asyncHandler(async (req, res) => {
   // Store category ID for post count update
   const categoryId = post.category;
 
-  // Delete the post
+  // Delete the post with its likes, view history and revisions
   await Post.findByIdAndDelete(req.params.id);
+  await Promise.all([
+    PostLike.deleteMany({ post: post._id }),
+    PostRevision.deleteMany({ post: post._id }),
+    PostView.deleteMany({ post: post._id }),
+    PostViewBucket.deleteMany({ post: post._id })
+  ]);
 
   // Update category post count
   const category = await Category.findById(categoryId);
@@ -201,6 +377,8 @@ const deletePost = asyncHandler(async (req, res) => {
     await category.updatePostCount();
   }
 
+  await invalidateCache(CACHE_TAGS.POSTS);
+
   return sendSuccess(res, null, 'Post deleted successfully');
 });
 
@@ -216,17 +394,19 @@ const getPostsByCategory = asyncHandler(async (req, res) => {
   }
 
   // Build query with category filter
-  const { filter, options, pagination } = await buildQuery(
+  const { filter, options, paginate } = await buildQuery(
     req.query,
     Post,
-    { category: req.params.categoryId, status: 'published' }
+    { category: req.params.categoryId, status: 'published' },
+    { cursor: true }
   );
 
   // Execute query
-  const posts = await Post.find(filter, null, options)
+  const results = await Post.find(filter, null, options)
     .populate('category', 'name slug color')
-    .select('-content')
+    .select('-content -contentHtml')
     .lean();
+  const { data: posts, pagination } = paginate(results);
 
   const meta = {
     category: {
@@ -244,9 +424,9 @@ const getPostsByCategory = asyncHandler(async (req, res) => {
  * GET /posts/featured
  */
 const getFeaturedPosts = asyncHandler(async (req, res) => {
-  // Build query with featured filter
+  // Build query with featured filter - only published posts, whatever status is requested
   const { filter, options, pagination } = await buildQuery(
-    req.query,
+    { ...req.query, status: undefined },
     Post,
     { featured: true, status: 'published' }
   );
@@ -254,45 +434,79 @@ const getFeaturedPosts = asyncHandler(async (req, res) => {
   // Execute query
   const posts = await Post.find(filter, null, options)
     .populate('category', 'name slug color')
-    .select('-content')
+    .select('-content -contentHtml')
     .lean();
 
   return sendPaginated(res, posts, pagination, 'Featured posts retrieved successfully');
 });
 
 /**
- * Search posts
+ * Get upcoming scheduled posts, soonest first. Admins see every author's,
+ * other users only the posts they created.
+ * GET /posts/scheduled
+ */
+const getScheduledPosts = asyncHandler(async (req, res) => {
+  const { filter, options, pagination } = await buildQuery(
+    req.query,
+    Post,
+    {
+      status: 'draft',
+      publishAt: { $ne: null },
+      ...(!req.user.isAdmin && { authorId: req.user.id })
+    }
+  );
+
+  const posts = await Post.find(filter, null, { ...options, sort: { publishAt: 1, _id: 1 } })
+    .populate('category', 'name slug color')
+    .select('-content -contentHtml')
+    .lean();
+
+  const meta = {
+    nextPublishAt: pagination.currentPage === 1 && posts.length > 0 ? posts[0].publishAt : null
+  };
+
+  return sendPaginated(res, posts, pagination, 'Scheduled posts retrieved successfully', meta);
+});
+
+/**
+ * Search published posts, ranked by relevance, with highlighted matches
+ * and facet counts by category, tag and author
  * GET /posts/search
  */
 const searchPosts = asyncHandler(async (req, res) => {
-  const { q: searchQuery } = req.query;
+  const { q: searchQuery, category, author } = req.query;
 
   if (!searchQuery || searchQuery.trim().length < 2) {
     return sendError(res, 'Search query must be at least 2 characters long', 400);
   }
 
-  // Build search query
-  const { filter, options, pagination } = await buildQuery(
-    { ...req.query, search: searchQuery },
-    Post,
-    { status: 'published' }
-  );
+  const tags = [].concat(req.query.tags || []);
+  const { queryOptions } = createPagination(req.query, 0);
 
-  // Execute search with text score for relevance
-  const posts = await Post.find(filter, { score: { $meta: 'textScore' } }, {
-    ...options,
-    sort: { score: { $meta: 'textScore' }, ...options.sort }
-  })
-    .populate('category', 'name slug color')
-    .select('-content')
-    .lean();
+  const { posts, totalCount, facets } = await Post.searchPosts(searchQuery, {
+    category,
+    tags,
+    author,
+    ...queryOptions
+  });
+
+  const { pagination } = createPagination(req.query, totalCount);
+  const terms = parseSearchTerms(searchQuery);
+
+  const results = posts.map(({ contentText, ...post }) => ({
+    ...post,
+    score: Math.round(post.score * 1000) / 1000,
+    highlights: highlightPost({ ...post, contentText }, terms)
+  }));
 
   const meta = {
     searchQuery,
-    searchType: 'full-text'
+    searchType: 'full-text',
+    terms,
+    facets
   };
 
-  return sendPaginated(res, posts, pagination, 'Search results retrieved successfully', meta);
+  return sendPaginated(res, results, pagination, 'Search results retrieved successfully', meta);
 });
 
 /**
@@ -303,17 +517,19 @@ const getPostsByAuthor = asyncHandler(async (req, res) => {
   const { author } = req.params;
 
   // Build query with author filter
-  const { filter, options, pagination } = await buildQuery(
+  const { filter, options, paginate } = await buildQuery(
     req.query,
     Post,
-    { author: new RegExp(author, 'i'), status: 'published' }
+    { author: new RegExp(author, 'i'), status: 'published' },
+    { cursor: true }
   );
 
   // Execute query
-  const posts = await Post.find(filter, null, options)
+  const results = await Post.find(filter, null, options)
     .populate('category', 'name slug color')
-    .select('-content')
+    .select('-content -contentHtml')
     .lean();
+  const { data: posts, pagination } = paginate(results);
 
   const meta = {
     author,
@@ -331,17 +547,19 @@ const getPostsByTag = asyncHandler(async (req, res) => {
   const { tag } = req.params;
 
   // Build query with tag filter
-  const { filter, options, pagination } = await buildQuery(
+  const { filter, options, paginate } = await buildQuery(
     req.query,
     Post,
-    { tags: { $in: [tag.toLowerCase()] }, status: 'published' }
+    { tags: { $in: [tag.toLowerCase()] }, status: 'published' },
+    { cursor: true }
   );
 
   // Execute query
-  const posts = await Post.find(filter, null, options)
+  const results = await Post.find(filter, null, options)
     .populate('category', 'name slug color')
-    .select('-content')
+    .select('-content -contentHtml')
     .lean();
+  const { data: posts, pagination } = paginate(results);
 
   const meta = {
     tag,
@@ -357,9 +575,11 @@ module.exports = {
   getPostBySlug,
   createPost,
   updatePost,
+  patchPost,
   deletePost,
   getPostsByCategory,
   getFeaturedPosts,
+  getScheduledPosts,
   searchPosts,
   getPostsByAuthor,
   getPostsByTag
@@ -0,0 +1,224 @@
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const PostRevision = require('../models/PostRevision');
+const {
+  RESTORABLE_FIELDS,
+  getPath,
+  snapshotPost,
+  diffSnapshots,
+  recordPostUpdate
+} = require('../utils/revisions');
+const { createPagination } = require('../utils/pagination');
+const { canAccessPost } = require('../middleware/auth');
+const { invalidateCache, CACHE_TAGS } = require('../utils/cache');
+const {
+  setVersionEtag,
+  matchesIfMatch,
+  saveIfUnchanged,
+  sendVersionConflict
+} = require('../utils/concurrency');
+const {
+  sendSuccess,
+  sendNotFound,
+  sendError,
+  sendForbidden,
+  sendPaginated,
+  asyncHandler
+} = require('../utils/response');
+
+/**
+ * Load the post whose history is requested and check the caller may use it.
+ * Revisions hold drafts, including scheduled posts before they publish, so
+ * only the post's author and admins see or restore them. Sends the error
+ * response and returns null otherwise.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - { document: true to load a saveable document }
+ */
+const findPostForHistory = async (req, res, { document = false } = {}) => {
+  const query = Post.findById(req.params.id);
+  const post = document ? await query : await query.select('title authorId').lean();
+
+  if (!post) {
+    sendNotFound(res, 'Post', req.params.id);
+    return null;
+  }
+
+  if (!canAccessPost(req.user, post)) {
+    sendForbidden(res, 'Only the post\'s author or an admin can use its revisions');
+    return null;
+  }
+
+  return post;
+};
+
+/**
+ * List a post's revisions, newest first
+ * GET /posts/:id/revisions
+ */
+const getRevisions = asyncHandler(async (req, res) => {
+  const post = await findPostForHistory(req, res);
+  if (!post) {
+    return;
+  }
+
+  const totalCount = await PostRevision.countDocuments({ post: post._id });
+  const { queryOptions, pagination } = createPagination(req.query, totalCount);
+
+  const revisions = await PostRevision.find({ post: post._id })
+    .select('revision action author changes.field restoredFrom createdAt')
+    .sort({ revision: -1 })
+    .skip(queryOptions.skip)
+    .limit(queryOptions.limit)
+    .lean();
+
+  const data = revisions.map(({ changes, ...revision }) => ({
+    ...revision,
+    changedFields: changes.map(change => change.field)
+  }));
+
+  return sendPaginated(res, data, pagination, 'Revisions retrieved successfully', {
+    postId: post._id
+  });
+});
+
+/**
+ * Get a single revision with its snapshot and changes
+ * GET /posts/:id/revisions/:revision
+ */
+const getRevision = asyncHandler(async (req, res) => {
+  if (!await findPostForHistory(req, res)) {
+    return;
+  }
+
+  const revision = await PostRevision.findOne({
+    post: req.params.id,
+    revision: req.params.revision
+  }).lean();
+
+  if (!revision) {
+    return sendNotFound(res, 'Revision', req.params.revision);
+  }
+
+  return sendSuccess(res, revision, 'Revision retrieved successfully');
+});
+
+/**
+ * Compare two revisions of a post
+ * GET /posts/:id/revisions/diff?from=1&to=3
+ */
+const diffRevisions = asyncHandler(async (req, res) => {
+  if (!await findPostForHistory(req, res)) {
+    return;
+  }
+
+  const { from, to } = req.query;
+
+  const revisions = await PostRevision.find({
+    post: req.params.id,
+    revision: { $in: [from, to] }
+  }).select('revision snapshot createdAt').lean();
+
+  const fromRevision = revisions.find(revision => revision.revision === from);
+  const toRevision = revisions.find(revision => revision.revision === to);
+
+  if (!fromRevision) {
+    return sendNotFound(res, 'Revision', from);
+  }
+  if (!toRevision) {
+    return sendNotFound(res, 'Revision', to);
+  }
+
+  return sendSuccess(res, {
+    from: { revision: from, createdAt: fromRevision.createdAt },
+    to: { revision: to, createdAt: toRevision.createdAt },
+    changes: diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+  }, 'Revisions compared successfully');
+});
+
+/**
+ * Restore an older revision as the current version of a post.
+ * The publishing status is not changed. Creates a new revision.
+ * POST /posts/:id/revisions/:revision/restore
+ */
+const restoreRevision = asyncHandler(async (req, res) => {
+  const post = await findPostForHistory(req, res, { document: true });
+  if (!post) {
+    return;
+  }
+
+  if (!matchesIfMatch(req, post)) {
+    return sendVersionConflict(req, res, Post, 'Post', req.params.id);
+  }
+
+  const target = await PostRevision.findOne({
+    post: post._id,
+    revision: req.params.revision
+  }).lean();
+
+  if (!target) {
+    return sendNotFound(res, 'Revision', req.params.revision);
+  }
+
+  const { snapshot } = target;
+
+  // The revision's category or slug may no longer be usable
+  if (snapshot.category && snapshot.category !== post.category.toString()) {
+    if (!(await Category.exists({ _id: snapshot.category }))) {
+      return sendNotFound(res, 'Category', snapshot.category);
+    }
+  }
+
+  if (snapshot.slug && snapshot.slug !== post.slug) {
+    const existingPost = await Post.exists({ slug: snapshot.slug, _id: { $ne: post._id } });
+    if (existingPost) {
+      return sendError(res, 'A post with this revision\'s slug already exists', 409);
+    }
+  }
+
+  const before = snapshotPost(post);
+  const oldCategoryId = post.category.toString();
+
+  RESTORABLE_FIELDS.forEach(field => {
+    const value = getPath(snapshot, field);
+    post.set(field, value === null ? undefined : value);
+  });
+  if (!(await saveIfUnchanged(post))) {
+    return sendVersionConflict(req, res, Post, 'Post', req.params.id);
+  }
+
+  const revision = await recordPostUpdate(req, post, before, {
+    action: 'restore',
+    restoredFrom: target.revision
+  });
+
+  // Update category post counts if the category changed
+  if (post.category.toString() !== oldCategoryId) {
+    const [oldCategory, newCategory] = await Promise.all([
+      Category.findById(oldCategoryId),
+      Category.findById(post.category)
+    ]);
+
+    await Promise.all([
+      oldCategory?.updatePostCount(),
+      newCategory?.updatePostCount()
+    ]);
+  }
+
+  await invalidateCache(CACHE_TAGS.POSTS);
+
+  await post.populate('category', 'name slug color');
+
+  setVersionEtag(res, post);
+  return sendSuccess(res, post, `Revision ${target.revision} restored successfully`, 200, {
+    revision: revision ? revision.revision : null,
+    restoredFrom: target.revision
+  });
+});
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+};
@@ -1,12 +1,27 @@
+const mongoose = require('mongoose');
 const Post = require('../models/Post');
 const Category = require('../models/Category');
+const PostLike = require('../models/PostLike');
+const PostView = require('../models/PostView');
+const PostViewBucket = require('../models/PostViewBucket');
+const config = require('../config/config');
 const { 
   sendSuccess, 
   sendNotFound, 
   sendError,
   sendStats,
+  sendPaginated,
   asyncHandler 
 } = require('../utils/response');
+const { createPagination } = require('../utils/pagination');
+const { DAY_MS, periodStart, periodKey, listPeriods } = require('../utils/timeseries');
+const { fetchCommentActivity } = require('../utils/commentsService');
+const { invalidateCache, CACHE_TAGS } = require('../utils/cache');
+
+// Longest date range a time series can cover
+const MAX_TIMESERIES_RANGE_DAYS = 731;
+// Most posts a time series is built from; wider requests must be narrowed with ids
+const MAX_TIMESERIES_POSTS = 5000;
 
 /**
  * Get post statistics
@@ -64,69 +79,141 @@ const getPostStats = asyncHandler(async (req, res) => {
 });
 
 /**
- * Increment post views
+ * Record a post view - repeat views by the same visitor within
+ * the dedupe window are not counted
  * POST /posts/:id/view
  */
 const incrementPostViews = asyncHandler(async (req, res) => {
-  const post = await Post.findById(req.params.id);
+  const post = await Post.findById(req.params.id).select('stats.views').lean();
 
   if (!post) {
     return sendNotFound(res, 'Post', req.params.id);
   }
 
-  // Increment view count
-  post.stats.views += 1;
-  await post.save();
+  const viewer = { user: req.user, fingerprint: req.fingerprint };
+  const counted = await PostView.registerView(post._id, viewer, config.views.dedupeWindowMs);
+
+  let views = post.stats.views;
+  if (counted) {
+    const [updated] = await Promise.all([
+      Post.findByIdAndUpdate(
+        post._id,
+        { $inc: { 'stats.views': 1 } },
+        { new: true, timestamps: false }
+      ).select('stats.views').lean(),
+      PostViewBucket.recordView(post._id)
+    ]);
+    views = updated.stats.views;
+  }
 
   return sendSuccess(res, { 
-    views: post.stats.views,
-    message: 'View count updated'
+    views,
+    counted,
+    message: counted ? 'View count updated' : 'Repeat view not counted'
   }, 'Post view recorded successfully');
 });
 
 /**
- * Like a post
+ * Like a post (idempotent per user, or per fingerprint for anonymous users)
  * POST /posts/:id/like
  */
 const likePost = asyncHandler(async (req, res) => {
-  const post = await Post.findById(req.params.id);
+  const post = await Post.findById(req.params.id).select('stats.likes').lean();
 
   if (!post) {
     return sendNotFound(res, 'Post', req.params.id);
   }
 
-  // For now, just increment likes
-  // In a real app, you'd check if user already liked and implement unlike
-  post.stats.likes += 1;
-  await post.save();
+  const liker = { user: req.user, fingerprint: req.fingerprint };
+  const created = await PostLike.addLike(post._id, liker);
+
+  let likes = post.stats.likes;
+  if (created) {
+    const updated = await Post.findByIdAndUpdate(
+      post._id,
+      { $inc: { 'stats.likes': 1 } },
+      { new: true, timestamps: false }
+    ).select('stats.likes').lean();
+    likes = updated.stats.likes;
+    await invalidateCache(CACHE_TAGS.ENGAGEMENT);
+  }
 
   return sendSuccess(res, { 
-    likes: post.stats.likes,
-    message: 'Post liked'
-  }, 'Post liked successfully');
+    likes,
+    likedByMe: true,
+    alreadyLiked: !created
+  }, created ? 'Post liked successfully' : 'Post already liked');
 });
 
 /**
- * Unlike a post
+ * Unlike a post - only removes the caller's own like
  * DELETE /posts/:id/like
  */
 const unlikePost = asyncHandler(async (req, res) => {
-  const post = await Post.findById(req.params.id);
+  const post = await Post.findById(req.params.id).select('stats.likes').lean();
 
   if (!post) {
     return sendNotFound(res, 'Post', req.params.id);
   }
 
-  // Prevent negative likes
-  if (post.stats.likes > 0) {
-    post.stats.likes -= 1;
-    await post.save();
+  const liker = { user: req.user, fingerprint: req.fingerprint };
+  const removed = await PostLike.removeLike(post._id, liker);
+
+  let likes = post.stats.likes;
+  if (removed) {
+    // Prevent negative likes
+    const updated = await Post.findOneAndUpdate(
+      { _id: post._id, 'stats.likes': { $gt: 0 } },
+      { $inc: { 'stats.likes': -1 } },
+      { new: true, timestamps: false }
+    ).select('stats.likes').lean();
+    likes = updated ? updated.stats.likes : 0;
+    await invalidateCache(CACHE_TAGS.ENGAGEMENT);
   }
 
   return sendSuccess(res, { 
+    likes,
+    likedByMe: false,
+    wasLiked: removed
+  }, removed ? 'Post unliked successfully' : 'Post was not liked');
+});
+
+/**
+ * List the users who liked a post, most recent first
+ * GET /stats/posts/:id/likes
+ */
+const getPostLikers = asyncHandler(async (req, res) => {
+  const post = await Post.findById(req.params.id).select('stats.likes').lean();
+
+  if (!post) {
+    return sendNotFound(res, 'Post', req.params.id);
+  }
+
+  const filter = { post: post._id };
+  const [totalCount, anonymousLikes, likedByMe] = await Promise.all([
+    PostLike.countDocuments(filter),
+    PostLike.countDocuments({ ...filter, userId: null }),
+    PostLike.hasLiked(post._id, { user: req.user, fingerprint: req.fingerprint })
+  ]);
+
+  const { queryOptions, pagination } = createPagination(req.query, totalCount);
+
+  const likes = await PostLike.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(queryOptions.skip)
+    .limit(queryOptions.limit);
+
+  const likers = likes.map(like => {
+    const { userId, userName, anonymous, createdAt } = like.toJSON();
+    return { userId, userName, anonymous, likedAt: createdAt };
+  });
+
+  return sendPaginated(res, likers, pagination, 'Post likers retrieved successfully', {
+    postId: post._id,
     likes: post.stats.likes,
-    message: 'Post unliked'
-  }, 'Post unliked successfully');
+    anonymousLikes,
+    likedByMe
+  });
 });
 
 /**
@@ -292,44 +379,33 @@ const getOverviewStats = asyncHandler(async (req, res) => {
 });
 
 /**
- * Get trending posts (most viewed in last 7 days)
+ * Get trending posts (most views per day in the last `days` days, default 7)
  * GET /stats/trending
  */
 const getTrendingPosts = asyncHandler(async (req, res) => {
-  const { limit = 10 } = req.query;
-  const limitNum = Math.min(parseInt(limit), 50);
-
-  // For now, we'll use overall views as trending metric
-  // In a real app, you'd track views by date and calculate trending based on recent activity
-  const trendingPosts = await Post.find({ status: 'published' })
-    .select('title slug stats.views stats.likes publishedAt category author')
-    .populate('category', 'name slug color')
-    .sort({ 'stats.views': -1, publishedAt: -1 })
-    .limit(limitNum)
-    .lean();
-
-  // Add trending score calculation
-  const postsWithScore = trendingPosts.map(post => {
-    const daysSincePublished = post.publishedAt 
-      ? Math.max(1, Math.floor((new Date() - new Date(post.publishedAt)) / (1000 * 60 * 60 * 24)))
-      : 1;
-    
-    // Simple trending score: views per day since published
-    const trendingScore = (post.stats.views / daysSincePublished).toFixed(2);
-    
-    return {
-      ...post,
-      trendingScore: parseFloat(trendingScore),
-      daysSincePublished
-    };
-  });
-
-  // Sort by trending score
-  postsWithScore.sort((a, b) => b.trendingScore - a.trendingScore);
+  const { limit, days } = req.query;
+  // Hourly buckets give an exact rolling window but are only kept for a limited time
+  const windowDays = Math.min(days, config.views.hourlyRetentionDays);
+  const since = new Date(Date.now() - windowDays * DAY_MS);
+
+  // Average views per day over the window, counting only the days each post was live
+  const trending = await PostViewBucket.trendingPosts(since, { windowDays, limit });
+  await Post.populate(trending.map(({ post }) => post), { path: 'category', select: 'name slug color' });
+
+  const postsWithScore = trending.map(({ post, views, trendingScore, daysSincePublished }) => ({
+    ...post,
+    recentViews: views,
+    trendingScore,
+    daysSincePublished
+  }));
 
   return sendStats(res, {
     trending: postsWithScore,
-    criteria: 'Views per day since published',
+    criteria: `Views per day over the last ${windowDays} days`,
+    window: {
+      days: windowDays,
+      since: since.toISOString()
+    },
     generatedAt: new Date().toISOString()
   }, 'Trending posts retrieved successfully');
 });
@@ -339,9 +415,8 @@ const getTrendingPosts = asyncHandler(async (req, res) => {
  * GET /stats/performance
  */
 const getPerformanceStats = asyncHandler(async (req, res) => {
-  const { period = '30' } = req.query; // days
-  const days = Math.min(parseInt(period), 365);
-  const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const days = req.query.period;
+  const startDate = new Date(Date.now() - days * DAY_MS);
 
   // Get performance metrics for posts published in the period
   const performanceStats = await Post.aggregate([
@@ -400,6 +475,13 @@ const getPerformanceStats = asyncHandler(async (req, res) => {
     { $sort: { totalViews: -1 } }
   ]);
 
+  // Views recorded during the period, for all posts regardless of when they were published
+  const [timeline, mostViewed] = await Promise.all([
+    PostViewBucket.dailyTimeline(startDate),
+    PostViewBucket.mostViewedPosts(startDate, { granularity: 'day', limit: 10 })
+  ]);
+  const periodViews = timeline.reduce((total, day) => total + day.views, 0);
+
   const stats = {
     period: `${days} days`,
     startDate: startDate.toISOString(),
@@ -416,18 +498,170 @@ const getPerformanceStats = asyncHandler(async (req, res) => {
       minViews: 0
     },
     byCategory: categoryPerformance,
+    views: {
+      total: periodViews,
+      avgPerDay: timeline.length > 0 ? parseFloat((periodViews / timeline.length).toFixed(2)) : 0,
+      timeline,
+      topPosts: mostViewed.map(({ post, views }) => ({ ...post, periodViews: views }))
+    },
     generatedAt: new Date().toISOString()
   };
 
   return sendStats(res, stats, 'Performance statistics retrieved successfully');
 });
 
+/**
+ * Get views, likes and comments over time, per post, category or author
+ * GET /stats/timeseries
+ */
+const getTimeseries = asyncHandler(async (req, res) => {
+  const { groupBy, ids, granularity, limit } = req.query;
+  const to = req.query.to || new Date();
+  const from = req.query.from || new Date(to.getTime() - 30 * DAY_MS);
+
+  if (from >= to) {
+    return sendError(res, 'from must be before to', 400);
+  }
+
+  if (to - from > MAX_TIMESERIES_RANGE_DAYS * DAY_MS) {
+    return sendError(res, `Date range must not exceed ${MAX_TIMESERIES_RANGE_DAYS} days`, 400);
+  }
+
+  // Restrict the posts in scope to published posts of the requested posts, categories or authors
+  const filter = { status: 'published' };
+  const idList = ids ? ids.split(',').map(id => id.trim()).filter(Boolean) : null;
+  if (idList) {
+    if (groupBy === 'author') {
+      filter.author = { $in: idList };
+    } else if (!idList.every(id => mongoose.isValidObjectId(id))) {
+      return sendError(res, 'ids must be a comma-separated list of valid IDs', 400);
+    } else {
+      filter[groupBy === 'post' ? '_id' : 'category'] = { $in: idList };
+    }
+  }
+
+  const posts = await Post.find(filter)
+    .select('title slug author category')
+    .populate('category', 'name slug')
+    .limit(MAX_TIMESERIES_POSTS + 1)
+    .lean();
+
+  if (posts.length > MAX_TIMESERIES_POSTS) {
+    return sendError(res, `Time series cover at most ${MAX_TIMESERIES_POSTS} posts; narrow them with ids`, 400);
+  }
+
+  // One series per group, with a zeroed point for every period in the range
+  const periods = listPeriods(from, to, granularity);
+  const seriesByKey = new Map();
+  const seriesKeyByPost = new Map();
+
+  posts.forEach(post => {
+    let group;
+    if (groupBy === 'post') {
+      group = { key: post._id.toString(), label: post.title, slug: post.slug };
+    } else if (groupBy === 'category') {
+      // Skip posts whose category no longer exists
+      if (!post.category) return;
+      group = { key: post.category._id.toString(), label: post.category.name, slug: post.category.slug };
+    } else {
+      group = { key: post.author, label: post.author };
+    }
+
+    seriesKeyByPost.set(post._id.toString(), group.key);
+    if (!seriesByKey.has(group.key)) {
+      seriesByKey.set(group.key, {
+        ...group,
+        points: new Map(periods.map(period => [period, { views: 0, likes: 0, comments: 0 }]))
+      });
+    }
+  });
+
+  const postIds = posts.map(post => post._id);
+
+  const [views, likes, comments] = await Promise.all([
+    PostViewBucket.find({
+      post: { $in: postIds },
+      granularity: 'day',
+      bucketStart: { $gte: periodStart(from, 'day'), $lte: to }
+    }).select('post bucketStart views').lean(),
+    PostLike.aggregate([
+      { $match: { post: { $in: postIds }, createdAt: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: {
+            post: '$post',
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }
+          },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    // Comments live in comments-service; serve views and likes if it is unavailable.
+    // Without ids every published post is in scope, so the request is not narrowed.
+    fetchCommentActivity(from, to, idList ? postIds.map(String) : null).catch(error => {
+      console.error('Failed to fetch comment activity:', error.message);
+      return null;
+    })
+  ]);
+
+  const addToSeries = (metric, postId, date, count) => {
+    const key = seriesKeyByPost.get(postId.toString());
+    const point = key && seriesByKey.get(key).points.get(periodKey(date, granularity));
+    if (point) {
+      point[metric] += count;
+    }
+  };
+
+  views.forEach(bucket => addToSeries('views', bucket.post, bucket.bucketStart, bucket.views));
+  likes.forEach(({ _id, count }) => addToSeries('likes', _id.post, _id.date, count));
+  (comments || []).forEach(entry => addToSeries('comments', entry.postId, entry.date, entry.count));
+
+  const series = Array.from(seriesByKey.values()).map(({ points, ...group }) => {
+    const data = periods.map(period => ({ period, ...points.get(period) }));
+    const totals = data.reduce((sum, point) => ({
+      views: sum.views + point.views,
+      likes: sum.likes + point.likes,
+      comments: sum.comments + point.comments
+    }), { views: 0, likes: 0, comments: 0 });
+
+    return { ...group, totals, points: data };
+  });
+
+  // Most viewed series first
+  series.sort((a, b) =>
+    b.totals.views - a.totals.views ||
+    b.totals.likes - a.totals.likes ||
+    b.totals.comments - a.totals.comments ||
+    String(a.label).localeCompare(String(b.label))
+  );
+
+  return sendStats(res, {
+    groupBy,
+    granularity,
+    range: {
+      from: from.toISOString(),
+      to: to.toISOString()
+    },
+    periods,
+    series: series.slice(0, limit),
+    totalSeries: series.length,
+    sources: {
+      views: 'available',
+      likes: 'available',
+      comments: comments ? 'available' : 'unavailable'
+    },
+    generatedAt: new Date().toISOString()
+  }, 'Time series retrieved successfully');
+});
+
 module.exports = {
   getPostStats,
   incrementPostViews,
   likePost,
   unlikePost,
+  getPostLikers,
   getOverviewStats,
   getTrendingPosts,
-  getPerformanceStats
+  getPerformanceStats,
+  getTimeseries
 };
\ No newline at end of file
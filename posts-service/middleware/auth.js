@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const { sendUnauthorized } = require('../utils/response');
+
+/**
+ * Identify the caller for per-user actions such as likes and view counting.
+ * Sets req.user from a valid Bearer token (null for anonymous or invalid tokens)
+ * and req.fingerprint, a hash of the client's IP and headers used for anonymous users.
+ */
+const identifyUser = (req, res, next) => {
+  const ip = (req.ip || req.socket?.remoteAddress || 'unknown').replace(/^::ffff:/, '');
+  const userAgent = req.get('User-Agent') || 'unknown';
+  const language = req.get('Accept-Language') || '';
+
+  req.fingerprint = crypto
+    .createHash('sha256')
+    .update(`${ip}|${userAgent}|${language}`)
+    .digest('hex');
+
+  const authHeader = req.get('Authorization');
+  const token = authHeader && authHeader.split(' ')[1];
+
+  req.user = null;
+
+  if (!token) {
+    return next();
+  }
+
+  jwt.verify(token, config.jwt.secret, { algorithms: [config.jwt.algorithm] }, (err, decoded) => {
+    if (!err && (decoded.id || decoded.sub)) {
+      req.user = {
+        id: String(decoded.id || decoded.sub),
+        name: decoded.name || decoded.username || null,
+        isAdmin: Boolean(decoded.isAdmin)
+      };
+    }
+    next();
+  });
+};
+
+/**
+ * Reject anonymous callers with a 401. Runs after identifyUser.
+ */
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return sendUnauthorized(res);
+  }
+  next();
+};
+
+/**
+ * Whether a caller may see a post's unpublished work: admins see everyone's,
+ * other users only posts they created. Checked against the creator's user ID,
+ * since the author name is free text that anyone can use.
+ * @param {Object|null} user - req.user from identifyUser
+ * @param {Object} post - Post with its authorId
+ * @returns {boolean} True when the caller created the post or is an admin
+ */
+const canAccessPost = (user, post) => Boolean(user) &&
+  (user.isAdmin || (Boolean(post.authorId) && post.authorId === user.id));
+
+module.exports = {
+  identifyUser,
+  requireUser,
+  canAccessPost
+};
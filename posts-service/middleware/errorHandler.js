@@ -55,6 +55,14 @@ const errorHandler = (err, req, res, next) => {
     };
   }
 
+  // Body larger than the parser's limit
+  if (err.type === 'entity.too.large') {
+    error = {
+      message: 'Request body is too large',
+      statusCode: 413
+    };
+  }
+
   // Rate limit error
   if (err.statusCode === 429) {
     error = {
@@ -1,8 +1,10 @@
+const crypto = require('crypto');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss');
 const config = require('../config/config');
+const { CONTENT_WHITELIST } = require('../utils/content');
 
 // Rate limiting configuration
 const createRateLimit = (windowMs = config.rateLimit.windowMs, max = config.rateLimit.maxRequests) => {
@@ -38,33 +40,31 @@ const veryStrictRateLimit = createRateLimit(
   Math.floor(config.rateLimit.maxRequests / 10)
 );
 
+// XSS-sanitize the top-level string fields of a request body (in place)
+const sanitizeBody = (body) => {
+  for (const key in body) {
+    // Post content is sanitized by the Post model when it is rendered,
+    // so markdown source is not mangled here
+    if (key === 'content') {
+      continue;
+    }
+
+    if (typeof body[key] === 'string') {
+      body[key] = xss(body[key], {
+        whiteList: CONTENT_WHITELIST,
+        stripIgnoreTag: true,
+        stripIgnoreTagBody: ['script', 'style']
+      });
+    }
+  }
+  return body;
+};
+
 // XSS sanitization middleware
 const sanitizeInput = (req, res, next) => {
   // Sanitize request body
   if (req.body) {
-    for (const key in req.body) {
-      if (typeof req.body[key] === 'string') {
-        req.body[key] = xss(req.body[key], {
-          whiteList: {
-            // Allow basic formatting tags for content
-            p: [],
-            br: [],
-            strong: [],
-            em: [],
-            u: [],
-            h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
-            ul: [], ol: [], li: [],
-            blockquote: [],
-            code: ['class'],
-            pre: ['class'],
-            a: ['href', 'title', 'target'],
-            img: ['src', 'alt', 'title', 'width', 'height']
-          },
-          stripIgnoreTag: true,
-          stripIgnoreTagBody: ['script', 'style']
-        });
-      }
-    }
+    sanitizeBody(req.body);
   }
 
   // Sanitize query parameters
@@ -163,12 +163,36 @@ const corsSecurityCheck = (req, res, next) => {
   });
 };
 
+// Service-to-service authentication for /internal routes
+const requireInternalToken = (req, res, next) => {
+  const token = req.get('X-Internal-Token') || '';
+  const expected = config.services.internalToken;
+
+  // Compare fixed-length digests: timingSafeEqual needs equal byte lengths,
+  // which tokens with multibyte characters may not have
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const valid = crypto.timingSafeEqual(digest(token), digest(expected));
+
+  if (!valid) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: 'Invalid internal service token'
+      }
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   securityHeaders,
   requestSanitization,
+  sanitizeBody,
   rateLimit: createRateLimit(),
   strictRateLimit,
   veryStrictRateLimit,
   validateContentLength,
-  corsSecurityCheck
+  corsSecurityCheck,
+  requireInternalToken
 };
\ No newline at end of file
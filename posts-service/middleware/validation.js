@@ -39,6 +39,10 @@ const postSchemas = {
         'any.required': 'Content is required'
       }),
     
+    format: Joi.string().valid('html', 'markdown').default('html').messages({
+      'any.only': 'Format must be either html or markdown'
+    }),
+    
     excerpt: Joi.string()
       .trim()
       .max(500)
@@ -83,7 +87,18 @@ const postSchemas = {
         'array.unique': 'Tags must be unique'
       }),
     
-    status: baseSchemas.status.default('published'),
+    // Scheduled posts are drafts until publishAt
+    status: Joi.when('publishAt', {
+      is: Joi.exist(),
+      then: Joi.string().valid('draft').default('draft').messages({
+        'any.only': 'Only drafts can be scheduled for publishing'
+      }),
+      otherwise: baseSchemas.status.default('published')
+    }),
+    
+    publishAt: Joi.date().iso().greater('now').messages({
+      'date.greater': 'Scheduled publish time must be in the future'
+    }),
     
     featured: Joi.boolean().default(false),
     
@@ -116,7 +131,10 @@ const postSchemas = {
   update: Joi.object({
     title: Joi.string().trim().min(3).max(200),
     content: Joi.string().min(10).max(50000),
+    format: Joi.string().valid('html', 'markdown'),
     excerpt: Joi.string().trim().max(500).allow(''),
+    // null regenerates the slug from the title
+    slug: baseSchemas.slug.allow(null),
     author: Joi.string().trim().min(2).max(100),
     category: baseSchemas.objectId,
     tags: Joi.array()
@@ -129,7 +147,17 @@ const postSchemas = {
       )
       .max(10)
       .unique(),
-    status: baseSchemas.status,
+    status: Joi.when('publishAt', {
+      is: Joi.date().required(),
+      then: Joi.string().valid('draft').messages({
+        'any.only': 'Only drafts can be scheduled for publishing'
+      }),
+      otherwise: baseSchemas.status
+    }),
+    // null cancels a scheduled publish
+    publishAt: Joi.date().iso().greater('now').allow(null).messages({
+      'date.greater': 'Scheduled publish time must be in the future'
+    }),
     featured: Joi.boolean(),
     featuredImage: Joi.object({
       url: Joi.string().uri(),
@@ -164,7 +192,61 @@ const postSchemas = {
     startDate: Joi.date().iso(),
     endDate: Joi.date().iso().min(Joi.ref('startDate')).messages({
       'date.min': 'End date must be after start date'
+    }),
+    // Cursor pagination: empty for the first page, then nextCursor/prevCursor
+    cursor: Joi.string().allow('').max(1000),
+    includeTotal: Joi.boolean()
+  }),
+
+  // One action applied to many posts at once
+  bulk: Joi.object({
+    action: Joi.string()
+      .valid('categorize', 'tag', 'untag', 'feature', 'unfeature', 'archive', 'delete')
+      .required(),
+    // IDs are lower-cased so case variants of one ID match and count as duplicates
+    ids: Joi.array()
+      .items(baseSchemas.objectId.lowercase())
+      .min(1)
+      .max(100)
+      .unique()
+      .required()
+      .messages({
+        'array.max': 'At most 100 posts can be changed at once',
+        'array.unique': 'Post IDs must be unique'
+      }),
+    category: Joi.when('action', {
+      is: 'categorize',
+      then: baseSchemas.objectId.lowercase().required(),
+      otherwise: Joi.forbidden()
+    }),
+    tags: Joi.when('action', {
+      is: Joi.valid('tag', 'untag'),
+      then: Joi.array()
+        .items(Joi.string().trim().lowercase().max(30).pattern(/^[a-z0-9-]+$/))
+        .min(1)
+        .max(10)
+        .unique()
+        .required(),
+      otherwise: Joi.forbidden()
     })
+  }),
+
+  // Full-text search; results are always ranked by relevance
+  search: Joi.object({
+    q: Joi.string().trim().min(2).max(100).required().messages({
+      'string.min': 'Search query must be at least 2 characters long',
+      'string.max': 'Search query must not exceed 100 characters',
+      'any.required': 'Search query is required',
+      'string.empty': 'Search query is required'
+    }),
+    page: baseSchemas.pagination.page,
+    limit: baseSchemas.pagination.limit,
+    category: baseSchemas.objectId,
+    author: Joi.string().trim().max(100),
+    tags: Joi.alternatives().try(
+      Joi.string().trim().lowercase(),
+      Joi.array().items(Joi.string().trim().lowercase())
+    )
   })
 };
 
@@ -220,6 +302,70 @@ const categorySchemas = {
   })
 };
 
+// Statistics validation schemas
+const statsSchemas = {
+  likersQuery: Joi.object({
+    page: baseSchemas.pagination.page,
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  trendingQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(50).default(10),
+    // Capped by the hourly bucket retention
+    days: Joi.number().integer().min(1).max(365).default(7)
+  }),
+
+  performanceQuery: Joi.object({
+    // Days
+    period: Joi.number().integer().min(1).max(365).default(30)
+  }),
+
+  timeseriesQuery: Joi.object({
+    groupBy: Joi.string().valid('post', 'category', 'author').default('post'),
+    // Comma-separated post/category IDs or author names to restrict the series to
+    ids: Joi.string().trim().max(2000),
+    granularity: Joi.string().valid('day', 'week', 'month').default('day'),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().when('from', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('from'))
+    }),
+    limit: Joi.number().integer().min(1).max(50).default(10)
+  })
+};
+
+// Post revision validation schemas
+const revisionSchemas = {
+  query: Joi.object({
+    page: baseSchemas.pagination.page,
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
+  diffQuery: Joi.object({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1).required()
+  })
+};
+
+// Internal (service-to-service) validation schemas
+const internalSchemas = {
+  commentEvent: Joi.object({
+    eventId: Joi.string().max(100).required(),
+    type: Joi.string()
+      .valid('comment.created', 'comment.approved', 'comment.rejected', 'comment.deleted', 'comment.status_changed')
+      .required(),
+    commentId: Joi.string().max(100).required(),
+    postId: baseSchemas.objectId.required(),
+    status: Joi.string().valid('pending', 'approved', 'rejected', 'flagged').allow(null),
+    approvedCount: Joi.number().integer().min(0).required(),
+    occurredAt: Joi.date().iso().required()
+  }),
+
+  reconcileComments: Joi.object({
+    postIds: Joi.array().items(baseSchemas.objectId).min(1).max(1000).optional()
+  })
+};
+
 // Parameter validation schemas
 const paramSchemas = {
   postId: Joi.object({
@@ -232,32 +378,46 @@ const paramSchemas = {
   
   slug: Joi.object({
     slug: baseSchemas.slug.required()
+  }),
+
+  revision: Joi.object({
+    id: baseSchemas.objectId.required(),
+    revision: Joi.number().integer().min(1).required()
   })
 };
 
+// Validate data against a schema; returns the sanitized value, or the error details
+const validateData = (schema, data) => {
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+  
+  if (error) {
+    return {
+      details: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }))
+    };
+  }
+  
+  return { value };
+};
+
 // Validation middleware factory
 const validate = (schema, property = 'body') => {
   return (req, res, next) => {
-    const dataToValidate = req[property];
-    
-    const { error, value } = schema.validate(dataToValidate, {
-      abortEarly: false,
-      stripUnknown: true,
-      convert: true
-    });
+    const { value, details } = validateData(schema, req[property]);
     
-    if (error) {
-      const errorMessages = error.details.map(detail => ({
-        field: detail.path.join('.'),
-        message: detail.message,
-        value: detail.context?.value
-      }));
-      
+    if (details) {
       return res.status(400).json({
         success: false,
         error: {
           message: 'Validation failed',
-          details: errorMessages
+          details
         }
       });
     }
@@ -306,11 +466,15 @@ const validateDateRange = (req, res, next) => {
 
 module.exports = {
   validate,
+  validateData,
   validateObjectId,
   validateDateRange,
   schemas: {
     post: postSchemas,
     category: categorySchemas,
+    stats: statsSchemas,
+    revision: revisionSchemas,
+    internal: internalSchemas,
     params: paramSchemas
   }
 };
\ No newline at end of file
@@ -37,6 +37,8 @@ const categorySchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
+  // Every save bumps __v and fails if another save got there first
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
@@ -53,10 +55,11 @@ categorySchema.pre('save', function(next) {
 });
 
 // Update post count when category is referenced
-categorySchema.methods.updatePostCount = async function() {
+categorySchema.methods.updatePostCount = async function(session = null) {
   const Post = mongoose.model('Post');
-  this.postCount = await Post.countDocuments({ category: this._id, status: 'published' });
-  await this.save();
+  this.postCount = await Post.countDocuments({ category: this._id, status: 'published' }).session(session);
+  // A derived count, so it neither bumps the version nor conflicts with edits
+  await this.constructor.updateOne({ _id: this._id }, { $set: { postCount: this.postCount } }, { session });
 };
 
 // Virtual for posts
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { CONTENT_FORMATS, sanitizeHtml, htmlToText, renderContent } = require('../utils/content');
+const { escapeRegex } = require('../utils/search');
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -14,6 +16,24 @@ const postSchema = new mongoose.Schema({
     minlength: [10, 'Content must be at least 10 characters'],
     maxlength: [50000, 'Content must not exceed 50000 characters']
   },
+  // How content is authored - markdown source is rendered to contentHtml on save
+  format: {
+    type: String,
+    enum: CONTENT_FORMATS,
+    default: 'html'
+  },
+  // Sanitized HTML rendered from content, with heading anchors
+  contentHtml: {
+    type: String,
+    default: ''
+  },
+  // Table of contents built from the rendered headings
+  toc: [{
+    _id: false,
+    level: Number,
+    text: String,
+    id: String
+  }],
   excerpt: {
     type: String,
     maxlength: [500, 'Excerpt must not exceed 500 characters'],
@@ -33,6 +53,12 @@ const postSchema = new mongoose.Schema({
     minlength: [2, 'Author name must be at least 2 characters'],
     maxlength: [100, 'Author name must not exceed 100 characters']
   },
+  // User ID of the signed-in creator, from the Authorization token; unpublished
+  // work is only shown to them (and admins), as the author name is free text
+  authorId: {
+    type: String,
+    default: null
+  },
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
@@ -82,6 +108,13 @@ const postSchema = new mongoose.Schema({
       type: Number,
       default: 0,
       min: 0
+    },
+    // comments-service time of the state the count reflects (an event's occurredAt or a
+    // reconciliation's asOf); only compared with other comments-service times, so clock
+    // skew between the services cannot drop fresh counts
+    commentsCountOccurredAt: {
+      type: Date,
+      default: null
     }
   },
   seo: {
@@ -102,9 +135,16 @@ const postSchema = new mongoose.Schema({
   publishedAt: {
     type: Date,
     default: null
+  },
+  // Scheduled publishing time for drafts - the scheduled publisher publishes the post at this time
+  publishAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
+  // Every save bumps __v and fails if another save got there first
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
@@ -116,39 +156,60 @@ postSchema.index({ category: 1, status: 1 });
 postSchema.index({ tags: 1 });
 postSchema.index({ slug: 1 }, { unique: true });
 postSchema.index({ author: 1 });
+postSchema.index({ authorId: 1, status: 1 });
 postSchema.index({ featured: 1, status: 1 });
+postSchema.index({ status: 1, publishAt: 1 });
 
-// Pre-save middleware
-postSchema.pre('save', function(next) {
-  // Generate slug from title if not provided
-  if (this.isModified('title') && !this.slug) {
+// Generate slug from title if not provided (or removed) - before validation, as slug is required
+postSchema.pre('validate', function(next) {
+  if (!this.slug && this.title) {
     this.slug = this.title
       .toLowerCase()
       .replace(/[^a-z0-9]+/g, '-')
       .replace(/^-+|-+$/g, '')
       .substring(0, 100);
   }
-  
-  // Generate excerpt if not provided
-  if (this.isModified('content') && !this.excerpt) {
-    this.excerpt = this.content
-      .replace(/<[^>]*>/g, '') // Remove HTML tags
-      .substring(0, 200)
-      .trim() + '...';
-  }
-  
-  // Calculate word count and reading time
-  if (this.isModified('content')) {
-    const words = this.content.replace(/<[^>]*>/g, '').split(/\s+/).length;
+  next();
+});
+
+// Pre-save middleware
+postSchema.pre('save', function(next) {
+  // Render content and derive excerpt, word count and reading time from the rendered text
+  if (this.isModified('content') || this.isModified('format') || !this.contentHtml) {
+    // Restored revisions of posts saved before formats existed carry no format
+    if (!this.format) {
+      this.format = 'html';
+    }
+
+    // HTML content is stored sanitized; markdown source is kept as written
+    if (this.format === 'html') {
+      this.content = sanitizeHtml(this.content);
+    }
+    
+    const { html, text, toc } = renderContent(this.content, this.format);
+    this.contentHtml = html;
+    this.toc = toc;
+    
+    const words = text.split(/\s+/).filter(Boolean).length;
     this.metadata.wordCount = words;
     this.metadata.readTime = Math.ceil(words / 200); // Assuming 200 words per minute
   }
   
+  // Generate excerpt if not provided (or removed)
+  if (!this.excerpt) {
+    this.excerpt = htmlToText(this.contentHtml).substring(0, 200).trim() + '...';
+  }
+  
   // Set published date when status changes to published
   if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
     this.publishedAt = new Date();
   }
   
+  // Only drafts can be scheduled - publishing or archiving a post cancels its schedule
+  if (this.status !== 'draft' && this.publishAt) {
+    this.publishAt = null;
+  }
+  
   // Generate SEO fields if not provided
   if (this.isModified('title') && !this.seo.metaTitle) {
     this.seo.metaTitle = this.title.substring(0, 60);
@@ -170,12 +231,146 @@ postSchema.statics.findByCategory = function(categoryId, options = {}) {
   return this.find({ category: categoryId, status: 'published', ...options }).populate('category');
 };
 
-postSchema.statics.searchPosts = function(query, options = {}) {
-  return this.find({
-    $text: { $search: query },
-    status: 'published',
-    ...options
-  }).populate('category');
+/**
+ * Ranked full-text search over published posts. Results are sorted by text
+ * score (then newest first) and come with facet counts by category, tag and
+ * author. Each facet ignores its own filter, so it lists the alternatives to
+ * the current choice. Results carry `score` and a plain-text `contentText`
+ * in place of the content.
+ */
+postSchema.statics.searchPosts = async function(query, options = {}) {
+  const { category, tags = [], author, skip = 0, limit = 10, facetLimit = 10 } = options;
+
+  const filters = {
+    category: category ? { category: new mongoose.Types.ObjectId(category) } : {},
+    tags: tags.length > 0 ? { tags: { $in: tags } } : {},
+    author: author ? { author: new RegExp(`^${escapeRegex(author)}$`, 'i') } : {}
+  };
+  const matchFilters = (except) => ({
+    $match: Object.assign({}, ...Object.entries(filters)
+      .filter(([name]) => name !== except)
+      .map(([, filter]) => filter))
+  });
+  const countBy = (field) => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: facetLimit }
+  ];
+
+  const [result] = await this.aggregate([
+    { $match: { $text: { $search: query }, status: 'published' } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    {
+      $facet: {
+        results: [
+          matchFilters(),
+          { $sort: { score: -1, publishedAt: -1, _id: 1 } },
+          { $skip: skip },
+          { $limit: limit }
+        ],
+        total: [matchFilters(), { $count: 'count' }],
+        categories: [
+          matchFilters('category'),
+          { $match: { category: { $ne: null } } },
+          ...countBy('$category'),
+          { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+          { $unwind: '$category' },
+          {
+            $project: {
+              _id: 0,
+              id: '$_id',
+              name: '$category.name',
+              slug: '$category.slug',
+              color: '$category.color',
+              count: 1
+            }
+          }
+        ],
+        tags: [
+          matchFilters('tags'),
+          { $unwind: '$tags' },
+          ...countBy('$tags'),
+          { $project: { _id: 0, tag: '$_id', count: 1 } }
+        ],
+        authors: [
+          matchFilters('author'),
+          ...countBy('$author'),
+          { $project: { _id: 0, author: '$_id', count: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  await this.populate(result.results, { path: 'category', select: 'name slug color' });
+
+  const posts = result.results.map(({ content, contentHtml, ...post }) => ({
+    ...post,
+    contentText: contentHtml ? htmlToText(contentHtml) : renderContent(content, post.format || 'html').text
+  }));
+
+  return {
+    posts,
+    totalCount: result.total[0]?.count || 0,
+    facets: {
+      categories: result.categories,
+      tags: result.tags,
+      authors: result.authors
+    }
+  };
+};
+
+/**
+ * Publish drafts whose publishAt time has passed. Each post is claimed with a
+ * conditional update, so concurrent publishers never publish a post twice.
+ * Returns the published posts.
+ */
+postSchema.statics.publishDuePosts = async function(now = new Date(), batchSize = 100) {
+  const due = await this.find({ status: 'draft', publishAt: { $ne: null, $lte: now } })
+    .select('publishAt')
+    .sort({ publishAt: 1 })
+    .limit(batchSize)
+    .lean();
+
+  const published = [];
+
+  for (const { _id, publishAt } of due) {
+    const post = await this.findOneAndUpdate(
+      { _id, status: 'draft', publishAt },
+      { $set: { status: 'published', publishedAt: publishAt, publishAt: null }, $inc: { __v: 1 } },
+      { new: true }
+    );
+
+    if (post) {
+      published.push(post);
+    }
+  }
+
+  return published;
+};
+
+/**
+ * Set the approved comments count reported by comments-service.
+ * Only applied when occurredAt, in comments-service time, is newer than that of the
+ * last applied count, so replayed or out-of-order events are ignored.
+ * Returns the update result.
+ */
+postSchema.statics.syncCommentsCount = function(postId, count, occurredAt = new Date()) {
+  return this.updateOne(
+    {
+      _id: postId,
+      $or: [
+        { 'stats.commentsCountOccurredAt': null },
+        { 'stats.commentsCountOccurredAt': { $lt: occurredAt } }
+      ]
+    },
+    {
+      $set: {
+        'stats.commentsCount': Math.max(0, count),
+        'stats.commentsCountOccurredAt': occurredAt
+      }
+    },
+    { timestamps: false }
+  );
 };
 
 // Instance methods
@@ -189,9 +384,14 @@ postSchema.methods.incrementLikes = function() {
   return this.save();
 };
 
-postSchema.methods.updateCommentsCount = async function() {
-  // This would be called from the comments service
-  // For now, it's a placeholder for future integration
+postSchema.methods.updateCommentsCount = async function(count, occurredAt = new Date()) {
+  const result = await this.constructor.syncCommentsCount(this._id, count, occurredAt);
+
+  if (result.modifiedCount > 0) {
+    this.stats.commentsCount = Math.max(0, count);
+    this.stats.commentsCountOccurredAt = occurredAt;
+  }
+
   return this;
 };
 
@@ -206,4 +406,9 @@ postSchema.virtual('readTimeFormatted').get(function() {
   return time <= 1 ? '1 min read' : `${time} min read`;
 });
 
+// Virtual for scheduled drafts
+postSchema.virtual('isScheduled').get(function() {
+  return this.status === 'draft' && Boolean(this.publishAt);
+});
+
 module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+const postLikeSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // "user:<id>" for authenticated users, "anon:<fingerprint>" for anonymous ones
+  likerKey: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: String,
+    default: null
+  },
+  userName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'User name must not exceed 100 characters'],
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'post_likes'
+});
+
+// One like per liker per post
+postLikeSchema.index({ post: 1, likerKey: 1 }, { unique: true });
+postLikeSchema.index({ post: 1, createdAt: -1 });
+postLikeSchema.index({ userId: 1 });
+
+// Build the key that identifies a liker
+postLikeSchema.statics.keyFor = function({ user, fingerprint }) {
+  return user ? `user:${user.id}` : `anon:${fingerprint}`;
+};
+
+/**
+ * Record a like. Returns true if a new like was created,
+ * false if this liker had already liked the post.
+ */
+postLikeSchema.statics.addLike = async function(postId, { user, fingerprint }) {
+  const likerKey = this.keyFor({ user, fingerprint });
+
+  try {
+    const result = await this.updateOne(
+      { post: postId, likerKey },
+      {
+        $setOnInsert: {
+          userId: user ? user.id : null,
+          userName: user ? user.name : null
+        }
+      },
+      { upsert: true }
+    );
+
+    return result.upsertedCount > 0;
+  } catch (error) {
+    // Concurrent upserts for the same liker - the other request created the like
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Remove a like. Returns true if this liker's like was removed.
+ */
+postLikeSchema.statics.removeLike = async function(postId, { user, fingerprint }) {
+  const result = await this.deleteOne({
+    post: postId,
+    likerKey: this.keyFor({ user, fingerprint })
+  });
+
+  return result.deletedCount > 0;
+};
+
+postLikeSchema.statics.hasLiked = async function(postId, { user, fingerprint }) {
+  const like = await this.exists({
+    post: postId,
+    likerKey: this.keyFor({ user, fingerprint })
+  });
+
+  return Boolean(like);
+};
+
+// Never expose the anonymous fingerprint
+postLikeSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    const anonymous = !ret.userId;
+    delete ret.likerKey;
+    delete ret.__v;
+    return { ...ret, anonymous };
+  }
+});
+
+module.exports = mongoose.model('PostLike', postLikeSchema);
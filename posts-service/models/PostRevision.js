@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// Attempts at claiming the next revision number before giving up
+const MAX_RECORD_ATTEMPTS = 5;
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// A stored version of a post's editable fields
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Sequential per post, starting at 1
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'restore'],
+    required: true
+  },
+  // Tracked fields after the change (see utils/revisions)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Field-level changes from the previous revision
+  changes: {
+    type: [changeSchema],
+    default: []
+  },
+  author: {
+    id: { type: String, default: null },
+    name: { type: String, default: null }
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'post_revisions',
+  minimize: false
+});
+
+postRevisionSchema.index({ post: 1, revision: -1 }, { unique: true });
+
+/**
+ * Store a new revision with the next revision number for the post,
+ * optionally as part of a transaction
+ */
+postRevisionSchema.statics.record = async function(postId, { action, snapshot, changes = [], author = null, restoredFrom = null }, session = null) {
+  for (let attempt = 1; attempt <= MAX_RECORD_ATTEMPTS; attempt++) {
+    const latest = await this.findOne({ post: postId })
+      .sort({ revision: -1 })
+      .select('revision')
+      .session(session)
+      .lean();
+
+    try {
+      const [revision] = await this.create([{
+        post: postId,
+        revision: latest ? latest.revision + 1 : 1,
+        action,
+        snapshot,
+        changes,
+        author: author || {},
+        restoredFrom
+      }], { session });
+      return revision;
+    } catch (error) {
+      // A concurrent edit claimed the same number - try the next one
+      if (error.code !== 11000 || attempt === MAX_RECORD_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Record the current state of a post created before revisions were tracked,
+ * so its original version can still be viewed and restored
+ */
+postRevisionSchema.statics.ensureBaseline = async function(postId, snapshot, session = null) {
+  if (await this.exists({ post: postId }).session(session)) {
+    return null;
+  }
+
+  try {
+    const [revision] = await this.create([{ post: postId, revision: 1, action: 'create', snapshot }], { session });
+    return revision;
+  } catch (error) {
+    // A concurrent edit recorded the baseline first
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
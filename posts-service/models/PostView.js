@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Records that a visitor has viewed a post recently, so repeat views
+// within the dedupe window are not counted again
+const postViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // "user:<id>" for authenticated users, "anon:<fingerprint>" for anonymous ones
+  viewerKey: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false,
+  collection: 'post_views'
+});
+
+// One active view window per viewer per post
+postViewSchema.index({ post: 1, viewerKey: 1 }, { unique: true });
+// Let MongoDB remove expired windows
+postViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Build the key that identifies a viewer
+postViewSchema.statics.keyFor = function({ user, fingerprint }) {
+  return user ? `user:${user.id}` : `anon:${fingerprint}`;
+};
+
+/**
+ * Register a view. Returns true if the view should be counted, false if
+ * the viewer already viewed the post within the dedupe window.
+ */
+postViewSchema.statics.registerView = async function(postId, { user, fingerprint }, windowMs) {
+  const now = new Date();
+
+  try {
+    // Matches only an expired window (the TTL monitor removes them lazily);
+    // otherwise inserts a new one, which fails if an active window exists
+    const result = await this.updateOne(
+      { post: postId, viewerKey: this.keyFor({ user, fingerprint }), expiresAt: { $lte: now } },
+      { $set: { expiresAt: new Date(now.getTime() + windowMs) } },
+      { upsert: true }
+    );
+
+    return result.upsertedCount > 0 || result.modifiedCount > 0;
+  } catch (error) {
+    // An active window exists, or a concurrent request just created one
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('PostView', postViewSchema);
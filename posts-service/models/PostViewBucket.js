@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Start of the UTC hour / day containing a date
+const startOfHour = (date) => new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+const startOfDay = (date) => new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+// Total views per post in buckets of a granularity since a date
+const viewsPerPostStages = (since, granularity) => [
+  {
+    $match: {
+      granularity,
+      bucketStart: { $gte: granularity === 'hour' ? startOfHour(since) : startOfDay(since) }
+    }
+  },
+  { $group: { _id: '$post', views: { $sum: '$views' } } }
+];
+
+// Join each post and drop those that are not published
+const publishedPostStages = [
+  {
+    $lookup: {
+      from: 'posts',
+      localField: '_id',
+      foreignField: '_id',
+      as: 'post'
+    }
+  },
+  { $unwind: '$post' },
+  { $match: { 'post.status': 'published' } }
+];
+
+const postSummary = {
+  _id: '$post._id',
+  title: '$post.title',
+  slug: '$post.slug',
+  stats: { views: '$post.stats.views', likes: '$post.stats.likes' },
+  publishedAt: '$post.publishedAt',
+  category: '$post.category',
+  author: '$post.author'
+};
+
+// Counted views per post, aggregated into hourly and daily buckets
+const postViewBucketSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  granularity: {
+    type: String,
+    enum: ['hour', 'day'],
+    required: true
+  },
+  bucketStart: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Only set on hourly buckets; daily buckets are kept for long-range stats
+  expiresAt: {
+    type: Date,
+    default: undefined
+  }
+}, {
+  timestamps: false,
+  collection: 'post_view_buckets'
+});
+
+postViewBucketSchema.index({ post: 1, granularity: 1, bucketStart: 1 }, { unique: true });
+postViewBucketSchema.index({ granularity: 1, bucketStart: -1 });
+postViewBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Add a counted view to the post's hourly and daily buckets
+ */
+postViewBucketSchema.statics.recordView = function(postId, at = new Date()) {
+  const hourStart = startOfHour(at);
+  const retentionMs = config.views.hourlyRetentionDays * DAY_MS;
+
+  return this.bulkWrite([
+    {
+      updateOne: {
+        filter: { post: postId, granularity: 'hour', bucketStart: hourStart },
+        update: {
+          $inc: { views: 1 },
+          $setOnInsert: { expiresAt: new Date(hourStart.getTime() + retentionMs) }
+        },
+        upsert: true
+      }
+    },
+    {
+      updateOne: {
+        filter: { post: postId, granularity: 'day', bucketStart: startOfDay(at) },
+        update: { $inc: { views: 1 } },
+        upsert: true
+      }
+    }
+  ], { ordered: false });
+};
+
+/**
+ * Most viewed published posts since a date, using hourly buckets for an exact
+ * rolling window or daily buckets for longer ranges.
+ * Returns [{ post, views }] with the post's summary fields.
+ */
+postViewBucketSchema.statics.mostViewedPosts = function(since, { granularity = 'hour', limit = 10 } = {}) {
+  return this.aggregate([
+    ...viewsPerPostStages(since, granularity),
+    { $sort: { views: -1, _id: 1 } },
+    ...publishedPostStages,
+    { $limit: limit },
+    { $project: { _id: 0, views: 1, post: postSummary } }
+  ]);
+};
+
+/**
+ * Published posts with the most views per day since a date, counting only the days
+ * each post was live, from hourly buckets. Scored before limiting so a new post with
+ * few views can outrank an old one with many.
+ * Returns [{ post, views, trendingScore, daysSincePublished }].
+ */
+postViewBucketSchema.statics.trendingPosts = function(since, { windowDays, limit = 10, now = new Date() }) {
+  return this.aggregate([
+    ...viewsPerPostStages(since, 'hour'),
+    ...publishedPostStages,
+    {
+      $addFields: {
+        // Unpublished dates count as one day, like posts published today
+        daysSincePublished: {
+          $max: [1, { $floor: { $divide: [{ $subtract: [now, '$post.publishedAt'] }, DAY_MS] } }]
+        }
+      }
+    },
+    {
+      $addFields: {
+        trendingScore: {
+          $round: [{ $divide: ['$views', { $min: [windowDays, '$daysSincePublished'] }] }, 2]
+        }
+      }
+    },
+    { $sort: { trendingScore: -1, views: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, views: 1, trendingScore: 1, daysSincePublished: 1, post: postSummary } }
+  ]);
+};
+
+/**
+ * Total views per day since a date, with days without views filled in as zero
+ */
+postViewBucketSchema.statics.dailyTimeline = async function(since, until = new Date()) {
+  const from = startOfDay(since);
+
+  const days = await this.aggregate([
+    { $match: { granularity: 'day', bucketStart: { $gte: from, $lte: until } } },
+    { $group: { _id: '$bucketStart', views: { $sum: '$views' } } }
+  ]);
+
+  const viewsByDay = new Map(days.map(day => [day._id.getTime(), day.views]));
+  const timeline = [];
+
+  for (let day = from.getTime(); day <= until.getTime(); day += DAY_MS) {
+    timeline.push({
+      date: new Date(day).toISOString().slice(0, 10),
+      views: viewsByDay.get(day) || 0
+    });
+  }
+
+  return timeline;
+};
+
+module.exports = mongoose.model('PostViewBucket', postViewBucketSchema);
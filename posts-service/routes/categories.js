@@ -18,6 +18,8 @@ const {
 // Import middleware
 const { validate, validateObjectId } = require('../middleware/validation');
 const { rateLimit, strictRateLimit, veryStrictRateLimit } = require('../middleware/security');
+const { cacheResponse, CACHE_TAGS } = require('../utils/cache');
+const config = require('../config/config');
 
 // Validation schemas
 const { schemas } = require('../middleware/validation');
@@ -38,6 +40,10 @@ router.get('/active',
 router.get('/with-counts', 
   rateLimit,
   validate(schemas.category.query, 'query'),
+  cacheResponse({
+    ttl: config.cache.ttl.categoriesWithCounts,
+    tags: [CACHE_TAGS.CATEGORIES, CACHE_TAGS.POSTS]
+  }),
   getCategoriesWithCounts
 );
 
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  handleCommentEvent,
+  reconcileCommentsCount
+} = require('../controllers/internalController');
+
+// Import middleware
+const { validate, schemas } = require('../middleware/validation');
+const { requireInternalToken, veryStrictRateLimit } = require('../middleware/security');
+
+// Internal routes are for other services only - not exposed through the API gateway
+router.use(requireInternalToken);
+
+// Comment lifecycle events from comments-service
+router.post('/events/comments', 
+  validate(schemas.internal.commentEvent),
+  handleCommentEvent
+);
+
+// Recompute Post.stats.commentsCount from comments-service
+router.post('/reconcile/comments-count', 
+  veryStrictRateLimit,
+  validate(schemas.internal.reconcileComments),
+  reconcileCommentsCount
+);
+
+module.exports = router;
@@ -8,38 +8,73 @@ const {
   getPostBySlug,
   createPost,
   updatePost,
+  patchPost,
   deletePost,
   getPostsByCategory,
   getFeaturedPosts,
+  getScheduledPosts,
   searchPosts,
   getPostsByAuthor,
   getPostsByTag
 } = require('../controllers/postsController');
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} = require('../controllers/revisionsController');
+const { bulkPostAction } = require('../controllers/bulkController');
 
 // Import middleware
 const { validate, validateObjectId, validateDateRange } = require('../middleware/validation');
-const { rateLimit, strictRateLimit, validateContentLength } = require('../middleware/security');
+const {
+  rateLimit,
+  strictRateLimit,
+  validateContentLength,
+  requestSanitization
+} = require('../middleware/security');
+const { identifyUser, requireUser } = require('../middleware/auth');
+const { cacheResponse, CACHE_TAGS } = require('../utils/cache');
+const { MEDIA_TYPES } = require('../utils/patch');
+const config = require('../config/config');
 
 // Validation schemas
 const { schemas } = require('../middleware/validation');
 
+// Post listings embed category details and like/comment counts
+const cachePostList = cacheResponse({
+  ttl: config.cache.ttl.posts,
+  tags: [CACHE_TAGS.POSTS, CACHE_TAGS.CATEGORIES, CACHE_TAGS.ENGAGEMENT]
+});
+
 // Public routes (read operations)
 router.get('/', 
   rateLimit,
   validate(schemas.post.query, 'query'),
   validateDateRange,
+  cachePostList,
   getPosts
 );
 
 router.get('/featured', 
   rateLimit,
   validate(schemas.post.query, 'query'),
+  cachePostList,
   getFeaturedPosts
 );
 
-router.get('/search', 
+router.get('/scheduled', 
   rateLimit,
   validate(schemas.post.query, 'query'),
+  identifyUser,
+  requireUser,
+  getScheduledPosts
+);
+
+router.get('/search', 
+  rateLimit,
+  validate(schemas.post.search, 'query'),
+  cachePostList,
   searchPosts
 );
 
@@ -47,49 +82,112 @@ router.get('/category/:categoryId',
   rateLimit,
   validateObjectId,
   validate(schemas.post.query, 'query'),
+  cachePostList,
   getPostsByCategory
 );
 
 router.get('/author/:author', 
   rateLimit,
   validate(schemas.post.query, 'query'),
+  cachePostList,
   getPostsByAuthor
 );
 
 router.get('/tags/:tag', 
   rateLimit,
   validate(schemas.post.query, 'query'),
+  cachePostList,
   getPostsByTag
 );
 
 router.get('/slug/:slug', 
   rateLimit,
   validate(schemas.params.slug, 'params'),
+  identifyUser,
   getPostBySlug
 );
 
 router.get('/:id', 
   rateLimit,
   validateObjectId,
+  identifyUser,
   getPostById
 );
 
+// Revision history
+router.get('/:id/revisions', 
+  rateLimit,
+  validateObjectId,
+  validate(schemas.revision.query, 'query'),
+  identifyUser,
+  requireUser,
+  getRevisions
+);
+
+router.get('/:id/revisions/diff', 
+  rateLimit,
+  validateObjectId,
+  validate(schemas.revision.diffQuery, 'query'),
+  identifyUser,
+  requireUser,
+  diffRevisions
+);
+
+router.get('/:id/revisions/:revision', 
+  rateLimit,
+  validate(schemas.params.revision, 'params'),
+  identifyUser,
+  requireUser,
+  getRevision
+);
+
+router.post('/:id/revisions/:revision/restore', 
+  strictRateLimit,
+  validate(schemas.params.revision, 'params'),
+  identifyUser,
+  requireUser,
+  restoreRevision
+);
+
 // Write operations (require stricter rate limiting)
 router.post('/', 
   strictRateLimit,
   validateContentLength(50000),
   validate(schemas.post.create),
+  identifyUser,
   createPost
 );
 
+router.post('/bulk', 
+  strictRateLimit,
+  validate(schemas.post.bulk),
+  identifyUser,
+  bulkPostAction
+);
+
 router.put('/:id', 
   strictRateLimit,
   validateObjectId,
   validateContentLength(50000),
   validate(schemas.post.update),
+  identifyUser,
   updatePost
 );
 
+// Merge patches and JSON Patch documents; plain JSON is parsed by the app.
+// Bodies parsed here missed the app's sanitization, so it runs again. The
+// parser's limit is checked before the body is read, ahead of
+// validateContentLength; 1mb still fits fully escaped 50,000-character content.
+router.patch('/:id', 
+  strictRateLimit,
+  validateObjectId,
+  express.json({ type: [MEDIA_TYPES.MERGE_PATCH, MEDIA_TYPES.JSON_PATCH], limit: '1mb' }),
+  requestSanitization,
+  validateContentLength(50000),
+  identifyUser,
+  patchPost
+);
+
 router.delete('/:id', 
   strictRateLimit,
   validateObjectId,
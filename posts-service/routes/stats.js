@@ -7,31 +7,48 @@ const {
   incrementPostViews,
   likePost,
   unlikePost,
+  getPostLikers,
   getOverviewStats,
   getTrendingPosts,
-  getPerformanceStats
+  getPerformanceStats,
+  getTimeseries
 } = require('../controllers/statsController');
 
 // Import middleware
-const { validateObjectId } = require('../middleware/validation');
+const { validate, validateObjectId, schemas } = require('../middleware/validation');
 const { rateLimit, strictRateLimit } = require('../middleware/security');
+const { identifyUser } = require('../middleware/auth');
+const { cacheResponse, CACHE_TAGS } = require('../utils/cache');
+const config = require('../config/config');
 
 // General statistics routes
 router.get('/overview', 
   rateLimit,
+  cacheResponse({
+    ttl: config.cache.ttl.statsOverview,
+    tags: [CACHE_TAGS.POSTS, CACHE_TAGS.CATEGORIES, CACHE_TAGS.ENGAGEMENT]
+  }),
   getOverviewStats
 );
 
 router.get('/trending', 
   rateLimit,
+  validate(schemas.stats.trendingQuery, 'query'),
   getTrendingPosts
 );
 
 router.get('/performance', 
   rateLimit,
+  validate(schemas.stats.performanceQuery, 'query'),
   getPerformanceStats
 );
 
+router.get('/timeseries', 
+  rateLimit,
+  validate(schemas.stats.timeseriesQuery, 'query'),
+  getTimeseries
+);
+
 // Post-specific statistics and actions
 router.get('/posts/:id', 
   rateLimit,
@@ -43,18 +60,29 @@ router.get('/posts/:id',
 router.post('/posts/:id/view', 
   strictRateLimit,
   validateObjectId,
+  identifyUser,
   incrementPostViews
 );
 
+router.get('/posts/:id/likes', 
+  rateLimit,
+  validateObjectId,
+  validate(schemas.stats.likersQuery, 'query'),
+  identifyUser,
+  getPostLikers
+);
+
 router.post('/posts/:id/like', 
   strictRateLimit,
   validateObjectId,
+  identifyUser,
   likePost
 );
 
 router.delete('/posts/:id/like', 
   strictRateLimit,
   validateObjectId,
+  identifyUser,
   unlikePost
 );
 
@@ -19,9 +19,12 @@ const {
 const postsRoutes = require('./routes/posts');
 const categoriesRoutes = require('./routes/categories');
 const statsRoutes = require('./routes/stats');
+const internalRoutes = require('./routes/internal');
 
 // Import utilities
 const { sendHealthCheck, sendNotFound } = require('./utils/response');
+const { startScheduledPublisher, stopScheduledPublisher } = require('./utils/scheduler');
+const { connectCache, closeCache, getCacheStatus } = require('./utils/cache');
 
 // Create Express app
 const app = express();
@@ -38,8 +41,8 @@ app.use(cors({
   origin: config.cors.origin,
   credentials: config.cors.credentials,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['X-Total-Count', 'X-Page-Count']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['X-Total-Count', 'X-Page-Count', 'X-Cache', 'ETag']
 }));
 
 // Request processing middleware
@@ -68,6 +71,7 @@ if (config.nodeEnv !== 'test') {
 app.get('/health', (req, res) => {
   const healthData = {
     database: 'connected', // You could add actual DB health check here
+    cache: getCacheStatus(),
     memory: {
       used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + ' MB',
       total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + ' MB'
@@ -82,6 +86,7 @@ app.get('/health', (req, res) => {
 app.use('/posts', postsRoutes);
 app.use('/categories', categoriesRoutes);
 app.use('/stats', statsRoutes);
+app.use('/internal', internalRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -112,6 +117,9 @@ app.use(errorHandler);
 const gracefulShutdown = (signal) => {
   console.log(`Received ${signal}, shutting down gracefully...`);
   
+  stopScheduledPublisher();
+  closeCache();
+  
   server.close(() => {
     console.log('HTTP server closed');
     
@@ -164,6 +172,12 @@ const startServer = async () => {
     await connectDB();
     console.log('✅ Database connected successfully');
     
+    // Publish scheduled posts when they become due
+    startScheduledPublisher();
+    
+    // Cache read-heavy responses in Redis when it is configured
+    connectCache();
+    
     // Start HTTP server
     const server = app.listen(config.port, () => {
       console.log(`🚀 Posts Service running on port ${config.port}`);
@@ -1,17 +1,22 @@
+// Set test environment variables before any module reads its configuration
+process.env.JWT_SECRET = 'test-secret';
+process.env.INTERNAL_SERVICE_TOKEN = 'test-internal-token';
+
 const mongoose = require('mongoose');
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
 
 // Global test setup variables
 let mongoServer;
 
 // Setup before all tests
 beforeAll(async () => {
-  // Start in-memory MongoDB server
-  mongoServer = await MongoMemoryServer.create({
-    instance: {
-      port: 27017,
+  // Start in-memory MongoDB as a single-node replica set, so transactions work
+  mongoServer = await MongoMemoryReplSet.create({
+    replSet: {
+      count: 1,
       dbName: 'posts_service_test'
-    }
+    },
+    instanceOpts: [{ port: 27017 }]
   });
   
   const mongoUri = mongoServer.getUri();
@@ -0,0 +1,44 @@
+describe('Database Config Unit Tests', () => {
+  // A fresh copy of config/database on a mocked connection, so the cached
+  // transaction support of the real test database is not involved
+  const loadDatabase = (hello, session) => {
+    let database;
+    jest.isolateModules(() => {
+      jest.doMock('mongoose', () => ({
+        connection: { db: { admin: () => ({ command: jest.fn().mockResolvedValue(hello) }) } },
+        startSession: jest.fn().mockResolvedValue(session)
+      }));
+      database = require('../../../config/database');
+    });
+    return database;
+  };
+
+  describe('withTransaction', () => {
+    it('should reject work on a standalone server without running it', async () => {
+      const { withTransaction } = loadDatabase({ isWritablePrimary: true });
+      const work = jest.fn();
+
+      await expect(withTransaction(work)).rejects.toMatchObject({
+        statusCode: 503,
+        message: 'This operation needs MongoDB transactions, which require a replica set'
+      });
+      expect(work).not.toHaveBeenCalled();
+    });
+
+    it('should run work in a transaction on a replica set', async () => {
+      const session = {
+        withTransaction: jest.fn(callback => callback()),
+        endSession: jest.fn()
+      };
+      const { withTransaction } = loadDatabase({ isWritablePrimary: true, setName: 'rs0' }, session);
+
+      const result = await withTransaction(async (current) => {
+        expect(current).toBe(session);
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(session.endSession).toHaveBeenCalled();
+    });
+  });
+});
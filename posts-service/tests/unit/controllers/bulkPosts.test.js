@@ -0,0 +1,189 @@
+const request = require('supertest');
+const express = require('express');
+const Post = require('../../../models/Post');
+const Category = require('../../../models/Category');
+const PostLike = require('../../../models/PostLike');
+const PostRevision = require('../../../models/PostRevision');
+const postsRoutes = require('../../../routes/posts');
+const errorHandler = require('../../../middleware/errorHandler');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/posts', postsRoutes);
+app.use(errorHandler);
+
+describe('Bulk Post Actions Unit Tests', () => {
+  let oldCategory;
+  let newCategory;
+  let posts;
+  let ids;
+
+  beforeEach(async () => {
+    oldCategory = await Category.create(testUtils.generateTestCategory({ name: 'Old', slug: 'old' }));
+    newCategory = await Category.create(testUtils.generateTestCategory({ name: 'New', slug: 'new' }));
+
+    posts = await Post.create([1, 2, 3].map(index => testUtils.generateTestPost({
+      title: `Post ${index}`,
+      slug: `post-${index}`,
+      category: oldCategory._id,
+      tags: ['news'],
+      featured: index === 1
+    })));
+    ids = posts.map(post => post._id.toString());
+
+    await oldCategory.updatePostCount();
+  });
+
+  it('should re-categorize posts and update category counts once', async () => {
+    const response = await request(app)
+      .post('/posts/bulk')
+      .send({ action: 'categorize', ids: ids.slice(0, 2), category: newCategory._id.toString() })
+      .expect(200);
+
+    expect(response.body.data).toEqual([
+      { id: ids[0], status: 'updated', revision: 2 },
+      { id: ids[1], status: 'updated', revision: 2 }
+    ]);
+    expect(response.body.meta.counts).toEqual({ updated: 2 });
+
+    const [oldCounted, newCounted] = await Promise.all([
+      Category.findById(oldCategory._id),
+      Category.findById(newCategory._id)
+    ]);
+    expect(oldCounted.postCount).toBe(1);
+    expect(newCounted.postCount).toBe(2);
+  });
+
+  it('should add and remove tags', async () => {
+    await request(app)
+      .post('/posts/bulk')
+      .send({ action: 'tag', ids, tags: ['featured-story'] })
+      .expect(200);
+
+    const response = await request(app)
+      .post('/posts/bulk')
+      .send({ action: 'untag', ids: ids.slice(1), tags: ['news'] })
+      .expect(200);
+
+    expect(response.body.meta.counts).toEqual({ updated: 2 });
+
+    const tagged = await Post.find({ _id: { $in: ids } }).sort({ title: 1 });
+    expect(tagged.map(post => post.tags)).toEqual([
+      ['news', 'featured-story'],
+      ['featured-story'],
+      ['featured-story']
+    ]);
+  });
+
+  it('should report posts the action does not change', async () => {
+    const response = await request(app)
+      .post('/posts/bulk')
+      .send({ action: 'feature', ids: ids.slice(0, 2) })
+      .expect(200);
+
+    expect(response.body.data.map(item => item.status)).toEqual(['unchanged', 'updated']);
+  });
+
+  it('should archive posts and drop them from the category count', async () => {
+    await request(app)
+      .post('/posts/bulk')
+      .send({ action: 'archive', ids })
+      .expect(200);
+
+    expect(await Post.countDocuments({ status: 'archived' })).toBe(3);
+    expect((await Category.findById(oldCategory._id)).postCount).toBe(0);
+  });
+
+  it('should delete posts with their likes and revisions', async () => {
+    await PostLike.create({ post: posts[0]._id, likerKey: 'user:1', userId: '1' });
+    await PostRevision.record(posts[0]._id, { action: 'create', snapshot: {} });
+
+    const response = await request(app)
+      .post('/posts/bulk')
+      .send({ action: 'delete', ids: ids.slice(0, 2) })
+      .expect(200);
+
+    expect(response.body.meta.counts).toEqual({ deleted: 2 });
+    expect(await Post.countDocuments()).toBe(1);
+    expect(await PostLike.countDocuments()).toBe(0);
+    expect(await PostRevision.countDocuments()).toBe(0);
+    expect((await Category.findById(oldCategory._id)).postCount).toBe(1);
+  });
+
+  it('should change nothing when any post cannot be changed', async () => {
+    const missingId = testUtils.createObjectId().toString();
+
+    const response = await request(app)
+      .post('/posts/bulk')
+      .send({ action: 'archive', ids: [ids[0], missingId] })
+      .expect(400);
+
+    expect(response.body.error.details.results).toEqual([
+      { id: ids[0], status: 'skipped' },
+      { id: missingId, status: 'not_found' }
+    ]);
+    expect(await Post.countDocuments({ status: 'archived' })).toBe(0);
+  });
+
+  it('should roll back every post when one was edited concurrently', async () => {
+    const save = Post.prototype.save;
+    jest.spyOn(Post.prototype, 'save')
+      .mockImplementationOnce(function() {
+        return save.call(this);
+      })
+      .mockImplementationOnce(() => {
+        const error = new Error('No matching document found');
+        error.name = 'VersionError';
+        return Promise.reject(error);
+      });
+
+    const response = await request(app)
+      .post('/posts/bulk')
+      .send({ action: 'archive', ids })
+      .expect(409);
+
+    jest.restoreAllMocks();
+
+    expect(response.body.error.message).toBe(
+      `Post '${ids[1]}' was modified during the bulk operation; no posts were changed`
+    );
+    expect(await Post.countDocuments({ status: 'archived' })).toBe(0);
+    expect(await PostRevision.countDocuments()).toBe(0);
+    expect((await Category.findById(oldCategory._id)).postCount).toBe(3);
+  });
+
+  it('should match post IDs regardless of case', async () => {
+    const response = await request(app)
+      .post('/posts/bulk')
+      .send({ action: 'archive', ids: [ids[0].toUpperCase()] })
+      .expect(200);
+
+    expect(response.body.data).toEqual([{ id: ids[0], status: 'updated', revision: 2 }]);
+  });
+
+  it('should reject case variants of one ID as duplicates', async () => {
+    const response = await request(app)
+      .post('/posts/bulk')
+      .send({ action: 'archive', ids: [ids[0], ids[0].toUpperCase()] })
+      .expect(400);
+
+    expect(response.body.error.details[0].message).toBe('Post IDs must be unique');
+  });
+
+  it('should return 404 for an unknown target category', async () => {
+    await request(app)
+      .post('/posts/bulk')
+      .send({ action: 'categorize', ids, category: testUtils.createObjectId().toString() })
+      .expect(404);
+  });
+
+  it('should validate the action payload', async () => {
+    const response = await request(app)
+      .post('/posts/bulk')
+      .send({ action: 'tag', ids })
+      .expect(400);
+
+    expect(response.body.error.details[0].field).toBe('tags');
+  });
+});
@@ -0,0 +1,152 @@
+const request = require('supertest');
+const express = require('express');
+const Post = require('../../../models/Post');
+const Category = require('../../../models/Category');
+const postsRoutes = require('../../../routes/posts');
+const errorHandler = require('../../../middleware/errorHandler');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/posts', postsRoutes);
+app.use(errorHandler);
+
+const titles = (response) => response.body.data.map(post => post.title);
+
+describe('Cursor Pagination Unit Tests', () => {
+  let testCategory;
+
+  beforeEach(async () => {
+    testCategory = await Category.create(testUtils.generateTestCategory());
+
+    // Posts 2 and 3 share a view count, so the newer _id comes first
+    const views = [5, 4, 4, 3, 2];
+    await Post.create(views.map((count, index) => testUtils.generateTestPost({
+      title: `Post ${index + 1}`,
+      slug: `post-${index + 1}`,
+      category: testCategory._id,
+      tags: index % 2 === 0 ? ['even'] : ['odd'],
+      publishedAt: new Date(Date.UTC(2024, 0, 10 - index)),
+      stats: { views: count }
+    })));
+  });
+
+  describe('GET /posts?cursor=', () => {
+    it('should page forwards without repeating or skipping posts', async () => {
+      const first = await request(app)
+        .get('/posts?cursor=&limit=2&sortBy=views')
+        .expect(200);
+
+      expect(titles(first)).toEqual(['Post 1', 'Post 3']);
+      expect(first.body.pagination).toMatchObject({
+        mode: 'cursor',
+        pageSize: 2,
+        hasNextPage: true,
+        hasPrevPage: false,
+        prevCursor: null
+      });
+      expect(first.body.pagination.totalCount).toBeUndefined();
+
+      const second = await request(app)
+        .get('/posts')
+        .query({ cursor: first.body.pagination.nextCursor, limit: 2, sortBy: 'views' })
+        .expect(200);
+      expect(titles(second)).toEqual(['Post 2', 'Post 4']);
+
+      const last = await request(app)
+        .get('/posts')
+        .query({ cursor: second.body.pagination.nextCursor, limit: 2, sortBy: 'views' })
+        .expect(200);
+      expect(titles(last)).toEqual(['Post 5']);
+      expect(last.body.pagination.hasNextPage).toBe(false);
+      expect(last.body.pagination.nextCursor).toBeNull();
+    });
+
+    it('should page backwards with prevCursor', async () => {
+      const first = await request(app).get('/posts?cursor=&limit=2').expect(200);
+      const second = await request(app)
+        .get('/posts')
+        .query({ cursor: first.body.pagination.nextCursor, limit: 2 })
+        .expect(200);
+
+      const back = await request(app)
+        .get('/posts')
+        .query({ cursor: second.body.pagination.prevCursor, limit: 2 })
+        .expect(200);
+
+      expect(titles(back)).toEqual(titles(first));
+      expect(back.body.pagination.hasPrevPage).toBe(false);
+      expect(back.body.pagination.hasNextPage).toBe(true);
+    });
+
+    it('should not shift pages when posts are added', async () => {
+      const first = await request(app).get('/posts?cursor=&limit=2&sortBy=publishedAt').expect(200);
+
+      await Post.create(testUtils.generateTestPost({
+        title: 'Newest',
+        slug: 'newest',
+        category: testCategory._id,
+        publishedAt: new Date(Date.UTC(2024, 1, 1))
+      }));
+
+      const second = await request(app)
+        .get('/posts')
+        .query({ cursor: first.body.pagination.nextCursor, limit: 2, sortBy: 'publishedAt' })
+        .expect(200);
+
+      expect(titles(second)).toEqual(['Post 3', 'Post 4']);
+    });
+
+    it('should include the total count when requested', async () => {
+      const response = await request(app)
+        .get('/posts?cursor=&includeTotal=true&tags=even')
+        .expect(200);
+
+      expect(response.body.pagination.totalCount).toBe(3);
+      expect(response.body.meta.totalResults).toBe(3);
+    });
+
+    it('should reject a cursor issued for another sort order', async () => {
+      const first = await request(app).get('/posts?cursor=&limit=2&sortBy=views').expect(200);
+
+      const response = await request(app)
+        .get('/posts')
+        .query({ cursor: first.body.pagination.nextCursor, sortBy: 'title' })
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Cursor does not match the requested sort order');
+    });
+
+    it('should reject a malformed cursor', async () => {
+      const response = await request(app)
+        .get('/posts?cursor=not-a-cursor')
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.message).toBe('Invalid cursor');
+    });
+
+    it('should keep offset pagination without a cursor', async () => {
+      const response = await request(app)
+        .get('/posts?page=2&limit=2&sortBy=publishedAt')
+        .expect(200);
+
+      expect(titles(response)).toEqual(['Post 3', 'Post 4']);
+      expect(response.body.pagination).toMatchObject({ currentPage: 2, totalCount: 5 });
+      expect(response.body.pagination.mode).toBeUndefined();
+    });
+  });
+
+  describe('GET /posts/tags/:tag?cursor=', () => {
+    it('should page within the listing', async () => {
+      const first = await request(app).get('/posts/tags/even?cursor=&limit=2&sortBy=publishedAt').expect(200);
+      const second = await request(app)
+        .get('/posts/tags/even')
+        .query({ cursor: first.body.pagination.nextCursor, limit: 2, sortBy: 'publishedAt' })
+        .expect(200);
+
+      expect(titles(first)).toEqual(['Post 1', 'Post 3']);
+      expect(titles(second)).toEqual(['Post 5']);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+jest.mock('../../../utils/commentsService');
+
+const request = require('supertest');
+const express = require('express');
+const Post = require('../../../models/Post');
+const Category = require('../../../models/Category');
+const internalRoutes = require('../../../routes/internal');
+const { fetchApprovedCommentCounts } = require('../../../utils/commentsService');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/internal', internalRoutes);
+
+const INTERNAL_TOKEN = 'test-internal-token';
+
+describe('Internal Controller Unit Tests', () => {
+  let testCategory;
+  let testPost;
+
+  const commentEvent = (overrides = {}) => ({
+    eventId: 'evt-1',
+    type: 'comment.approved',
+    commentId: 'comment-1',
+    postId: testPost._id.toString(),
+    status: 'approved',
+    approvedCount: 1,
+    occurredAt: new Date().toISOString(),
+    ...overrides
+  });
+
+  const sendEvent = (event) => request(app)
+    .post('/internal/events/comments')
+    .set('X-Internal-Token', INTERNAL_TOKEN)
+    .send(event);
+
+  beforeEach(async () => {
+    testCategory = await Category.create(testUtils.generateTestCategory());
+    testPost = await Post.create({
+      ...testUtils.generateTestPost(),
+      category: testCategory._id
+    });
+  });
+
+  describe('Internal token', () => {
+    it('should reject requests without the internal token', async () => {
+      const response = await request(app)
+        .post('/internal/events/comments')
+        .send(commentEvent())
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject a token with multibyte characters', async () => {
+      const response = await request(app)
+        .post('/internal/events/comments')
+        .set('X-Internal-Token', 'test-internal-tokén')
+        .send(commentEvent())
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('POST /internal/events/comments - handleCommentEvent', () => {
+    it('should set the comments count from the event', async () => {
+      const response = await sendEvent(commentEvent({ approvedCount: 4 })).expect(200);
+
+      expect(response.body.data.applied).toBe(true);
+
+      const post = await Post.findById(testPost._id);
+      expect(post.stats.commentsCount).toBe(4);
+    });
+
+    it('should be idempotent when an event is delivered twice', async () => {
+      const event = commentEvent({ approvedCount: 2 });
+
+      await sendEvent(event).expect(200);
+      const replay = await sendEvent(event).expect(200);
+
+      expect(replay.body.data.applied).toBe(false);
+
+      const post = await Post.findById(testPost._id);
+      expect(post.stats.commentsCount).toBe(2);
+    });
+
+    it('should ignore events that arrive out of order', async () => {
+      const now = Date.now();
+
+      await sendEvent(commentEvent({
+        type: 'comment.deleted',
+        status: null,
+        approvedCount: 0,
+        occurredAt: new Date(now).toISOString()
+      })).expect(200);
+
+      const stale = await sendEvent(commentEvent({
+        type: 'comment.created',
+        approvedCount: 1,
+        occurredAt: new Date(now - 5000).toISOString()
+      })).expect(200);
+
+      expect(stale.body.data.applied).toBe(false);
+
+      const post = await Post.findById(testPost._id);
+      expect(post.stats.commentsCount).toBe(0);
+    });
+
+    it('should return 404 for unknown posts', async () => {
+      await sendEvent(commentEvent({ postId: testUtils.createObjectId().toString() })).expect(404);
+    });
+
+    it('should validate the event payload', async () => {
+      const response = await sendEvent(commentEvent({ type: 'comment.liked', approvedCount: -1 })).expect(400);
+
+      const fields = response.body.error.details.map(detail => detail.field);
+      expect(fields).toEqual(expect.arrayContaining(['type', 'approvedCount']));
+    });
+  });
+
+  describe('POST /internal/reconcile/comments-count - reconcileCommentsCount', () => {
+    let otherPost;
+
+    beforeEach(async () => {
+      otherPost = await Post.create({
+        ...testUtils.generateTestPost({ title: 'Other Post', slug: 'other-post' }),
+        category: testCategory._id
+      });
+      await Post.syncCommentsCount(otherPost._id, 7, new Date(Date.now() - 60000));
+    });
+
+    it('should recompute every post from comments-service', async () => {
+      fetchApprovedCommentCounts.mockResolvedValue({
+        counts: {
+          [testPost._id.toString()]: 3,
+          [testUtils.createObjectId().toString()]: 1
+        },
+        asOf: new Date()
+      });
+
+      const response = await request(app)
+        .post('/internal/reconcile/comments-count')
+        .set('X-Internal-Token', INTERNAL_TOKEN)
+        .send({})
+        .expect(200);
+
+      expect(fetchApprovedCommentCounts).toHaveBeenCalledWith(null);
+      expect(response.body.data.postsChecked).toBe(2);
+      expect(response.body.data.postsCorrected).toBe(2);
+      expect(response.body.data.unknownPosts).toBe(1);
+
+      expect((await Post.findById(testPost._id)).stats.commentsCount).toBe(3);
+      expect((await Post.findById(otherPost._id)).stats.commentsCount).toBe(0);
+    });
+
+    it('should only reconcile the requested posts', async () => {
+      fetchApprovedCommentCounts.mockResolvedValue({ counts: {}, asOf: new Date() });
+
+      const response = await request(app)
+        .post('/internal/reconcile/comments-count')
+        .set('X-Internal-Token', INTERNAL_TOKEN)
+        .send({ postIds: [otherPost._id.toString()] })
+        .expect(200);
+
+      expect(fetchApprovedCommentCounts).toHaveBeenCalledWith([otherPost._id.toString()]);
+      expect(response.body.data.postsChecked).toBe(1);
+      expect(response.body.data.corrections[0]).toMatchObject({ previous: 7, current: 0 });
+    });
+
+    it('should not overwrite counts from newer events', async () => {
+      const asOf = new Date();
+      fetchApprovedCommentCounts.mockImplementation(async () => {
+        // An event arrives while the counts are being fetched
+        await Post.syncCommentsCount(testPost._id, 5, new Date(asOf.getTime() + 1000));
+        return { counts: { [testPost._id.toString()]: 4 }, asOf };
+      });
+
+      await request(app)
+        .post('/internal/reconcile/comments-count')
+        .set('X-Internal-Token', INTERNAL_TOKEN)
+        .send({ postIds: [testPost._id.toString()] })
+        .expect(200);
+
+      expect((await Post.findById(testPost._id)).stats.commentsCount).toBe(5);
+    });
+
+    it('should compare counts in comments-service time when its clock is ahead', async () => {
+      // Both times come from a comments-service clock ten minutes ahead of this one
+      const ahead = Date.now() + 10 * 60 * 1000;
+      await Post.syncCommentsCount(testPost._id, 5, new Date(ahead));
+      fetchApprovedCommentCounts.mockResolvedValue({
+        counts: { [testPost._id.toString()]: 4 },
+        asOf: new Date(ahead + 1000)
+      });
+
+      const response = await request(app)
+        .post('/internal/reconcile/comments-count')
+        .set('X-Internal-Token', INTERNAL_TOKEN)
+        .send({ postIds: [testPost._id.toString()] })
+        .expect(200);
+
+      expect(response.body.data.asOf).toBe(new Date(ahead + 1000).toISOString());
+      expect((await Post.findById(testPost._id)).stats.commentsCount).toBe(4);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const request = require('supertest');
+const express = require('express');
+const Post = require('../../../models/Post');
+const Category = require('../../../models/Category');
+const postsRoutes = require('../../../routes/posts');
+const categoriesRoutes = require('../../../routes/categories');
+const { saveIfUnchanged } = require('../../../utils/concurrency');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/posts', postsRoutes);
+app.use('/categories', categoriesRoutes);
+
+describe('Optimistic Concurrency Unit Tests', () => {
+  let testCategory;
+  let testPost;
+
+  beforeEach(async () => {
+    testCategory = await Category.create(testUtils.generateTestCategory());
+    testPost = await Post.create(testUtils.generateTestPost({ category: testCategory._id }));
+  });
+
+  describe('PUT /posts/:id', () => {
+    it('should return an ETag for the post version and body', async () => {
+      const response = await request(app).get(`/posts/slug/${testPost.slug}`).expect(200);
+
+      expect(response.headers.etag).toMatch(/^"v0-[\w-]+"$/);
+    });
+
+    it('should return the same ETag for consecutive reads and answer the second with 304', async () => {
+      for (const path of [`/posts/${testPost._id}`, `/posts/slug/${testPost.slug}`]) {
+        const first = await request(app).get(path).expect(200);
+        const second = await request(app).get(path).expect(200);
+
+        expect(second.headers.etag).toBe(first.headers.etag);
+
+        await request(app)
+          .get(path)
+          .set('If-None-Match', first.headers.etag)
+          .expect(304);
+      }
+    });
+
+    it('should return a new body when views, likes or comment counts change', async () => {
+      let { headers } = await request(app).get(`/posts/${testPost._id}`).expect(200);
+
+      const changes = [
+        () => Post.updateOne({ _id: testPost._id }, { $inc: { 'stats.views': 1 } }),
+        () => Post.updateOne({ _id: testPost._id }, { $inc: { 'stats.likes': 1 } }),
+        () => Post.syncCommentsCount(testPost._id, 4)
+      ];
+
+      for (const change of changes) {
+        await change();
+
+        const response = await request(app)
+          .get(`/posts/${testPost._id}`)
+          .set('If-None-Match', headers.etag)
+          .expect(200);
+
+        expect(response.headers.etag).not.toBe(headers.etag);
+        expect(response.headers.etag).toMatch(/^"v0-/);
+        headers = response.headers;
+      }
+    });
+
+    it('should accept the ETag of a read in If-Match', async () => {
+      const { headers } = await request(app).get(`/posts/${testPost._id}`).expect(200);
+
+      await request(app)
+        .put(`/posts/${testPost._id}`)
+        .set('If-Match', headers.etag)
+        .send({ title: 'Edited After Reading' })
+        .expect(200);
+    });
+
+    it('should apply an update with a matching If-Match and bump the version', async () => {
+      const response = await request(app)
+        .put(`/posts/${testPost._id}`)
+        .set('If-Match', '"v0"')
+        .send({ title: 'First Edit' })
+        .expect(200);
+
+      expect(response.headers.etag).toBe('"v1"');
+      expect(response.body.data.__v).toBe(1);
+    });
+
+    it('should reject a stale If-Match with 412 and the current version', async () => {
+      await request(app)
+        .put(`/posts/${testPost._id}`)
+        .set('If-Match', '"v0"')
+        .send({ title: 'First Edit' })
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/posts/${testPost._id}`)
+        .set('If-Match', '"v0"')
+        .send({ title: 'Second Edit' })
+        .expect(412);
+
+      expect(response.headers.etag).toBe('"v1"');
+      expect(response.body.error.details).toEqual({ currentVersion: 1, etag: '"v1"' });
+
+      const post = await Post.findById(testPost._id);
+      expect(post.title).toBe('First Edit');
+    });
+
+    it('should not match weak ETags', async () => {
+      await request(app)
+        .put(`/posts/${testPost._id}`)
+        .set('If-Match', 'W/"v0"')
+        .send({ title: 'Weak Edit' })
+        .expect(412);
+    });
+
+    it('should apply updates without If-Match', async () => {
+      await request(app)
+        .put(`/posts/${testPost._id}`)
+        .send({ title: 'Unconditional Edit' })
+        .expect(200);
+    });
+  });
+
+  describe('PUT /categories/:id', () => {
+    it('should reject a stale If-Match with 412', async () => {
+      const { headers } = await request(app).get(`/categories/${testCategory._id}`).expect(200);
+
+      await request(app)
+        .patch(`/categories/${testCategory._id}/toggle-status`)
+        .set('If-Match', headers.etag)
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/categories/${testCategory._id}`)
+        .set('If-Match', headers.etag)
+        .send({ description: 'Edited without seeing the status change' })
+        .expect(412);
+
+      expect(response.body.error.details.currentVersion).toBe(1);
+    });
+
+    it('should not change the version when post counts are updated', async () => {
+      await testCategory.updatePostCount();
+
+      const category = await Category.findById(testCategory._id);
+      expect(category.postCount).toBe(1);
+      expect(category.__v).toBe(0);
+    });
+  });
+
+  describe('saveIfUnchanged', () => {
+    it('should refuse to save over a newer version', async () => {
+      const first = await Post.findById(testPost._id);
+      const second = await Post.findById(testPost._id);
+
+      first.title = 'Saved First';
+      second.title = 'Saved Second';
+
+      await expect(saveIfUnchanged(first)).resolves.toBe(true);
+      await expect(saveIfUnchanged(second)).resolves.toBe(false);
+
+      const post = await Post.findById(testPost._id);
+      expect(post.title).toBe('Saved First');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Post = require('../../../models/Post');
+const Category = require('../../../models/Category');
+const postsRoutes = require('../../../routes/posts');
+const { requestSanitization } = require('../../../middleware/security');
+
+// Create test app with the same body sanitization as the server
+const app = express();
+app.use(express.json());
+app.use(requestSanitization);
+app.use('/posts', postsRoutes);
+
+const signToken = (claims) => jwt.sign(claims, process.env.JWT_SECRET, { expiresIn: '15m' });
+const authorToken = signToken({ id: 'author-1', name: 'Jane Editor' });
+const readerToken = signToken({ id: 'reader-1', name: 'John Reader' });
+
+describe('Post Content Formats Unit Tests', () => {
+  const markdown = '## Why\n\n> Quotes and `a < b` survive.\n\n## How\n\nSee [the docs](https://example.com).';
+  let testCategory;
+
+  beforeEach(async () => {
+    testCategory = await Category.create(testUtils.generateTestCategory());
+  });
+
+  const createPost = (body) => request(app)
+    .post('/posts')
+    .set('Authorization', `Bearer ${authorToken}`)
+    .send({
+      title: 'Markdown Post',
+      author: 'Jane Editor',
+      category: testCategory._id.toString(),
+      ...body
+    });
+
+  it('should accept markdown content without mangling the source', async () => {
+    const response = await createPost({ content: markdown, format: 'markdown' }).expect(201);
+
+    expect(response.body.data.format).toBe('markdown');
+    expect(response.body.data.content).toBe(markdown);
+    expect(response.body.data.contentHtml).toContain('<blockquote>');
+    expect(response.body.data.contentHtml).toContain('<code>a &lt; b</code>');
+  });
+
+  it('should include the table of contents when getting a post', async () => {
+    const created = await createPost({ content: markdown, format: 'markdown' }).expect(201);
+
+    const [byId, bySlug] = await Promise.all([
+      request(app).get(`/posts/${created.body.data._id}`).expect(200),
+      request(app).get(`/posts/slug/${created.body.data.slug}`).expect(200)
+    ]);
+
+    const toc = [
+      { level: 2, text: 'Why', id: 'why' },
+      { level: 2, text: 'How', id: 'how' }
+    ];
+    expect(byId.body.data.toc).toEqual(toc);
+    expect(bySlug.body.data.toc).toEqual(toc);
+  });
+
+  it('should leave the markdown source out of public reads', async () => {
+    const source = 'Hello <img src=x onerror="alert(1)"> there\n\n## Part';
+    const created = await createPost({ content: source, format: 'markdown', status: 'published' }).expect(201);
+
+    const [byId, bySlug, asReader] = await Promise.all([
+      request(app).get(`/posts/${created.body.data._id}`).expect(200),
+      request(app).get(`/posts/slug/${created.body.data.slug}`).expect(200),
+      request(app)
+        .get(`/posts/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${readerToken}`)
+        .expect(200)
+    ]);
+
+    [byId, bySlug, asReader].forEach(response => {
+      expect(response.body.data.content).toBeUndefined();
+      expect(response.body.data.contentHtml).not.toContain('onerror');
+    });
+    expect(byId.headers.vary).toContain('Authorization');
+  });
+
+  it('should return the markdown source to its author for editing', async () => {
+    const created = await createPost({ content: markdown, format: 'markdown', status: 'published' }).expect(201);
+
+    const response = await request(app)
+      .get(`/posts/slug/${created.body.data.slug}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(200);
+
+    expect(response.body.data.content).toBe(markdown);
+  });
+
+  it('should not return rendered HTML in list views', async () => {
+    await createPost({ content: markdown, format: 'markdown' }).expect(201);
+
+    const response = await request(app).get('/posts').expect(200);
+    const [post] = response.body.data;
+
+    expect(post.contentHtml).toBeUndefined();
+    expect(post.content).toBeUndefined();
+  });
+
+  it('should still sanitize HTML content', async () => {
+    const response = await createPost({
+      content: '<p onclick="steal()">Hello there</p><script>alert(1)</script>'
+    }).expect(201);
+
+    expect(response.body.data.format).toBe('html');
+    expect(response.body.data.content).toBe('<p>Hello there</p>');
+  });
+
+  it('should render posts saved before rendered HTML was stored', async () => {
+    const { insertedId } = await Post.collection.insertOne({
+      title: 'Legacy Post',
+      slug: 'legacy-post',
+      content: '<h2>Legacy</h2><p>Old content</p>',
+      author: 'Jane Editor',
+      category: testCategory._id,
+      status: 'published',
+      stats: { views: 0, likes: 0, commentsCount: 0 }
+    });
+
+    const response = await request(app).get(`/posts/${insertedId}`).expect(200);
+
+    expect(response.body.data.format).toBe('html');
+    expect(response.body.data.contentHtml).toBe('<h2 id="legacy">Legacy</h2><p>Old content</p>');
+    expect(response.body.data.toc).toEqual([{ level: 2, text: 'Legacy', id: 'legacy' }]);
+  });
+
+  it('should reject unknown formats', async () => {
+    await createPost({ content: markdown, format: 'rst' }).expect(400);
+  });
+});
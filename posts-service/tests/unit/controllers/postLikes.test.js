@@ -0,0 +1,133 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Post = require('../../../models/Post');
+const Category = require('../../../models/Category');
+const PostLike = require('../../../models/PostLike');
+const statsRoutes = require('../../../routes/stats');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/stats', statsRoutes);
+
+const tokenFor = (id, name = 'Jane Smith') =>
+  jwt.sign({ id, name }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+describe('Post Likes Unit Tests', () => {
+  let testPost;
+
+  beforeAll(() => PostLike.init());
+
+  beforeEach(async () => {
+    const category = await Category.create(testUtils.generateTestCategory());
+    testPost = await Post.create({
+      ...testUtils.generateTestPost(),
+      category: category._id
+    });
+  });
+
+  const like = (token, userAgent = 'jest') => {
+    const req = request(app).post(`/stats/posts/${testPost._id}/like`).set('User-Agent', userAgent);
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  };
+
+  const unlike = (token, userAgent = 'jest') => {
+    const req = request(app).delete(`/stats/posts/${testPost._id}/like`).set('User-Agent', userAgent);
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  };
+
+  describe('POST /stats/posts/:id/like - likePost', () => {
+    it('should count a like once per user', async () => {
+      const token = tokenFor('user-1');
+
+      const first = await like(token).expect(200);
+      const second = await like(token).expect(200);
+
+      expect(first.body.data).toMatchObject({ likes: 1, likedByMe: true, alreadyLiked: false });
+      expect(second.body.data).toMatchObject({ likes: 1, likedByMe: true, alreadyLiked: true });
+    });
+
+    it('should count likes from different users', async () => {
+      await like(tokenFor('user-1')).expect(200);
+      const response = await like(tokenFor('user-2')).expect(200);
+
+      expect(response.body.data.likes).toBe(2);
+    });
+
+    it('should dedupe anonymous likes by fingerprint', async () => {
+      await like(null, 'browser-a').expect(200);
+      await like(null, 'browser-a').expect(200);
+      const response = await like(null, 'browser-b').expect(200);
+
+      expect(response.body.data.likes).toBe(2);
+    });
+
+    it('should return 404 for unknown posts', async () => {
+      await request(app)
+        .post(`/stats/posts/${testUtils.createObjectId()}/like`)
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /stats/posts/:id/like - unlikePost', () => {
+    it('should remove the caller\'s like', async () => {
+      const token = tokenFor('user-1');
+      await like(token).expect(200);
+
+      const response = await unlike(token).expect(200);
+
+      expect(response.body.data).toMatchObject({ likes: 0, likedByMe: false, wasLiked: true });
+    });
+
+    it('should not remove likes given by someone else', async () => {
+      await like(tokenFor('user-1')).expect(200);
+
+      const response = await unlike(tokenFor('user-2')).expect(200);
+
+      expect(response.body.data).toMatchObject({ likes: 1, wasLiked: false });
+      expect((await Post.findById(testPost._id)).stats.likes).toBe(1);
+    });
+  });
+
+  describe('GET /stats/posts/:id/likes - getPostLikers', () => {
+    beforeEach(async () => {
+      await like(tokenFor('user-1', 'Jane Smith')).expect(200);
+      await like(tokenFor('user-2', 'John Doe')).expect(200);
+      await like(null, 'anonymous-browser').expect(200);
+    });
+
+    it('should list likers without exposing fingerprints', async () => {
+      const response = await request(app)
+        .get(`/stats/posts/${testPost._id}/likes`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(3);
+      expect(response.body.data).toEqual(expect.arrayContaining([
+        expect.objectContaining({ userId: 'user-2', userName: 'John Doe', anonymous: false }),
+        expect.objectContaining({ userId: null, anonymous: true })
+      ]));
+      response.body.data.forEach(liker => expect(liker.likerKey).toBeUndefined());
+      expect(response.body.meta.anonymousLikes).toBe(1);
+      expect(response.body.pagination.totalCount).toBe(3);
+    });
+
+    it('should report likedByMe for the caller', async () => {
+      const response = await request(app)
+        .get(`/stats/posts/${testPost._id}/likes`)
+        .set('Authorization', `Bearer ${tokenFor('user-1')}`)
+        .expect(200);
+
+      expect(response.body.meta.likedByMe).toBe(true);
+    });
+
+    it('should paginate', async () => {
+      const response = await request(app)
+        .get(`/stats/posts/${testPost._id}/likes?page=2&limit=2`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.pagination.currentPage).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,209 @@
+const request = require('supertest');
+const express = require('express');
+const Post = require('../../../models/Post');
+const Category = require('../../../models/Category');
+const postsRoutes = require('../../../routes/posts');
+const errorHandler = require('../../../middleware/errorHandler');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/posts', postsRoutes);
+app.use(errorHandler);
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+
+describe('Post PATCH Unit Tests', () => {
+  let testCategory;
+  let testPost;
+
+  beforeEach(async () => {
+    testCategory = await Category.create(testUtils.generateTestCategory());
+    testPost = await Post.create(testUtils.generateTestPost({
+      category: testCategory._id,
+      tags: ['node', 'express'],
+      featuredImage: { url: 'https://example.com/cover.png', alt: 'Cover' },
+      seo: { metaTitle: 'Custom Title', metaDescription: 'Custom description', keywords: ['node'] }
+    }));
+  });
+
+  describe('JSON Merge Patch', () => {
+    it('should merge nested objects and leave other fields alone', async () => {
+      const response = await request(app)
+        .patch(`/posts/${testPost._id}`)
+        .set('Content-Type', MERGE_PATCH)
+        .send(JSON.stringify({ seo: { metaTitle: 'New Title' }, featuredImage: { alt: null } }))
+        .expect(200);
+
+      expect(response.body.data.seo).toMatchObject({
+        metaTitle: 'New Title',
+        metaDescription: 'Custom description',
+        keywords: ['node']
+      });
+      expect(response.body.data.featuredImage).toEqual({ url: 'https://example.com/cover.png' });
+      expect(response.body.data.title).toBe(testPost.title);
+      expect(response.body.meta.revision).toBe(2);
+    });
+
+    it('should accept application/json as a merge patch', async () => {
+      const response = await request(app)
+        .patch(`/posts/${testPost._id}`)
+        .send({ featured: true })
+        .expect(200);
+
+      expect(response.body.data.featured).toBe(true);
+    });
+
+    it('should regenerate the excerpt and metadata from new content', async () => {
+      const content = '<p>' + 'word '.repeat(400) + '</p>';
+
+      const response = await request(app)
+        .patch(`/posts/${testPost._id}`)
+        .set('Content-Type', MERGE_PATCH)
+        .send(JSON.stringify({ content, excerpt: null }))
+        .expect(200);
+
+      expect(response.body.data.excerpt).toMatch(/^word word/);
+      expect(response.body.data.metadata).toEqual({ wordCount: 400, readTime: 2 });
+    });
+
+    it('should regenerate a removed slug from the title', async () => {
+      const response = await request(app)
+        .patch(`/posts/${testPost._id}`)
+        .set('Content-Type', MERGE_PATCH)
+        .send(JSON.stringify({ title: 'A Brand New Title', slug: null }))
+        .expect(200);
+
+      expect(response.body.data.slug).toBe('a-brand-new-title');
+    });
+
+    it('should refuse to remove a required field', async () => {
+      const response = await request(app)
+        .patch(`/posts/${testPost._id}`)
+        .set('Content-Type', MERGE_PATCH)
+        .send(JSON.stringify({ title: null }))
+        .expect(400);
+
+      expect(response.body.error.details).toEqual([
+        { field: 'title', message: '"title" cannot be removed' }
+      ]);
+    });
+
+    it('should validate the changed fields like a PUT', async () => {
+      const response = await request(app)
+        .patch(`/posts/${testPost._id}`)
+        .set('Content-Type', MERGE_PATCH)
+        .send(JSON.stringify({ seo: { metaTitle: 'x'.repeat(61) } }))
+        .expect(400);
+
+      expect(response.body.error.details[0].field).toBe('seo.metaTitle');
+    });
+  });
+
+  describe('JSON Patch', () => {
+    it('should add and remove single tags', async () => {
+      const response = await request(app)
+        .patch(`/posts/${testPost._id}`)
+        .set('Content-Type', JSON_PATCH)
+        .send(JSON.stringify([
+          { op: 'add', path: '/tags/-', value: 'mongodb' },
+          { op: 'remove', path: '/tags/0' }
+        ]))
+        .expect(200);
+
+      expect(response.body.data.tags).toEqual(['express', 'mongodb']);
+    });
+
+    it('should replace nested fields', async () => {
+      const response = await request(app)
+        .patch(`/posts/${testPost._id}`)
+        .set('Content-Type', JSON_PATCH)
+        .send(JSON.stringify([
+          { op: 'replace', path: '/featuredImage/alt', value: 'New alt' },
+          { op: 'add', path: '/seo/keywords/-', value: 'api' }
+        ]))
+        .expect(200);
+
+      expect(response.body.data.featuredImage.alt).toBe('New alt');
+      expect(response.body.data.seo.keywords).toEqual(['node', 'api']);
+    });
+
+    it('should apply nothing when a test operation fails', async () => {
+      await request(app)
+        .patch(`/posts/${testPost._id}`)
+        .set('Content-Type', JSON_PATCH)
+        .send(JSON.stringify([
+          { op: 'replace', path: '/title', value: 'Changed Title' },
+          { op: 'test', path: '/featured', value: true }
+        ]))
+        .expect(409);
+
+      const post = await Post.findById(testPost._id);
+      expect(post.title).toBe(testPost.title);
+    });
+
+    it('should reject operations on missing paths', async () => {
+      const response = await request(app)
+        .patch(`/posts/${testPost._id}`)
+        .set('Content-Type', JSON_PATCH)
+        .send(JSON.stringify([{ op: 'remove', path: '/tags/5' }]))
+        .expect(400);
+
+      expect(response.body.error.message).toBe('Array index out of range: 5');
+    });
+  });
+
+  it('should sanitize patch documents like other request bodies', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await request(app)
+      .patch(`/posts/${testPost._id}`)
+      .set('Content-Type', MERGE_PATCH)
+      .send(JSON.stringify({ seo: { $gt: '' } }))
+      .expect(200);
+
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/^Sanitized key: body/));
+    warn.mockRestore();
+  });
+
+  it('should limit the content length like a PUT', async () => {
+    const response = await request(app)
+      .patch(`/posts/${testPost._id}`)
+      .set('Content-Type', MERGE_PATCH)
+      .send(JSON.stringify({ content: 'x'.repeat(50001) }))
+      .expect(400);
+
+    expect(response.body.error.message).toBe('Content exceeds maximum length of 50000 characters');
+  });
+
+  it('should refuse oversized patch documents before parsing them', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await request(app)
+      .patch(`/posts/${testPost._id}`)
+      .set('Content-Type', JSON_PATCH)
+      .send(JSON.stringify([{ op: 'replace', path: '/excerpt', value: 'x'.repeat(1024 * 1024) }]))
+      .expect(413);
+
+    expect(response.body.error.message).toBe('Request body is too large');
+    error.mockRestore();
+  });
+
+  it('should reject other media types', async () => {
+    await request(app)
+      .patch(`/posts/${testPost._id}`)
+      .set('Content-Type', 'text/plain')
+      .send('title=New')
+      .expect(415);
+  });
+
+  it('should honor If-Match', async () => {
+    await request(app)
+      .patch(`/posts/${testPost._id}`)
+      .set('Content-Type', MERGE_PATCH)
+      .set('If-Match', '"v5"')
+      .send(JSON.stringify({ featured: true }))
+      .expect(412);
+  });
+});
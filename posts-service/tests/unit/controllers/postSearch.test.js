@@ -0,0 +1,132 @@
+const request = require('supertest');
+const express = require('express');
+const Post = require('../../../models/Post');
+const Category = require('../../../models/Category');
+const postsRoutes = require('../../../routes/posts');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/posts', postsRoutes);
+
+// Text of each highlighted range
+const marked = ({ text, matches }) => matches.map(([start, end]) => text.slice(start, end));
+
+describe('Post Search Unit Tests', () => {
+  let tech;
+  let travel;
+
+  // $text queries need the text index
+  beforeAll(() => Post.init());
+
+  beforeEach(async () => {
+    [tech, travel] = await Category.create([
+      testUtils.generateTestCategory({ name: 'Tech', slug: 'tech' }),
+      testUtils.generateTestCategory({ name: 'Travel', slug: 'travel' })
+    ]);
+
+    await Post.create([
+      testUtils.generateTestPost({
+        title: 'Streams in Node',
+        slug: 'streams-in-node',
+        content: 'Readable streams and writable streams are the backbone of Node. Streams handle backpressure.',
+        author: 'Ada',
+        category: tech._id,
+        tags: ['node', 'streams']
+      }),
+      testUtils.generateTestPost({
+        title: 'Packing for a long trip',
+        slug: 'packing-for-a-long-trip',
+        content: 'Bring a book about data streams for the train ride.',
+        author: 'Grace',
+        category: travel._id,
+        tags: ['packing']
+      }),
+      testUtils.generateTestPost({
+        title: 'Draft about streams',
+        slug: 'draft-about-streams',
+        content: 'Unpublished notes on streams.',
+        status: 'draft',
+        category: tech._id
+      })
+    ]);
+  });
+
+  describe('GET /posts/search - searchPosts', () => {
+    it('should rank published results by text score', async () => {
+      const response = await request(app)
+        .get('/posts/search?q=streams')
+        .expect(200);
+
+      const { data, pagination } = response.body;
+      expect(data.map(post => post.slug)).toEqual(['streams-in-node', 'packing-for-a-long-trip']);
+      expect(data[0].score).toBeGreaterThan(data[1].score);
+      expect(pagination.totalCount).toBe(2);
+    });
+
+    it('should not return post content', async () => {
+      const response = await request(app)
+        .get('/posts/search?q=streams')
+        .expect(200);
+
+      expect(response.body.data[0].content).toBeUndefined();
+      expect(response.body.data[0].contentHtml).toBeUndefined();
+      expect(response.body.data[0].category).toMatchObject({ name: 'Tech', slug: 'tech' });
+    });
+
+    it('should highlight matches in the title and a content snippet', async () => {
+      const response = await request(app)
+        .get('/posts/search?q=stream')
+        .expect(200);
+
+      const [top] = response.body.data;
+      expect(marked(top.highlights.title)).toEqual(['Streams']);
+      expect(marked(top.highlights.snippet)).toEqual(['streams', 'streams', 'Streams']);
+      expect(response.body.meta.terms).toEqual(['stream']);
+    });
+
+    it('should return facet counts by category, tag and author', async () => {
+      const response = await request(app)
+        .get('/posts/search?q=streams')
+        .expect(200);
+
+      const { facets } = response.body.meta;
+      expect(facets.categories).toEqual(expect.arrayContaining([
+        expect.objectContaining({ name: 'Tech', count: 1 }),
+        expect.objectContaining({ name: 'Travel', count: 1 })
+      ]));
+      expect(facets.tags).toEqual(expect.arrayContaining([{ tag: 'streams', count: 1 }, { tag: 'packing', count: 1 }]));
+      expect(facets.authors).toEqual(expect.arrayContaining([{ author: 'Ada', count: 1 }, { author: 'Grace', count: 1 }]));
+    });
+
+    it('should filter results but keep the alternatives in the filtered facet', async () => {
+      const response = await request(app)
+        .get(`/posts/search?q=streams&category=${travel._id}`)
+        .expect(200);
+
+      expect(response.body.data.map(post => post.slug)).toEqual(['packing-for-a-long-trip']);
+      expect(response.body.meta.facets.categories).toHaveLength(2);
+      expect(response.body.meta.facets.authors).toEqual([{ author: 'Grace', count: 1 }]);
+    });
+
+    it('should filter by tag and author', async () => {
+      const [byTag, byAuthor] = await Promise.all([
+        request(app).get('/posts/search?q=streams&tags=node').expect(200),
+        request(app).get('/posts/search?q=streams&author=grace').expect(200)
+      ]);
+
+      expect(byTag.body.data.map(post => post.slug)).toEqual(['streams-in-node']);
+      expect(byAuthor.body.data.map(post => post.slug)).toEqual(['packing-for-a-long-trip']);
+    });
+
+    it('should require a query of at least 2 characters', async () => {
+      const [missing, short] = await Promise.all([
+        request(app).get('/posts/search').expect(400),
+        request(app).get('/posts/search?q=a').expect(400)
+      ]);
+
+      expect(missing.body.success).toBe(false);
+      expect(short.body.error.details[0].field).toBe('q');
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Post = require('../../../models/Post');
+const Category = require('../../../models/Category');
+const PostView = require('../../../models/PostView');
+const PostViewBucket = require('../../../models/PostViewBucket');
+const statsRoutes = require('../../../routes/stats');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/stats', statsRoutes);
+
+const tokenFor = (id) => jwt.sign({ id, name: 'Jane Smith' }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+describe('Post Views Unit Tests', () => {
+  let testCategory;
+  let testPost;
+
+  beforeAll(() => Promise.all([PostView.init(), PostViewBucket.init()]));
+
+  beforeEach(async () => {
+    testCategory = await Category.create(testUtils.generateTestCategory());
+    testPost = await Post.create({
+      ...testUtils.generateTestPost({ stats: { views: 10, likes: 0, commentsCount: 0 } }),
+      category: testCategory._id
+    });
+  });
+
+  const view = (post, { token, userAgent = 'jest' } = {}) => {
+    const req = request(app).post(`/stats/posts/${post._id}/view`).set('User-Agent', userAgent);
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  };
+
+  describe('POST /stats/posts/:id/view - incrementPostViews', () => {
+    it('should count the first view from a visitor', async () => {
+      const response = await view(testPost).expect(200);
+
+      expect(response.body.data).toMatchObject({ views: 11, counted: true });
+      expect((await Post.findById(testPost._id)).stats.views).toBe(11);
+    });
+
+    it('should not count repeat views within the dedupe window', async () => {
+      await view(testPost).expect(200);
+      const response = await view(testPost).expect(200);
+
+      expect(response.body.data).toMatchObject({ views: 11, counted: false });
+    });
+
+    it('should count views from different visitors', async () => {
+      await view(testPost, { userAgent: 'browser-a' }).expect(200);
+      await view(testPost, { userAgent: 'browser-b' }).expect(200);
+      await view(testPost, { token: tokenFor('user-1') }).expect(200);
+
+      expect((await Post.findById(testPost._id)).stats.views).toBe(13);
+    });
+
+    it('should not lose concurrent views', async () => {
+      await Promise.all(
+        Array.from({ length: 5 }, (_, i) => view(testPost, { userAgent: `browser-${i}` }).expect(200))
+      );
+
+      expect((await Post.findById(testPost._id)).stats.views).toBe(15);
+    });
+
+    it('should record counted views in hourly and daily buckets', async () => {
+      await view(testPost, { userAgent: 'browser-a' }).expect(200);
+      await view(testPost, { userAgent: 'browser-a' }).expect(200);
+      await view(testPost, { userAgent: 'browser-b' }).expect(200);
+
+      const buckets = await PostViewBucket.find({ post: testPost._id });
+
+      expect(buckets).toHaveLength(2);
+      buckets.forEach(bucket => expect(bucket.views).toBe(2));
+    });
+
+    it('should return 404 for non-existent post', async () => {
+      await view({ _id: testUtils.createObjectId() }).expect(404);
+    });
+  });
+
+  describe('GET /stats/trending - getTrendingPosts', () => {
+    it('should rank posts by recent views rather than lifetime totals', async () => {
+      const oldFavourite = await Post.create({
+        ...testUtils.generateTestPost({
+          title: 'Old Favourite',
+          slug: 'old-favourite',
+          stats: { views: 5000, likes: 0, commentsCount: 0 }
+        }),
+        category: testCategory._id
+      });
+
+      await view(testPost, { userAgent: 'browser-a' }).expect(200);
+      await view(testPost, { userAgent: 'browser-b' }).expect(200);
+      await view(oldFavourite, { userAgent: 'browser-a' }).expect(200);
+
+      const response = await request(app)
+        .get('/stats/trending')
+        .expect(200);
+
+      const { trending, window } = response.body.data;
+      expect(window.days).toBe(7);
+      expect(trending).toHaveLength(2);
+      expect(trending[0].title).toBe(testPost.title);
+      expect(trending[0].recentViews).toBe(2);
+      expect(trending[0].category.name).toBe(testCategory.name);
+      expect(trending[1].recentViews).toBe(1);
+    });
+
+    it('should rank by views per day before applying the limit', async () => {
+      const now = new Date();
+      const longRunning = await Post.create({
+        ...testUtils.generateTestPost({
+          title: 'Long Running',
+          slug: 'long-running',
+          publishedAt: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000)
+        }),
+        category: testCategory._id
+      });
+      await Post.updateOne({ _id: testPost._id }, { $set: { publishedAt: now } });
+
+      // 3 views over 7 live days against 1 view on the day of publishing
+      for (let i = 0; i < 3; i++) {
+        await PostViewBucket.recordView(longRunning._id, now);
+      }
+      await PostViewBucket.recordView(testPost._id, now);
+
+      const response = await request(app)
+        .get('/stats/trending?limit=1')
+        .expect(200);
+
+      const { trending } = response.body.data;
+      expect(trending).toHaveLength(1);
+      expect(trending[0].title).toBe(testPost.title);
+      expect(trending[0].trendingScore).toBe(1);
+    });
+
+    it('should validate the query', async () => {
+      await request(app)
+        .get('/stats/trending?limit=0')
+        .expect(400);
+    });
+  });
+
+  describe('GET /stats/performance - getPerformanceStats', () => {
+    it('should include a daily view timeline for the period', async () => {
+      await view(testPost, { userAgent: 'browser-a' }).expect(200);
+      await view(testPost, { userAgent: 'browser-b' }).expect(200);
+
+      const response = await request(app)
+        .get('/stats/performance?period=7')
+        .expect(200);
+
+      const { views } = response.body.data;
+      expect(views.total).toBe(2);
+      expect(views.timeline).toHaveLength(8);
+      expect(views.timeline[views.timeline.length - 1].views).toBe(2);
+      expect(views.topPosts[0].periodViews).toBe(2);
+    });
+
+    it('should reject periods that are not a positive number of days', async () => {
+      await request(app)
+        .get('/stats/performance?period=-5')
+        .expect(400);
+
+      await request(app)
+        .get('/stats/performance?period=month')
+        .expect(400);
+    });
+  });
+});
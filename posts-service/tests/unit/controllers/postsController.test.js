@@ -143,7 +143,7 @@ describe('Posts Controller Unit Tests', () => {
       expect(response.body.error.message).toContain('Invalid');
     });
 
-    it('should increment view count', async () => {
+    it('should not count a view', async () => {
       const initialViews = testPost.stats.views;
 
       await request(app)
@@ -151,7 +151,7 @@ describe('Posts Controller Unit Tests', () => {
         .expect(200);
 
       const updatedPost = await Post.findById(testPost._id);
-      expect(updatedPost.stats.views).toBe(initialViews + 1);
+      expect(updatedPost.stats.views).toBe(initialViews);
     });
   });
 
@@ -342,7 +342,7 @@ describe('Posts Controller Unit Tests', () => {
       expect(response.body.success).toBe(false);
     });
 
-    it('should increment view count', async () => {
+    it('should not count a view', async () => {
       const initialViews = testPost.stats.views;
 
       await request(app)
@@ -350,7 +350,7 @@ describe('Posts Controller Unit Tests', () => {
         .expect(200);
 
       const updatedPost = await Post.findById(testPost._id);
-      expect(updatedPost.stats.views).toBe(initialViews + 1);
+      expect(updatedPost.stats.views).toBe(initialViews);
     });
   });
 
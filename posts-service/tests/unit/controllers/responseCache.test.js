@@ -0,0 +1,159 @@
+const request = require('supertest');
+const express = require('express');
+const Post = require('../../../models/Post');
+const Category = require('../../../models/Category');
+const config = require('../../../config/config');
+
+// In-memory stand-in for the Redis commands the cache uses
+jest.mock('redis', () => {
+  const mockValues = new Map();
+  const mockSets = new Map();
+
+  return {
+    mockValues,
+    createClient: () => ({
+      isReady: true,
+      on: () => {},
+      connect: async () => {},
+      quit: async () => {},
+      get: async (key) => mockValues.get(key) ?? null,
+      mGet: async (keys) => keys.map(key => mockValues.get(key) ?? null),
+      set: async (key, value) => { mockValues.set(key, value); },
+      sAdd: async (key, member) => {
+        if (!mockSets.has(key)) mockSets.set(key, new Set());
+        mockSets.get(key).add(member);
+      },
+      sMembers: async (key) => [...(mockSets.get(key) || [])],
+      expire: async () => {},
+      del: async (keys) => {
+        keys.forEach(key => {
+          mockValues.delete(key);
+          mockSets.delete(key);
+        });
+      }
+    })
+  };
+});
+
+const postsRoutes = require('../../../routes/posts');
+const categoriesRoutes = require('../../../routes/categories');
+const statsRoutes = require('../../../routes/stats');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/posts', postsRoutes);
+app.use('/categories', categoriesRoutes);
+app.use('/stats', statsRoutes);
+
+describe('Response Cache Unit Tests', () => {
+  const { mockValues } = require('redis');
+  let testCategory;
+  let testPost;
+
+  beforeAll(() => {
+    config.cache.enabled = true;
+  });
+
+  afterAll(() => {
+    config.cache.enabled = false;
+  });
+
+  beforeEach(async () => {
+    mockValues.clear();
+    testCategory = await Category.create(testUtils.generateTestCategory());
+    testPost = await Post.create(testUtils.generateTestPost({ category: testCategory._id }));
+  });
+
+  describe('GET /posts', () => {
+    it('should serve the second request from the cache', async () => {
+      const first = await request(app).get('/posts').expect(200);
+      const second = await request(app).get('/posts').expect(200);
+
+      expect(first.headers['x-cache']).toBe('MISS');
+      expect(second.headers['x-cache']).toBe('HIT');
+      expect(second.headers.etag).toBe(first.headers.etag);
+      expect(second.headers['last-modified']).toBe(first.headers['last-modified']);
+      expect(second.body).toEqual(first.body);
+    });
+
+    it('should share entries between orderings of the same query', async () => {
+      await request(app).get('/posts?limit=5&page=1').expect(200);
+      const response = await request(app).get('/posts?page=1&limit=5').expect(200);
+
+      expect(response.headers['x-cache']).toBe('HIT');
+    });
+
+    it('should answer 304 to a matching If-None-Match or If-Modified-Since', async () => {
+      const first = await request(app).get('/posts').expect(200);
+
+      await request(app)
+        .get('/posts')
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+
+      await request(app)
+        .get('/posts')
+        .set('If-Modified-Since', first.headers['last-modified'])
+        .expect(304);
+    });
+
+    it('should drop cached listings when a post is created', async () => {
+      await request(app).get('/posts').expect(200);
+
+      await request(app)
+        .post('/posts')
+        .send({
+          title: 'Fresh Post',
+          content: 'Content that should show up straight away',
+          author: 'Test Author',
+          category: testCategory._id.toString()
+        })
+        .expect(201);
+
+      const response = await request(app).get('/posts').expect(200);
+
+      expect(response.headers['x-cache']).toBe('MISS');
+      expect(response.body.data.map(post => post.title)).toContain('Fresh Post');
+    });
+
+    it('should drop cached listings when a post is liked', async () => {
+      await request(app).get('/posts').expect(200);
+      await request(app).post(`/stats/posts/${testPost._id}/like`).expect(200);
+
+      const response = await request(app).get('/posts').expect(200);
+
+      expect(response.headers['x-cache']).toBe('MISS');
+      expect(response.body.data[0].stats.likes).toBe(1);
+    });
+  });
+
+  describe('GET /categories/with-counts', () => {
+    it('should drop cached counts when a category changes', async () => {
+      await request(app).get('/categories/with-counts').expect(200);
+      const cached = await request(app).get('/categories/with-counts').expect(200);
+      expect(cached.headers['x-cache']).toBe('HIT');
+
+      await request(app)
+        .put(`/categories/${testCategory._id}`)
+        .send({ name: 'Renamed Category' })
+        .expect(200);
+
+      const response = await request(app).get('/categories/with-counts').expect(200);
+      expect(response.headers['x-cache']).toBe('MISS');
+      expect(response.body.data[0].name).toBe('Renamed Category');
+    });
+  });
+
+  describe('when the cache is disabled', () => {
+    it('should pass requests straight through', async () => {
+      config.cache.enabled = false;
+      try {
+        const response = await request(app).get('/posts').expect(200);
+        expect(response.headers['x-cache']).toBeUndefined();
+      } finally {
+        config.cache.enabled = true;
+      }
+    });
+  });
+});
@@ -0,0 +1,220 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Post = require('../../../models/Post');
+const Category = require('../../../models/Category');
+const PostRevision = require('../../../models/PostRevision');
+const postsRoutes = require('../../../routes/posts');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/posts', postsRoutes);
+
+const editorToken = jwt.sign({ id: 'editor-1', name: 'Jane Editor' }, process.env.JWT_SECRET, { expiresIn: '15m' });
+const readerToken = jwt.sign({ id: 'reader-1', name: 'Some Reader' }, process.env.JWT_SECRET, { expiresIn: '15m' });
+// Same display name as the author, different user
+const namesakeToken = jwt.sign({ id: 'editor-2', name: 'Jane Editor' }, process.env.JWT_SECRET, { expiresIn: '15m' });
+const adminToken = jwt.sign({ id: 'admin-1', name: 'Site Admin', isAdmin: true }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+describe('Revisions Controller Unit Tests', () => {
+  let testCategory;
+  let postId;
+
+  const update = (body) => request(app)
+    .put(`/posts/${postId}`)
+    .set('Authorization', `Bearer ${editorToken}`)
+    .send(body);
+
+  const getHistory = (path, token = editorToken) => request(app)
+    .get(`/posts/${postId}/revisions${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeAll(() => PostRevision.init());
+
+  beforeEach(async () => {
+    testCategory = await Category.create(testUtils.generateTestCategory());
+
+    const response = await request(app)
+      .post('/posts')
+      .set('Authorization', `Bearer ${editorToken}`)
+      .send({
+        title: 'Original Title',
+        content: 'The original content of the post',
+        author: 'Jane Editor',
+        category: testCategory._id.toString()
+      })
+      .expect(201);
+
+    postId = response.body.data._id;
+  });
+
+  describe('Recording revisions', () => {
+    it('should record the initial version when a post is created', async () => {
+      const revisions = await PostRevision.find({ post: postId });
+
+      expect(revisions).toHaveLength(1);
+      expect(revisions[0].action).toBe('create');
+      expect(revisions[0].snapshot.title).toBe('Original Title');
+      expect(revisions[0].author.id).toBe('editor-1');
+    });
+
+    it('should record a field-level diff for each update', async () => {
+      const response = await update({ title: 'Updated Title' }).expect(200);
+
+      expect(response.body.meta.revision).toBe(2);
+
+      const revision = await PostRevision.findOne({ post: postId, revision: 2 });
+      expect(revision.action).toBe('update');
+      expect(revision.author.name).toBe('Jane Editor');
+      expect(revision.changes).toEqual(expect.arrayContaining([
+        expect.objectContaining({ field: 'title', from: 'Original Title', to: 'Updated Title' })
+      ]));
+      expect(revision.changes.map(change => change.field)).not.toContain('content');
+    });
+
+    it('should not record a revision when nothing tracked changes', async () => {
+      const response = await update({ title: 'Original Title' }).expect(200);
+
+      expect(response.body.meta.revision).toBeNull();
+      expect(await PostRevision.countDocuments({ post: postId })).toBe(1);
+    });
+
+    it('should store a baseline for posts created before revisions were tracked', async () => {
+      await PostRevision.deleteMany({ post: postId });
+
+      await update({ content: 'Content written after tracking started' }).expect(200);
+
+      const revisions = await PostRevision.find({ post: postId }).sort({ revision: 1 });
+      expect(revisions).toHaveLength(2);
+      expect(revisions[0].snapshot.content).toBe('The original content of the post');
+      expect(revisions[1].snapshot.content).toBe('Content written after tracking started');
+    });
+  });
+
+  describe('GET /posts/:id/revisions - getRevisions', () => {
+    it('should list revisions newest first without snapshots', async () => {
+      await update({ title: 'Second Title' }).expect(200);
+      await update({ title: 'Third Title', tags: ['news'] }).expect(200);
+
+      const response = await getHistory('').expect(200);
+
+      expect(response.body.data.map(revision => revision.revision)).toEqual([3, 2, 1]);
+      expect(response.body.data[0].changedFields).toEqual(expect.arrayContaining(['title', 'tags']));
+      expect(response.body.data[0].snapshot).toBeUndefined();
+      expect(response.body.pagination.totalCount).toBe(3);
+    });
+
+    it('should return 404 for non-existent post', async () => {
+      await request(app)
+        .get(`/posts/${testUtils.createObjectId()}/revisions`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('GET /posts/:id/revisions/:revision - getRevision', () => {
+    it('should return the revision snapshot', async () => {
+      const response = await getHistory('/1').expect(200);
+
+      expect(response.body.data.snapshot.title).toBe('Original Title');
+    });
+
+    it('should return 404 for unknown revisions and 400 for invalid numbers', async () => {
+      await getHistory('/9').expect(404);
+      await getHistory('/abc').expect(400);
+    });
+  });
+
+  describe('GET /posts/:id/revisions/diff - diffRevisions', () => {
+    it('should diff two revisions field by field', async () => {
+      await update({ title: 'Second Title' }).expect(200);
+      await update({ content: 'Rewritten content of the post' }).expect(200);
+
+      const response = await getHistory('/diff?from=1&to=3').expect(200);
+
+      const fields = response.body.data.changes.map(change => change.field);
+      expect(fields).toEqual(expect.arrayContaining(['title', 'content']));
+      expect(response.body.data.changes.find(change => change.field === 'title'))
+        .toEqual({ field: 'title', from: 'Original Title', to: 'Second Title' });
+    });
+
+    it('should require both revision numbers', async () => {
+      await getHistory('/diff?from=1').expect(400);
+    });
+  });
+
+  describe('Revision history access', () => {
+    it('should require a signed-in user', async () => {
+      await request(app).get(`/posts/${postId}/revisions`).expect(401);
+      await request(app).get(`/posts/${postId}/revisions/1`).expect(401);
+      await request(app).get(`/posts/${postId}/revisions/diff?from=1&to=1`).expect(401);
+    });
+
+    it('should only show the history to the post\'s author and admins', async () => {
+      await getHistory('', readerToken).expect(403);
+      await getHistory('/1', readerToken).expect(403);
+      await getHistory('/diff?from=1&to=1', readerToken).expect(403);
+      await getHistory('', namesakeToken).expect(403);
+
+      const response = await getHistory('/1', adminToken).expect(200);
+      expect(response.body.data.snapshot.content).toBe('The original content of the post');
+    });
+  });
+
+  describe('POST /posts/:id/revisions/:revision/restore - restoreRevision', () => {
+    it('should restore an older revision as a new revision', async () => {
+      await update({ title: 'Second Title', content: 'Rewritten content of the post' }).expect(200);
+
+      const response = await request(app)
+        .post(`/posts/${postId}/revisions/1/restore`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+
+      expect(response.body.data.title).toBe('Original Title');
+      expect(response.body.data.content).toBe('The original content of the post');
+      expect(response.body.meta).toMatchObject({ revision: 3, restoredFrom: 1 });
+
+      const revision = await PostRevision.findOne({ post: postId, revision: 3 });
+      expect(revision.action).toBe('restore');
+      expect(revision.restoredFrom).toBe(1);
+    });
+
+    it('should keep the current publishing status', async () => {
+      await update({ title: 'Second Title', status: 'archived' }).expect(200);
+
+      await request(app)
+        .post(`/posts/${postId}/revisions/1/restore`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+
+      expect((await Post.findById(postId)).status).toBe('archived');
+    });
+
+    it('should reject restoring a slug now used by another post', async () => {
+      await update({ slug: 'renamed-post' }).expect(200);
+      await Post.create({
+        ...testUtils.generateTestPost({ slug: 'original-title' }),
+        category: testCategory._id
+      });
+
+      await request(app)
+        .post(`/posts/${postId}/revisions/1/restore`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(409);
+    });
+
+    it('should only let the post\'s author and admins restore', async () => {
+      await update({ title: 'Second Title' }).expect(200);
+      const restore = () => request(app).post(`/posts/${postId}/revisions/1/restore`);
+
+      await restore().expect(401);
+      await restore().set('Authorization', `Bearer ${readerToken}`).expect(403);
+      await restore().set('Authorization', `Bearer ${namesakeToken}`).expect(403);
+      expect((await Post.findById(postId)).title).toBe('Second Title');
+
+      await restore().set('Authorization', `Bearer ${adminToken}`).expect(200);
+      expect((await Post.findById(postId)).title).toBe('Original Title');
+    });
+  });
+});
@@ -0,0 +1,213 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Post = require('../../../models/Post');
+const Category = require('../../../models/Category');
+const postsRoutes = require('../../../routes/posts');
+const { publishScheduledPosts } = require('../../../utils/scheduler');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/posts', postsRoutes);
+
+const signToken = (claims) => jwt.sign(claims, process.env.JWT_SECRET, { expiresIn: '15m' });
+const authorToken = signToken({ id: 'author-1', name: 'Jane Editor' });
+const otherToken = signToken({ id: 'author-2', name: 'John Writer' });
+const adminToken = signToken({ id: 'admin-1', name: 'Site Admin', isAdmin: true });
+// Same display name as the author, different user
+const namesakeToken = signToken({ id: 'author-3', name: 'Jane Editor' });
+
+describe('Scheduled Publishing Unit Tests', () => {
+  const hour = 60 * 60 * 1000;
+  let testCategory;
+  let scheduledPost;
+  let publishAt;
+
+  beforeEach(async () => {
+    testCategory = await Category.create(testUtils.generateTestCategory());
+    publishAt = new Date(Date.now() + hour);
+
+    const response = await request(app)
+      .post('/posts')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({
+        title: 'Scheduled Announcement',
+        content: 'This announcement goes live later',
+        author: 'Jane Editor',
+        category: testCategory._id.toString(),
+        featured: true,
+        publishAt: publishAt.toISOString()
+      })
+      .expect(201);
+
+    scheduledPost = response.body.data;
+  });
+
+  describe('POST /posts with publishAt', () => {
+    it('should create the post as a scheduled draft', () => {
+      expect(scheduledPost.status).toBe('draft');
+      expect(new Date(scheduledPost.publishAt).getTime()).toBe(publishAt.getTime());
+      expect(scheduledPost.publishedAt).toBeNull();
+      expect(scheduledPost.isScheduled).toBe(true);
+    });
+
+    it('should reject publishAt in the past or on a published post', async () => {
+      const base = {
+        title: 'Another Post',
+        content: 'Some more content here',
+        author: 'Jane Editor',
+        category: testCategory._id.toString()
+      };
+
+      await request(app)
+        .post('/posts')
+        .send({ ...base, publishAt: new Date(Date.now() - hour).toISOString() })
+        .expect(400);
+
+      await request(app)
+        .post('/posts')
+        .send({ ...base, status: 'published', publishAt: publishAt.toISOString() })
+        .expect(400);
+    });
+  });
+
+  describe('Visibility before publishAt', () => {
+    it('should not appear in published, featured or search results', async () => {
+      const [list, listAsDraft, featured, search, featuredAsDraft] = await Promise.all([
+        request(app).get('/posts').expect(200),
+        request(app).get('/posts?status=draft').expect(200),
+        request(app).get('/posts/featured').expect(200),
+        request(app).get('/posts/search?q=announcement').expect(200),
+        request(app).get('/posts/featured?status=draft').expect(200)
+      ]);
+
+      expect(Object.keys(list.body.data)).not.toContain(scheduledPost._id);
+      expect(listAsDraft.body.data).toHaveLength(0);
+      expect(featured.body.data).toHaveLength(0);
+      expect(search.body.data).toHaveLength(0);
+      expect(featuredAsDraft.body.data).toHaveLength(0);
+    });
+
+    it('should only be found by ID by its author and admins', async () => {
+      const getById = () => request(app).get(`/posts/${scheduledPost._id}`);
+
+      await getById().expect(404);
+      await getById().set('Authorization', `Bearer ${otherToken}`).expect(404);
+      await getById().set('Authorization', `Bearer ${namesakeToken}`).expect(404);
+
+      const [own, asAdmin] = await Promise.all([
+        getById().set('Authorization', `Bearer ${authorToken}`).expect(200),
+        getById().set('Authorization', `Bearer ${adminToken}`).expect(200)
+      ]);
+      expect(own.body.data.title).toBe('Scheduled Announcement');
+      expect(asAdmin.body.data.title).toBe('Scheduled Announcement');
+    });
+  });
+
+  describe('GET /posts/scheduled - getScheduledPosts', () => {
+    it('should list upcoming scheduled posts soonest first', async () => {
+      await Post.create({
+        ...testUtils.generateTestPost({
+          title: 'Later Post',
+          slug: 'later-post',
+          status: 'draft',
+          publishAt: new Date(Date.now() + 2 * hour)
+        }),
+        category: testCategory._id
+      });
+      await Post.create({
+        ...testUtils.generateTestPost({ title: 'Plain Draft', slug: 'plain-draft', status: 'draft' }),
+        category: testCategory._id
+      });
+
+      const response = await request(app)
+        .get('/posts/scheduled')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(post => post.title)).toEqual(['Scheduled Announcement', 'Later Post']);
+      expect(new Date(response.body.meta.nextPublishAt).getTime()).toBe(publishAt.getTime());
+    });
+
+    it('should require a signed-in user', async () => {
+      await request(app).get('/posts/scheduled').expect(401);
+      await request(app)
+        .get('/posts/scheduled')
+        .set('Authorization', 'Bearer not-a-token')
+        .expect(401);
+    });
+
+    it('should only list the caller\'s own posts unless they are an admin', async () => {
+      await Post.create({
+        ...testUtils.generateTestPost({
+          title: 'Someone Else\'s Post',
+          slug: 'someone-elses-post',
+          author: 'John Writer',
+          authorId: 'author-2',
+          status: 'draft',
+          publishAt: new Date(Date.now() + 2 * hour)
+        }),
+        category: testCategory._id
+      });
+
+      const [own, other, namesake] = await Promise.all([
+        request(app).get('/posts/scheduled').set('Authorization', `Bearer ${authorToken}`).expect(200),
+        request(app).get('/posts/scheduled').set('Authorization', `Bearer ${otherToken}`).expect(200),
+        request(app).get('/posts/scheduled').set('Authorization', `Bearer ${namesakeToken}`).expect(200)
+      ]);
+
+      expect(own.body.data.map(post => post.title)).toEqual(['Scheduled Announcement']);
+      expect(other.body.data.map(post => post.title)).toEqual(['Someone Else\'s Post']);
+      expect(namesake.body.data).toHaveLength(0);
+    });
+  });
+
+  describe('PUT /posts/:id with publishAt', () => {
+    it('should cancel the schedule with publishAt null', async () => {
+      await request(app)
+        .put(`/posts/${scheduledPost._id}`)
+        .send({ publishAt: null })
+        .expect(200);
+
+      const response = await request(app).get('/posts/scheduled').expect(200);
+      expect(response.body.data).toHaveLength(0);
+    });
+
+    it('should not schedule an already published post', async () => {
+      const published = await Post.create({
+        ...testUtils.generateTestPost({ slug: 'live-post' }),
+        category: testCategory._id
+      });
+
+      await request(app)
+        .put(`/posts/${published._id}`)
+        .send({ publishAt: publishAt.toISOString() })
+        .expect(400);
+    });
+  });
+
+  describe('publishScheduledPosts', () => {
+    it('should publish due posts at their scheduled time and update category counts', async () => {
+      const published = await publishScheduledPosts(new Date(publishAt.getTime() + 1000));
+
+      expect(published).toHaveLength(1);
+
+      const post = await Post.findById(scheduledPost._id);
+      expect(post.status).toBe('published');
+      expect(post.publishedAt.getTime()).toBe(publishAt.getTime());
+
+      const category = await Category.findById(testCategory._id);
+      expect(category.postCount).toBe(1);
+
+      const featured = await request(app).get('/posts/featured').expect(200);
+      expect(featured.body.data).toHaveLength(1);
+    });
+
+    it('should leave posts that are not yet due', async () => {
+      const published = await publishScheduledPosts(new Date());
+
+      expect(published).toHaveLength(0);
+    });
+  });
+});
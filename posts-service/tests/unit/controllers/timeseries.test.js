@@ -0,0 +1,155 @@
+jest.mock('../../../utils/commentsService');
+
+const request = require('supertest');
+const express = require('express');
+const Post = require('../../../models/Post');
+const Category = require('../../../models/Category');
+const PostLike = require('../../../models/PostLike');
+const PostViewBucket = require('../../../models/PostViewBucket');
+const statsRoutes = require('../../../routes/stats');
+const { fetchCommentActivity } = require('../../../utils/commentsService');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.use('/stats', statsRoutes);
+
+describe('Stats Timeseries Unit Tests', () => {
+  const from = '2024-03-01T00:00:00.000Z';
+  const to = '2024-03-14T23:59:59.000Z';
+  let tech;
+  let travel;
+  let techPost;
+  let travelPost;
+
+  // Insert directly so the like keeps its historical createdAt
+  const like = (post, userId, createdAt) =>
+    PostLike.collection.insertOne({ post: post._id, likerKey: `user:${userId}`, userId, userName: null, createdAt });
+
+  beforeEach(async () => {
+    [tech, travel] = await Category.create([
+      testUtils.generateTestCategory({ name: 'Tech', slug: 'tech' }),
+      testUtils.generateTestCategory({ name: 'Travel', slug: 'travel' })
+    ]);
+    [techPost, travelPost] = await Post.create([
+      { ...testUtils.generateTestPost({ title: 'Tech Post', slug: 'tech-post', author: 'Jane Smith' }), category: tech._id },
+      { ...testUtils.generateTestPost({ title: 'Travel Post', slug: 'travel-post', author: 'John Doe' }), category: travel._id }
+    ]);
+
+    // Monday 4th and Monday 11th March
+    await PostViewBucket.recordView(techPost._id, new Date('2024-03-04T10:00:00Z'));
+    await PostViewBucket.recordView(techPost._id, new Date('2024-03-05T10:00:00Z'));
+    await PostViewBucket.recordView(techPost._id, new Date('2024-03-11T10:00:00Z'));
+    await PostViewBucket.recordView(travelPost._id, new Date('2024-03-11T10:00:00Z'));
+    // Outside the range
+    await PostViewBucket.recordView(techPost._id, new Date('2024-02-20T10:00:00Z'));
+
+    await like(techPost, 'user-1', new Date('2024-03-05T12:00:00Z'));
+    await like(travelPost, 'user-1', new Date('2024-03-12T12:00:00Z'));
+
+    fetchCommentActivity.mockResolvedValue([
+      { postId: techPost._id.toString(), date: '2024-03-06', count: 2 },
+      { postId: travelPost._id.toString(), date: '2024-03-13', count: 1 }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('GET /stats/timeseries - getTimeseries', () => {
+    it('should return daily series per post by default', async () => {
+      const response = await request(app)
+        .get(`/stats/timeseries?from=${from}&to=${to}`)
+        .expect(200);
+
+      const { groupBy, granularity, periods, series, sources } = response.body.data;
+      expect(groupBy).toBe('post');
+      expect(granularity).toBe('day');
+      expect(periods).toHaveLength(14);
+      expect(series).toHaveLength(2);
+      expect(sources.comments).toBe('available');
+      expect(fetchCommentActivity).toHaveBeenCalledWith(new Date(from), new Date(to), null);
+
+      const [first] = series;
+      expect(first.label).toBe('Tech Post');
+      expect(first.totals).toEqual({ views: 3, likes: 1, comments: 2 });
+      expect(first.points.find(point => point.period === '2024-03-05'))
+        .toEqual({ period: '2024-03-05', views: 1, likes: 1, comments: 0 });
+    });
+
+    it('should group by category at week granularity', async () => {
+      const response = await request(app)
+        .get(`/stats/timeseries?groupBy=category&granularity=week&from=${from}&to=${to}`)
+        .expect(200);
+
+      const { periods, series } = response.body.data;
+      expect(periods).toEqual(['2024-02-26', '2024-03-04', '2024-03-11']);
+
+      const techSeries = series.find(entry => entry.label === 'Tech');
+      expect(techSeries.key).toBe(tech._id.toString());
+      expect(techSeries.points.map(point => point.views)).toEqual([0, 2, 1]);
+      expect(techSeries.points.map(point => point.comments)).toEqual([0, 2, 0]);
+    });
+
+    it('should group by author at month granularity and filter by ids', async () => {
+      const response = await request(app)
+        .get(`/stats/timeseries?groupBy=author&granularity=month&ids=John%20Doe&from=${from}&to=${to}`)
+        .expect(200);
+
+      const { series } = response.body.data;
+      expect(series).toHaveLength(1);
+      expect(series[0].label).toBe('John Doe');
+      expect(fetchCommentActivity).toHaveBeenCalledWith(new Date(from), new Date(to), [travelPost._id.toString()]);
+      expect(series[0].points).toEqual([
+        { period: '2024-03-01', views: 1, likes: 1, comments: 1 }
+      ]);
+    });
+
+    it('should leave out unpublished posts', async () => {
+      const draft = await Post.create({
+        ...testUtils.generateTestPost({ title: 'Draft Post', slug: 'draft-post', status: 'draft' }),
+        category: tech._id
+      });
+      await PostViewBucket.recordView(draft._id, new Date('2024-03-04T10:00:00Z'));
+
+      const [all, byId] = await Promise.all([
+        request(app).get(`/stats/timeseries?from=${from}&to=${to}`).expect(200),
+        request(app).get(`/stats/timeseries?ids=${draft._id}&from=${from}&to=${to}`).expect(200)
+      ]);
+
+      expect(all.body.data.series.map(entry => entry.label)).toEqual(['Tech Post', 'Travel Post']);
+      expect(byId.body.data.series).toHaveLength(0);
+    });
+
+    it('should still return views and likes when comments-service is unavailable', async () => {
+      fetchCommentActivity.mockRejectedValue(new Error('Comments service unavailable'));
+
+      const response = await request(app)
+        .get(`/stats/timeseries?from=${from}&to=${to}`)
+        .expect(200);
+
+      expect(response.body.data.sources.comments).toBe('unavailable');
+      expect(response.body.data.series[0].totals.comments).toBe(0);
+      expect(response.body.data.series[0].totals.views).toBe(3);
+    });
+
+    it('should reject invalid ranges and ids', async () => {
+      await request(app)
+        .get(`/stats/timeseries?from=${to}&to=${from}`)
+        .expect(400);
+
+      await request(app)
+        .get('/stats/timeseries?from=2020-01-01T00:00:00Z&to=2024-01-01T00:00:00Z')
+        .expect(400);
+
+      await request(app)
+        .get('/stats/timeseries?groupBy=category&ids=not-an-id')
+        .expect(400);
+
+      await request(app)
+        .get('/stats/timeseries?granularity=year')
+        .expect(400);
+    });
+  });
+});
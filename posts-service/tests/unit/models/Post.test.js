@@ -233,6 +233,24 @@ describe('Post Model Unit Tests', () => {
 
       expect(savedPost.metadata.readTime).toBe(1); // ~1 minute for 250 words
     });
+
+    it('should treat content without a format as HTML and sanitize it', async () => {
+      const post = await Post.create({
+        title: 'Restored Post',
+        content: 'Some content long enough',
+        author: 'Test Author',
+        category: testCategory._id
+      });
+
+      // A restored revision from before formats existed clears the format
+      post.set('format', undefined);
+      post.content = '<p onclick="steal()">Restored content</p><script>alert(1)</script>';
+      const savedPost = await post.save();
+
+      expect(savedPost.format).toBe('html');
+      expect(savedPost.content).toBe('<p>Restored content</p>');
+      expect(savedPost.contentHtml).toBe('<p>Restored content</p>');
+    });
   });
 
   describe('Instance Methods', () => {
@@ -271,7 +289,7 @@ describe('Post Model Unit Tests', () => {
     });
 
     it('should update comment count', async () => {
-      await testPost.updateCommentCount(5);
+      await testPost.updateCommentsCount(5);
       
       expect(testPost.stats.commentsCount).toBe(5);
       
@@ -280,6 +298,28 @@ describe('Post Model Unit Tests', () => {
       expect(updatedPost.stats.commentsCount).toBe(5);
     });
 
+    it('should ignore comment counts older than the last sync', async () => {
+      const now = Date.now();
+      await testPost.updateCommentsCount(3, new Date(now));
+      await testPost.updateCommentsCount(1, new Date(now - 1000));
+
+      expect(testPost.stats.commentsCount).toBe(3);
+
+      const updatedPost = await Post.findById(testPost._id);
+      expect(updatedPost.stats.commentsCount).toBe(3);
+    });
+
+    it('should apply the same comment count idempotently', async () => {
+      const occurredAt = new Date();
+      await Post.syncCommentsCount(testPost._id, 2, occurredAt);
+      const replay = await Post.syncCommentsCount(testPost._id, 2, occurredAt);
+
+      expect(replay.matchedCount).toBe(0);
+
+      const updatedPost = await Post.findById(testPost._id);
+      expect(updatedPost.stats.commentsCount).toBe(2);
+    });
+
     it('should check if post is published', () => {
       testPost.status = 'published';
       expect(testPost.isPublished()).toBe(true);
@@ -380,6 +420,138 @@ describe('Post Model Unit Tests', () => {
     });
   });
 
+  describe('Content Rendering', () => {
+    const markdown = [
+      '# Getting Started',
+      '',
+      'Install the **CLI** first. Use `a < b` comparisons freely.',
+      '',
+      '## Usage',
+      '',
+      '<script>alert("xss")</script>',
+      '',
+      '## Usage'
+    ].join('\n');
+
+    it('should keep markdown source and store sanitized rendered HTML', async () => {
+      const post = await Post.create({
+        ...testUtils.generateTestPost({ content: markdown, format: 'markdown', excerpt: undefined }),
+        category: testCategory._id
+      });
+
+      expect(post.content).toBe(markdown);
+      expect(post.contentHtml).toContain('<strong>CLI</strong>');
+      expect(post.contentHtml).toContain('<h1 id="getting-started">Getting Started</h1>');
+      expect(post.contentHtml).not.toContain('<script>');
+    });
+
+    it('should build a table of contents with unique heading ids', async () => {
+      const post = await Post.create({
+        ...testUtils.generateTestPost({ content: markdown, format: 'markdown' }),
+        category: testCategory._id
+      });
+
+      expect(post.toc.map(({ level, text, id }) => ({ level, text, id }))).toEqual([
+        { level: 1, text: 'Getting Started', id: 'getting-started' },
+        { level: 2, text: 'Usage', id: 'usage' },
+        { level: 2, text: 'Usage', id: 'usage-1' }
+      ]);
+    });
+
+    it('should compute excerpt and word count from the rendered text', async () => {
+      const post = await Post.create({
+        ...testUtils.generateTestPost({ content: markdown, format: 'markdown', excerpt: undefined }),
+        category: testCategory._id
+      });
+
+      expect(post.excerpt).toMatch(/^Getting Started Install the CLI first\./);
+      expect(post.excerpt).not.toContain('**');
+      expect(post.excerpt).not.toContain('#');
+      expect(post.metadata.wordCount).toBe(14);
+    });
+
+    it('should sanitize HTML content and add heading anchors', async () => {
+      const post = await Post.create({
+        ...testUtils.generateTestPost({
+          content: '<h2 onclick="steal()">Overview</h2><p>Plain HTML content</p><script>alert(1)</script>'
+        }),
+        category: testCategory._id
+      });
+
+      expect(post.format).toBe('html');
+      expect(post.content).not.toContain('onclick');
+      expect(post.content).not.toContain('<script>');
+      expect(post.contentHtml).toContain('<h2 id="overview">Overview</h2>');
+      expect(post.toc).toHaveLength(1);
+    });
+
+    it('should re-render when content changes', async () => {
+      const post = await Post.create({
+        ...testUtils.generateTestPost({ content: markdown, format: 'markdown' }),
+        category: testCategory._id
+      });
+
+      post.content = '## Rewritten\n\nCompletely new body';
+      await post.save();
+
+      expect(post.toc.map(entry => entry.id)).toEqual(['rewritten']);
+      expect(post.contentHtml).toContain('Completely new body');
+    });
+  });
+
+  describe('Scheduled Publishing', () => {
+    const hour = 60 * 60 * 1000;
+
+    const createScheduled = (slug, publishAt) => Post.create({
+      ...testUtils.generateTestPost({ title: `Scheduled ${slug}`, slug, status: 'draft', publishAt }),
+      category: testCategory._id
+    });
+
+    it('should publish only drafts whose publishAt has passed', async () => {
+      const dueAt = new Date(Date.now() - hour);
+      await createScheduled('due-post', dueAt);
+      await createScheduled('future-post', new Date(Date.now() + hour));
+
+      const published = await Post.publishDuePosts();
+
+      expect(published).toHaveLength(1);
+      expect(published[0].slug).toBe('due-post');
+      expect(published[0].status).toBe('published');
+      expect(published[0].publishedAt.getTime()).toBe(dueAt.getTime());
+      expect(published[0].publishAt).toBeNull();
+
+      const future = await Post.findOne({ slug: 'future-post' });
+      expect(future.status).toBe('draft');
+      expect(future.isScheduled).toBe(true);
+    });
+
+    it('should publish a due post once when publishers run concurrently', async () => {
+      await createScheduled('due-post', new Date(Date.now() - hour));
+
+      const results = await Promise.all([Post.publishDuePosts(), Post.publishDuePosts()]);
+
+      expect(results.flat()).toHaveLength(1);
+    });
+
+    it('should not return scheduled posts from findPublished', async () => {
+      await createScheduled('future-post', new Date(Date.now() + hour));
+
+      const publishedPosts = await Post.findPublished();
+
+      expect(publishedPosts.map(post => post.slug)).not.toContain('future-post');
+    });
+
+    it('should cancel the schedule when a post is published manually', async () => {
+      const post = await createScheduled('future-post', new Date(Date.now() + hour));
+
+      post.status = 'published';
+      await post.save();
+
+      expect(post.publishAt).toBeNull();
+      expect(post.isScheduled).toBe(false);
+    });
+  });
+
   describe('Indexes and Performance', () => {
     it('should have proper indexes for queries', async () => {
       const indexes = await Post.collection.getIndexes();
@@ -0,0 +1,69 @@
+const PostLike = require('../../../models/PostLike');
+
+describe('PostLike Model Unit Tests', () => {
+  const user = { id: 'user-1', name: 'Jane Smith' };
+  const fingerprint = 'a'.repeat(64);
+  let postId;
+
+  // Make sure the unique index exists before testing concurrent likes
+  beforeAll(() => PostLike.init());
+
+  beforeEach(() => {
+    postId = testUtils.createObjectId();
+  });
+
+  describe('keyFor', () => {
+    it('should key authenticated users by id and anonymous users by fingerprint', () => {
+      expect(PostLike.keyFor({ user, fingerprint })).toBe('user:user-1');
+      expect(PostLike.keyFor({ user: null, fingerprint })).toBe(`anon:${fingerprint}`);
+    });
+  });
+
+  describe('addLike', () => {
+    it('should only create one like per user', async () => {
+      expect(await PostLike.addLike(postId, { user, fingerprint })).toBe(true);
+      expect(await PostLike.addLike(postId, { user, fingerprint: 'other' })).toBe(false);
+
+      expect(await PostLike.countDocuments({ post: postId })).toBe(1);
+    });
+
+    it('should handle concurrent likes from the same user', async () => {
+      const results = await Promise.all([
+        PostLike.addLike(postId, { user, fingerprint }),
+        PostLike.addLike(postId, { user, fingerprint }),
+        PostLike.addLike(postId, { user, fingerprint })
+      ]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      expect(await PostLike.countDocuments({ post: postId })).toBe(1);
+    });
+
+    it('should track anonymous likes separately from user likes', async () => {
+      await PostLike.addLike(postId, { user: null, fingerprint });
+      await PostLike.addLike(postId, { user, fingerprint });
+
+      expect(await PostLike.countDocuments({ post: postId })).toBe(2);
+    });
+  });
+
+  describe('removeLike', () => {
+    it('should only remove the caller\'s own like', async () => {
+      await PostLike.addLike(postId, { user, fingerprint });
+
+      expect(await PostLike.removeLike(postId, { user: { id: 'user-2' }, fingerprint })).toBe(false);
+      expect(await PostLike.removeLike(postId, { user, fingerprint })).toBe(true);
+      expect(await PostLike.hasLiked(postId, { user, fingerprint })).toBe(false);
+    });
+  });
+
+  describe('toJSON', () => {
+    it('should not expose the liker key', async () => {
+      await PostLike.addLike(postId, { user: null, fingerprint });
+      const like = await PostLike.findOne({ post: postId });
+
+      const json = like.toJSON();
+      expect(json.likerKey).toBeUndefined();
+      expect(json.anonymous).toBe(true);
+    });
+  });
+});
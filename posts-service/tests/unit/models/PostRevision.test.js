@@ -0,0 +1,54 @@
+const PostRevision = require('../../../models/PostRevision');
+
+describe('PostRevision Model Unit Tests', () => {
+  const snapshot = { title: 'Test Post', content: 'This is a test post content' };
+  let postId;
+
+  // Make sure the unique index exists before testing concurrent revisions
+  beforeAll(() => PostRevision.init());
+
+  beforeEach(() => {
+    postId = testUtils.createObjectId();
+  });
+
+  describe('record', () => {
+    it('should number revisions sequentially per post', async () => {
+      const first = await PostRevision.record(postId, { action: 'create', snapshot });
+      const second = await PostRevision.record(postId, { action: 'update', snapshot });
+      const other = await PostRevision.record(testUtils.createObjectId(), { action: 'create', snapshot });
+
+      expect(first.revision).toBe(1);
+      expect(second.revision).toBe(2);
+      expect(other.revision).toBe(1);
+    });
+
+    it('should give concurrent revisions distinct numbers', async () => {
+      const revisions = await Promise.all([
+        PostRevision.record(postId, { action: 'update', snapshot }),
+        PostRevision.record(postId, { action: 'update', snapshot }),
+        PostRevision.record(postId, { action: 'update', snapshot })
+      ]);
+
+      expect(revisions.map(revision => revision.revision).sort()).toEqual([1, 2, 3]);
+    });
+
+    it('should default the author to anonymous', async () => {
+      const revision = await PostRevision.record(postId, { action: 'create', snapshot });
+
+      expect(revision.author.id).toBeNull();
+      expect(revision.author.name).toBeNull();
+    });
+  });
+
+  describe('ensureBaseline', () => {
+    it('should only record a baseline for posts without revisions', async () => {
+      const baseline = await PostRevision.ensureBaseline(postId, snapshot);
+      const again = await PostRevision.ensureBaseline(postId, snapshot);
+
+      expect(baseline.revision).toBe(1);
+      expect(baseline.action).toBe('create');
+      expect(again).toBeNull();
+      expect(await PostRevision.countDocuments({ post: postId })).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const PostView = require('../../../models/PostView');
+
+describe('PostView Model Unit Tests', () => {
+  const user = { id: 'user-1', name: 'Jane Smith' };
+  const fingerprint = 'a'.repeat(64);
+  const windowMs = 30 * 60 * 1000;
+  let postId;
+
+  // Make sure the unique index exists before testing concurrent views
+  beforeAll(() => PostView.init());
+
+  beforeEach(() => {
+    postId = testUtils.createObjectId();
+  });
+
+  describe('registerView', () => {
+    it('should count the first view and ignore repeats within the window', async () => {
+      expect(await PostView.registerView(postId, { user, fingerprint }, windowMs)).toBe(true);
+      expect(await PostView.registerView(postId, { user, fingerprint }, windowMs)).toBe(false);
+    });
+
+    it('should count views from different visitors', async () => {
+      expect(await PostView.registerView(postId, { user, fingerprint }, windowMs)).toBe(true);
+      expect(await PostView.registerView(postId, { user: null, fingerprint }, windowMs)).toBe(true);
+      expect(await PostView.registerView(postId, { user: null, fingerprint: 'b'.repeat(64) }, windowMs)).toBe(true);
+    });
+
+    it('should count a view again once the window has expired', async () => {
+      await PostView.registerView(postId, { user, fingerprint }, windowMs);
+      await PostView.updateOne({ post: postId }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+      expect(await PostView.registerView(postId, { user, fingerprint }, windowMs)).toBe(true);
+      expect(await PostView.countDocuments({ post: postId })).toBe(1);
+    });
+
+    it('should count concurrent views from the same visitor once', async () => {
+      const results = await Promise.all(
+        Array.from({ length: 5 }, () => PostView.registerView(postId, { user, fingerprint }, windowMs))
+      );
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const PostViewBucket = require('../../../models/PostViewBucket');
+const Post = require('../../../models/Post');
+const Category = require('../../../models/Category');
+
+describe('PostViewBucket Model Unit Tests', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  beforeAll(() => PostViewBucket.init());
+
+  describe('recordView', () => {
+    it('should increment the hourly and daily buckets', async () => {
+      const postId = testUtils.createObjectId();
+      const at = new Date('2024-03-10T14:25:00Z');
+
+      await PostViewBucket.recordView(postId, at);
+      await PostViewBucket.recordView(postId, new Date('2024-03-10T14:55:00Z'));
+      await PostViewBucket.recordView(postId, new Date('2024-03-10T16:05:00Z'));
+
+      const hourly = await PostViewBucket.find({ post: postId, granularity: 'hour' }).sort({ bucketStart: 1 });
+      const daily = await PostViewBucket.find({ post: postId, granularity: 'day' });
+
+      expect(hourly.map(bucket => bucket.views)).toEqual([2, 1]);
+      expect(hourly[0].bucketStart.toISOString()).toBe('2024-03-10T14:00:00.000Z');
+      expect(hourly[0].expiresAt).toBeDefined();
+      expect(daily).toHaveLength(1);
+      expect(daily[0].views).toBe(3);
+      expect(daily[0].bucketStart.toISOString()).toBe('2024-03-10T00:00:00.000Z');
+      expect(daily[0].expiresAt).toBeUndefined();
+    });
+  });
+
+  describe('mostViewedPosts', () => {
+    it('should rank published posts by views in the window', async () => {
+      const category = await Category.create(testUtils.generateTestCategory());
+      const [popular, quiet, draft] = await Post.create([
+        { ...testUtils.generateTestPost({ title: 'Popular', slug: 'popular' }), category: category._id },
+        { ...testUtils.generateTestPost({ title: 'Quiet', slug: 'quiet' }), category: category._id },
+        { ...testUtils.generateTestPost({ title: 'Draft', slug: 'draft', status: 'draft' }), category: category._id }
+      ]);
+
+      const now = new Date();
+      const longAgo = new Date(now.getTime() - 10 * DAY_MS);
+      await PostViewBucket.recordView(popular._id, now);
+      await PostViewBucket.recordView(popular._id, now);
+      await PostViewBucket.recordView(quiet._id, now);
+      await PostViewBucket.recordView(draft._id, now);
+      // Outside a 7 day window
+      await PostViewBucket.recordView(quiet._id, longAgo);
+      await PostViewBucket.recordView(quiet._id, longAgo);
+
+      const results = await PostViewBucket.mostViewedPosts(new Date(now.getTime() - 7 * DAY_MS));
+
+      expect(results).toHaveLength(2);
+      expect(results[0].post.title).toBe('Popular');
+      expect(results[0].views).toBe(2);
+      expect(results[1].post.title).toBe('Quiet');
+      expect(results[1].views).toBe(1);
+    });
+  });
+
+  describe('dailyTimeline', () => {
+    it('should fill days without views with zero', async () => {
+      const postId = testUtils.createObjectId();
+      const now = new Date();
+      await PostViewBucket.recordView(postId, new Date(now.getTime() - 2 * DAY_MS));
+      await PostViewBucket.recordView(postId, now);
+
+      const timeline = await PostViewBucket.dailyTimeline(new Date(now.getTime() - 3 * DAY_MS));
+
+      expect(timeline).toHaveLength(4);
+      expect(timeline.map(day => day.views)).toEqual([0, 1, 0, 1]);
+      expect(timeline[3].date).toBe(now.toISOString().slice(0, 10));
+    });
+  });
+});
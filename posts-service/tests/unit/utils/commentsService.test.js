@@ -0,0 +1,59 @@
+const { ACTIVITY_BATCH_SIZE, fetchCommentActivity } = require('../../../utils/commentsService');
+
+describe('Comments Service Client Unit Tests', () => {
+  const from = new Date('2024-03-01T00:00:00.000Z');
+  const to = new Date('2024-03-14T23:59:59.000Z');
+  let requestedUrls;
+
+  beforeEach(() => {
+    requestedUrls = [];
+    global.fetch = jest.fn(async (url) => {
+      requestedUrls.push(new URL(url));
+      const postIds = new URL(url).searchParams.get('postIds');
+      const data = postIds
+        ? postIds.split(',').map(postId => ({ postId, date: '2024-03-02', count: 1 }))
+        : [];
+
+      return { ok: true, json: async () => ({ data }) };
+    });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe('fetchCommentActivity', () => {
+    it('should request every post at once when no posts are given', async () => {
+      await fetchCommentActivity(from, to);
+
+      expect(requestedUrls).toHaveLength(1);
+      expect(requestedUrls[0].pathname).toBe('/api/v1/internal/comment-activity');
+      expect(requestedUrls[0].searchParams.has('postIds')).toBe(false);
+    });
+
+    it('should request long post lists in batches and combine the results', async () => {
+      const postIds = Array.from({ length: ACTIVITY_BATCH_SIZE * 2 + 5 }, () => testUtils.createObjectId().toString());
+
+      const activity = await fetchCommentActivity(from, to, postIds);
+
+      expect(requestedUrls.map(url => url.searchParams.get('postIds').split(',').length))
+        .toEqual([ACTIVITY_BATCH_SIZE, ACTIVITY_BATCH_SIZE, 5]);
+      expect(requestedUrls.every(url => url.searchParams.get('from') === from.toISOString())).toBe(true);
+      expect(activity.map(entry => entry.postId)).toEqual(postIds);
+    });
+
+    it('should make no request for an empty post list', async () => {
+      expect(await fetchCommentActivity(from, to, [])).toEqual([]);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should fail when any batch fails', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: true, json: async () => ({ data: [] }) });
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 503 });
+
+      const postIds = Array.from({ length: ACTIVITY_BATCH_SIZE + 1 }, () => testUtils.createObjectId().toString());
+
+      await expect(fetchCommentActivity(from, to, postIds)).rejects.toMatchObject({ statusCode: 502 });
+    });
+  });
+});
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { createClient } = require('redis');
+const config = require('../config/config');
+
+/**
+ * Redis-backed response cache for read-heavy GET routes.
+ *
+ * Cached responses are stored with the tags of the data they were built from;
+ * writes invalidate tags rather than individual URLs. Every cached response
+ * carries an ETag and Last-Modified, so conditional requests get a 304.
+ * When Redis is not configured or unavailable, requests go straight through.
+ */
+
+// What a cached response depends on
+const CACHE_TAGS = {
+  POSTS: 'posts',
+  CATEGORIES: 'categories',
+  // Likes and comment counts; view counts only expire with the TTL
+  ENGAGEMENT: 'engagement'
+};
+
+let client = null;
+let lastError = null;
+
+const cacheKey = (suffix) => `${config.cache.keyPrefix}${suffix}`;
+const tagKey = (tag) => cacheKey(`tag:${tag}`);
+const invalidatedKey = (tag) => cacheKey(`invalidated:${tag}`);
+
+// Tag sets and invalidation markers outlive every response they refer to
+const maxTtl = () => Math.max(...Object.values(config.cache.ttl));
+
+/**
+ * The Redis client when it is connected, otherwise null. The first call
+ * starts connecting; commands fail fast instead of queueing while Redis is down.
+ * @returns {Object|null} Redis client
+ */
+const getClient = () => {
+  if (!config.cache.enabled) {
+    return null;
+  }
+
+  if (!client) {
+    client = createClient({
+      url: config.cache.redisUrl,
+      disableOfflineQueue: true,
+      socket: {
+        connectTimeout: config.cache.connectTimeoutMs,
+        reconnectStrategy: (retries) => Math.min(retries * 500, 5000)
+      }
+    });
+
+    // Log each distinct failure once rather than on every reconnect attempt
+    client.on('error', (error) => {
+      if (error.message !== lastError) {
+        console.error('Response cache unavailable:', error.message);
+        lastError = error.message;
+      }
+    });
+    client.on('ready', () => {
+      lastError = null;
+    });
+
+    client.connect().catch(() => {});
+  }
+
+  return client.isReady ? client : null;
+};
+
+/**
+ * Start connecting to Redis so the cache is ready for the first requests
+ */
+const connectCache = () => {
+  getClient();
+};
+
+/**
+ * Close the Redis connection
+ * @returns {Promise<void>}
+ */
+const closeCache = async () => {
+  if (!client) {
+    return;
+  }
+
+  const closing = client;
+  client = null;
+  try {
+    await closing.quit();
+  } catch (error) {
+    closing.disconnect().catch(() => {});
+  }
+};
+
+/**
+ * Cache status for the health check
+ * @returns {string} "disabled", "connected" or "unavailable"
+ */
+const getCacheStatus = () => {
+  if (!config.cache.enabled) {
+    return 'disabled';
+  }
+  return client && client.isReady ? 'connected' : 'unavailable';
+};
+
+/**
+ * A key for the request that ignores query parameter order. Routes validate
+ * their query first, so defaults are filled in and unknown params are gone.
+ * @param {Object} req - Express request
+ * @returns {string} Cache key
+ */
+const requestKey = (req) => {
+  const query = Object.keys(req.query).sort().map(key => [key, req.query[key]]);
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${req.baseUrl}${req.path}?${JSON.stringify(query)}`)
+    .digest('hex');
+
+  return cacheKey(`response:${hash}`);
+};
+
+/**
+ * Store a response under its tags, unless one of the tags was invalidated
+ * while the response was being built, as it may then be stale already
+ * @param {Object} redis - Redis client
+ * @param {string} key - Cache key
+ * @param {Object} entry - { body, etag, lastModified }
+ * @param {string[]} tags - Cache tags
+ * @param {number} ttl - Time to live in seconds
+ * @param {number} startedAt - When the request started (ms)
+ */
+const storeResponse = async (redis, key, entry, tags, ttl, startedAt) => {
+  const invalidatedAt = await redis.mGet(tags.map(invalidatedKey));
+  if (invalidatedAt.some(time => time && Number(time) >= startedAt)) {
+    return;
+  }
+
+  await Promise.all([
+    redis.set(key, JSON.stringify(entry), { EX: ttl }),
+    ...tags.map(async (tag) => {
+      await redis.sAdd(tagKey(tag), key);
+      await redis.expire(tagKey(tag), maxTtl());
+    })
+  ]);
+};
+
+/**
+ * Cache successful JSON responses of a GET route
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - Time to live in seconds
+ * @param {string[]} options.tags - CACHE_TAGS the response depends on
+ * @returns {Function} Express middleware
+ */
+const cacheResponse = ({ ttl, tags }) => async (req, res, next) => {
+  const redis = req.method === 'GET' ? getClient() : null;
+  if (!redis) {
+    return next();
+  }
+
+  const key = requestKey(req);
+  const startedAt = Date.now();
+
+  let cached = null;
+  try {
+    cached = await redis.get(key);
+  } catch (error) {
+    console.error('Response cache read failed:', error.message);
+  }
+
+  // Clients revalidate on every use; res.send answers 304 when the validators match
+  res.set('Cache-Control', 'no-cache');
+
+  if (cached) {
+    const entry = JSON.parse(cached);
+    res.set({
+      ETag: entry.etag,
+      'Last-Modified': entry.lastModified,
+      'X-Cache': 'HIT'
+    });
+    return res.type('json').send(entry.body);
+  }
+
+  const json = res.json.bind(res);
+  res.json = (data) => {
+    if (res.statusCode !== 200) {
+      return json(data);
+    }
+
+    const body = JSON.stringify(data);
+    const entry = {
+      body,
+      etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+      lastModified: new Date(startedAt).toUTCString()
+    };
+
+    storeResponse(redis, key, entry, tags, ttl, startedAt).catch((error) => {
+      console.error('Response cache write failed:', error.message);
+    });
+
+    res.set({
+      ETag: entry.etag,
+      'Last-Modified': entry.lastModified,
+      'X-Cache': 'MISS'
+    });
+    return res.type('json').send(body);
+  };
+
+  next();
+};
+
+/**
+ * Drop every cached response with one of the tags. Failures are logged, not
+ * thrown: the write that triggered them has already succeeded.
+ * @param {...string} tags - CACHE_TAGS to invalidate
+ * @returns {Promise<void>}
+ */
+const invalidateCache = async (...tags) => {
+  const redis = getClient();
+  if (!redis) {
+    return;
+  }
+
+  try {
+    const now = String(Date.now());
+    const keys = (await Promise.all(tags.map(tag => redis.sMembers(tagKey(tag))))).flat();
+
+    await Promise.all([
+      ...tags.map(tag => redis.set(invalidatedKey(tag), now, { EX: maxTtl() })),
+      redis.del([...new Set(keys), ...tags.map(tagKey)])
+    ]);
+  } catch (error) {
+    console.error('Response cache invalidation failed:', error.message);
+  }
+};
+
+module.exports = {
+  CACHE_TAGS,
+  cacheResponse,
+  invalidateCache,
+  connectCache,
+  closeCache,
+  getCacheStatus
+};
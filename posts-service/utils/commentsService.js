@@ -0,0 +1,88 @@
+const config = require('../config/config');
+
+/**
+ * Comments service client for internal (service-to-service) calls
+ */
+
+const createServiceError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 502;
+  return error;
+};
+
+// GET an internal comments-service endpoint and return the response data and meta
+const getInternal = async (path, params = {}) => {
+  const { url, timeout } = config.services.commentsService;
+  const endpoint = new URL(`/api/v1/internal${path}`, url);
+
+  Object.entries(params).forEach(([key, value]) => {
+    endpoint.searchParams.set(key, value);
+  });
+
+  let response;
+  try {
+    response = await fetch(endpoint, {
+      headers: { 'X-Internal-Token': config.services.internalToken },
+      signal: AbortSignal.timeout(timeout)
+    });
+  } catch (err) {
+    throw createServiceError(`Comments service unavailable: ${err.message}`);
+  }
+
+  if (!response.ok) {
+    throw createServiceError(`Comments service responded with status ${response.status}`);
+  }
+
+  const body = await response.json();
+  return { data: body.data, meta: body.meta || {} };
+};
+
+/**
+ * Fetch approved comment counts per post from comments-service
+ * @param {string[]|null} postIds - Restrict to these posts (all posts when omitted)
+ * @returns {Promise<Object>} { counts: map of postId -> approved comments count,
+ *   asOf: comments-service time the counts were taken at }
+ */
+const fetchApprovedCommentCounts = async (postIds = null) => {
+  const params = postIds ? { postIds: postIds.join(',') } : {};
+  const { data, meta } = await getInternal('/comment-counts', params);
+
+  if (!meta.asOf) {
+    throw createServiceError('Comments service did not report when the counts were taken');
+  }
+
+  return { counts: data || {}, asOf: new Date(meta.asOf) };
+};
+
+// Post IDs per comment-activity request, keeping the query string well inside URL limits
+const ACTIVITY_BATCH_SIZE = 100;
+
+/**
+ * Fetch approved comments per post per UTC day from comments-service.
+ * Long post ID lists are requested in batches.
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {string[]|null} postIds - Restrict to these posts (all posts when omitted)
+ * @returns {Promise<Array>} Entries of { postId, date: 'YYYY-MM-DD', count }
+ */
+const fetchCommentActivity = async (from, to, postIds = null) => {
+  const range = { from: from.toISOString(), to: to.toISOString() };
+
+  if (!postIds) {
+    return (await getInternal('/comment-activity', range)).data || [];
+  }
+
+  const activity = [];
+  for (let i = 0; i < postIds.length; i += ACTIVITY_BATCH_SIZE) {
+    const batch = postIds.slice(i, i + ACTIVITY_BATCH_SIZE);
+    const { data } = await getInternal('/comment-activity', { ...range, postIds: batch.join(',') });
+    activity.push(...(data || []));
+  }
+  return activity;
+};
+
+module.exports = {
+  ACTIVITY_BATCH_SIZE,
+  fetchApprovedCommentCounts,
+  fetchCommentActivity
+};
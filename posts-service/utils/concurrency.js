@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { sendError, sendNotFound } = require('./response');
+
+/**
+ * Conditional requests and optimistic concurrency for editable documents.
+ *
+ * A document's ETag is derived from its Mongoose version key (`__v`), which
+ * the Post and Category schemas increment on every save. Writes that send
+ * `If-Match` only apply while the document is still at that version, and
+ * saves fail with a VersionError when another write got there first.
+ *
+ * Reads also carry a hash of the representation (`"v3-<hash>"`), because view,
+ * like and comment counts change without a save. If-None-Match therefore only
+ * matches an identical body, while If-Match compares the version alone.
+ */
+
+// Version number of a strong ETag from versionEtag or representationEtag
+const ETAG_PATTERN = /^"v(\d+)(?:-[\w-]+)?"$/;
+
+/**
+ * ETag for the current version of a document
+ * @param {Object} doc - Mongoose document or lean object with `__v`
+ * @returns {string} Strong ETag
+ */
+const versionEtag = (doc) => `"v${doc.__v || 0}"`;
+
+/**
+ * ETag for the version of a document and the exact body served for it
+ * @param {Object} doc - Mongoose document or lean object with `__v`
+ * @param {*} data - Response data
+ * @returns {string} Strong ETag
+ */
+const representationEtag = (doc, data) => {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(data)).digest('base64url');
+  return `"v${doc.__v || 0}-${hash}"`;
+};
+
+/**
+ * Set the document's ETag on the response. With the response data, the tag
+ * also covers the body, and GET requests with a matching If-None-Match are
+ * answered with a 304 by res.send.
+ * @param {Object} res - Express response object
+ * @param {Object} doc - Mongoose document or lean object
+ * @param {*} [data] - Response data for reads
+ */
+const setVersionEtag = (res, doc, data) => {
+  res.set('ETag', data === undefined ? versionEtag(doc) : representationEtag(doc, data));
+};
+
+/**
+ * Whether the request's If-Match header allows writing the document.
+ * Requests without the header always match; weak ETags never do, as
+ * If-Match uses strong comparison. Only the version part of a tag is
+ * compared, so tags from reads and writes both work.
+ * @param {Object} req - Express request object
+ * @param {Object} doc - Mongoose document
+ * @returns {boolean} True when the write may go ahead
+ */
+const matchesIfMatch = (req, doc) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') {
+    return true;
+  }
+
+  const version = doc.__v || 0;
+  return header.split(',').some((tag) => {
+    const match = ETAG_PATTERN.exec(tag.trim());
+    return Boolean(match) && Number(match[1]) === version;
+  });
+};
+
+/**
+ * Save a document unless it was modified or deleted since it was loaded
+ * @param {Object} doc - Mongoose document
+ * @returns {Promise<boolean>} False when the save lost to another write
+ */
+const saveIfUnchanged = async (doc) => {
+  try {
+    await doc.save();
+    return true;
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Reply that the document has moved on, with its current version: 412 when the
+ * request sent If-Match, otherwise 409 for a save that lost to another write
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} Model - Mongoose model of the document
+ * @param {string} resource - Resource name for a 404 if it was deleted
+ * @param {string} id - Document ID
+ */
+const sendVersionConflict = async (req, res, Model, resource, id) => {
+  const current = await Model.findById(id).select('__v').lean();
+  if (!current) {
+    return sendNotFound(res, resource, id);
+  }
+
+  setVersionEtag(res, current);
+  const statusCode = req.get('If-Match') ? 412 : 409;
+  return sendError(res, `${resource} has been modified since it was retrieved`, statusCode, {
+    currentVersion: current.__v || 0,
+    etag: versionEtag(current)
+  });
+};
+
+module.exports = {
+  versionEtag,
+  representationEtag,
+  setVersionEtag,
+  matchesIfMatch,
+  saveIfUnchanged,
+  sendVersionConflict
+};
@@ -0,0 +1,123 @@
+const xss = require('xss');
+const { marked } = require('marked');
+
+/**
+ * Post content rendering - turns stored HTML or markdown source into
+ * sanitized HTML, plain text and a heading-based table of contents
+ */
+
+// Tags and attributes allowed in post content
+const CONTENT_WHITELIST = {
+  p: [],
+  br: [],
+  hr: [],
+  strong: [],
+  em: [],
+  u: [],
+  del: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: ['start'], li: [],
+  blockquote: [],
+  code: ['class'],
+  pre: ['class'],
+  a: ['href', 'title', 'target'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  table: [], thead: [], tbody: [], tr: [], th: ['align'], td: ['align']
+};
+
+const CONTENT_FORMATS = ['html', 'markdown'];
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': '\'',
+  '&#x27;': '\'',
+  '&nbsp;': ' '
+};
+
+/**
+ * Remove everything not in the content whitelist
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Sanitized HTML
+ */
+const sanitizeHtml = (html) => {
+  return xss(html, {
+    whiteList: CONTENT_WHITELIST,
+    stripIgnoreTag: true,
+    stripIgnoreTagBody: ['script', 'style']
+  });
+};
+
+/**
+ * Strip tags and decode common entities
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text with collapsed whitespace
+ */
+const htmlToText = (html) => {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&(amp|lt|gt|quot|nbsp|#39|#x27);/g, entity => ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const slugifyHeading = (text) => {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'section';
+};
+
+/**
+ * Give every heading a unique id and collect them into a table of contents
+ * @param {string} html - Sanitized HTML (headings without attributes)
+ * @returns {Object} { html, toc } where toc entries are { level, text, id }
+ */
+const addHeadingAnchors = (html) => {
+  const toc = [];
+  const usedIds = new Set();
+
+  const anchored = html.replace(/<h([1-6])>([\s\S]*?)<\/h\1>/g, (match, level, inner) => {
+    const text = htmlToText(inner);
+    const baseId = slugifyHeading(text);
+
+    // Repeated headings get -1, -2, ... suffixes
+    let id = baseId;
+    for (let suffix = 1; usedIds.has(id); suffix++) {
+      id = `${baseId}-${suffix}`;
+    }
+    usedIds.add(id);
+
+    toc.push({ level: parseInt(level), text, id });
+    return `<h${level} id="${id}">${inner}</h${level}>`;
+  });
+
+  return { html: anchored, toc };
+};
+
+/**
+ * Render post content
+ * @param {string} content - Stored content (HTML or markdown source)
+ * @param {string} format - html or markdown
+ * @returns {Object} { html, text, toc }
+ */
+const renderContent = (content = '', format = 'html') => {
+  const rawHtml = format === 'markdown' ? marked.parse(content) : content;
+  const { html, toc } = addHeadingAnchors(sanitizeHtml(rawHtml));
+
+  return {
+    html,
+    text: htmlToText(html),
+    toc
+  };
+};
+
+module.exports = {
+  CONTENT_WHITELIST,
+  CONTENT_FORMATS,
+  sanitizeHtml,
+  htmlToText,
+  renderContent
+};
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const config = require('../config/config');
 
 /**
@@ -48,6 +49,126 @@ const createPagination = ({ page = 1, limit = config.pagination.defaultPageSize
   };
 };
 
+/**
+ * Clamps a requested page size to the configured bounds
+ * @param {number|string} limit - Requested page size
+ * @returns {number} Page size
+ */
+const getPageSize = (limit = config.pagination.defaultPageSize) => Math.min(
+  Math.max(1, parseInt(limit) || config.pagination.defaultPageSize),
+  config.pagination.maxPageSize
+);
+
+/**
+ * Error for a cursor that cannot be decoded or belongs to a different sort;
+ * reported as 400 by the error handler
+ * @param {string} message - Error message
+ * @returns {Error} Error with statusCode 400
+ */
+const createCursorError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Encodes a position in a sorted listing as an opaque cursor. The cursor
+ * carries the sort key and order, the document's sort value and _id, and
+ * whether it pages forwards ("next") or backwards ("prev") from there.
+ * @param {Object} position - Cursor position
+ * @param {string} position.field - Sort field path
+ * @param {number} position.order - Sort order (1 or -1)
+ * @param {*} position.value - The document's value for the sort field
+ * @param {*} position.id - The document's _id
+ * @param {string} position.direction - "next" or "prev"
+ * @returns {string} Base64url cursor
+ */
+const encodeCursor = ({ field, order, value, id, direction }) => {
+  const isDate = value instanceof Date;
+  const payload = {
+    f: field,
+    o: order,
+    v: isDate ? value.toISOString() : value,
+    ...(isDate && { t: 'date' }),
+    id: String(id),
+    d: direction
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodes a cursor and checks it was issued for the requested sort
+ * @param {string} cursor - Cursor from encodeCursor
+ * @param {string} field - Requested sort field path
+ * @param {number} order - Requested sort order
+ * @returns {Object} { value, id, direction }
+ * @throws {Error} 400 error when the cursor is malformed or for another sort
+ */
+const decodeCursor = (cursor, field, order) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createCursorError('Invalid cursor');
+  }
+
+  if (
+    !payload ||
+    !mongoose.Types.ObjectId.isValid(payload.id) ||
+    !['next', 'prev'].includes(payload.d) ||
+    !('v' in payload)
+  ) {
+    throw createCursorError('Invalid cursor');
+  }
+
+  if (payload.f !== field || payload.o !== order) {
+    throw createCursorError('Cursor does not match the requested sort order');
+  }
+
+  const value = payload.t === 'date' ? new Date(payload.v) : payload.v;
+  if (value instanceof Date && isNaN(value.getTime())) {
+    throw createCursorError('Invalid cursor');
+  }
+
+  return {
+    value,
+    id: new mongoose.Types.ObjectId(payload.id),
+    direction: payload.d
+  };
+};
+
+/**
+ * Creates the filter for documents after a position in a listing sorted by
+ * `field` and then _id, both in `order`. Missing values sort as null, which
+ * comes before every other value, and comparison operators never match null.
+ * @param {string} field - Sort field path
+ * @param {number} order - Sort order (1 or -1)
+ * @param {*} value - Sort value at the position
+ * @param {ObjectId} id - _id at the position
+ * @returns {Object} Mongoose filter
+ */
+const createCursorFilter = (field, order, value, id) => {
+  const op = order === -1 ? '$lt' : '$gt';
+
+  if (value === null || value === undefined) {
+    const sameValue = { [field]: null, _id: { [op]: id } };
+    return order === -1
+      ? sameValue
+      : { $or: [{ [field]: { $ne: null } }, sameValue] };
+  }
+
+  const conditions = [
+    { [field]: { [op]: value } },
+    { [field]: value, _id: { [op]: id } }
+  ];
+  if (order === -1) {
+    conditions.push({ [field]: null });
+  }
+
+  return { $or: conditions };
+};
+
 /**
  * Creates sorting options for mongoose queries
  * @param {string} sortBy - Field to sort by
@@ -133,15 +254,91 @@ const createFilterOptions = (filters = {}) => {
 };
 
 /**
- * Builds complete query options for paginated requests
+ * Builds query options for a cursor-paginated request. One extra document is
+ * fetched to tell whether another page follows; `paginate` trims it and
+ * creates the cursors. Totals are only counted when `includeTotal` is set.
+ * @param {Object} queryParams - Request query parameters with `cursor`
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - Filter for the whole listing
+ * @returns {Object} Query configuration with a `paginate(docs)` helper
+ */
+const buildCursorQuery = async (queryParams, Model, filter) => {
+  const pageSize = getPageSize(queryParams.limit);
+  const [[field, order]] = Object.entries(createSortOptions(queryParams.sortBy, queryParams.sortOrder));
+
+  const position = queryParams.cursor ? decodeCursor(queryParams.cursor, field, order) : null;
+  const backwards = position?.direction === 'prev';
+
+  // Pages before the cursor are read in reverse order and flipped back
+  const queryOrder = backwards ? -order : order;
+  const pageFilter = position
+    ? { $and: [filter, createCursorFilter(field, queryOrder, position.value, position.id)] }
+    : filter;
+
+  const totalCount = queryParams.includeTotal ? await Model.countDocuments(filter) : undefined;
+
+  const cursorFor = (doc, direction) => doc && encodeCursor({
+    field,
+    order,
+    value: field.split('.').reduce((target, key) => target?.[key], doc) ?? null,
+    id: doc._id,
+    direction
+  });
+
+  const paginate = (docs) => {
+    const hasMore = docs.length > pageSize;
+    const data = docs.slice(0, pageSize);
+    if (backwards) data.reverse();
+
+    // Whatever the cursor pointed at is still on the other side of the page
+    const nextCursor = (backwards ? Boolean(position) : hasMore) ? cursorFor(data[data.length - 1], 'next') : null;
+    const prevCursor = (backwards ? hasMore : Boolean(position)) ? cursorFor(data[0], 'prev') : null;
+
+    return {
+      data,
+      pagination: {
+        mode: 'cursor',
+        pageSize,
+        hasNextPage: Boolean(nextCursor),
+        hasPrevPage: Boolean(prevCursor),
+        nextCursor: nextCursor || null,
+        prevCursor: prevCursor || null,
+        ...(totalCount !== undefined && { totalCount })
+      }
+    };
+  };
+
+  return {
+    filter: pageFilter,
+    options: {
+      limit: pageSize + 1,
+      sort: { [field]: queryOrder, _id: queryOrder }
+    },
+    pagination: null,
+    paginate
+  };
+};
+
+/**
+ * Builds complete query options for paginated requests. Listings that allow
+ * it switch to cursor pagination when the request has a `cursor` param
+ * (empty for the first page).
  * @param {Object} queryParams - Request query parameters
- * @param {number} totalCount - Total number of matching documents
- * @returns {Object} Complete query configuration
+ * @param {Object} Model - Mongoose model
+ * @param {Object} baseFilter - Filter the request's filters cannot override,
+ * such as the published-only constraint on public listings
+ * @param {Object} options - { cursor: allow cursor pagination }
+ * @returns {Object} Complete query configuration; `paginate(docs)` returns
+ * the page's `{ data, pagination }` in either mode
  */
-const buildQuery = async (queryParams, Model, baseFilter = {}) => {
+const buildQuery = async (queryParams, Model, baseFilter = {}, { cursor = false } = {}) => {
   // Create filter options
   const filters = createFilterOptions(queryParams);
-  const combinedFilter = { ...baseFilter, ...filters };
+  const combinedFilter = { ...filters, ...baseFilter };
+
+  if (cursor && queryParams.cursor !== undefined) {
+    return buildCursorQuery(queryParams, Model, combinedFilter);
+  }
   
   // Get total count with filters applied
   const totalCount = await Model.countDocuments(combinedFilter);
@@ -156,7 +353,8 @@ const buildQuery = async (queryParams, Model, baseFilter = {}) => {
       ...queryOptions,
       sort: sortOptions
     },
-    pagination
+    pagination,
+    paginate: (docs) => ({ data: docs, pagination })
   };
 };
 
@@ -212,6 +410,9 @@ const validatePaginationParams = (params) => {
 
 module.exports = {
   createPagination,
+  encodeCursor,
+  decodeCursor,
+  createCursorFilter,
   createSortOptions,
   createFilterOptions,
   buildQuery,
@@ -0,0 +1,219 @@
+/**
+ * Partial update documents for PATCH requests: JSON Merge Patch (RFC 7396)
+ * and JSON Patch (RFC 6902). Both are applied to a plain JSON copy of the
+ * resource and never modify their input.
+ */
+
+const MEDIA_TYPES = {
+  MERGE_PATCH: 'application/merge-patch+json',
+  JSON_PATCH: 'application/json-patch+json'
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Error for a patch that is malformed or cannot be applied; reported by the
+ * error handler as 400, or 409 when a test operation fails
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode
+ */
+const createPatchError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Apply a JSON Merge Patch: objects merge recursively, null removes a member
+ * and any other value (including arrays) replaces the target
+ * @param {*} target - Document to patch
+ * @param {*} patch - Merge patch
+ * @returns {*} Patched copy of the document
+ */
+const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isObject(target) ? clone(target) : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Split a JSON Pointer (RFC 6901) into reference tokens
+ * @param {string} pointer - JSON Pointer such as "/seo/keywords/0"
+ * @returns {string[]} Unescaped tokens
+ */
+const parsePointer = (pointer) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw createPatchError(`Invalid JSON Pointer: ${pointer}`);
+  }
+
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+// Index of an array member; "-" (the end of the array) only where allowed
+const arrayIndex = (array, token, allowEnd) => {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+  if (!/^(0|[1-9][0-9]*)$/.test(token) || Number(token) > array.length - (allowEnd ? 0 : 1)) {
+    throw createPatchError(`Array index out of range: ${token}`);
+  }
+  return Number(token);
+};
+
+/**
+ * Locate the parent container of the value a pointer refers to
+ * @param {*} document - Document to search
+ * @param {string[]} tokens - Pointer tokens, at least one
+ * @returns {Object} { parent, key }
+ */
+const resolveParent = (document, tokens) => {
+  let parent = document;
+  tokens.slice(0, -1).forEach((token) => {
+    const next = Array.isArray(parent)
+      ? parent[arrayIndex(parent, token, false)]
+      : isObject(parent) && Object.prototype.hasOwnProperty.call(parent, token) ? parent[token] : undefined;
+
+    if (next === null || typeof next !== 'object') {
+      throw createPatchError(`Path not found: /${tokens.join('/')}`);
+    }
+    parent = next;
+  });
+
+  return { parent, key: tokens[tokens.length - 1] };
+};
+
+const getValue = (document, tokens) => {
+  if (tokens.length === 0) {
+    return document;
+  }
+
+  const { parent, key } = resolveParent(document, tokens);
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, key, false)];
+  }
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+    throw createPatchError(`Path not found: /${tokens.join('/')}`);
+  }
+  return parent[key];
+};
+
+const addValue = (document, tokens, value) => {
+  if (tokens.length === 0) {
+    return value;
+  }
+
+  const { parent, key } = resolveParent(document, tokens);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, true), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return document;
+};
+
+const removeValue = (document, tokens) => {
+  if (tokens.length === 0) {
+    throw createPatchError('The whole document cannot be removed');
+  }
+
+  getValue(document, tokens);
+  const { parent, key } = resolveParent(document, tokens);
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+  return document;
+};
+
+const isEqual = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+  }
+  return a === b;
+};
+
+/**
+ * Apply a JSON Patch. Operations are applied in order and the patch is atomic:
+ * if any operation fails, an error is thrown and nothing is returned.
+ * @param {*} target - Document to patch
+ * @param {Object[]} operations - add, remove, replace, move, copy and test operations
+ * @returns {*} Patched copy of the document
+ */
+const applyJsonPatch = (target, operations) => {
+  if (!Array.isArray(operations)) {
+    throw createPatchError('A JSON Patch must be an array of operations');
+  }
+
+  return operations.reduce((document, operation, index) => {
+    if (!isObject(operation)) {
+      throw createPatchError(`Operation ${index} must be an object`);
+    }
+
+    const { op, path, from } = operation;
+    const tokens = parsePointer(path);
+    const requireValue = () => {
+      if (!('value' in operation)) {
+        throw createPatchError(`Operation ${index} (${op}) requires a value`);
+      }
+      return clone(operation.value);
+    };
+
+    switch (op) {
+      case 'add':
+        return addValue(document, tokens, requireValue());
+      case 'remove':
+        return removeValue(document, tokens);
+      case 'replace': {
+        const value = requireValue();
+        return tokens.length === 0 ? value : addValue(removeValue(document, tokens), tokens, value);
+      }
+      case 'move': {
+        const fromTokens = parsePointer(from);
+        if (tokens.length > fromTokens.length && fromTokens.every((token, i) => token === tokens[i])) {
+          throw createPatchError(`Operation ${index} cannot move a value into itself`);
+        }
+        const value = getValue(document, fromTokens);
+        return addValue(removeValue(document, fromTokens), tokens, value);
+      }
+      case 'copy':
+        return addValue(document, tokens, clone(getValue(document, parsePointer(from))));
+      case 'test':
+        if (!isEqual(getValue(document, tokens), requireValue())) {
+          throw createPatchError(`Test failed at ${path}`, 409);
+        }
+        return document;
+      default:
+        throw createPatchError(`Operation ${index} has an unknown op: ${op}`);
+    }
+  }, clone(target));
+};
+
+module.exports = {
+  MEDIA_TYPES,
+  applyMergePatch,
+  applyJsonPatch,
+  isEqual
+};
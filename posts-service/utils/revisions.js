@@ -0,0 +1,142 @@
+const PostRevision = require('../models/PostRevision');
+
+/**
+ * Helpers for post revision snapshots and field-level diffs
+ */
+
+// Post fields recorded in every revision
+const TRACKED_FIELDS = [
+  'title',
+  'content',
+  'format',
+  'excerpt',
+  'slug',
+  'author',
+  'category',
+  'tags',
+  'status',
+  'featured',
+  'featuredImage.url',
+  'featuredImage.alt',
+  'seo.metaTitle',
+  'seo.metaDescription',
+  'seo.keywords'
+];
+
+// Fields written back when a revision is restored - the publishing status is left as is
+const RESTORABLE_FIELDS = TRACKED_FIELDS.filter(field => field !== 'status');
+
+const getPath = (object, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+};
+
+const setPath = (object, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => {
+    target[key] = target[key] || {};
+    return target[key];
+  }, object);
+  parent[last] = value;
+  return object;
+};
+
+// Normalise a value for storage and comparison (ObjectIds to strings, empty to null)
+const normalize = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (typeof value === 'object' && typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+  return value;
+};
+
+/**
+ * Capture the tracked fields of a post
+ * @param {Object} post - Post document or plain object
+ * @returns {Object} Snapshot with the same shape as the post, e.g. { title, seo: { metaTitle } }
+ */
+const snapshotPost = (post) => {
+  const source = typeof post.toObject === 'function' ? post.toObject({ virtuals: false }) : post;
+
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    return setPath(snapshot, field, normalize(getPath(source, field)));
+  }, {});
+};
+
+/**
+ * Compare two snapshots field by field
+ * @param {Object} before - Earlier snapshot
+ * @param {Object} after - Later snapshot
+ * @returns {Array} Changes as { field, from, to }, in TRACKED_FIELDS order
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+  return TRACKED_FIELDS
+    .map(field => ({
+      field,
+      from: getPath(before, field) ?? null,
+      to: getPath(after, field) ?? null
+    }))
+    .filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+};
+
+// Identify the editor responsible for a revision
+const revisionAuthor = (req) => ({
+  id: req.user ? req.user.id : null,
+  name: req.user ? req.user.name : null
+});
+
+/**
+ * Record the first revision of a newly created post
+ * @param {Object} req - Express request (identifies the editor)
+ * @param {Object} post - Saved post document
+ */
+const recordPostCreate = (req, post) => {
+  return PostRevision.record(post._id, {
+    action: 'create',
+    snapshot: snapshotPost(post),
+    author: revisionAuthor(req)
+  });
+};
+
+/**
+ * Record a revision after a post was changed. Posts that predate revision
+ * tracking get their previous state stored as revision 1 first.
+ * @param {Object} req - Express request (identifies the editor)
+ * @param {Object} post - Saved post document
+ * @param {Object} before - Snapshot taken before the change
+ * @param {Object} options - { action, restoredFrom, session }
+ * @returns {Promise<Object|null>} The new revision, or null if no tracked field changed
+ */
+const recordPostUpdate = async (req, post, before, { action = 'update', restoredFrom = null, session = null } = {}) => {
+  await PostRevision.ensureBaseline(post._id, before, session);
+
+  const snapshot = snapshotPost(post);
+  const changes = diffSnapshots(before, snapshot);
+
+  if (changes.length === 0) {
+    return null;
+  }
+
+  return PostRevision.record(post._id, {
+    action,
+    snapshot,
+    changes,
+    author: revisionAuthor(req),
+    restoredFrom
+  }, session);
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  getPath,
+  RESTORABLE_FIELDS,
+  snapshotPost,
+  diffSnapshots,
+  recordPostCreate,
+  recordPostUpdate
+};
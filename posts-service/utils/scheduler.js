@@ -0,0 +1,79 @@
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const config = require('../config/config');
+const { invalidateCache, CACHE_TAGS } = require('./cache');
+
+/**
+ * Scheduled publisher - periodically publishes drafts whose publishAt has passed
+ */
+
+let timer = null;
+let running = false;
+
+/**
+ * Publish every due post and refresh the post counts of their categories
+ * @param {Date} now - Publish posts scheduled at or before this time
+ * @returns {Promise<Array>} Published posts
+ */
+const publishScheduledPosts = async (now = new Date()) => {
+  const published = await Post.publishDuePosts(now);
+
+  const categoryIds = [...new Set(published.map(post => post.category.toString()))];
+  const categories = await Category.find({ _id: { $in: categoryIds } });
+  await Promise.all(categories.map(category => category.updatePostCount()));
+
+  if (published.length > 0) {
+    await invalidateCache(CACHE_TAGS.POSTS);
+  }
+
+  published.forEach(post => {
+    console.log(`Published scheduled post ${post._id} (scheduled for ${post.publishedAt.toISOString()})`);
+  });
+
+  return published;
+};
+
+// Run one publishing pass, skipping it if the previous pass is still running
+const tick = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    await publishScheduledPosts();
+  } catch (error) {
+    console.error('Scheduled publishing failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start publishing due posts every `scheduling.intervalMs`
+ */
+const startScheduledPublisher = () => {
+  if (timer || !config.scheduling.enabled) {
+    return;
+  }
+
+  timer = setInterval(tick, config.scheduling.intervalMs);
+  // Don't keep the process alive just for the publisher
+  timer.unref();
+
+  // Catch up on posts that became due while the service was down
+  tick();
+};
+
+const stopScheduledPublisher = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  publishScheduledPosts,
+  startScheduledPublisher,
+  stopScheduledPublisher
+};
@@ -0,0 +1,123 @@
+/**
+ * Full-text search helpers: query term parsing and highlighted snippets.
+ * Highlights are returned as character ranges into plain text, so clients
+ * can mark matches without injecting HTML.
+ */
+
+const SNIPPET_LENGTH = 200;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Terms worth highlighting in a $text search string: quoted phrases and
+ * single words, without negated terms ("-word", "-\"some phrase\"")
+ * @param {string} query - Search string as sent to $text
+ * @returns {string[]} Lowercased terms, longest first
+ */
+const parseSearchTerms = (query = '') => {
+  const terms = new Set();
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4] || '').replace(/"/g, '').trim().toLowerCase();
+    if (!negated && term.length >= 2) {
+      terms.add(term);
+    }
+  }
+
+  return [...terms].sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Matching ranges of the terms in a text. Words that start with a term count
+ * as matches, which covers most of the stemmed forms $text finds ("run" marks "running").
+ * @param {string} text - Plain text
+ * @param {string[]} terms - Terms from parseSearchTerms
+ * @returns {Array<[number, number]>} Non-overlapping [start, end) ranges
+ */
+const findMatches = (text, terms) => {
+  if (!text || terms.length === 0) return [];
+
+  const pattern = new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})[\\w'-]*`, 'gi');
+  const ranges = [];
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+
+  return ranges;
+};
+
+/**
+ * Highlight every match in a short text such as a title
+ * @param {string} text - Plain text
+ * @param {string[]} terms - Terms from parseSearchTerms
+ * @returns {{ text: string, matches: Array<[number, number]> }}
+ */
+const highlightText = (text = '', terms) => ({
+  text,
+  matches: findMatches(text, terms)
+});
+
+/**
+ * A window of a longer text around its first match, cut at word boundaries
+ * and marked with ellipses where it was shortened
+ * @param {string} text - Plain text
+ * @param {string[]} terms - Terms from parseSearchTerms
+ * @param {number} length - Approximate snippet length in characters
+ * @returns {{ text: string, matches: Array<[number, number]> }}
+ */
+const buildSnippet = (text = '', terms, length = SNIPPET_LENGTH) => {
+  const [first] = findMatches(text, terms);
+
+  // Start a third of the way before the first match so it has some context
+  let start = first ? Math.max(0, first[0] - Math.floor(length / 3)) : 0;
+  let end = Math.min(text.length, start + length);
+
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space === -1 || (first && space >= first[0]) ? start : space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start && (!first || space >= first[1]) ? space : end;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const snippet = `${prefix}${text.slice(start, end)}${suffix}`;
+
+  return highlightText(snippet, terms);
+};
+
+/**
+ * Highlights for one search result: the title, and a snippet from the
+ * content, falling back to the excerpt when the match is only in the title
+ * @param {Object} post - Post with title, excerpt and contentText
+ * @param {string[]} terms - Terms from parseSearchTerms
+ * @returns {{ title: Object, snippet: Object }}
+ */
+const highlightPost = (post, terms) => {
+  const contentSnippet = buildSnippet(post.contentText || '', terms);
+  const snippet = contentSnippet.matches.length > 0 || !post.excerpt
+    ? contentSnippet
+    : buildSnippet(post.excerpt, terms);
+
+  return {
+    title: highlightText(post.title, terms),
+    snippet
+  };
+};
+
+module.exports = {
+  SNIPPET_LENGTH,
+  escapeRegex,
+  parseSearchTerms,
+  findMatches,
+  highlightText,
+  buildSnippet,
+  highlightPost
+};
@@ -0,0 +1,70 @@
+/**
+ * Time-series helpers. Periods are aligned to UTC: days start at midnight,
+ * weeks on Monday and months on the 1st.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+/**
+ * Start of the period containing a date
+ * @param {Date} date - Any date within the period
+ * @param {string} granularity - day, week or month
+ * @returns {Date} Start of the period
+ */
+const periodStart = (date, granularity) => {
+  const day = new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+  switch (granularity) {
+    case 'week': {
+      // getUTCDay() is 0 for Sunday; weeks start on Monday
+      const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+      return new Date(day.getTime() - daysSinceMonday * DAY_MS);
+    }
+    case 'month':
+      return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+    default:
+      return day;
+  }
+};
+
+/**
+ * Key identifying the period containing a date, e.g. "2024-03-04"
+ * @param {Date|string} date - Date or YYYY-MM-DD string
+ * @param {string} granularity - day, week or month
+ * @returns {string} Start of the period as YYYY-MM-DD
+ */
+const periodKey = (date, granularity) => {
+  return periodStart(new Date(date), granularity).toISOString().slice(0, 10);
+};
+
+/**
+ * Every period key between two dates, inclusive
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {string} granularity - day, week or month
+ * @returns {string[]} Period keys in chronological order
+ */
+const listPeriods = (from, to, granularity) => {
+  const periods = [];
+  let current = periodStart(from, granularity);
+
+  while (current <= to) {
+    periods.push(current.toISOString().slice(0, 10));
+
+    current = granularity === 'month'
+      ? new Date(Date.UTC(current.getUTCFullYear(), current.getUTCMonth() + 1, 1))
+      : new Date(current.getTime() + (granularity === 'week' ? 7 : 1) * DAY_MS);
+  }
+
+  return periods;
+};
+
+module.exports = {
+  DAY_MS,
+  GRANULARITIES,
+  periodStart,
+  periodKey,
+  listPeriods
+};
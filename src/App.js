@@ -1,32 +1,55 @@
-import React, { useState } from "react";
-import PostCreate from "./PostCreate";
-import PostList from "./PostList";
+import React from "react";
+import { BrowserRouter, Link, Route, Routes } from "react-router-dom";
+import HomePage from "./pages/HomePage";
+import PostPage from "./pages/PostPage";
+import CategoryPage from "./pages/CategoryPage";
+import AuthorPage from "./pages/AuthorPage";
+import TagPage from "./pages/TagPage";
+import NotFoundPage from "./pages/NotFoundPage";
+import LoginPage from "./pages/LoginPage";
+import RegisterPage from "./pages/RegisterPage";
+import ModerationPage from "./pages/ModerationPage";
+import SearchPage from "./pages/SearchPage";
+import UserMenu from "./UserMenu";
+import { AuthProvider } from "./context/AuthContext";
 import "./styles.css";
 
-const App = () => {
-  const [refreshTrigger, setRefreshTrigger] = useState(0);
-
-  const handlePostCreated = () => {
-    setRefreshTrigger(prev => prev + 1);
-  };
-
+// Paths mirror the posts-service `url` virtual (/posts/:slug); nginx falls back
+// to index.html so they also work on reload
+export const AppRoutes = () => {
   return (
-    <div className="app-container">
-      <header className="app-header">
-        <h1 className="app-title">📝 BlogSpace</h1>
-        <p className="app-subtitle">Share your thoughts with the world</p>
-      </header>
-      
-      <div className="section">
-        <h2 className="section-title">✨ Create New Post</h2>
-        <PostCreate onPostCreated={handlePostCreated} />
-      </div>
-      
-      <div className="section">
-        <h2 className="section-title">📚 Recent Posts</h2>
-        <PostList key={refreshTrigger} />
+    <AuthProvider>
+      <div className="app-container">
+        <header className="app-header">
+          <UserMenu />
+          <h1 className="app-title">
+            <Link to="/" className="app-title-link">📝 BlogSpace</Link>
+          </h1>
+          <p className="app-subtitle">Share your thoughts with the world</p>
+        </header>
+
+        <Routes>
+          <Route path="/" element={<HomePage />} />
+          <Route path="/posts/:slug" element={<PostPage />} />
+          <Route path="/categories/:slug" element={<CategoryPage />} />
+          <Route path="/authors/:author" element={<AuthorPage />} />
+          <Route path="/tags/:tag" element={<TagPage />} />
+          <Route path="/search" element={<SearchPage />} />
+          <Route path="/login" element={<LoginPage />} />
+          <Route path="/register" element={<RegisterPage />} />
+          <Route path="/moderation/*" element={<ModerationPage />} />
+          <Route path="*" element={<NotFoundPage />} />
+        </Routes>
       </div>
-    </div>
+    </AuthProvider>
   );
 };
+
+// The router lives outside AppRoutes so tests can render the routes in a MemoryRouter
+const App = () => (
+  <BrowserRouter>
+    <AppRoutes />
+  </BrowserRouter>
+);
+
 export default App;
@@ -0,0 +1,148 @@
+import React from "react";
+import { render, screen, waitFor } from "@testing-library/react";
+import { MemoryRouter, useLocation } from "react-router-dom";
+import { AppRoutes } from "./App";
+import { categoriesApi, commentsApi, postsApi, statsApi } from "./services/api";
+import { clearSession, saveSession } from "./services/session";
+
+jest.mock("./services/api", () => ({
+  authApi: { login: jest.fn(), register: jest.fn(), logout: jest.fn() },
+  refreshSession: jest.fn(),
+  postsApi: {
+    getPosts: jest.fn(),
+    getPostBySlug: jest.fn(),
+    getPostsByTag: jest.fn(),
+    searchPosts: jest.fn(),
+    createPost: jest.fn()
+  },
+  categoriesApi: { getActiveCategories: jest.fn() },
+  statsApi: { getPostLikes: jest.fn(), recordView: jest.fn(), likePost: jest.fn(), unlikePost: jest.fn() },
+  commentsApi: { getComments: jest.fn() }
+}));
+
+const POST = {
+  _id: "p1",
+  slug: "hello-world",
+  title: "Hello world",
+  author: "ada",
+  contentHtml: "<h2 id=\"intro\">Intro</h2><p>First post</p>",
+  metadata: { readTime: 3 },
+  category: { name: "Tech", slug: "tech", color: "#333" },
+  tags: ["react"],
+  stats: { likes: 1 }
+};
+
+const emptyPage = { data: { data: [], pagination: { currentPage: 1, totalPages: 1 } } };
+
+let currentLocation;
+const LocationProbe = () => {
+  currentLocation = useLocation();
+  return null;
+};
+
+const renderAt = (url) => render(
+  <MemoryRouter initialEntries={[url]}>
+    <AppRoutes />
+    <LocationProbe />
+  </MemoryRouter>
+);
+
+describe("App routes", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    categoriesApi.getActiveCategories.mockResolvedValue({ data: { data: [] } });
+    postsApi.getPosts.mockResolvedValue(emptyPage);
+    postsApi.getPostsByTag.mockResolvedValue(emptyPage);
+    postsApi.getPostBySlug.mockResolvedValue({ data: { data: POST } });
+    postsApi.searchPosts.mockResolvedValue({
+      data: { data: [], pagination: { currentPage: 1, totalPages: 1, totalCount: 0 }, meta: { facets: { categories: [], tags: [], authors: [] } } }
+    });
+    statsApi.recordView.mockResolvedValue({});
+    statsApi.getPostLikes.mockResolvedValue({ data: { data: [], meta: { likes: 1, likedByMe: false } } });
+    commentsApi.getComments.mockResolvedValue({ data: { data: [], pagination: { page: 1, pages: 1, total: 0 } } });
+  });
+
+  afterEach(() => {
+    clearSession();
+    jest.restoreAllMocks();
+  });
+
+  it("renders the feed and the editor on the home page", async () => {
+    renderAt("/");
+
+    expect(screen.getByRole("heading", { name: "✨ Create New Post" })).toBeInTheDocument();
+    expect(screen.getByRole("heading", { name: "📚 Recent Posts" })).toBeInTheDocument();
+    await screen.findByText("Select a category");
+  });
+
+  it("opens a post by its slug and counts the view", async () => {
+    renderAt("/posts/hello-world");
+
+    expect(await screen.findByRole("heading", { name: "Hello world" })).toBeInTheDocument();
+    expect(postsApi.getPostBySlug).toHaveBeenCalledWith(expect.any(String), "hello-world");
+    expect(screen.getByText("First post")).toBeInTheDocument();
+    expect(screen.getByText("⏱️ 3 min read")).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "Tech" })).toHaveAttribute("href", "/categories/tech");
+    expect(screen.getByRole("link", { name: "#react" })).toHaveAttribute("href", "/tags/react");
+    await waitFor(() => expect(statsApi.recordView).toHaveBeenCalledWith(expect.any(String), "p1"));
+    await waitFor(() => expect(statsApi.getPostLikes).toHaveBeenCalled());
+  });
+
+  it("shows the service's error for an unknown slug", async () => {
+    postsApi.getPostBySlug.mockRejectedValue({
+      response: { status: 404, data: { success: false, error: { message: "Post not found" } } }
+    });
+    renderAt("/posts/missing");
+
+    expect(await screen.findByText("❌ Post not found")).toBeInTheDocument();
+    expect(statsApi.recordView).not.toHaveBeenCalled();
+  });
+
+  it("matches tag pages", async () => {
+    renderAt("/tags/react");
+
+    expect(screen.getByRole("heading", { name: "🏷️ #react" })).toBeInTheDocument();
+    await screen.findByText("No posts with this tag yet.");
+    expect(postsApi.getPostsByTag).toHaveBeenCalledWith(expect.any(String), "react", expect.any(Object));
+  });
+
+  it("renders the search page", async () => {
+    renderAt("/search?q=hooks");
+
+    expect(screen.getByRole("heading", { name: "🔍 Search" })).toBeInTheDocument();
+    expect(screen.getByRole("searchbox", { name: "Search posts" })).toHaveValue("hooks");
+    expect(await screen.findByText("🔍 No posts match “hooks”.")).toBeInTheDocument();
+  });
+
+  it("renders the login and register pages", () => {
+    const { unmount } = renderAt("/login");
+    expect(screen.getByRole("heading", { name: "🔐 Sign in" })).toBeInTheDocument();
+    unmount();
+
+    renderAt("/register");
+    expect(screen.getByRole("heading", { name: "✨ Create an account" })).toBeInTheDocument();
+  });
+
+  it("falls back to the not-found page for unknown paths", () => {
+    renderAt("/no/such/page");
+
+    expect(screen.getByText("🧭 This page does not exist.")).toBeInTheDocument();
+    expect(screen.getByRole("link", { name: "← Back to all posts" })).toHaveAttribute("href", "/");
+  });
+
+  it("sends signed-out visitors from the moderation area to the login page", () => {
+    renderAt("/moderation/reports");
+
+    expect(screen.getByRole("heading", { name: "🔐 Sign in" })).toBeInTheDocument();
+    expect(currentLocation.pathname).toBe("/login");
+    expect(currentLocation.state.from.pathname).toBe("/moderation/reports");
+  });
+
+  it("keeps readers without the moderator role out of the moderation area", () => {
+    saveSession({ accessToken: "a", refreshToken: "r", expiresIn: 900, user: { id: "u1", username: "ada", role: "user" } });
+    renderAt("/moderation");
+
+    expect(screen.getByText("🔒 The moderation area is only available to moderators.")).toBeInTheDocument();
+    expect(currentLocation.pathname).toBe("/moderation");
+  });
+});
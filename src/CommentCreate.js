@@ -1,54 +1,169 @@
 import React, { useState } from "react";
 import { useApiConfig, useApiSubmit } from "./hooks/useApi";
+import { useCommentAuthor } from "./hooks/useCommentAuthor";
 import { commentsApi } from "./services/api";
+import { describeCommentError, isRetryableCommentError } from "./utils/commentErrors";
 
-const CommentCreate = ({ postId, onCommentAdded }) => {
+// approved comments are visible straight away; everything else is held or was auto-rejected
+export const moderationOutcome = (comment, meta = {}) => {
+  if (comment?.status === "rejected") return "rejected";
+  if (comment?.status === "approved" && !meta.requiresModeration) return "published";
+  return "pending";
+};
+
+const NOTICES = {
+  pending: "⏳ Thanks! Your comment was submitted and will appear once a moderator approves it.",
+  rejected: "🚫 Your comment was not published because automated moderation flagged it."
+};
+
+// Top-level comment form, or a reply form when `parentId` is given
+const CommentCreate = ({ postId, parentId, replyTo, onCommentAdded, onCancel }) => {
   const [content, setContent] = useState("");
+  const { author, isAuthenticated, rememberGuest, forgetGuest } = useCommentAuthor();
+  const [name, setName] = useState(author?.name || "");
+  const [email, setEmail] = useState(author?.email || "");
+  const [remember, setRemember] = useState(true);
+  const [editingGuest, setEditingGuest] = useState(!author);
+  const editingIdentity = !isAuthenticated && (editingGuest || !author);
+  const [notice, setNotice] = useState(null);
   const { commentsUrl } = useApiConfig();
-  const { submit, loading, error } = useApiSubmit();
+  const { submit, loading, error, errorInfo, fieldErrors } = useApiSubmit();
+  const isReply = Boolean(parentId);
+
+  const identity = editingIdentity ? { name: name.trim(), email: email.trim() } : author;
+  const canSubmit = content.trim() && identity?.name && identity?.email;
 
   const onSubmit = async (event) => {
     event.preventDefault();
-    
-    if (!content.trim()) {
+
+    if (!canSubmit) {
       return;
     }
 
+    const commentData = { content: content.trim(), author: identity };
+    if (isReply) commentData.parentId = parentId;
+
     await submit(
-      () => commentsApi.createComment(commentsUrl, postId, { content: content.trim() }),
-      () => {
+      () => commentsApi.createComment(commentsUrl, postId, commentData),
+      (res) => {
+        const { data: comment, meta } = res.data;
+        const outcome = moderationOutcome(comment, meta);
+
         setContent("");
-        if (onCommentAdded) onCommentAdded();
+        setNotice(NOTICES[outcome] || null);
+        if (editingIdentity) {
+          rememberGuest(identity, remember);
+          setEditingGuest(false);
+        }
+        if (onCommentAdded) onCommentAdded(comment, outcome);
       }
     );
   };
 
+  const changeIdentity = () => {
+    forgetGuest();
+    setEditingGuest(true);
+  };
+
+  const errorMessage = error && describeCommentError(errorInfo, error);
+  const retryable = isRetryableCommentError(errorInfo);
+
   return (
     <div className="comment-form">
       <form onSubmit={onSubmit}>
+        {editingIdentity ? (
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label" htmlFor={`comment-name-${parentId || postId}`}>👤 Name</label>
+              <input
+                id={`comment-name-${parentId || postId}`}
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className={`form-control${fieldErrors["author.name"] ? " invalid" : ""}`}
+                placeholder="Your name"
+                maxLength={50}
+                disabled={loading}
+                required
+              />
+              {fieldErrors["author.name"] && <div className="field-error">{fieldErrors["author.name"]}</div>}
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor={`comment-email-${parentId || postId}`}>✉️ Email</label>
+              <input
+                id={`comment-email-${parentId || postId}`}
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className={`form-control${fieldErrors["author.email"] ? " invalid" : ""}`}
+                placeholder="Not shown publicly"
+                disabled={loading}
+                required
+              />
+              {fieldErrors["author.email"] && <div className="field-error">{fieldErrors["author.email"]}</div>}
+            </div>
+          </div>
+        ) : (
+          <div className="comment-identity">
+            Commenting as <strong>{author?.name}</strong>
+            {!isAuthenticated && (
+              <button type="button" className="link-button" onClick={changeIdentity} disabled={loading}>
+                Not you?
+              </button>
+            )}
+          </div>
+        )}
+
         <div className="form-group">
-          <label className="form-label">✍️ Add a comment</label>
+          <label className="form-label">
+            {isReply ? `↩️ Reply${replyTo ? ` to ${replyTo}` : ""}` : "✍️ Add a comment"}
+          </label>
           <input
             value={content}
-            onChange={(e) => setContent(e.target.value)}
-            className="form-control"
-            placeholder="Share your thoughts..."
+            onChange={(e) => {
+              setContent(e.target.value);
+              setNotice(null);
+            }}
+            className={`form-control${fieldErrors.content ? " invalid" : ""}`}
+            placeholder={isReply ? "Write a reply..." : "Share your thoughts..."}
+            maxLength={1000}
             disabled={loading}
+            autoFocus={isReply}
             required
           />
+          {fieldErrors.content && <div className="field-error">{fieldErrors.content}</div>}
         </div>
-        {error && (
-          <div style={{ color: '#e53e3e', marginBottom: '10px', fontSize: '0.9rem' }}>
-            ❌ Error: {error}
+
+        {editingIdentity && (
+          <label className="remember-option">
+            <input
+              type="checkbox"
+              checked={remember}
+              onChange={(e) => setRemember(e.target.checked)}
+              disabled={loading}
+            />
+            Remember my name and email on this device
+          </label>
+        )}
+
+        {notice && <div className="comment-notice">{notice}</div>}
+        {errorMessage && (
+          <div style={{ color: retryable ? '#b7791f' : '#e53e3e', marginBottom: '10px', fontSize: '0.9rem' }}>
+            {retryable ? "⏳" : "❌"} {errorMessage}
+            {errorInfo?.code && <span className="error-code">{errorInfo.code}</span>}
           </div>
         )}
-        <button 
-          className="btn btn-primary" 
+        <button
+          className="btn btn-primary"
           type="submit"
-          disabled={loading || !content.trim()}
+          disabled={loading || !canSubmit}
         >
-          {loading ? "⏳ Posting..." : "💭 Post Comment"}
+          {loading ? "⏳ Posting..." : (isReply ? "💬 Post Reply" : "💭 Post Comment")}
         </button>
+        {onCancel && (
+          <button type="button" className="link-button comment-cancel" onClick={onCancel} disabled={loading}>
+            Cancel
+          </button>
+        )}
       </form>
     </div>
   );
@@ -0,0 +1,170 @@
+import React from "react";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import CommentCreate, { moderationOutcome } from "./CommentCreate";
+import { useAuth } from "./context/AuthContext";
+import { commentsApi } from "./services/api";
+
+jest.mock("./services/api", () => ({
+  commentsApi: { createComment: jest.fn() }
+}));
+
+jest.mock("./context/AuthContext", () => ({
+  useAuth: jest.fn(),
+  displayNameOf: (user) => user?.displayName || null
+}));
+
+const AUTHOR_KEY = "blogspace.commentAuthor";
+
+const created = (comment, meta) => ({
+  data: { data: { _id: "c1", content: "Nice post", ...comment }, meta }
+});
+
+const fillIn = ({ name, email, content }) => {
+  if (name !== undefined) fireEvent.change(screen.getByLabelText("👤 Name"), { target: { value: name } });
+  if (email !== undefined) fireEvent.change(screen.getByLabelText("✉️ Email"), { target: { value: email } });
+  fireEvent.change(screen.getByPlaceholderText("Share your thoughts..."), { target: { value: content } });
+};
+
+const post = () => fireEvent.click(screen.getByRole("button", { name: "💭 Post Comment" }));
+
+describe("moderationOutcome", () => {
+  it("publishes approved comments that need no further moderation", () => {
+    expect(moderationOutcome({ status: "approved" })).toBe("published");
+    expect(moderationOutcome({ status: "approved" }, { requiresModeration: true })).toBe("pending");
+    expect(moderationOutcome({ status: "pending" })).toBe("pending");
+    expect(moderationOutcome({ status: "rejected" })).toBe("rejected");
+  });
+});
+
+describe("CommentCreate", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    useAuth.mockReturnValue({ user: null, isAuthenticated: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("needs a guest name and email before posting", () => {
+    render(<CommentCreate postId="p1" />);
+
+    fillIn({ name: "Grace", email: "", content: "Nice post" });
+    expect(screen.getByRole("button", { name: "💭 Post Comment" })).toBeDisabled();
+
+    fillIn({ email: "grace@example.com", content: "Nice post" });
+    expect(screen.getByRole("button", { name: "💭 Post Comment" })).toBeEnabled();
+  });
+
+  it("sends the trimmed comment and remembers the guest", async () => {
+    const onCommentAdded = jest.fn();
+    commentsApi.createComment.mockResolvedValue(created({ status: "approved" }));
+    render(<CommentCreate postId="p1" onCommentAdded={onCommentAdded} />);
+
+    fillIn({ name: " Grace ", email: "Grace@Example.com ", content: "  Nice post " });
+    post();
+
+    expect(await screen.findByText("Grace")).toBeInTheDocument();
+    expect(commentsApi.createComment).toHaveBeenCalledWith(expect.any(String), "p1", {
+      content: "Nice post",
+      author: { name: "Grace", email: "Grace@Example.com" }
+    });
+    expect(onCommentAdded).toHaveBeenCalledWith(expect.objectContaining({ _id: "c1" }), "published");
+    expect(JSON.parse(window.localStorage.getItem(AUTHOR_KEY))).toEqual({ name: "Grace", email: "grace@example.com" });
+    expect(screen.getByPlaceholderText("Share your thoughts...")).toHaveValue("");
+  });
+
+  it("forgets the guest when asked not to remember them", async () => {
+    commentsApi.createComment.mockResolvedValue(created({ status: "approved" }));
+    render(<CommentCreate postId="p1" />);
+
+    fillIn({ name: "Grace", email: "grace@example.com", content: "Nice post" });
+    fireEvent.click(screen.getByLabelText("Remember my name and email on this device"));
+    post();
+
+    expect(await screen.findByText("Grace")).toBeInTheDocument();
+    expect(window.localStorage.getItem(AUTHOR_KEY)).toBeNull();
+  });
+
+  it("reuses a remembered guest until they say it is not them", () => {
+    window.localStorage.setItem(AUTHOR_KEY, JSON.stringify({ name: "Grace", email: "grace@example.com" }));
+    render(<CommentCreate postId="p1" />);
+
+    expect(screen.getByText("Grace")).toBeInTheDocument();
+    expect(screen.queryByLabelText("👤 Name")).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Not you?" }));
+    expect(screen.getByLabelText("👤 Name")).toBeInTheDocument();
+    expect(window.localStorage.getItem(AUTHOR_KEY)).toBeNull();
+  });
+
+  it("comments under the signed-in account", async () => {
+    useAuth.mockReturnValue({
+      user: { id: "u1", displayName: "Ada Lovelace", email: "ada@example.com" },
+      isAuthenticated: true
+    });
+    commentsApi.createComment.mockResolvedValue(created({ status: "approved" }));
+    render(<CommentCreate postId="p1" />);
+
+    expect(screen.queryByRole("button", { name: "Not you?" })).not.toBeInTheDocument();
+    fillIn({ content: "Nice post" });
+    post();
+
+    await waitFor(() => expect(screen.getByPlaceholderText("Share your thoughts...")).toHaveValue(""));
+    expect(commentsApi.createComment).toHaveBeenCalledWith(expect.any(String), "p1", {
+      content: "Nice post",
+      author: { name: "Ada Lovelace", email: "ada@example.com" }
+    });
+  });
+
+  it("tells the author when a comment is held or rejected", async () => {
+    commentsApi.createComment
+      .mockResolvedValueOnce(created({ status: "pending" }))
+      .mockResolvedValueOnce(created({ status: "rejected" }));
+    render(<CommentCreate postId="p1" />);
+
+    fillIn({ name: "Grace", email: "grace@example.com", content: "First try" });
+    post();
+    expect(await screen.findByText(/will appear once a moderator approves it/)).toBeInTheDocument();
+
+    fillIn({ content: "Second try" });
+    post();
+    expect(await screen.findByText(/automated moderation flagged it/)).toBeInTheDocument();
+  });
+
+  it("shows field errors from the service next to their fields", async () => {
+    commentsApi.createComment.mockRejectedValue({
+      response: {
+        status: 400,
+        data: {
+          error: "Validation failed",
+          code: "VALIDATION_ERROR",
+          details: [{ field: "author.email", message: "Email must be valid" }]
+        }
+      }
+    });
+    render(<CommentCreate postId="p1" />);
+
+    fillIn({ name: "Grace", email: "grace@example", content: "Nice post" });
+    post();
+
+    expect(await screen.findByText("Email must be valid")).toBeInTheDocument();
+    expect(screen.getByLabelText("✉️ Email")).toHaveClass("invalid");
+    expect(screen.getByPlaceholderText("Share your thoughts...")).toHaveValue("Nice post");
+  });
+
+  it("explains rate limits as temporary and keeps the text to retry", async () => {
+    commentsApi.createComment.mockRejectedValue({
+      response: { status: 429, data: { error: "Too many requests", code: "RATE_LIMIT_EXCEEDED", retryAfter: "30 seconds" } }
+    });
+    render(<CommentCreate postId="p1" />);
+
+    fillIn({ name: "Grace", email: "grace@example.com", content: "Nice post" });
+    post();
+
+    expect(await screen.findByText(/Please try again in 30 seconds\./)).toHaveTextContent(/^⏳ Too many requests/);
+    expect(screen.getByText("RATE_LIMIT_EXCEEDED")).toBeInTheDocument();
+    expect(screen.getByPlaceholderText("Share your thoughts...")).toHaveValue("Nice post");
+  });
+});
@@ -1,16 +1,113 @@
-import React, { useCallback } from "react";
-import { useApiConfig, useApiCall } from "./hooks/useApi";
+import React, { useCallback, useEffect, useState } from "react";
+import CommentCreate from "./CommentCreate";
+import CommentThread from "./CommentThread";
+import { useAuth } from "./context/AuthContext";
+import { useApiConfig, useApiCall, getErrorMessage } from "./hooks/useApi";
+import { removesComment, useCommentStream, useRemovalTracker } from "./hooks/useCommentStream";
 import { commentsApi } from "./services/api";
 
+const COMMENTS_PAGE_SIZE = 10;
+const REPLY_PREVIEW_SIZE = 3;
+
+const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
 const CommentList = ({ postId }) => {
   const { commentsUrl } = useApiConfig();
-  
-  const fetchComments = useCallback(() => 
-    commentsApi.getComments(commentsUrl, postId).then(res => res.data), 
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+
+  const fetchComments = useCallback(() =>
+    commentsApi.getComments(commentsUrl, postId, {
+      page: 1,
+      limit: COMMENTS_PAGE_SIZE,
+      replyLimit: REPLY_PREVIEW_SIZE
+    }).then(res => res.data),
     [commentsUrl, postId]
   );
 
-  const { data: comments, loading, error } = useApiCall(fetchComments, [commentsUrl, postId]);
+  const { data, loading, error, refetch } = useApiCall(fetchComments);
+
+  const adjustTotal = useCallback((delta) => {
+    setPagination(prev => prev && { ...prev, total: Math.max(0, prev.total + delta) });
+  }, []);
+  const trackRemoval = useRemovalTracker(adjustTotal);
+
+  useEffect(() => {
+    if (data) {
+      setComments(data.data);
+      setPagination(data.pagination);
+    }
+  }, [data]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    setLoadMoreError(null);
+    try {
+      const res = await commentsApi.getComments(commentsUrl, postId, {
+        page: pagination.page + 1,
+        limit: COMMENTS_PAGE_SIZE,
+        replyLimit: REPLY_PREVIEW_SIZE
+      });
+      setComments(prev => {
+        const known = new Set(prev.map(comment => comment._id));
+        return [...prev, ...res.data.data.filter(comment => !known.has(comment._id))];
+      });
+      setPagination(res.data.pagination);
+    } catch (err) {
+      setLoadMoreError(getErrorMessage(err));
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Add a newly visible top-level comment in date order. One older than every loaded comment
+  // only counts towards the total until "Load more" reaches it.
+  const addComment = (comment) => {
+    if (comments.some(known => known._id === comment._id)) return;
+    if (!trackRemoval(comment._id, false)) adjustTotal(1);
+
+    const hasMore = pagination ? pagination.page < pagination.pages : false;
+    const oldest = comments[comments.length - 1];
+    if (hasMore && oldest && newestFirst(oldest, comment) < 0) return;
+
+    setComments(prev => [...prev, { replies: [], replyCount: 0, ...comment }].sort(newestFirst));
+  };
+
+  // Replies and changes to a comment itself are applied by its CommentThread. Removals only
+  // count for loaded comments, since a hidden one may never have been visible to this reader.
+  useCommentStream(postId, (event) => {
+    if (event.type === "resync") {
+      refetch();
+      return;
+    }
+    if (event.parentId) return;
+
+    switch (event.type) {
+      case "comment.created":
+      case "comment.approved":
+        addComment(event.comment);
+        break;
+      case "comment.hidden":
+      case "comment.deleted":
+        if (removesComment(event, comments.find(comment => comment._id === event.commentId), user)) {
+          setComments(prev => prev.filter(comment => comment._id !== event.commentId));
+          trackRemoval(event.commentId, true);
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Published comments show up straight away, newest first; CommentCreate explains the rest
+  const handleCommentAdded = (comment, outcome) => {
+    if (outcome === "published") {
+      addComment(comment);
+    }
+  };
 
   if (loading) {
     return (
@@ -27,28 +124,44 @@ const CommentList = ({ postId }) => {
         <h4 className="comments-title">💬 Comments</h4>
         <div className="no-comments" style={{ color: '#e53e3e' }}>
           ❌ Error loading comments: {error}
+          {" "}
+          <button type="button" className="link-button" onClick={refetch}>🔄 Retry</button>
         </div>
       </div>
     );
   }
 
-  const commentsArray = comments || [];
-  const renderedComments = commentsArray.map((comment) => (
-    <li key={comment.id} className="comment-item">
-      {comment.content}
-    </li>
-  ));
+  const total = pagination?.total ?? comments.length;
+  const hasMore = pagination ? pagination.page < pagination.pages : false;
 
   return (
     <div>
-      <h4 className="comments-title">💬 Comments ({commentsArray.length})</h4>
-      {commentsArray.length > 0 ? (
-        <ul className="comments-list">{renderedComments}</ul>
+      <h4 className="comments-title">💬 Comments ({total})</h4>
+      {comments.length > 0 ? (
+        <ul className="comments-list">
+          {comments.map(comment => (
+            <CommentThread
+              key={comment._id}
+              comment={comment}
+              postId={postId}
+              onRemovedChange={trackRemoval}
+            />
+          ))}
+        </ul>
       ) : (
         <div className="no-comments">
           No comments yet. Be the first to comment!
         </div>
       )}
+      {loadMoreError && (
+        <div className="no-comments" style={{ color: '#e53e3e' }}>❌ {loadMoreError}</div>
+      )}
+      {hasMore && (
+        <button type="button" className="btn load-more" onClick={loadMore} disabled={loadingMore}>
+          {loadingMore ? "⏳ Loading..." : `Load more comments (${total - comments.length})`}
+        </button>
+      )}
+      <CommentCreate postId={postId} onCommentAdded={handleCommentAdded} />
     </div>
   );
 };
@@ -0,0 +1,137 @@
+import React from "react";
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import CommentList from "./CommentList";
+import { useAuth } from "./context/AuthContext";
+import { commentsApi } from "./services/api";
+import { subscribeToComments } from "./services/commentStream";
+
+jest.mock("./services/api", () => ({
+  commentsApi: { getComments: jest.fn(), getReplies: jest.fn(), createComment: jest.fn(), deleteComment: jest.fn() }
+}));
+
+jest.mock("./services/commentStream", () => ({
+  subscribeToComments: jest.fn()
+}));
+
+jest.mock("./context/AuthContext", () => ({
+  useAuth: jest.fn(),
+  displayNameOf: (user) => user?.displayName || null
+}));
+
+const makeComment = (id, overrides = {}) => ({
+  _id: id,
+  postId: "p1",
+  content: `Comment ${id}`,
+  author: { name: "Grace" },
+  createdAt: `2024-03-0${id.slice(1)}T10:00:00.000Z`,
+  depth: 0,
+  likes: 0,
+  replies: [],
+  replyCount: 0,
+  ...overrides
+});
+
+const commentsPage = (comments, total = comments.length) => ({
+  data: { data: comments, pagination: { page: 1, limit: 10, total, pages: Math.max(1, Math.ceil(total / 10)) } }
+});
+
+// Every CommentList and CommentThread follows the post; events reach all of them like the real stream
+let handlers;
+const push = (event) => act(() => {
+  handlers.forEach(handler => handler({ postId: "p1", ...event }));
+});
+
+// Resolves once the comments have loaded and every thread has subscribed to the stream
+const renderList = async () => {
+  const utils = render(<CommentList postId="p1" />);
+  await screen.findByText(/^💬 Comments \(/);
+  await act(() => new Promise(resolve => setTimeout(resolve, 0)));
+  return utils;
+};
+
+describe("CommentList live updates", () => {
+  beforeEach(() => {
+    handlers = new Set();
+    subscribeToComments.mockImplementation((postId, handler) => {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    });
+    useAuth.mockReturnValue({ user: { id: "u1" }, isAuthenticated: true });
+    commentsApi.getComments.mockImplementation(() => Promise.resolve(commentsPage([makeComment("c2"), makeComment("c1")])));
+  });
+
+  it("reloads the comments when the stream asks for a resync", async () => {
+    await renderList();
+    commentsApi.getComments.mockResolvedValue(commentsPage([makeComment("c3"), makeComment("c2"), makeComment("c1")]));
+
+    push({ type: "resync" });
+
+    expect(await screen.findByText("Comment c3")).toBeInTheDocument();
+    expect(screen.getByText("💬 Comments (3)")).toBeInTheDocument();
+    expect(commentsApi.getComments).toHaveBeenCalledTimes(2);
+  });
+
+  it("adds new comments in date order and counts each once", async () => {
+    await renderList();
+
+    push({ type: "comment.created", commentId: "c3", comment: makeComment("c3") });
+    push({ type: "comment.approved", commentId: "c3", comment: makeComment("c3") });
+
+    expect(screen.getAllByText(/^Comment c\d$/).map(node => node.textContent)).toEqual(["Comment c3", "Comment c2", "Comment c1"]);
+    expect(screen.getByText("💬 Comments (3)")).toBeInTheDocument();
+  });
+
+  it("adds replies to their thread rather than the list", async () => {
+    await renderList();
+
+    push({ type: "comment.created", commentId: "r1", parentId: "c2", comment: makeComment("r1", { parentId: "c2", depth: 1, content: "A reply" }) });
+
+    expect(screen.getByText("💬 Comments (2)")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "▸ Show 1 reply" }));
+    expect(screen.getByText("A reply")).toBeInTheDocument();
+    expect(commentsApi.getReplies).not.toHaveBeenCalled();
+  });
+
+  it("removes deleted and hidden comments", async () => {
+    await renderList();
+
+    push({ type: "comment.deleted", commentId: "c1" });
+    push({ type: "comment.hidden", commentId: "c2", status: "rejected" });
+
+    expect(screen.queryByText(/^Comment c\d$/)).not.toBeInTheDocument();
+    expect(screen.getByText("💬 Comments (0)")).toBeInTheDocument();
+  });
+
+  it("keeps the author's own edit that awaits moderation", async () => {
+    commentsApi.getComments.mockResolvedValue(commentsPage([makeComment("c1", { author: { name: "Ada", userId: "u1" } })]));
+    await renderList();
+
+    push({ type: "comment.hidden", commentId: "c1", status: "pending" });
+
+    expect(screen.getByText("Comment c1")).toBeInTheDocument();
+  });
+
+  it("counts a comment the reader deleted once when the stream reports it too", async () => {
+    commentsApi.getComments.mockResolvedValue(commentsPage([makeComment("c1", {
+      author: { name: "Ada", userId: "u1" },
+      editWindow: new Date(Date.now() + 60000).toISOString()
+    })], 4));
+    commentsApi.deleteComment.mockResolvedValue({ data: {} });
+    await renderList();
+
+    fireEvent.click(screen.getByRole("button", { name: "🗑️ Delete" }));
+    fireEvent.click(screen.getByRole("button", { name: "Yes, delete" }));
+    push({ type: "comment.deleted", commentId: "c1" });
+
+    expect(await screen.findByText("💬 Comments (3)")).toBeInTheDocument();
+  });
+
+  it("applies likes to the comment they were for", async () => {
+    await renderList();
+
+    push({ type: "comment.liked", commentId: "c1", likes: 7 });
+
+    expect(screen.getByRole("button", { name: "Like (7)" })).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Like (0)" })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,347 @@
+import React, { useCallback, useState } from "react";
+import CommentCreate from "./CommentCreate";
+import LikeButton from "./LikeButton";
+import ReportDialog from "./ReportDialog";
+import { useAuth } from "./context/AuthContext";
+import { useApiConfig, getErrorMessage, getErrorInfo } from "./hooks/useApi";
+import { removesComment, useCommentStream, useRemovalTracker } from "./hooks/useCommentStream";
+import { useNow } from "./hooks/useNow";
+import { commentsApi } from "./services/api";
+import { hasReaction, setReaction } from "./services/reactions";
+import { describeCommentError } from "./utils/commentErrors";
+import { formatDateTime, formatRelativeTime, formatRemaining } from "./utils/time";
+
+// comments-service rejects replies below this depth
+export const MAX_COMMENT_DEPTH = 3;
+const REPLIES_PAGE_SIZE = 5;
+
+// Merge a page of replies into the loaded ones, keeping them oldest first
+const mergeReplies = (loaded, incoming) => {
+  const known = new Set(loaded.map(reply => reply._id));
+  return [...loaded, ...incoming.filter(reply => !known.has(reply._id))]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+const describeError = (err) => describeCommentError(getErrorInfo(err), getErrorMessage(err));
+
+// `onRemovedChange(commentId, removed)` lets the parent keep its comment or reply count in step
+// with deletes; live updates to the comment itself and its direct replies arrive over the stream
+const CommentThread = ({ comment: initialComment, postId, onRemovedChange }) => {
+  const { commentsUrl } = useApiConfig();
+  const { user } = useAuth();
+  const [comment, setComment] = useState(initialComment);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [removed, setRemoved] = useState(false);
+  const [liked, setLiked] = useState(() => hasReaction("likedComments", initialComment._id));
+  const [liking, setLiking] = useState(false);
+  const [reported, setReported] = useState(() => hasReaction("reportedComments", initialComment._id));
+  const [reporting, setReporting] = useState(false);
+  const [actionError, setActionError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [replies, setReplies] = useState(comment.replies || []);
+  const [replyCount, setReplyCount] = useState(comment.replyCount || 0);
+  const [expanded, setExpanded] = useState((comment.replies || []).length > 0);
+  const [replying, setReplying] = useState(false);
+  const [loadingReplies, setLoadingReplies] = useState(false);
+  const [repliesError, setRepliesError] = useState(null);
+
+  const canReply = comment.depth < MAX_COMMENT_DEPTH;
+  const remaining = Math.max(0, replyCount - replies.length);
+
+  const adjustReplyCount = useCallback((delta) => {
+    setReplyCount(prev => Math.max(0, prev + delta));
+  }, []);
+  const trackReplyRemoval = useRemovalTracker(adjustReplyCount);
+
+  // Authors can edit or delete their comment until comments-service's edit window closes
+  const isOwner = Boolean(user?.id && comment.author?.userId === user.id);
+  const editDeadline = comment.editWindow ? new Date(comment.editWindow).getTime() : 0;
+  const now = useNow(1000, isOwner && editDeadline > Date.now());
+  const editTimeLeft = isOwner ? editDeadline - now : 0;
+  const canModify = editTimeLeft > 0;
+
+  const startEditing = () => {
+    setDraft(comment.content);
+    setEditing(true);
+    setActionError(null);
+    setNotice(null);
+  };
+
+  // Show the new text straight away and put the previous version back if the service refuses it
+  const saveEdit = async (event) => {
+    event.preventDefault();
+    const content = draft.trim();
+    if (!content || content === comment.content) {
+      setEditing(false);
+      return;
+    }
+
+    const previous = comment;
+    setComment({ ...previous, content, isEdited: true, editedAt: new Date().toISOString() });
+    setEditing(false);
+    setSaving(true);
+    setActionError(null);
+    try {
+      const res = await commentsApi.updateComment(commentsUrl, previous._id, content);
+      const updated = res.data.data;
+      setComment(prev => ({ ...prev, ...updated }));
+      setNotice(res.data.meta?.requiresRemoderation
+        ? "⏳ Your edit is awaiting moderation and is hidden from others until it is approved."
+        : null);
+    } catch (err) {
+      // Reopen the editor with the rejected text unless the window has closed meanwhile
+      setComment(previous);
+      setDraft(content);
+      setEditing(getErrorInfo(err).code !== "EDIT_WINDOW_EXPIRED");
+      setActionError(describeError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Hide the thread straight away and bring it back if the delete fails
+  const confirmDelete = async () => {
+    setConfirmingDelete(false);
+    setRemoved(true);
+    setSaving(true);
+    setActionError(null);
+    if (onRemovedChange) onRemovedChange(comment._id, true);
+    try {
+      await commentsApi.deleteComment(commentsUrl, comment._id);
+    } catch (err) {
+      setRemoved(false);
+      if (onRemovedChange) onRemovedChange(comment._id, false);
+      setActionError(describeError(err));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // comments-service has no unlike, so a like is final; ALREADY_LIKED means an earlier visit liked it
+  const like = async () => {
+    const previousLikes = comment.likes || 0;
+    setLiked(true);
+    setComment(prev => ({ ...prev, likes: previousLikes + 1 }));
+    setLiking(true);
+    setActionError(null);
+    try {
+      const res = await commentsApi.likeComment(commentsUrl, comment._id);
+      setComment(prev => ({ ...prev, likes: res.data.data.likes }));
+      setReaction("likedComments", comment._id, true);
+    } catch (err) {
+      const alreadyLiked = getErrorInfo(err).code === "ALREADY_LIKED";
+      setLiked(alreadyLiked);
+      setComment(prev => ({ ...prev, likes: previousLikes }));
+      if (alreadyLiked) setReaction("likedComments", comment._id, true);
+      else setActionError(describeError(err));
+    } finally {
+      setLiking(false);
+    }
+  };
+
+  const closeReport = useCallback(() => setReporting(false), []);
+
+  const handleReported = useCallback((alreadyReported) => {
+    setReaction("reportedComments", comment._id, true);
+    setReported(true);
+    setReporting(false);
+    setNotice(alreadyReported
+      ? "🚩 You have already reported this comment. Our moderators will review it."
+      : "🚩 Thanks for the report. Our moderators will review this comment.");
+  }, [comment._id]);
+
+  // Replies come back oldest first, so the next page follows the ones already loaded
+  const loadReplies = async () => {
+    setLoadingReplies(true);
+    setRepliesError(null);
+    try {
+      const page = Math.floor(replies.length / REPLIES_PAGE_SIZE) + 1;
+      const res = await commentsApi.getReplies(commentsUrl, comment._id, { page, limit: REPLIES_PAGE_SIZE });
+      setReplies(prev => mergeReplies(prev, res.data.data));
+      setReplyCount(res.data.pagination.total);
+    } catch (err) {
+      setRepliesError(getErrorMessage(err));
+    } finally {
+      setLoadingReplies(false);
+    }
+  };
+
+  const toggleReplies = () => {
+    if (!expanded && replies.length === 0 && replyCount > 0) {
+      loadReplies();
+    }
+    setExpanded(prev => !prev);
+  };
+
+  // Count a newly visible reply once. Other readers' replies are only listed when every earlier
+  // reply is loaded, so paging through the rest stays in step; the reader's own are always shown.
+  const addReply = (reply, show = remaining === 0) => {
+    if (!replies.some(known => known._id === reply._id) && !trackReplyRemoval(reply._id, false)) {
+      setReplyCount(prev => prev + 1);
+    }
+    if (show) {
+      setReplies(prev => mergeReplies(prev, [{ replyCount: 0, ...reply }]));
+    }
+  };
+
+  useCommentStream(postId, (event) => {
+    if (event.commentId === comment._id) {
+      if (event.type === "comment.liked") {
+        setComment(prev => ({ ...prev, likes: event.likes }));
+      } else if (event.comment) {
+        setComment(prev => ({ ...prev, ...event.comment }));
+      }
+      return;
+    }
+
+    if (event.parentId !== comment._id) return;
+    if (event.type === "comment.created" || event.type === "comment.approved") {
+      addReply(event.comment);
+    } else if (removesComment(event, replies.find(reply => reply._id === event.commentId), user)) {
+      setReplies(prev => prev.filter(reply => reply._id !== event.commentId));
+      trackReplyRemoval(event.commentId, true);
+    }
+  });
+
+  // Replies held for moderation are not visible yet, so keep the form open to show its notice
+  const handleReplyAdded = (reply, outcome) => {
+    if (outcome === "published") {
+      setReplying(false);
+      addReply(reply, true);
+      setExpanded(true);
+    }
+  };
+
+  if (removed) {
+    return null;
+  }
+
+  return (
+    <li className="comment-thread">
+      <div className="comment-item">
+        <div className="comment-header">
+          <span className="comment-author">{comment.author?.name || "Anonymous"}</span>
+          <time className="comment-time" dateTime={comment.createdAt} title={formatDateTime(comment.createdAt)}>
+            {formatRelativeTime(comment.createdAt)}
+          </time>
+          {comment.isEdited && (
+            <span className="comment-edited" title={comment.editedAt ? `Edited ${formatDateTime(comment.editedAt)}` : undefined}>
+              (edited)
+            </span>
+          )}
+        </div>
+        {editing ? (
+          <form className="comment-edit-form" onSubmit={saveEdit}>
+            <textarea
+              className="form-control"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              maxLength={1000}
+              rows={3}
+              autoFocus
+            />
+            <div className="comment-actions">
+              <button type="submit" className="link-button" disabled={!draft.trim() || !canModify}>💾 Save</button>
+              <button type="button" className="link-button" onClick={() => setEditing(false)}>Cancel</button>
+            </div>
+          </form>
+        ) : (
+          <div className="comment-content">{comment.content}</div>
+        )}
+        {notice && <div className="comment-notice">{notice}</div>}
+        {actionError && <div className="field-error">❌ {actionError}</div>}
+        <div className="comment-actions">
+          <LikeButton
+            liked={liked}
+            count={comment.likes || 0}
+            onClick={like}
+            disabled={liked || liking}
+            title={liked ? "You liked this comment" : "Like this comment"}
+          />
+          {canReply && (
+            <button type="button" className="link-button" onClick={() => setReplying(prev => !prev)}>
+              {replying ? "Cancel" : "↩️ Reply"}
+            </button>
+          )}
+          {replyCount > 0 && (
+            <button type="button" className="link-button" onClick={toggleReplies}>
+              {expanded ? "▾ Hide replies" : `▸ Show ${replyCount} ${replyCount === 1 ? "reply" : "replies"}`}
+            </button>
+          )}
+          {canModify && !editing && (
+            confirmingDelete ? (
+              <span className="comment-confirm">
+                Delete this comment?
+                <button type="button" className="link-button danger" onClick={confirmDelete}>Yes, delete</button>
+                <button type="button" className="link-button" onClick={() => setConfirmingDelete(false)}>No</button>
+              </span>
+            ) : (
+              <>
+                <button type="button" className="link-button" onClick={startEditing} disabled={saving}>✏️ Edit</button>
+                <button type="button" className="link-button" onClick={() => setConfirmingDelete(true)} disabled={saving}>🗑️ Delete</button>
+              </>
+            )
+          )}
+          {!isOwner && (
+            <button
+              type="button"
+              className="link-button muted"
+              onClick={() => setReporting(true)}
+              disabled={reported}
+              title={reported ? "You reported this comment" : "Report this comment to the moderators"}
+            >
+              {reported ? "🚩 Reported" : "🚩 Report"}
+            </button>
+          )}
+          {canModify && (
+            <span className="comment-edit-countdown" title={`Editable until ${formatDateTime(editDeadline)}`}>
+              ⏱️ {formatRemaining(editTimeLeft)} left to edit
+            </span>
+          )}
+        </div>
+      </div>
+
+      {reporting && (
+        <ReportDialog comment={comment} onReported={handleReported} onClose={closeReport} />
+      )}
+
+      {replying && (
+        <div className="comment-reply-form">
+          <CommentCreate
+            postId={postId}
+            parentId={comment._id}
+            replyTo={comment.author?.name}
+            onCommentAdded={handleReplyAdded}
+            onCancel={() => setReplying(false)}
+          />
+        </div>
+      )}
+
+      {expanded && (replies.length > 0 || loadingReplies || repliesError) && (
+        <ul className="comment-replies">
+          {replies.map(reply => (
+            <CommentThread
+              key={reply._id}
+              comment={reply}
+              postId={postId}
+              onRemovedChange={trackReplyRemoval}
+            />
+          ))}
+          {repliesError && <li className="no-comments" style={{ color: '#e53e3e' }}>❌ {repliesError}</li>}
+          {remaining > 0 && (
+            <li>
+              <button type="button" className="link-button" onClick={loadReplies} disabled={loadingReplies}>
+                {loadingReplies ? "⏳ Loading replies..." : `Load more replies (${remaining})`}
+              </button>
+            </li>
+          )}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+export default CommentThread;
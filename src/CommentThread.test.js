@@ -0,0 +1,287 @@
+import React from "react";
+import { act, fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import CommentThread, { MAX_COMMENT_DEPTH } from "./CommentThread";
+import { useAuth } from "./context/AuthContext";
+import { commentsApi } from "./services/api";
+
+jest.mock("./services/api", () => ({
+  commentsApi: {
+    getReplies: jest.fn(),
+    createComment: jest.fn(),
+    updateComment: jest.fn(),
+    deleteComment: jest.fn(),
+    likeComment: jest.fn()
+  }
+}));
+
+jest.mock("./context/AuthContext", () => ({
+  useAuth: jest.fn(),
+  displayNameOf: (user) => user?.displayName || null
+}));
+
+const GUEST = { name: "Grace", email: "grace@example.com" };
+
+const makeComment = (overrides = {}) => ({
+  _id: "c1",
+  postId: "p1",
+  content: "First!",
+  author: { name: "Ada" },
+  createdAt: "2024-03-01T10:00:00.000Z",
+  depth: 0,
+  likes: 0,
+  replyCount: 0,
+  ...overrides
+});
+
+const makeReply = (index) => makeComment({
+  _id: `r${index}`,
+  parentId: "c1",
+  content: `Reply ${index}`,
+  author: { name: `Reader ${index}` },
+  createdAt: `2024-03-01T1${index}:00:00.000Z`,
+  depth: 1
+});
+
+const repliesPage = (replies, total) => ({ data: { data: replies, pagination: { total } } });
+
+const renderThread = (comment, onRemovedChange) => render(
+  <ul>
+    <CommentThread comment={comment} postId="p1" onRemovedChange={onRemovedChange} />
+  </ul>
+);
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const rejection = (status, code, error = "Request failed") => ({ response: { status, data: { error, code } } });
+
+describe("CommentThread", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    useAuth.mockReturnValue({ user: null, isAuthenticated: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("shows the author, the text and whether it was edited", () => {
+    renderThread(makeComment({ author: null, isEdited: true }));
+
+    expect(screen.getByText("Anonymous")).toBeInTheDocument();
+    expect(screen.getByText("First!")).toBeInTheDocument();
+    expect(screen.getByText("(edited)")).toBeInTheDocument();
+  });
+
+  it("lists replies included with the comment", () => {
+    renderThread(makeComment({ replyCount: 1, replies: [makeReply(1)] }));
+
+    expect(screen.getByText("Reply 1")).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "▾ Hide replies" })).toBeInTheDocument();
+    expect(commentsApi.getReplies).not.toHaveBeenCalled();
+  });
+
+  it("loads replies on demand, a page at a time", async () => {
+    commentsApi.getReplies
+      .mockResolvedValueOnce(repliesPage([1, 2, 3, 4, 5].map(makeReply), 7))
+      .mockResolvedValueOnce(repliesPage([6, 7].map(makeReply), 7));
+    renderThread(makeComment({ replyCount: 7 }));
+
+    fireEvent.click(screen.getByRole("button", { name: "▸ Show 7 replies" }));
+    fireEvent.click(await screen.findByRole("button", { name: "Load more replies (2)" }));
+
+    expect(await screen.findByText("Reply 7")).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: /Load more replies/ })).not.toBeInTheDocument();
+    expect(commentsApi.getReplies.mock.calls.map(call => call.slice(1))).toEqual([
+      ["c1", { page: 1, limit: 5 }],
+      ["c1", { page: 2, limit: 5 }]
+    ]);
+  });
+
+  it("shows why replies could not be loaded", async () => {
+    commentsApi.getReplies.mockRejectedValue({ response: { data: { error: "Comments unavailable" } } });
+    renderThread(makeComment({ replyCount: 2 }));
+
+    fireEvent.click(screen.getByRole("button", { name: "▸ Show 2 replies" }));
+
+    expect(await screen.findByText("❌ Comments unavailable")).toBeInTheDocument();
+  });
+
+  it("posts a reply and lists it once published", async () => {
+    window.localStorage.setItem("blogspace.commentAuthor", JSON.stringify(GUEST));
+    commentsApi.createComment.mockResolvedValue({
+      data: { data: makeComment({ _id: "r9", parentId: "c1", content: "Welcome!", author: GUEST, depth: 1, status: "approved" }) }
+    });
+    renderThread(makeComment());
+
+    fireEvent.click(screen.getByRole("button", { name: "↩️ Reply" }));
+    expect(screen.getByText("↩️ Reply to Ada")).toBeInTheDocument();
+    fireEvent.change(screen.getByPlaceholderText("Write a reply..."), { target: { value: " Welcome! " } });
+    fireEvent.click(screen.getByRole("button", { name: "💬 Post Reply" }));
+
+    expect(await screen.findByText("Welcome!")).toBeInTheDocument();
+    expect(commentsApi.createComment).toHaveBeenCalledWith(expect.any(String), "p1", {
+      content: "Welcome!",
+      author: GUEST,
+      parentId: "c1"
+    });
+    expect(screen.queryByPlaceholderText("Write a reply...")).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "▾ Hide replies" }));
+    expect(screen.getByRole("button", { name: "▸ Show 1 reply" })).toBeInTheDocument();
+  });
+
+  it("keeps the reply form open while a reply awaits moderation", async () => {
+    window.localStorage.setItem("blogspace.commentAuthor", JSON.stringify(GUEST));
+    commentsApi.createComment.mockResolvedValue({
+      data: { data: makeComment({ _id: "r9", content: "Welcome!", depth: 1, status: "pending" }) }
+    });
+    renderThread(makeComment());
+
+    fireEvent.click(screen.getByRole("button", { name: "↩️ Reply" }));
+    fireEvent.change(screen.getByPlaceholderText("Write a reply..."), { target: { value: "Welcome!" } });
+    fireEvent.click(screen.getByRole("button", { name: "💬 Post Reply" }));
+
+    expect(await screen.findByText(/will appear once a moderator approves it/)).toBeInTheDocument();
+    expect(screen.getByPlaceholderText("Write a reply...")).toHaveValue("");
+    expect(screen.queryByRole("button", { name: /^▸ Show/ })).not.toBeInTheDocument();
+  });
+
+  it("offers no reply at the deepest level", () => {
+    renderThread(makeComment({ depth: MAX_COMMENT_DEPTH }));
+
+    const actions = within(screen.getByRole("listitem"));
+    expect(actions.queryByRole("button", { name: "↩️ Reply" })).not.toBeInTheDocument();
+    expect(actions.getByRole("button", { name: "Like (0)" })).toBeInTheDocument();
+  });
+});
+
+describe("CommentThread editing", () => {
+  const OWNER = { id: "u1", displayName: "Ada" };
+  const ownComment = (overrides = {}) => makeComment({
+    author: { name: "Ada", userId: "u1" },
+    editWindow: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+    ...overrides
+  });
+
+  const edit = (content) => {
+    fireEvent.click(screen.getByRole("button", { name: "✏️ Edit" }));
+    fireEvent.change(screen.getByRole("textbox"), { target: { value: content } });
+    fireEvent.click(screen.getByRole("button", { name: "💾 Save" }));
+  };
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    useAuth.mockReturnValue({ user: OWNER, isAuthenticated: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("lets only the author edit, and only within the edit window", () => {
+    const { unmount } = renderThread(ownComment());
+    expect(screen.getByRole("button", { name: "✏️ Edit" })).toBeInTheDocument();
+    expect(screen.getByText(/left to edit$/)).toBeInTheDocument();
+    expect(screen.queryByRole("button", { name: "🚩 Report" })).not.toBeInTheDocument();
+    unmount();
+
+    renderThread(ownComment({ editWindow: new Date(Date.now() - 1000).toISOString() }));
+    expect(screen.queryByRole("button", { name: "✏️ Edit" })).not.toBeInTheDocument();
+  });
+
+  it("hides edit controls on other readers' comments", () => {
+    renderThread(ownComment({ author: { name: "Grace", userId: "u2" } }));
+
+    expect(screen.queryByRole("button", { name: "✏️ Edit" })).not.toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "🚩 Report" })).toBeInTheDocument();
+  });
+
+  it("shows the edit straight away and keeps the saved version", async () => {
+    const request = deferred();
+    commentsApi.updateComment.mockReturnValue(request.promise);
+    renderThread(ownComment());
+
+    edit(" Second thoughts ");
+
+    expect(screen.getByText("Second thoughts")).toBeInTheDocument();
+    expect(screen.getByText("(edited)")).toBeInTheDocument();
+    expect(commentsApi.updateComment).toHaveBeenCalledWith(expect.any(String), "c1", "Second thoughts");
+
+    await act(async () => request.resolve({
+      data: { data: { content: "Second thoughts", isEdited: true }, meta: { requiresRemoderation: true } }
+    }));
+
+    expect(screen.getByText("Second thoughts")).toBeInTheDocument();
+    expect(screen.getByText(/Your edit is awaiting moderation/)).toBeInTheDocument();
+  });
+
+  it("puts the previous text back and reopens the editor when the edit is refused", async () => {
+    commentsApi.updateComment.mockRejectedValue(rejection(400, "CONTENT_REJECTED"));
+    renderThread(ownComment());
+
+    edit("Something rude");
+
+    expect(await screen.findByText(/violate the community guidelines/)).toBeInTheDocument();
+    expect(screen.getByRole("textbox")).toHaveValue("Something rude");
+
+    fireEvent.click(screen.getByRole("button", { name: "Cancel" }));
+    expect(screen.getByText("First!")).toBeInTheDocument();
+    expect(screen.queryByText("(edited)")).not.toBeInTheDocument();
+  });
+
+  it("closes the editor when the edit window closed meanwhile", async () => {
+    commentsApi.updateComment.mockRejectedValue(rejection(403, "EDIT_WINDOW_EXPIRED"));
+    renderThread(ownComment());
+
+    edit("Too late");
+
+    expect(await screen.findByText("❌ The edit window for this comment has closed.")).toBeInTheDocument();
+    expect(screen.queryByRole("textbox")).not.toBeInTheDocument();
+    expect(screen.getByText("First!")).toBeInTheDocument();
+  });
+
+  it("saves nothing when the text is unchanged", () => {
+    renderThread(ownComment());
+
+    edit("First!");
+
+    expect(commentsApi.updateComment).not.toHaveBeenCalled();
+    expect(screen.getByText("First!")).toBeInTheDocument();
+  });
+
+  it("removes a deleted comment straight away", async () => {
+    const onRemovedChange = jest.fn();
+    commentsApi.deleteComment.mockResolvedValue({ data: {} });
+    renderThread(ownComment(), onRemovedChange);
+
+    fireEvent.click(screen.getByRole("button", { name: "🗑️ Delete" }));
+    fireEvent.click(screen.getByRole("button", { name: "Yes, delete" }));
+
+    expect(screen.queryByText("First!")).not.toBeInTheDocument();
+    await waitFor(() => expect(commentsApi.deleteComment).toHaveBeenCalledWith(expect.any(String), "c1"));
+    expect(onRemovedChange.mock.calls).toEqual([["c1", true]]);
+  });
+
+  it("brings the comment back when the delete fails", async () => {
+    const onRemovedChange = jest.fn();
+    commentsApi.deleteComment.mockRejectedValue(rejection(403, "NOT_COMMENT_OWNER"));
+    renderThread(ownComment(), onRemovedChange);
+
+    fireEvent.click(screen.getByRole("button", { name: "🗑️ Delete" }));
+    fireEvent.click(screen.getByRole("button", { name: "Yes, delete" }));
+
+    expect(await screen.findByText("❌ You can only change your own comments.")).toBeInTheDocument();
+    expect(screen.getByText("First!")).toBeInTheDocument();
+    expect(onRemovedChange.mock.calls).toEqual([["c1", true], ["c1", false]]);
+  });
+});
@@ -0,0 +1,19 @@
+import React from "react";
+
+// Render `{ text, matches }` from posts-service search highlights, marking each
+// [start, end) range. Plain text only, so nothing from the post is parsed as HTML.
+const Highlight = ({ text = "", matches = [] }) => {
+  const parts = [];
+  let position = 0;
+
+  matches.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+
+  return <>{parts}</>;
+};
+
+export default Highlight;
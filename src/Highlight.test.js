@@ -0,0 +1,26 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import Highlight from "./Highlight";
+
+describe("Highlight", () => {
+  it("marks each matched range", () => {
+    render(<p>Title: <Highlight text="React hooks and react state" matches={[[0, 5], [16, 21]]} /></p>);
+
+    expect(screen.getAllByText(/^react$/i, { selector: "mark" }).map(mark => mark.textContent)).toEqual(["React", "react"]);
+    expect(screen.getByText(/^Title:/)).toHaveTextContent("Title: React hooks and react state");
+  });
+
+  it("renders markup in the text as plain text", () => {
+    render(<p><Highlight text="<b>bold</b> claims" matches={[[3, 7]]} /></p>);
+
+    expect(screen.getByText("bold", { selector: "mark" })).toBeInTheDocument();
+    expect(screen.queryByText("bold", { selector: "b" })).not.toBeInTheDocument();
+    expect(screen.getByText(/claims$/)).toHaveTextContent("<b>bold</b> claims");
+  });
+
+  it("renders text without matches unchanged", () => {
+    render(<p><Highlight text="No matches here" /></p>);
+
+    expect(screen.getByText("No matches here")).toBeInTheDocument();
+  });
+});
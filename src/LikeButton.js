@@ -0,0 +1,18 @@
+import React from "react";
+
+// Heart with its like count; `liked` marks the ones this browser or user has liked
+const LikeButton = ({ liked, count = 0, onClick, disabled, title }) => (
+  <button
+    type="button"
+    className={`like-button${liked ? " liked" : ""}`}
+    aria-pressed={liked}
+    aria-label={`${liked ? "Liked" : "Like"} (${count})`}
+    title={title}
+    onClick={onClick}
+    disabled={disabled}
+  >
+    <span aria-hidden="true">{liked ? "❤️" : "🤍"}</span> {count}
+  </button>
+);
+
+export default LikeButton;
@@ -0,0 +1,24 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import LikeButton from "./LikeButton";
+
+describe("LikeButton", () => {
+  it("shows the count and whether it is liked", () => {
+    const { rerender } = render(<LikeButton count={3} liked={false} />);
+    expect(screen.getByRole("button", { name: "Like (3)" })).toHaveAttribute("aria-pressed", "false");
+
+    rerender(<LikeButton count={4} liked />);
+    expect(screen.getByRole("button", { name: "Liked (4)" })).toHaveAttribute("aria-pressed", "true");
+  });
+
+  it("calls onClick unless disabled", () => {
+    const onClick = jest.fn();
+    const { rerender } = render(<LikeButton count={0} onClick={onClick} />);
+
+    fireEvent.click(screen.getByRole("button"));
+    rerender(<LikeButton count={0} onClick={onClick} disabled />);
+    fireEvent.click(screen.getByRole("button"));
+
+    expect(onClick).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,20 @@
+import React, { useMemo } from "react";
+import { marked } from "marked";
+import DOMPurify from "dompurify";
+
+// Client-side approximation of the markdown rendering done by posts-service,
+// sanitized because the preview is injected as HTML
+const MarkdownPreview = ({ content }) => {
+  const html = useMemo(
+    () => DOMPurify.sanitize(marked.parse(content || "", { gfm: true })),
+    [content]
+  );
+
+  if (!content.trim()) {
+    return <div className="markdown-preview empty">Nothing to preview yet</div>;
+  }
+
+  return <div className="markdown-preview" dangerouslySetInnerHTML={{ __html: html }} />;
+};
+
+export default MarkdownPreview;
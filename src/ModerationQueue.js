@@ -0,0 +1,350 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import Pagination, { fromPageCounts } from "./Pagination";
+import { useApiConfig, useApiCall, useApiSubmit } from "./hooks/useApi";
+import { moderationApi } from "./services/api";
+import { formatDateTime, formatRelativeTime } from "./utils/time";
+
+const PAGE_SIZE = 20;
+
+export const STATUS_OPTIONS = ["pending", "flagged", "approved", "rejected", "all"];
+export const PRIORITIES = ["low", "medium", "high", "critical"];
+
+const SORT_OPTIONS = [
+  { value: "createdAt", label: "Date" },
+  { value: "priority", label: "Priority" },
+  { value: "riskScore", label: "Risk score" },
+  { value: "reports", label: "Reports" },
+  { value: "likes", label: "Likes" }
+];
+
+const ACTIONS = [
+  { status: "approved", label: "✅ Approve" },
+  { status: "rejected", label: "🚫 Reject" },
+  { status: "flagged", label: "🚩 Flag" }
+];
+
+const FILTER_KEYS = ["status", "priority", "post", "minRisk", "maxRisk", "sort", "order"];
+
+// Queue filters live in the URL like the post feed's, so a filtered queue can be shared
+const readFilters = (searchParams) => ({
+  status: searchParams.get("status") || "pending",
+  priority: searchParams.get("priority") || "",
+  post: searchParams.get("post") || "",
+  minRisk: searchParams.get("minRisk") || "",
+  maxRisk: searchParams.get("maxRisk") || "",
+  sort: searchParams.get("sort") || "createdAt",
+  order: searchParams.get("order") || "desc",
+  page: Math.max(1, parseInt(searchParams.get("page"), 10) || 1)
+});
+
+const toQueryParams = ({ status, priority, post, minRisk, maxRisk, sort, order, page }) => {
+  const params = { page, limit: PAGE_SIZE, status, sort, order };
+  if (priority) params.priority = priority;
+  if (post) params.postId = post;
+  if (minRisk !== "") params.minRiskScore = minRisk;
+  if (maxRisk !== "") params.maxRiskScore = maxRisk;
+  return params;
+};
+
+const QueueItem = ({ comment, selected, onToggle, onModerate, onFilterPost, busy }) => (
+  <li className={`moderation-item${selected ? " selected" : ""}`}>
+    <input
+      type="checkbox"
+      checked={selected}
+      onChange={() => onToggle(comment._id)}
+      aria-label="Select comment"
+      disabled={busy}
+    />
+    <div className="moderation-item-body">
+      <div className="moderation-item-meta">
+        <span className={`priority-badge priority-${comment.moderationPriority}`}>{comment.moderationPriority}</span>
+        <span className="risk-score" title="Risk score">⚠️ {comment.riskScore}</span>
+        {comment.reportCount > 0 && <span className="report-count">🚩 {comment.reportCount} open report{comment.reportCount === 1 ? "" : "s"}</span>}
+        <span className={`status-badge status-${comment.status}`}>{comment.status}</span>
+        <span className="comment-time" title={formatDateTime(comment.createdAt)}>{formatRelativeTime(comment.createdAt)}</span>
+      </div>
+      <p className="moderation-item-content">{comment.content}</p>
+      <div className="moderation-item-meta">
+        <span>👤 {comment.author?.name} &lt;{comment.author?.email}&gt;</span>
+        {comment.parentId && <span>↩️ reply (depth {comment.depth})</span>}
+        {comment.flags?.isSpam && <span className="flag">spam</span>}
+        {comment.flags?.hasProfanity && <span className="flag">profanity</span>}
+        {comment.flags?.containsLinks && <span className="flag">links</span>}
+        <button type="button" className="link-button" onClick={() => onFilterPost(comment.postId)}>
+          Post {comment.postId}
+        </button>
+      </div>
+      {comment.moderationReason && (
+        <div className="moderation-item-reason">Reason: {comment.moderationReason}</div>
+      )}
+    </div>
+    <div className="moderation-item-actions">
+      {ACTIONS.filter(action => action.status !== comment.status).map(action => (
+        <button
+          key={action.status}
+          type="button"
+          className={`btn moderation-btn ${action.status}`}
+          onClick={() => onModerate([comment._id], action)}
+          disabled={busy}
+        >
+          {action.label}
+        </button>
+      ))}
+    </div>
+  </li>
+);
+
+// Comments awaiting moderation, with filters, sorting and single or bulk decisions
+const ModerationQueue = () => {
+  const { commentsUrl } = useApiConfig();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [selected, setSelected] = useState(() => new Set());
+  const [reason, setReason] = useState("");
+  const [draft, setDraft] = useState({ post: "", minRisk: "", maxRisk: "" });
+  const [message, setMessage] = useState(null);
+  const { submit, loading: acting, error: actionError } = useApiSubmit();
+
+  const filters = useMemo(() => readFilters(searchParams), [searchParams]);
+  const queryParams = useMemo(() => toQueryParams(filters), [filters]);
+
+  // Typed filters are applied on Enter or blur; keep them in sync with the URL (reset, back button)
+  useEffect(
+    () => setDraft({ post: filters.post, minRisk: filters.minRisk, maxRisk: filters.maxRisk }),
+    [filters.post, filters.minRisk, filters.maxRisk]
+  );
+
+  const fetchQueue = useCallback(() =>
+    moderationApi.getQueue(commentsUrl, queryParams).then(res => res.data),
+    [commentsUrl, queryParams]
+  );
+
+  const { data, loading, error, refetch } = useApiCall(fetchQueue);
+
+  // A selection only makes sense for the comments currently listed
+  useEffect(() => setSelected(new Set()), [data]);
+
+  const updateParams = (changes, keepPage = false) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value !== "" && value !== null && value !== undefined) next.set(key, value);
+        else next.delete(key);
+      });
+      if (!keepPage) next.delete("page");
+      return next;
+    });
+    setMessage(null);
+  };
+
+  const resetFilters = () => updateParams(Object.fromEntries(FILTER_KEYS.map(key => [key, ""])));
+
+  const comments = data?.data || [];
+  const allSelected = comments.length > 0 && comments.every(comment => selected.has(comment._id));
+
+  const toggle = (id) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(comments.map(comment => comment._id)));
+  };
+
+  const moderate = async (ids, action) => {
+    const decision = { status: action.status };
+    if (reason.trim()) decision.reason = reason.trim();
+
+    setMessage(null);
+    await submit(
+      () => ids.length === 1
+        ? moderationApi.moderateComment(commentsUrl, ids[0], decision)
+        : moderationApi.bulkModerate(commentsUrl, ids, decision),
+      (res) => {
+        const count = ids.length === 1 ? 1 : res.data.data.modifiedCount;
+        setMessage(`${count} comment${count === 1 ? "" : "s"} ${action.status}.`);
+        setReason("");
+        refetch();
+      }
+    );
+  };
+
+  const applyDraft = (event) => {
+    event.preventDefault();
+    const changes = { post: draft.post.trim(), minRisk: draft.minRisk, maxRisk: draft.maxRisk };
+    if (Object.entries(changes).some(([key, value]) => value !== filters[key])) updateParams(changes);
+  };
+
+  const updateDraft = (field) => (event) => setDraft(prev => ({ ...prev, [field]: event.target.value }));
+
+  const stats = data?.meta?.queueStats?.comments;
+  const hasFilters = Boolean(filters.priority || filters.post || filters.minRisk || filters.maxRisk || filters.status !== "pending");
+
+  return (
+    <div>
+      {stats && (
+        <div className="moderation-summary">
+          {["pending", "flagged", "approved", "rejected"].map(status => (
+            <button
+              key={status}
+              type="button"
+              className={`summary-card status-${status}${filters.status === status ? " active" : ""}`}
+              onClick={() => updateParams({ status })}
+            >
+              <span className="summary-count">{stats[status] || 0}</span>
+              <span className="summary-label">{status}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <form className="post-filters" onSubmit={applyDraft}>
+        <div className="filter-field">
+          <label className="filter-label" htmlFor="queue-status">Status</label>
+          <select id="queue-status" className="form-control" value={filters.status} onChange={(e) => updateParams({ status: e.target.value })}>
+            {STATUS_OPTIONS.map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </div>
+        <div className="filter-field">
+          <label className="filter-label" htmlFor="queue-priority">Priority</label>
+          <select id="queue-priority" className="form-control" value={filters.priority} onChange={(e) => updateParams({ priority: e.target.value })}>
+            <option value="">Any priority</option>
+            {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+          </select>
+        </div>
+        <div className="filter-field">
+          <label className="filter-label" htmlFor="queue-post">Post ID</label>
+          <input
+            id="queue-post"
+            className="form-control"
+            value={draft.post}
+            onChange={updateDraft("post")}
+            onBlur={applyDraft}
+            placeholder="Any post"
+          />
+        </div>
+        <div className="filter-field">
+          <label className="filter-label" htmlFor="queue-min-risk">Risk score</label>
+          <div className="range-inputs">
+            <input
+              id="queue-min-risk"
+              type="number"
+              min={0}
+              max={100}
+              className="form-control"
+              value={draft.minRisk}
+              onChange={updateDraft("minRisk")}
+              onBlur={applyDraft}
+              placeholder="0"
+            />
+            <span>–</span>
+            <input
+              type="number"
+              min={draft.minRisk || 0}
+              max={100}
+              className="form-control"
+              value={draft.maxRisk}
+              onChange={updateDraft("maxRisk")}
+              onBlur={applyDraft}
+              placeholder="100"
+              aria-label="Maximum risk score"
+            />
+          </div>
+        </div>
+        <div className="filter-field">
+          <label className="filter-label" htmlFor="queue-sort">Sort</label>
+          <div className="range-inputs">
+            <select id="queue-sort" className="form-control" value={filters.sort} onChange={(e) => updateParams({ sort: e.target.value })}>
+              {SORT_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+            <button
+              type="button"
+              className="page-button"
+              onClick={() => updateParams({ order: filters.order === "desc" ? "asc" : "desc" })}
+              title={filters.order === "desc" ? "Descending" : "Ascending"}
+            >
+              {filters.order === "desc" ? "↓" : "↑"}
+            </button>
+          </div>
+        </div>
+
+        <button type="submit" hidden aria-hidden="true" tabIndex={-1} />
+
+        {hasFilters && (
+          <button type="button" className="filter-reset" onClick={resetFilters}>
+            ✖ Clear filters
+          </button>
+        )}
+      </form>
+
+      <div className="bulk-bar">
+        <label className="bulk-select">
+          <input type="checkbox" checked={allSelected} onChange={toggleAll} disabled={acting || comments.length === 0} />
+          {selected.size > 0 ? `${selected.size} selected` : "Select all"}
+        </label>
+        <input
+          className="form-control bulk-reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="Reason (optional)"
+          maxLength={500}
+          disabled={acting}
+        />
+        {ACTIONS.map(action => (
+          <button
+            key={action.status}
+            type="button"
+            className={`btn moderation-btn ${action.status}`}
+            onClick={() => moderate([...selected], action)}
+            disabled={acting || selected.size === 0}
+          >
+            {action.label}{selected.size > 1 ? ` ${selected.size}` : ""}
+          </button>
+        ))}
+      </div>
+
+      {message && <div className="moderation-message">✔️ {message}</div>}
+      {actionError && <div className="field-error" style={{ marginBottom: '10px' }}>❌ {actionError}</div>}
+
+      {loading ? (
+        <p className="page-status">⏳ Loading queue...</p>
+      ) : error ? (
+        <p className="page-status error">
+          ❌ {error}{" "}
+          <button type="button" className="link-button" onClick={refetch}>🔄 Retry</button>
+        </p>
+      ) : comments.length === 0 ? (
+        <p className="page-status">{hasFilters ? "🔍 No comments match these filters." : "🎉 The queue is empty."}</p>
+      ) : (
+        <ul className="moderation-list">
+          {comments.map(comment => (
+            <QueueItem
+              key={comment._id}
+              comment={comment}
+              selected={selected.has(comment._id)}
+              onToggle={toggle}
+              onModerate={moderate}
+              onFilterPost={(postId) => updateParams({ post: postId })}
+              busy={acting}
+            />
+          ))}
+        </ul>
+      )}
+
+      {data?.pagination && (
+        <Pagination
+          pagination={fromPageCounts(data.pagination)}
+          onPageChange={(page) => updateParams({ page: page > 1 ? page : "" }, true)}
+          disabled={loading}
+          label="Moderation queue pages"
+        />
+      )}
+    </div>
+  );
+};
+
+export default ModerationQueue;
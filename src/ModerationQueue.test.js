@@ -0,0 +1,159 @@
+import React from "react";
+import { act, fireEvent, render, screen, within } from "@testing-library/react";
+import { MemoryRouter, useLocation } from "react-router-dom";
+import ModerationQueue from "./ModerationQueue";
+import { moderationApi } from "./services/api";
+
+jest.mock("./services/api", () => ({
+  moderationApi: { getQueue: jest.fn(), moderateComment: jest.fn(), bulkModerate: jest.fn() }
+}));
+
+const makeComment = (id, overrides = {}) => ({
+  _id: id,
+  postId: "p1",
+  content: `Comment ${id}`,
+  author: { name: "Grace", email: "grace@example.com" },
+  status: "pending",
+  moderationPriority: "medium",
+  riskScore: 40,
+  reportCount: 0,
+  createdAt: "2024-03-01T10:00:00.000Z",
+  ...overrides
+});
+
+const queuePage = (comments, { total = comments.length, pages = 1 } = {}) => ({
+  data: {
+    data: comments,
+    pagination: { page: 1, limit: 20, total, pages },
+    meta: { queueStats: { comments: { pending: 2, flagged: 1, approved: 10, rejected: 3 } } }
+  }
+});
+
+let currentSearch;
+const LocationProbe = () => {
+  currentSearch = useLocation().search;
+  return null;
+};
+
+// Resolves once the queue has loaded and the effects of the load have run; one of them
+// clears the selection, and would otherwise undo a selection made straight afterwards
+const renderQueue = async (url = "/moderation") => {
+  const utils = render(
+    <MemoryRouter initialEntries={[url]}>
+      <ModerationQueue />
+      <LocationProbe />
+    </MemoryRouter>
+  );
+  await screen.findByRole("button", { name: /pending$/ });
+  await act(() => new Promise(resolve => setTimeout(resolve, 0)));
+  return utils;
+};
+
+const item = (content) => within(screen.getAllByRole("listitem").find(li => within(li).queryByText(content)));
+
+describe("ModerationQueue", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    moderationApi.getQueue.mockImplementation(() =>
+      Promise.resolve(queuePage([makeComment("c1"), makeComment("c2", { status: "flagged" })])));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("maps the URL filters onto the queue query", async () => {
+    await renderQueue("/moderation?status=flagged&priority=high&post=p9&minRisk=50&maxRisk=90&sort=riskScore&order=asc&page=2");
+
+    expect(moderationApi.getQueue).toHaveBeenCalledWith(expect.any(String), {
+      page: 2,
+      limit: 20,
+      status: "flagged",
+      sort: "riskScore",
+      order: "asc",
+      priority: "high",
+      postId: "p9",
+      minRiskScore: "50",
+      maxRiskScore: "90"
+    });
+  });
+
+  it("switches status from the summary and starts again from the first page", async () => {
+    await renderQueue("/moderation?page=3");
+    expect(screen.getByRole("button", { name: "10 approved" })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "10 approved" }));
+
+    expect(await screen.findByText("Comment c1")).toBeInTheDocument();
+    expect(currentSearch).toBe("?status=approved");
+  });
+
+  it("applies typed filters on Enter and clears them all", async () => {
+    await renderQueue();
+
+    fireEvent.change(screen.getByLabelText("Post ID"), { target: { value: " p7 " } });
+    fireEvent.submit(screen.getByLabelText("Post ID"));
+    expect(await screen.findByText("Comment c1")).toBeInTheDocument();
+    expect(currentSearch).toBe("?post=p7");
+
+    fireEvent.click(screen.getByRole("button", { name: "✖ Clear filters" }));
+    expect(await screen.findByText("Comment c1")).toBeInTheDocument();
+    expect(currentSearch).toBe("");
+    expect(screen.getByLabelText("Post ID")).toHaveValue("");
+  });
+
+  it("offers only the decisions that change a comment", async () => {
+    await renderQueue();
+
+    expect(item("Comment c2").queryByRole("button", { name: "🚩 Flag" })).not.toBeInTheDocument();
+    expect(item("Comment c2").getByRole("button", { name: "✅ Approve" })).toBeInTheDocument();
+  });
+
+  it("moderates one comment with the given reason and reloads the queue", async () => {
+    moderationApi.moderateComment.mockResolvedValue({ data: { data: makeComment("c1", { status: "rejected" }) } });
+    await renderQueue();
+
+    fireEvent.change(screen.getByPlaceholderText("Reason (optional)"), { target: { value: " Off topic " } });
+    fireEvent.click(item("Comment c1").getByRole("button", { name: "🚫 Reject" }));
+
+    expect(await screen.findByText("✔️ 1 comment rejected.")).toBeInTheDocument();
+    expect(moderationApi.moderateComment).toHaveBeenCalledWith(expect.any(String), "c1", { status: "rejected", reason: "Off topic" });
+    expect(screen.getByPlaceholderText("Reason (optional)")).toHaveValue("");
+    expect(moderationApi.getQueue).toHaveBeenCalledTimes(2);
+  });
+
+  it("moderates the selected comments in bulk", async () => {
+    moderationApi.bulkModerate.mockResolvedValue({ data: { data: { modifiedCount: 2 } } });
+    await renderQueue();
+
+    fireEvent.click(screen.getByRole("checkbox", { name: "Select all" }));
+    expect(screen.getByText("2 selected")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "✅ Approve 2" }));
+
+    expect(await screen.findByText("✔️ 2 comments approved.")).toBeInTheDocument();
+    expect(moderationApi.bulkModerate).toHaveBeenCalledWith(expect.any(String), ["c1", "c2"], { status: "approved" });
+    expect(await screen.findByText("Select all")).toBeInTheDocument();
+  });
+
+  it("keeps the selection when a decision fails", async () => {
+    moderationApi.moderateComment.mockRejectedValue({ response: { data: { error: "Forbidden", message: "Moderators only" } } });
+    await renderQueue();
+
+    fireEvent.click(item("Comment c1").getByRole("checkbox", { name: "Select comment" }));
+    fireEvent.click(screen.getAllByRole("button", { name: "🚩 Flag" })[0]);
+
+    expect(await screen.findByText("❌ Moderators only")).toBeInTheDocument();
+    expect(screen.getByText("1 selected")).toBeInTheDocument();
+    expect(moderationApi.getQueue).toHaveBeenCalledTimes(1);
+  });
+
+  it("tells an empty queue from one filtered to nothing", async () => {
+    moderationApi.getQueue.mockResolvedValue(queuePage([]));
+    const { unmount } = await renderQueue();
+    expect(await screen.findByText("🎉 The queue is empty.")).toBeInTheDocument();
+    unmount();
+
+    await renderQueue("/moderation?priority=critical");
+    expect(await screen.findByText("🔍 No comments match these filters.")).toBeInTheDocument();
+  });
+});
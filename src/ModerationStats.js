@@ -0,0 +1,173 @@
+import React, { useCallback, useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+import StackedBarChart from "./StackedBarChart";
+import { REPORT_REASONS } from "./ReportsInbox";
+import { useApiConfig, useApiCall } from "./hooks/useApi";
+import { moderationApi } from "./services/api";
+
+const GROUP_OPTIONS = [
+  { value: "day", label: "Day" },
+  { value: "week", label: "Week" },
+  { value: "month", label: "Month" }
+];
+
+const STATUS_SERIES = [
+  { key: "approved", label: "Approved", color: "#48bb78" },
+  { key: "pending", label: "Pending", color: "#ecc94b" },
+  { key: "flagged", label: "Flagged", color: "#ed8936" },
+  { key: "rejected", label: "Rejected", color: "#e53e3e" }
+];
+
+const REASON_COLORS = ["#667eea", "#e53e3e", "#ed8936", "#9f7aea", "#38b2ac", "#ecc94b", "#4299e1", "#a0aec0"];
+
+const REASON_SERIES = Object.entries(REPORT_REASONS).map(([key, label], index) => ({
+  key,
+  label,
+  color: REASON_COLORS[index % REASON_COLORS.length]
+}));
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// The service groups by { year, month, day }, { year, week } or { year, month };
+// the label doubles as a sort key
+const periodLabel = ({ year, month, week, day }) => {
+  if (week !== undefined) return `${year} W${pad(week)}`;
+  if (day !== undefined) return `${year}-${pad(month)}-${pad(day)}`;
+  return `${year}-${pad(month)}`;
+};
+
+// Pivot [{ _id: { date, [field] }, count }] into one chart row per period
+const toRows = (trends, field) => {
+  const rows = new Map();
+  trends.forEach(({ _id, count }) => {
+    const label = periodLabel(_id.date);
+    if (!rows.has(label)) rows.set(label, { label, values: {} });
+    const values = rows.get(label).values;
+    values[_id[field]] = (values[_id[field]] || 0) + count;
+  });
+  return [...rows.values()].sort((a, b) => a.label.localeCompare(b.label));
+};
+
+const readFilters = (searchParams) => ({
+  groupBy: searchParams.get("groupBy") || "day",
+  from: searchParams.get("from") || "",
+  to: searchParams.get("to") || ""
+});
+
+// Moderation trends from /admin/stats (admins only)
+const ModerationStats = () => {
+  const { commentsUrl } = useApiConfig();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = useMemo(() => readFilters(searchParams), [searchParams]);
+
+  const fetchStats = useCallback(() => {
+    const params = { groupBy: filters.groupBy };
+    if (filters.from) params.dateFrom = `${filters.from}T00:00:00.000Z`;
+    if (filters.to) params.dateTo = `${filters.to}T23:59:59.999Z`;
+    return moderationApi.getStats(commentsUrl, params).then(res => res.data.data);
+  }, [commentsUrl, filters]);
+
+  const { data, loading, error, refetch } = useApiCall(fetchStats);
+
+  const updateFilters = (changes) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) next.set(key, value);
+        else next.delete(key);
+      });
+      return next;
+    });
+  };
+
+  const commentRows = useMemo(() => toRows(data?.trends?.comments || [], "status"), [data]);
+  const reportRows = useMemo(() => toRows(data?.trends?.reports || [], "reason"), [data]);
+
+  const overview = data?.overview;
+  const topReasons = data?.topReportReasons || [];
+  const topReasonMax = Math.max(1, ...topReasons.map(reason => reason.count));
+
+  return (
+    <div>
+      <div className="post-filters">
+        <div className="filter-field">
+          <label className="filter-label" htmlFor="stats-group">Group by</label>
+          <select id="stats-group" className="form-control" value={filters.groupBy} onChange={(e) => updateFilters({ groupBy: e.target.value })}>
+            {GROUP_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </div>
+        <div className="filter-field">
+          <label className="filter-label" htmlFor="stats-from">From</label>
+          <input
+            id="stats-from"
+            type="date"
+            className="form-control"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => updateFilters({ from: e.target.value })}
+          />
+        </div>
+        <div className="filter-field">
+          <label className="filter-label" htmlFor="stats-to">To</label>
+          <input
+            id="stats-to"
+            type="date"
+            className="form-control"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => updateFilters({ to: e.target.value })}
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="page-status">⏳ Loading statistics...</p>
+      ) : error ? (
+        <p className="page-status error">
+          ❌ {error}{" "}
+          <button type="button" className="link-button" onClick={refetch}>🔄 Retry</button>
+        </p>
+      ) : (
+        <>
+          {overview && (
+            <div className="moderation-summary">
+              {STATUS_SERIES.map(({ key, label }) => (
+                <div key={key} className={`summary-card status-${key}`}>
+                  <span className="summary-count">{overview.comments?.[key] || 0}</span>
+                  <span className="summary-label">{label} comments</span>
+                </div>
+              ))}
+              <div className="summary-card">
+                <span className="summary-count">{overview.reports?.pending || 0}</span>
+                <span className="summary-label">Open reports</span>
+              </div>
+            </div>
+          )}
+
+          <h3 className="stats-heading">💬 Comments by status</h3>
+          <StackedBarChart rows={commentRows} series={STATUS_SERIES} />
+
+          <h3 className="stats-heading">🚩 Reports by reason</h3>
+          <StackedBarChart rows={reportRows} series={REASON_SERIES} />
+
+          {topReasons.length > 0 && (
+            <>
+              <h3 className="stats-heading">🏷️ Top report reasons</h3>
+              <ul className="top-reasons">
+                {topReasons.map(({ _id: reason, count }) => (
+                  <li key={reason}>
+                    <span className="top-reasons-label">{REPORT_REASONS[reason] || reason}</span>
+                    <span className="top-reasons-bar" style={{ width: `${(count / topReasonMax) * 100}%` }} />
+                    <span className="top-reasons-count">{count}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ModerationStats;
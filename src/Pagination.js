@@ -0,0 +1,72 @@
+import React from "react";
+
+// Page numbers around the current page, with the first and last always reachable
+const visiblePages = (current, total, radius = 2) => {
+  const pages = new Set([1, total]);
+  for (let page = current - radius; page <= current + radius; page++) {
+    if (page >= 1 && page <= total) pages.add(page);
+  }
+  return [...pages].sort((a, b) => a - b);
+};
+
+// comments-service pages as { page, limit, total, pages }; adapt it to the posts-service shape used here
+export const fromPageCounts = ({ page, limit, total, pages }) => ({
+  currentPage: page,
+  totalPages: pages,
+  totalCount: total,
+  hasPrevPage: page > 1,
+  hasNextPage: page < pages,
+  startIndex: total === 0 ? 0 : (page - 1) * limit + 1,
+  endIndex: Math.min(page * limit, total)
+});
+
+const Pagination = ({ pagination, onPageChange, disabled, label = "Posts pages" }) => {
+  if (!pagination || pagination.totalPages <= 1) {
+    return null;
+  }
+
+  const { currentPage, totalPages, hasPrevPage, hasNextPage, startIndex, endIndex, totalCount } = pagination;
+  const pages = visiblePages(currentPage, totalPages);
+
+  return (
+    <nav className="pagination-bar" aria-label={label}>
+      <span className="pagination-summary">
+        {startIndex}-{endIndex} of {totalCount}
+      </span>
+      <div className="pagination-controls">
+        <button
+          type="button"
+          className="page-button"
+          onClick={() => onPageChange(currentPage - 1)}
+          disabled={disabled || !hasPrevPage}
+        >
+          ‹ Prev
+        </button>
+        {pages.map((page, index) => (
+          <React.Fragment key={page}>
+            {index > 0 && page - pages[index - 1] > 1 && <span className="page-gap">…</span>}
+            <button
+              type="button"
+              className={`page-button${page === currentPage ? " active" : ""}`}
+              onClick={() => onPageChange(page)}
+              disabled={disabled || page === currentPage}
+              aria-current={page === currentPage ? "page" : undefined}
+            >
+              {page}
+            </button>
+          </React.Fragment>
+        ))}
+        <button
+          type="button"
+          className="page-button"
+          onClick={() => onPageChange(currentPage + 1)}
+          disabled={disabled || !hasNextPage}
+        >
+          Next ›
+        </button>
+      </div>
+    </nav>
+  );
+};
+
+export default Pagination;
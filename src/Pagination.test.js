@@ -0,0 +1,75 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import Pagination, { fromPageCounts } from "./Pagination";
+
+const pagination = (currentPage, totalPages) => ({
+  currentPage,
+  totalPages,
+  totalCount: totalPages * 12,
+  hasPrevPage: currentPage > 1,
+  hasNextPage: currentPage < totalPages,
+  startIndex: (currentPage - 1) * 12 + 1,
+  endIndex: currentPage * 12
+});
+
+const pageButtons = () =>
+  screen.getAllByRole("button").map(button => button.textContent).filter(text => /^\d+$/.test(text));
+
+describe("Pagination", () => {
+  it("renders nothing for a single page", () => {
+    const { container } = render(<Pagination pagination={pagination(1, 1)} onPageChange={jest.fn()} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it("shows the pages around the current one with the first and last always reachable", () => {
+    render(<Pagination pagination={pagination(6, 12)} onPageChange={jest.fn()} />);
+
+    expect(pageButtons()).toEqual(["1", "4", "5", "6", "7", "8", "12"]);
+    expect(screen.getAllByText("…")).toHaveLength(2);
+    expect(screen.getByRole("button", { name: "6" })).toHaveAttribute("aria-current", "page");
+    expect(screen.getByText("61-72 of 144")).toBeInTheDocument();
+  });
+
+  it("reports the page to move to", () => {
+    const onPageChange = jest.fn();
+    render(<Pagination pagination={pagination(2, 3)} onPageChange={onPageChange} />);
+
+    fireEvent.click(screen.getByRole("button", { name: "‹ Prev" }));
+    fireEvent.click(screen.getByRole("button", { name: "Next ›" }));
+    fireEvent.click(screen.getByRole("button", { name: "3" }));
+
+    expect(onPageChange.mock.calls).toEqual([[1], [3], [3]]);
+  });
+
+  it("disables moving past either end and while loading", () => {
+    const { rerender } = render(<Pagination pagination={pagination(1, 3)} onPageChange={jest.fn()} />);
+    expect(screen.getByRole("button", { name: "‹ Prev" })).toBeDisabled();
+    expect(screen.getByRole("button", { name: "Next ›" })).toBeEnabled();
+
+    rerender(<Pagination pagination={pagination(1, 3)} onPageChange={jest.fn()} disabled />);
+    expect(screen.getByRole("button", { name: "Next ›" })).toBeDisabled();
+    expect(screen.getByRole("button", { name: "2" })).toBeDisabled();
+  });
+});
+
+describe("fromPageCounts", () => {
+  it("adapts comments-service page counts", () => {
+    expect(fromPageCounts({ page: 2, limit: 10, total: 25, pages: 3 })).toEqual({
+      currentPage: 2,
+      totalPages: 3,
+      totalCount: 25,
+      hasPrevPage: true,
+      hasNextPage: true,
+      startIndex: 11,
+      endIndex: 20
+    });
+  });
+
+  it("starts an empty listing at zero", () => {
+    expect(fromPageCounts({ page: 1, limit: 10, total: 0, pages: 0 })).toMatchObject({
+      startIndex: 0,
+      endIndex: 0,
+      hasNextPage: false
+    });
+  });
+});
@@ -0,0 +1,20 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import PostLikeButton from "./PostLikeButton";
+import PostMeta from "./PostMeta";
+
+const PostCard = ({ post }) => (
+  <div className="post-card">
+    <h3 className="post-title">
+      <Link to={`/posts/${post.slug}`} className="post-link">{post.title}</Link>
+    </h3>
+    <PostMeta post={post} />
+    {post.excerpt && <p className="post-excerpt">{post.excerpt}</p>}
+    <div className="post-card-footer">
+      <Link to={`/posts/${post.slug}`} className="read-more">Read more →</Link>
+      <PostLikeButton post={post} />
+    </div>
+  </div>
+);
+
+export default PostCard;
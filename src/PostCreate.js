@@ -1,53 +1,322 @@
-import React, { useState } from "react";
-import { useApiConfig, useApiSubmit } from "./hooks/useApi";
-import { postsApi } from "./services/api";
+import React, { useCallback, useState } from "react";
+import MarkdownPreview from "./MarkdownPreview";
+import { useApiConfig, useApiCall, useApiSubmit } from "./hooks/useApi";
+import { postsApi, categoriesApi } from "./services/api";
+
+const initialForm = {
+  title: "",
+  author: "",
+  content: "",
+  category: "",
+  tags: "",
+  imageUrl: "",
+  imageAlt: "",
+  metaTitle: "",
+  metaDescription: "",
+  keywords: "",
+  status: "draft"
+};
+
+const splitList = (value) =>
+  value
+    .split(",")
+    .map(item => item.trim().toLowerCase())
+    .filter(Boolean);
+
+// posts-service rejects empty strings for optional fields, so only send what was filled in
+const buildPayload = (form) => {
+  const payload = {
+    title: form.title.trim(),
+    author: form.author.trim(),
+    content: form.content,
+    format: "markdown",
+    category: form.category,
+    tags: [...new Set(splitList(form.tags))],
+    status: form.status
+  };
+
+  if (form.imageUrl.trim()) {
+    payload.featuredImage = { url: form.imageUrl.trim() };
+    if (form.imageAlt.trim()) payload.featuredImage.alt = form.imageAlt.trim();
+  }
+
+  const seo = {};
+  if (form.metaTitle.trim()) seo.metaTitle = form.metaTitle.trim();
+  if (form.metaDescription.trim()) seo.metaDescription = form.metaDescription.trim();
+  const keywords = splitList(form.keywords);
+  if (keywords.length > 0) seo.keywords = keywords;
+  if (Object.keys(seo).length > 0) payload.seo = seo;
+
+  return payload;
+};
+
+const FieldError = ({ message }) =>
+  message ? <div className="field-error">{message}</div> : null;
+
+const CharCount = ({ value, max }) => (
+  <span className={`char-count${value.length > max ? " over" : ""}`}>
+    {value.length}/{max}
+  </span>
+);
 
 const PostCreate = ({ onPostCreated }) => {
-  const [title, setTitle] = useState("");
+  const [form, setForm] = useState(initialForm);
+  const [showPreview, setShowPreview] = useState(false);
   const { postsUrl } = useApiConfig();
-  const { submit, loading, error } = useApiSubmit();
+  const { submit, loading, error, fieldErrors } = useApiSubmit();
+
+  const fetchCategories = useCallback(() =>
+    categoriesApi.getActiveCategories(postsUrl).then(res => res.data.data),
+    [postsUrl]
+  );
+
+  const {
+    data: categories,
+    loading: categoriesLoading,
+    error: categoriesError
+  } = useApiCall(fetchCategories);
+
+  const setField = (name) => (event) =>
+    setForm(prev => ({ ...prev, [name]: event.target.value }));
+
+  const canSubmit = form.title.trim() && form.author.trim() && form.content.trim() && form.category;
 
   const onSubmit = async (event) => {
     event.preventDefault();
-    
-    if (!title.trim()) {
+
+    if (!canSubmit) {
       return;
     }
 
     await submit(
-      () => postsApi.createPost(postsUrl, { title: title.trim() }),
+      () => postsApi.createPost(postsUrl, buildPayload(form)),
       () => {
-        setTitle("");
+        setForm(initialForm);
+        setShowPreview(false);
         if (onPostCreated) onPostCreated();
       }
     );
   };
 
+  const isDraft = form.status === "draft";
+  const hasFieldErrors = Object.keys(fieldErrors).length > 0;
+
   return (
     <div className="enhanced-form">
-      <form onSubmit={onSubmit}>
+      <form onSubmit={onSubmit} noValidate>
         <div className="form-group">
-          <label className="form-label">📝 Post Title</label>
+          <label className="form-label" htmlFor="post-title">📝 Post Title</label>
           <input
-            value={title}
-            onChange={(e) => setTitle(e.target.value)}
-            className="form-control"
+            id="post-title"
+            value={form.title}
+            onChange={setField("title")}
+            className={`form-control${fieldErrors.title ? " invalid" : ""}`}
             placeholder="What's on your mind?"
             disabled={loading}
             required
           />
+          <FieldError message={fieldErrors.title} />
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label" htmlFor="post-author">✍️ Author</label>
+            <input
+              id="post-author"
+              value={form.author}
+              onChange={setField("author")}
+              className={`form-control${fieldErrors.author ? " invalid" : ""}`}
+              placeholder="Your name"
+              disabled={loading}
+              required
+            />
+            <FieldError message={fieldErrors.author} />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="post-category">📂 Category</label>
+            <select
+              id="post-category"
+              value={form.category}
+              onChange={setField("category")}
+              className={`form-control${fieldErrors.category ? " invalid" : ""}`}
+              disabled={loading || categoriesLoading}
+              required
+            >
+              <option value="">
+                {categoriesLoading ? "Loading categories..." : "Select a category"}
+              </option>
+              {(categories || []).map(category => (
+                <option key={category._id} value={category._id}>
+                  {category.name}
+                </option>
+              ))}
+            </select>
+            <FieldError message={fieldErrors.category || (categoriesError && `Could not load categories: ${categoriesError}`)} />
+          </div>
+        </div>
+
+        <div className="form-group">
+          <div className="editor-header">
+            <label className="form-label" htmlFor="post-content">📄 Content (Markdown)</label>
+            <div className="editor-tabs">
+              <button
+                type="button"
+                className={`editor-tab${showPreview ? "" : " active"}`}
+                onClick={() => setShowPreview(false)}
+              >
+                Write
+              </button>
+              <button
+                type="button"
+                className={`editor-tab${showPreview ? " active" : ""}`}
+                onClick={() => setShowPreview(true)}
+              >
+                Preview
+              </button>
+            </div>
+          </div>
+          {showPreview ? (
+            <MarkdownPreview content={form.content} />
+          ) : (
+            <textarea
+              id="post-content"
+              value={form.content}
+              onChange={setField("content")}
+              className={`form-control editor-textarea${fieldErrors.content ? " invalid" : ""}`}
+              placeholder="Write your post in markdown..."
+              rows={12}
+              disabled={loading}
+              required
+            />
+          )}
+          <FieldError message={fieldErrors.content} />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="post-tags">🏷️ Tags</label>
+          <input
+            id="post-tags"
+            value={form.tags}
+            onChange={setField("tags")}
+            className={`form-control${fieldErrors.tags ? " invalid" : ""}`}
+            placeholder="react, web-dev, tutorial"
+            disabled={loading}
+          />
+          <div className="form-hint">Comma-separated; lowercase letters, numbers and hyphens, up to 10</div>
+          <FieldError message={fieldErrors.tags} />
         </div>
+
+        <fieldset className="form-fieldset">
+          <legend className="form-label">🖼️ Featured Image</legend>
+          <div className="form-row">
+            <div className="form-group">
+              <input
+                aria-label="Featured image URL"
+                value={form.imageUrl}
+                onChange={setField("imageUrl")}
+                className={`form-control${fieldErrors["featuredImage.url"] ? " invalid" : ""}`}
+                placeholder="https://example.com/cover.jpg"
+                disabled={loading}
+              />
+              <FieldError message={fieldErrors["featuredImage.url"]} />
+            </div>
+            <div className="form-group">
+              <input
+                aria-label="Featured image alt text"
+                value={form.imageAlt}
+                onChange={setField("imageAlt")}
+                className={`form-control${fieldErrors["featuredImage.alt"] ? " invalid" : ""}`}
+                placeholder="Alt text"
+                disabled={loading || !form.imageUrl.trim()}
+              />
+              <FieldError message={fieldErrors["featuredImage.alt"]} />
+            </div>
+          </div>
+        </fieldset>
+
+        <fieldset className="form-fieldset">
+          <legend className="form-label">🔍 SEO</legend>
+          <div className="form-group">
+            <input
+              aria-label="Meta title"
+              value={form.metaTitle}
+              onChange={setField("metaTitle")}
+              className={`form-control${fieldErrors["seo.metaTitle"] ? " invalid" : ""}`}
+              placeholder="Meta title"
+              disabled={loading}
+            />
+            <CharCount value={form.metaTitle} max={60} />
+            <FieldError message={fieldErrors["seo.metaTitle"]} />
+          </div>
+          <div className="form-group">
+            <textarea
+              aria-label="Meta description"
+              value={form.metaDescription}
+              onChange={setField("metaDescription")}
+              className={`form-control${fieldErrors["seo.metaDescription"] ? " invalid" : ""}`}
+              placeholder="Meta description"
+              rows={2}
+              disabled={loading}
+            />
+            <CharCount value={form.metaDescription} max={160} />
+            <FieldError message={fieldErrors["seo.metaDescription"]} />
+          </div>
+          <div className="form-group">
+            <input
+              aria-label="SEO keywords"
+              value={form.keywords}
+              onChange={setField("keywords")}
+              className={`form-control${fieldErrors["seo.keywords"] ? " invalid" : ""}`}
+              placeholder="Keywords, comma-separated"
+              disabled={loading}
+            />
+            <FieldError message={fieldErrors["seo.keywords"]} />
+          </div>
+        </fieldset>
+
+        <div className="form-group">
+          <span className="form-label">📢 Visibility</span>
+          <div className="status-options">
+            <label className="status-option">
+              <input
+                type="radio"
+                name="status"
+                value="draft"
+                checked={isDraft}
+                onChange={setField("status")}
+                disabled={loading}
+              />
+              Save as draft
+            </label>
+            <label className="status-option">
+              <input
+                type="radio"
+                name="status"
+                value="published"
+                checked={!isDraft}
+                onChange={setField("status")}
+                disabled={loading}
+              />
+              Publish now
+            </label>
+          </div>
+          <FieldError message={fieldErrors.status} />
+        </div>
+
         {error && (
           <div style={{ color: '#e53e3e', marginBottom: '10px', fontSize: '0.9rem' }}>
-            ❌ Error: {error}
+            ❌ Error: {error}{hasFieldErrors && " - check the highlighted fields"}
           </div>
         )}
-        <button 
-          className="btn btn-primary" 
+        <button
+          className="btn btn-primary"
           type="submit"
-          disabled={loading || !title.trim()}
+          disabled={loading || !canSubmit}
         >
-          {loading ? "⏳ Publishing..." : "🚀 Publish Post"}
+          {loading
+            ? (isDraft ? "⏳ Saving..." : "⏳ Publishing...")
+            : (isDraft ? "💾 Save Draft" : "🚀 Publish Post")}
         </button>
       </form>
     </div>
@@ -0,0 +1,152 @@
+import React from "react";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import PostCreate from "./PostCreate";
+import { categoriesApi, postsApi } from "./services/api";
+
+jest.mock("./services/api", () => ({
+  postsApi: { createPost: jest.fn() },
+  categoriesApi: { getActiveCategories: jest.fn() }
+}));
+
+// Resolves once the category picker has loaded, so no update lands after the test
+const renderEditor = async (props = {}) => {
+  const utils = render(<PostCreate {...props} />);
+  await screen.findByRole("option", { name: "Tech" });
+  return utils;
+};
+
+const fillRequired = () => {
+  fireEvent.change(screen.getByLabelText(/Post Title/), { target: { value: "  Hello markdown " } });
+  fireEvent.change(screen.getByLabelText(/Author/), { target: { value: "Ada" } });
+  fireEvent.change(screen.getByLabelText(/Category/), { target: { value: "c1" } });
+  fireEvent.change(screen.getByLabelText(/Content/), { target: { value: "# Hi\n\nSome *text*" } });
+};
+
+const validationError = (details) => ({
+  response: {
+    status: 400,
+    data: { success: false, error: { message: "Validation failed", details } }
+  }
+});
+
+describe("PostCreate", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    categoriesApi.getActiveCategories.mockResolvedValue({ data: { data: [{ _id: "c1", name: "Tech" }] } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("keeps the submit button disabled until the required fields are filled", async () => {
+    await renderEditor();
+    const submit = screen.getByRole("button", { name: "💾 Save Draft" });
+
+    expect(submit).toBeDisabled();
+    fillRequired();
+    expect(submit).toBeEnabled();
+  });
+
+  it("saves a markdown draft with only the fields that were filled in", async () => {
+    postsApi.createPost.mockResolvedValue({ data: { data: { _id: "p1" } } });
+    const onPostCreated = jest.fn();
+    await renderEditor({ onPostCreated });
+
+    fillRequired();
+    fireEvent.change(screen.getByLabelText(/Tags/), { target: { value: "React, web-dev, react, " } });
+    fireEvent.change(screen.getByLabelText("Meta title"), { target: { value: "Hello" } });
+    fireEvent.click(screen.getByRole("button", { name: "💾 Save Draft" }));
+
+    await waitFor(() => expect(onPostCreated).toHaveBeenCalled());
+    const [, payload] = postsApi.createPost.mock.calls[0];
+    expect(payload).toEqual({
+      title: "Hello markdown",
+      author: "Ada",
+      content: "# Hi\n\nSome *text*",
+      format: "markdown",
+      category: "c1",
+      tags: ["react", "web-dev"],
+      status: "draft",
+      seo: { metaTitle: "Hello" }
+    });
+    // The editor has no schedule field; scheduling is done on the service with publishAt
+    expect(payload).not.toHaveProperty("publishAt");
+    expect(screen.getByLabelText(/Post Title/)).toHaveValue("");
+  });
+
+  it("publishes straight away when Publish now is chosen", async () => {
+    postsApi.createPost.mockResolvedValue({ data: { data: { _id: "p1" } } });
+    await renderEditor();
+
+    fillRequired();
+    fireEvent.change(screen.getByLabelText("Featured image URL"), { target: { value: "https://example.com/a.jpg" } });
+    fireEvent.change(screen.getByLabelText("Featured image alt text"), { target: { value: "Cover" } });
+    fireEvent.click(screen.getByLabelText("Publish now"));
+    fireEvent.click(screen.getByRole("button", { name: "🚀 Publish Post" }));
+
+    await waitFor(() => expect(postsApi.createPost).toHaveBeenCalled());
+    expect(postsApi.createPost.mock.calls[0][1]).toMatchObject({
+      status: "published",
+      format: "markdown",
+      featuredImage: { url: "https://example.com/a.jpg", alt: "Cover" }
+    });
+  });
+
+  it("switches between the editor and the rendered preview", async () => {
+    await renderEditor();
+
+    fireEvent.click(screen.getByRole("button", { name: "Preview" }));
+    expect(screen.getByText("Nothing to preview yet")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Write" }));
+    fireEvent.change(screen.getByLabelText(/Content/), { target: { value: "## Section" } });
+    fireEvent.click(screen.getByRole("button", { name: "Preview" }));
+
+    expect(screen.getByRole("heading", { name: "Section" })).toBeInTheDocument();
+    expect(screen.queryByLabelText(/Content/)).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Write" }));
+    expect(screen.getByLabelText(/Content/)).toHaveValue("## Section");
+  });
+
+  it("shows the service's validation errors next to their fields and keeps the form", async () => {
+    postsApi.createPost.mockRejectedValue(validationError([
+      { field: "title", message: "Title must be at least 3 characters" },
+      { field: "tags.1", message: "Tags may only contain lowercase letters, numbers and hyphens" },
+      { field: "seo.metaTitle", message: "Meta title cannot exceed 60 characters" }
+    ]));
+    await renderEditor();
+
+    fillRequired();
+    fireEvent.click(screen.getByRole("button", { name: "💾 Save Draft" }));
+
+    expect(await screen.findByText("Title must be at least 3 characters")).toBeInTheDocument();
+    expect(screen.getByText("Tags may only contain lowercase letters, numbers and hyphens")).toBeInTheDocument();
+    expect(screen.getByText("Meta title cannot exceed 60 characters")).toBeInTheDocument();
+    expect(screen.getByText(/Validation failed - check the highlighted fields/)).toBeInTheDocument();
+    expect(screen.getByLabelText(/Post Title/)).toHaveClass("invalid");
+    expect(screen.getByLabelText("Meta title")).toHaveClass("invalid");
+    expect(screen.getByLabelText(/Post Title/)).toHaveValue("  Hello markdown ");
+  });
+
+  it("shows a server error without field hints", async () => {
+    postsApi.createPost.mockRejectedValue({
+      response: { status: 500, data: { success: false, error: { message: "Database unavailable" } } }
+    });
+    await renderEditor();
+
+    fillRequired();
+    fireEvent.click(screen.getByRole("button", { name: "💾 Save Draft" }));
+
+    expect(await screen.findByText("❌ Error: Database unavailable")).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "💾 Save Draft" })).toBeEnabled();
+  });
+
+  it("explains when the categories cannot be loaded", async () => {
+    categoriesApi.getActiveCategories.mockRejectedValue({ message: "Network Error" });
+    render(<PostCreate />);
+
+    expect(await screen.findByText("Could not load categories: Network Error")).toBeInTheDocument();
+  });
+});
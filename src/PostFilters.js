@@ -0,0 +1,139 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useApiConfig, useApiCall } from "./hooks/useApi";
+import { categoriesApi } from "./services/api";
+
+export const SORT_OPTIONS = [
+  { value: "newest", label: "Newest", sortBy: "publishedAt" },
+  { value: "views", label: "Most viewed", sortBy: "views" },
+  { value: "likes", label: "Most liked", sortBy: "likes" }
+];
+
+// Sort, category, tag, author and date range controls for a post listing.
+// `hidden` removes filters the page already fixes (e.g. the category on a category page).
+const PostFilters = ({ values, onChange, onReset, hidden = [] }) => {
+  const { postsUrl } = useApiConfig();
+  const [author, setAuthor] = useState(values.author);
+  const [tag, setTag] = useState(values.tag);
+  const showCategory = !hidden.includes("category");
+
+  // Keep the text inputs in sync when the applied values change elsewhere (reset, back button)
+  useEffect(() => setAuthor(values.author), [values.author]);
+  useEffect(() => setTag(values.tag), [values.tag]);
+
+  const fetchCategories = useCallback(() =>
+    showCategory
+      ? categoriesApi.getActiveCategories(postsUrl).then(res => res.data.data)
+      : Promise.resolve([]),
+    [postsUrl, showCategory]
+  );
+
+  const { data: categories } = useApiCall(fetchCategories);
+
+  // Text filters are applied on Enter or when the field loses focus
+  const applyText = (event) => {
+    event.preventDefault();
+    if (author.trim() !== values.author || tag.trim().toLowerCase() !== values.tag) {
+      onChange({ author: author.trim(), tag: tag.trim().toLowerCase() });
+    }
+  };
+
+  const hasFilters = Boolean(values.category || values.tag || values.author || values.from || values.to);
+
+  return (
+    <form className="post-filters" onSubmit={applyText}>
+      <div className="filter-field">
+        <label className="filter-label" htmlFor="filter-sort">Sort</label>
+        <select
+          id="filter-sort"
+          className="form-control"
+          value={values.sort}
+          onChange={(e) => onChange({ sort: e.target.value })}
+        >
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {showCategory && (
+        <div className="filter-field">
+          <label className="filter-label" htmlFor="filter-category">Category</label>
+          <select
+            id="filter-category"
+            className="form-control"
+            value={values.category}
+            onChange={(e) => onChange({ category: e.target.value })}
+          >
+            <option value="">All categories</option>
+            {(categories || []).map(category => (
+              <option key={category._id} value={category._id}>{category.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {!hidden.includes("tag") && (
+        <div className="filter-field">
+          <label className="filter-label" htmlFor="filter-tag">Tag</label>
+          <input
+            id="filter-tag"
+            className="form-control"
+            value={tag}
+            onChange={(e) => setTag(e.target.value)}
+            onBlur={applyText}
+            placeholder="e.g. react"
+          />
+        </div>
+      )}
+
+      {!hidden.includes("author") && (
+        <div className="filter-field">
+          <label className="filter-label" htmlFor="filter-author">Author</label>
+          <input
+            id="filter-author"
+            className="form-control"
+            value={author}
+            onChange={(e) => setAuthor(e.target.value)}
+            onBlur={applyText}
+            placeholder="Any author"
+          />
+        </div>
+      )}
+
+      <div className="filter-field">
+        <label className="filter-label" htmlFor="filter-from">From</label>
+        <input
+          id="filter-from"
+          type="date"
+          className="form-control"
+          value={values.from}
+          max={values.to || undefined}
+          onChange={(e) => onChange({ from: e.target.value })}
+        />
+      </div>
+
+      <div className="filter-field">
+        <label className="filter-label" htmlFor="filter-to">To</label>
+        <input
+          id="filter-to"
+          type="date"
+          className="form-control"
+          value={values.to}
+          min={values.from || undefined}
+          onChange={(e) => onChange({ to: e.target.value })}
+        />
+      </div>
+
+      {/* Lets Enter in a text field submit the form */}
+      <button type="submit" hidden aria-hidden="true" tabIndex={-1} />
+
+      {hasFilters && (
+        <button type="button" className="filter-reset" onClick={onReset}>
+          ✖ Clear filters
+        </button>
+      )}
+    </form>
+  );
+};
+
+export default PostFilters;
@@ -0,0 +1,93 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import PostFilters from "./PostFilters";
+import { categoriesApi } from "./services/api";
+
+jest.mock("./services/api", () => ({
+  categoriesApi: { getActiveCategories: jest.fn() }
+}));
+
+const emptyValues = { sort: "newest", category: "", tag: "", author: "", from: "", to: "" };
+
+// Resolves once the category options have loaded, so no update lands after the test
+const renderFilters = async (props = {}) => {
+  const handlers = { onChange: jest.fn(), onReset: jest.fn() };
+  const utils = render(<PostFilters values={emptyValues} {...handlers} {...props} />);
+  if (props.hidden?.includes("category")) {
+    // Nothing to show, but the empty category list still settles
+    await screen.findByLabelText("Sort");
+  } else {
+    await screen.findByRole("option", { name: "Travel" });
+  }
+  return { ...utils, ...handlers };
+};
+
+describe("PostFilters", () => {
+  beforeEach(() => {
+    categoriesApi.getActiveCategories.mockResolvedValue({
+      data: { data: [{ _id: "c1", name: "Tech" }, { _id: "c2", name: "Travel" }] }
+    });
+  });
+
+  it("lists the active categories and applies a selection", async () => {
+    const { onChange } = await renderFilters();
+
+    fireEvent.change(screen.getByLabelText("Category"), { target: { value: "c2" } });
+
+    expect(onChange).toHaveBeenCalledWith({ category: "c2" });
+  });
+
+  it("applies the sort immediately", async () => {
+    const { onChange } = await renderFilters();
+
+    fireEvent.change(screen.getByLabelText("Sort"), { target: { value: "views" } });
+
+    expect(onChange).toHaveBeenCalledWith({ sort: "views" });
+  });
+
+  it("applies text filters on Enter, trimmed and with the tag lower-cased", async () => {
+    const { onChange } = await renderFilters();
+
+    fireEvent.change(screen.getByLabelText("Tag"), { target: { value: "  React " } });
+    fireEvent.submit(screen.getByLabelText("Tag"));
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith({ author: "", tag: "react" });
+  });
+
+  it("applies text filters on blur only when they changed", async () => {
+    const { onChange } = await renderFilters();
+
+    fireEvent.blur(screen.getByLabelText("Author"));
+    expect(onChange).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText("Author"), { target: { value: "ada" } });
+    fireEvent.blur(screen.getByLabelText("Author"));
+    expect(onChange).toHaveBeenCalledWith({ author: "ada", tag: "" });
+  });
+
+  it("follows applied values changed elsewhere", async () => {
+    const { rerender, onChange, onReset } = await renderFilters({ values: { ...emptyValues, tag: "react" } });
+    expect(screen.getByLabelText("Tag")).toHaveValue("react");
+
+    rerender(<PostFilters values={emptyValues} onChange={onChange} onReset={onReset} />);
+    expect(screen.getByLabelText("Tag")).toHaveValue("");
+  });
+
+  it("offers to clear only when a filter is set", async () => {
+    const { rerender, onChange, onReset } = await renderFilters();
+    expect(screen.queryByRole("button", { name: "✖ Clear filters" })).not.toBeInTheDocument();
+
+    rerender(<PostFilters values={{ ...emptyValues, from: "2024-01-01" }} onChange={onChange} onReset={onReset} />);
+    fireEvent.click(screen.getByRole("button", { name: "✖ Clear filters" }));
+    expect(onReset).toHaveBeenCalled();
+  });
+
+  it("leaves out the filters the page fixes", async () => {
+    await renderFilters({ hidden: ["category", "author"] });
+
+    expect(screen.queryByLabelText("Category")).not.toBeInTheDocument();
+    expect(screen.queryByLabelText("Author")).not.toBeInTheDocument();
+    expect(categoriesApi.getActiveCategories).not.toHaveBeenCalled();
+  });
+});
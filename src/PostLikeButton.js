@@ -0,0 +1,72 @@
+import React, { useEffect, useState } from "react";
+import LikeButton from "./LikeButton";
+import { useApiConfig, getErrorMessage, getErrorInfo } from "./hooks/useApi";
+import { statsApi } from "./services/api";
+import { hasReaction, setReaction } from "./services/reactions";
+import { describeCommentError } from "./utils/commentErrors";
+
+// Like toggle for a post. Cards start from the remembered state; with `syncState` the
+// post page also asks posts-service whether the current user or browser has liked it.
+const PostLikeButton = ({ post, syncState = false }) => {
+  const { postsUrl } = useApiConfig();
+  const [likes, setLikes] = useState(post.stats?.likes || 0);
+  const [liked, setLiked] = useState(() => hasReaction("likedPosts", post._id));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!syncState) return undefined;
+    let cancelled = false;
+    statsApi.getPostLikes(postsUrl, post._id, { limit: 1 })
+      .then(res => {
+        if (cancelled) return;
+        const { likes: total, likedByMe } = res.data.meta;
+        setLikes(total);
+        setLiked(likedByMe);
+        setReaction("likedPosts", post._id, likedByMe);
+      })
+      .catch(() => {
+        // Keep the remembered state; the like itself still works
+      });
+    return () => { cancelled = true; };
+  }, [postsUrl, post._id, syncState]);
+
+  // Flip the heart straight away and take the count and state from the service's answer
+  const toggle = async () => {
+    const previous = { likes, liked };
+    setLiked(!liked);
+    setLikes(Math.max(0, likes + (liked ? -1 : 1)));
+    setSaving(true);
+    setError(null);
+    try {
+      const res = liked
+        ? await statsApi.unlikePost(postsUrl, post._id)
+        : await statsApi.likePost(postsUrl, post._id);
+      const { likes: total, likedByMe } = res.data.data;
+      setLikes(total);
+      setLiked(likedByMe);
+      setReaction("likedPosts", post._id, likedByMe);
+    } catch (err) {
+      setLikes(previous.likes);
+      setLiked(previous.liked);
+      setError(describeCommentError(getErrorInfo(err), getErrorMessage(err)));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <span className="reaction">
+      <LikeButton
+        liked={liked}
+        count={likes}
+        onClick={toggle}
+        disabled={saving}
+        title={liked ? "Unlike this post" : "Like this post"}
+      />
+      {error && <span className="reaction-error" role="alert">{error}</span>}
+    </span>
+  );
+};
+
+export default PostLikeButton;
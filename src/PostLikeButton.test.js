@@ -0,0 +1,84 @@
+import React from "react";
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import PostLikeButton from "./PostLikeButton";
+import { statsApi } from "./services/api";
+import { hasReaction, setReaction } from "./services/reactions";
+
+jest.mock("./services/api", () => ({
+  statsApi: {
+    getPostLikes: jest.fn(),
+    likePost: jest.fn(),
+    unlikePost: jest.fn()
+  }
+}));
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+// Remembered reactions live for the whole file, so every test uses its own post
+const makePost = (id, likes = 2) => ({ _id: id, title: "A post", stats: { likes } });
+
+describe("PostLikeButton", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("counts the like straight away and keeps the service's count", async () => {
+    const request = deferred();
+    statsApi.likePost.mockReturnValue(request.promise);
+    render(<PostLikeButton post={makePost("p1")} />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Like (2)" }));
+    expect(screen.getByRole("button", { name: "Liked (3)" })).toBeDisabled();
+
+    await act(async () => request.resolve({ data: { data: { likes: 5, likedByMe: true } } }));
+
+    expect(screen.getByRole("button", { name: "Liked (5)" })).toBeEnabled();
+    expect(hasReaction("likedPosts", "p1")).toBe(true);
+  });
+
+  it("puts the count back and explains why when the like fails", async () => {
+    statsApi.likePost.mockRejectedValue({
+      response: { status: 429, data: { error: "Too many requests", code: "RATE_LIMIT_EXCEEDED", retryAfter: "60" } }
+    });
+    render(<PostLikeButton post={makePost("p2")} />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Like (2)" }));
+
+    expect(await screen.findByRole("alert")).toHaveTextContent("Too many requests. Please try again in 60 seconds.");
+    expect(screen.getByRole("button", { name: "Like (2)" })).toBeEnabled();
+    expect(hasReaction("likedPosts", "p2")).toBe(false);
+  });
+
+  it("unlikes a remembered like and restores it when the unlike fails", async () => {
+    setReaction("likedPosts", "p3", true);
+    statsApi.unlikePost.mockRejectedValue({ response: { status: 500, data: { error: "Server error" } } });
+    render(<PostLikeButton post={makePost("p3", 4)} />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Liked (4)" }));
+    expect(screen.getByRole("button", { name: "Like (3)" })).toBeInTheDocument();
+
+    expect(await screen.findByRole("alert")).toHaveTextContent("Server error");
+    expect(screen.getByRole("button", { name: "Liked (4)" })).toBeInTheDocument();
+    expect(statsApi.likePost).not.toHaveBeenCalled();
+  });
+
+  it("asks the service for the current state on the post page", async () => {
+    statsApi.getPostLikes.mockResolvedValue({ data: { data: [], meta: { likes: 7, likedByMe: true } } });
+    render(<PostLikeButton post={makePost("p4")} syncState />);
+
+    expect(await screen.findByRole("button", { name: "Liked (7)" })).toBeInTheDocument();
+    expect(statsApi.getPostLikes).toHaveBeenCalledWith(expect.any(String), "p4", { limit: 1 });
+  });
+});
@@ -1,73 +1,166 @@
-import React, { useCallback } from "react";
-import CommentCreate from "./CommentCreate";
-import CommentList from "./CommentList";
+import React, { useCallback, useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+import PostCard from "./PostCard";
+import PostFilters, { SORT_OPTIONS } from "./PostFilters";
+import Pagination from "./Pagination";
 import { useApiConfig, useApiCall } from "./hooks/useApi";
 import { postsApi } from "./services/api";
 
-const PostList = () => {
+const PAGE_SIZE = 12;
+
+const FILTER_KEYS = ["sort", "category", "tag", "author", "from", "to"];
+
+// Filters and the current page live in the URL so listings survive reloads and can be shared
+const readFilters = (searchParams) => ({
+  sort: searchParams.get("sort") || "newest",
+  category: searchParams.get("category") || "",
+  tag: searchParams.get("tag") || "",
+  author: searchParams.get("author") || "",
+  from: searchParams.get("from") || "",
+  to: searchParams.get("to") || "",
+  page: Math.max(1, parseInt(searchParams.get("page"), 10) || 1)
+});
+
+// Map the URL filters onto the query params accepted by schemas.post.query.
+// Dates are whole days in UTC, so `to` includes the entire day.
+const toQueryParams = ({ sort, category, tag, author, from, to, page }, hidden) => {
+  const sortOption = SORT_OPTIONS.find(option => option.value === sort) || SORT_OPTIONS[0];
+  const params = { page, limit: PAGE_SIZE, sortBy: sortOption.sortBy, sortOrder: "desc" };
+
+  if (category && !hidden.includes("category")) params.category = category;
+  if (tag && !hidden.includes("tag")) params.tags = tag;
+  if (author && !hidden.includes("author")) params.author = author;
+  if (from) params.startDate = `${from}T00:00:00.000Z`;
+  if (to) params.endDate = `${to}T23:59:59.999Z`;
+
+  return params;
+};
+
+// Lists published posts with sort, filter and page controls. `fetchPosts(params)` narrows
+// the listing (category, author, tag pages) and `hiddenFilters` drops the filters it fixes;
+// without it the home feed is shown.
+const PostList = ({ fetchPosts: fetchFilteredPosts, hiddenFilters = [], emptyMessage }) => {
   const { postsUrl } = useApiConfig();
-  
-  const fetchPosts = useCallback(() => 
-    postsApi.getPosts(postsUrl).then(res => res.data), 
-    [postsUrl]
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const filters = useMemo(() => readFilters(searchParams), [searchParams]);
+  const hiddenKey = hiddenFilters.join(",");
+  const queryParams = useMemo(
+    () => toQueryParams(filters, hiddenKey.split(",")),
+    [filters, hiddenKey]
+  );
+
+  const fetchPosts = useCallback(() =>
+    (fetchFilteredPosts ? fetchFilteredPosts(queryParams) : postsApi.getPosts(postsUrl, queryParams))
+      .then(res => ({ posts: res.data.data, pagination: res.data.pagination })),
+    [postsUrl, fetchFilteredPosts, queryParams]
   );
 
-  const { data: posts, loading, error, refetch } = useApiCall(fetchPosts, [postsUrl]);
+  const { data, loading, error, refetch } = useApiCall(fetchPosts);
+
+  // Any filter change starts again from the first page
+  const updateFilters = (changes) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) next.set(key, value);
+        else next.delete(key);
+      });
+      next.delete("page");
+      return next;
+    });
+  };
+
+  const resetFilters = () => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      FILTER_KEYS.filter(key => key !== "sort").forEach(key => next.delete(key));
+      next.delete("page");
+      return next;
+    });
+  };
+
+  const changePage = (page) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      if (page > 1) next.set("page", page);
+      else next.delete("page");
+      return next;
+    });
+  };
+
+  const filterControls = (
+    <PostFilters
+      values={filters}
+      onChange={updateFilters}
+      onReset={resetFilters}
+      hidden={hiddenFilters}
+    />
+  );
 
   if (loading) {
     return (
-      <div className="posts-grid">
-        <div style={{ gridColumn: '1 / -1', textAlign: 'center', color: '#a0aec0', padding: '40px' }}>
-          <p style={{ fontSize: '1.2rem' }}>⏳ Loading posts...</p>
+      <>
+        {filterControls}
+        <div className="posts-grid">
+          <div style={{ gridColumn: '1 / -1', textAlign: 'center', color: '#a0aec0', padding: '40px' }}>
+            <p style={{ fontSize: '1.2rem' }}>⏳ Loading posts...</p>
+          </div>
         </div>
-      </div>
+      </>
     );
   }
 
   if (error) {
     return (
-      <div className="posts-grid">
-        <div style={{ gridColumn: '1 / -1', textAlign: 'center', color: '#e53e3e', padding: '40px' }}>
-          <p style={{ fontSize: '1.2rem', marginBottom: '10px' }}>❌ Error loading posts</p>
-          <p style={{ fontSize: '0.9rem', marginBottom: '20px' }}>{error}</p>
-          <button 
-            onClick={refetch}
-            style={{ 
-              padding: '8px 16px', 
-              backgroundColor: '#3182ce', 
-              color: 'white', 
-              border: 'none', 
-              borderRadius: '4px',
-              cursor: 'pointer'
-            }}
-          >
-            🔄 Retry
-          </button>
+      <>
+        {filterControls}
+        <div className="posts-grid">
+          <div style={{ gridColumn: '1 / -1', textAlign: 'center', color: '#e53e3e', padding: '40px' }}>
+            <p style={{ fontSize: '1.2rem', marginBottom: '10px' }}>❌ Error loading posts</p>
+            <p style={{ fontSize: '0.9rem', marginBottom: '20px' }}>{error}</p>
+            <button
+              onClick={refetch}
+              style={{
+                padding: '8px 16px',
+                backgroundColor: '#3182ce',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer'
+              }}
+            >
+              🔄 Retry
+            </button>
+          </div>
         </div>
-      </div>
+      </>
     );
   }
 
-  const postValues = posts ? Object.values(posts) : [];
-  const renderedPosts = postValues.map((post) => (
-    <div className="post-card" key={post.id}>
-      <h3 className="post-title">{post.title}</h3>
-      <div className="comments-section">
-        <CommentList postId={post.id} />
-        <CommentCreate postId={post.id} onCommentAdded={refetch} />
-      </div>
-    </div>
+  const posts = data?.posts || [];
+  const hasFilters = Boolean(filters.category || filters.tag || filters.author || filters.from || filters.to);
+  const renderedPosts = posts.map((post) => (
+    <PostCard key={post._id} post={post} />
   ));
 
   return (
-    <div className="posts-grid">
-      {renderedPosts.length > 0 ? renderedPosts : (
-        <div style={{ gridColumn: '1 / -1', textAlign: 'center', color: '#a0aec0', padding: '40px' }}>
-          <p style={{ fontSize: '1.2rem', marginBottom: '10px' }}>📭 No posts yet</p>
-          <p style={{ fontSize: '0.9rem' }}>Be the first to share something!</p>
-        </div>
-      )}
-    </div>
+    <>
+      {filterControls}
+      <div className="posts-grid">
+        {renderedPosts.length > 0 ? renderedPosts : (
+          <div style={{ gridColumn: '1 / -1', textAlign: 'center', color: '#a0aec0', padding: '40px' }}>
+            <p style={{ fontSize: '1.2rem', marginBottom: '10px' }}>
+              {hasFilters ? "🔍 No matching posts" : "📭 No posts yet"}
+            </p>
+            <p style={{ fontSize: '0.9rem' }}>
+              {hasFilters ? "Try different filters." : (emptyMessage || "Be the first to share something!")}
+            </p>
+          </div>
+        )}
+      </div>
+      <Pagination pagination={data?.pagination} onPageChange={changePage} disabled={loading} />
+    </>
   );
 };
 
@@ -0,0 +1,128 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import { MemoryRouter, useLocation } from "react-router-dom";
+import PostList from "./PostList";
+import { categoriesApi, postsApi } from "./services/api";
+
+jest.mock("./services/api", () => ({
+  postsApi: { getPosts: jest.fn() },
+  categoriesApi: { getActiveCategories: jest.fn() },
+  statsApi: { getPostLikes: jest.fn(), likePost: jest.fn(), unlikePost: jest.fn() }
+}));
+
+const post = (id, title) => ({ _id: id, slug: `post-${id}`, title, author: "ada", stats: { likes: 0 } });
+
+const postsResponse = (posts, pagination = { currentPage: 1, totalPages: 1 }) => ({
+  data: { data: posts, pagination }
+});
+
+let currentSearch;
+const LocationProbe = () => {
+  currentSearch = useLocation().search;
+  return null;
+};
+
+// Resolves once the category filter has loaded, so no update lands after the test
+const renderList = async (url = "/", props = {}) => {
+  const utils = render(
+    <MemoryRouter initialEntries={[url]}>
+      <PostList {...props} />
+      <LocationProbe />
+    </MemoryRouter>
+  );
+  await screen.findByRole("option", { name: "Tech" });
+  return utils;
+};
+
+describe("PostList", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    categoriesApi.getActiveCategories.mockResolvedValue({ data: { data: [{ _id: "c1", name: "Tech" }] } });
+    postsApi.getPosts.mockResolvedValue(postsResponse([post("1", "First post"), post("2", "Second post")]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("maps the URL filters onto the posts query", async () => {
+    await renderList("/?sort=likes&tag=react&author=ada&from=2024-01-01&to=2024-01-31&page=2");
+
+    expect(await screen.findByText("First post")).toBeInTheDocument();
+    expect(postsApi.getPosts).toHaveBeenCalledWith(expect.any(String), {
+      page: 2,
+      limit: 12,
+      sortBy: "likes",
+      sortOrder: "desc",
+      tags: "react",
+      author: "ada",
+      startDate: "2024-01-01T00:00:00.000Z",
+      endDate: "2024-01-31T23:59:59.999Z"
+    });
+  });
+
+  it("narrows the listing through fetchPosts and drops the filters it fixes", async () => {
+    const fetchPosts = jest.fn().mockResolvedValue(postsResponse([post("1", "Tagged post")]));
+    await renderList("/?tag=react&category=c1", { fetchPosts, hiddenFilters: ["tag"] });
+
+    expect(await screen.findByText("Tagged post")).toBeInTheDocument();
+    expect(postsApi.getPosts).not.toHaveBeenCalled();
+    expect(fetchPosts).toHaveBeenCalledWith(expect.not.objectContaining({ tags: expect.anything() }));
+    expect(fetchPosts).toHaveBeenCalledWith(expect.objectContaining({ category: "c1" }));
+    expect(screen.queryByLabelText("Tag")).not.toBeInTheDocument();
+  });
+
+  it("starts again from the first page when a filter changes", async () => {
+    await renderList("/?page=3");
+    await screen.findByText("First post");
+
+    fireEvent.change(screen.getByLabelText("Sort"), { target: { value: "views" } });
+
+    expect(await screen.findByText("First post")).toBeInTheDocument();
+    expect(currentSearch).toBe("?sort=views");
+    expect(postsApi.getPosts).toHaveBeenLastCalledWith(expect.any(String), expect.objectContaining({ page: 1, sortBy: "views" }));
+  });
+
+  it("keeps the sort when filters are cleared", async () => {
+    await renderList("/?sort=views&tag=react&page=2");
+    await screen.findByText("First post");
+
+    fireEvent.click(screen.getByRole("button", { name: "✖ Clear filters" }));
+
+    expect(await screen.findByText("First post")).toBeInTheDocument();
+    expect(currentSearch).toBe("?sort=views");
+  });
+
+  it("moves between pages through the URL", async () => {
+    postsApi.getPosts.mockResolvedValue(postsResponse([post("1", "First post")], {
+      currentPage: 1, totalPages: 2, totalCount: 13, hasPrevPage: false, hasNextPage: true, startIndex: 1, endIndex: 12
+    }));
+    await renderList();
+
+    fireEvent.click(await screen.findByRole("button", { name: "Next ›" }));
+
+    expect(await screen.findByText("First post")).toBeInTheDocument();
+    expect(currentSearch).toBe("?page=2");
+  });
+
+  it("tells an empty listing from one with no matches", async () => {
+    postsApi.getPosts.mockResolvedValue(postsResponse([]));
+    const { unmount } = await renderList("/", { emptyMessage: "Nothing here yet." });
+    expect(await screen.findByText("📭 No posts yet")).toBeInTheDocument();
+    expect(screen.getByText("Nothing here yet.")).toBeInTheDocument();
+    unmount();
+
+    await renderList("/?tag=rare");
+    expect(await screen.findByText("🔍 No matching posts")).toBeInTheDocument();
+  });
+
+  it("shows the error and retries", async () => {
+    postsApi.getPosts.mockRejectedValueOnce({ response: { data: { error: { message: "Service unavailable" } } } });
+    await renderList();
+
+    expect(await screen.findByText("Service unavailable")).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "🔄 Retry" }));
+
+    expect(await screen.findByText("First post")).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,43 @@
+import React from "react";
+import { Link } from "react-router-dom";
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" }) : null;
+
+// Author, date, read time, category and tags, each linking to its listing page
+const PostMeta = ({ post }) => {
+  const { category, tags = [], metadata = {} } = post;
+  const publishedOn = formatDate(post.publishedAt || post.createdAt);
+
+  return (
+    <div className="post-meta">
+      <div className="post-meta-line">
+        {post.author && (
+          <Link to={`/authors/${encodeURIComponent(post.author)}`}>✍️ {post.author}</Link>
+        )}
+        {publishedOn && <span>📅 {publishedOn}</span>}
+        {metadata.readTime > 0 && <span>⏱️ {metadata.readTime} min read</span>}
+        {category && category.slug && (
+          <Link
+            to={`/categories/${category.slug}`}
+            className="category-badge"
+            style={{ backgroundColor: category.color }}
+          >
+            {category.name}
+          </Link>
+        )}
+      </div>
+      {tags.length > 0 && (
+        <div className="post-tags">
+          {tags.map(tag => (
+            <Link key={tag} to={`/tags/${encodeURIComponent(tag)}`} className="tag-chip">
+              #{tag}
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PostMeta;
@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from "react";
+import { REPORT_REASONS } from "./ReportsInbox";
+import { useApiConfig, useApiSubmit } from "./hooks/useApi";
+import { commentsApi } from "./services/api";
+import { describeCommentError } from "./utils/commentErrors";
+
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Report a comment to the moderators. `onReported(alreadyReported)` runs once the report is
+// on file, including when comments-service already had one from this browser.
+const ReportDialog = ({ comment, onReported, onClose }) => {
+  const { commentsUrl } = useApiConfig();
+  const [reason, setReason] = useState("");
+  const [description, setDescription] = useState("");
+  const { submit, loading, error, errorInfo } = useApiSubmit();
+
+  useEffect(() => {
+    const closeOnEscape = (event) => {
+      if (event.key === "Escape" && !loading) onClose();
+    };
+    window.addEventListener("keydown", closeOnEscape);
+    return () => window.removeEventListener("keydown", closeOnEscape);
+  }, [loading, onClose]);
+
+  useEffect(() => {
+    if (errorInfo?.code === "ALREADY_REPORTED") onReported(true);
+  }, [errorInfo, onReported]);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const report = { reason };
+    if (description.trim()) report.description = description.trim();
+
+    await submit(
+      () => commentsApi.reportComment(commentsUrl, comment._id, report),
+      () => onReported(false)
+    );
+  };
+
+  return (
+    <div className="dialog-backdrop" onClick={() => !loading && onClose()}>
+      <form
+        className="dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={`report-title-${comment._id}`}
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+      >
+        <h3 id={`report-title-${comment._id}`}>🚩 Report comment</h3>
+        <p className="dialog-quote">“{comment.content}”</p>
+
+        <fieldset className="report-reasons" disabled={loading}>
+          <legend>Why are you reporting it?</legend>
+          {Object.entries(REPORT_REASONS).map(([value, label]) => (
+            <label key={value} className="report-reason">
+              <input
+                type="radio"
+                name="reason"
+                value={value}
+                checked={reason === value}
+                onChange={() => setReason(value)}
+              />
+              {label}
+            </label>
+          ))}
+        </fieldset>
+
+        <div className="form-group">
+          <label htmlFor={`report-description-${comment._id}`}>
+            Details <span className="optional">(optional)</span>
+          </label>
+          <textarea
+            id={`report-description-${comment._id}`}
+            className="form-control"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            maxLength={MAX_DESCRIPTION_LENGTH}
+            rows={3}
+            disabled={loading}
+          />
+          <div className="char-count">{description.length}/{MAX_DESCRIPTION_LENGTH}</div>
+        </div>
+
+        {error && errorInfo?.code !== "ALREADY_REPORTED" && (
+          <div className="field-error">❌ {describeCommentError(errorInfo, error)}</div>
+        )}
+
+        <div className="dialog-actions">
+          <button type="button" className="link-button" onClick={onClose} disabled={loading}>Cancel</button>
+          <button type="submit" className="btn btn-danger" disabled={!reason || loading}>
+            {loading ? "⏳ Sending..." : "Send report"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ReportDialog;
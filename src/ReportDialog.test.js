@@ -0,0 +1,85 @@
+import React from "react";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import ReportDialog from "./ReportDialog";
+import { commentsApi } from "./services/api";
+
+jest.mock("./services/api", () => ({
+  commentsApi: { reportComment: jest.fn() }
+}));
+
+const COMMENT = { _id: "c1", content: "Buy cheap watches here" };
+
+const renderDialog = (props = {}) => {
+  const onReported = jest.fn();
+  const onClose = jest.fn();
+  render(<ReportDialog comment={COMMENT} onReported={onReported} onClose={onClose} {...props} />);
+  return { onReported, onClose };
+};
+
+const send = () => fireEvent.click(screen.getByRole("button", { name: "Send report" }));
+
+describe("ReportDialog", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("needs a reason and sends it with the trimmed details", async () => {
+    commentsApi.reportComment.mockResolvedValue({ data: { data: {} } });
+    const { onReported } = renderDialog();
+
+    expect(screen.getByRole("button", { name: "Send report" })).toBeDisabled();
+    fireEvent.click(screen.getByLabelText("Spam"));
+    fireEvent.change(screen.getByLabelText(/Details/), { target: { value: "  Same link on every post " } });
+    send();
+
+    await waitFor(() => expect(onReported).toHaveBeenCalledWith(false));
+    expect(commentsApi.reportComment).toHaveBeenCalledWith(expect.any(String), "c1", {
+      reason: "spam",
+      description: "Same link on every post"
+    });
+  });
+
+  it("explains the report rate limit and keeps the dialog open", async () => {
+    commentsApi.reportComment.mockRejectedValue({
+      response: {
+        status: 429,
+        data: { error: "Too many reports", code: "REPORT_RATE_LIMIT_EXCEEDED", retryAfter: "1 hour" }
+      }
+    });
+    const { onReported, onClose } = renderDialog();
+
+    fireEvent.click(screen.getByLabelText("Harassment"));
+    send();
+
+    expect(await screen.findByText("❌ You have sent several reports recently. Please try again in 1 hour."))
+      .toBeInTheDocument();
+    expect(screen.getByRole("dialog")).toBeInTheDocument();
+    expect(onReported).not.toHaveBeenCalled();
+    expect(onClose).not.toHaveBeenCalled();
+  });
+
+  it("treats a duplicate report as already on file", async () => {
+    commentsApi.reportComment.mockRejectedValue({
+      response: { status: 409, data: { error: "Already reported", code: "ALREADY_REPORTED" } }
+    });
+    const { onReported } = renderDialog();
+
+    fireEvent.click(screen.getByLabelText("Spam"));
+    send();
+
+    await waitFor(() => expect(onReported).toHaveBeenCalledWith(true));
+    expect(screen.queryByText(/❌/)).not.toBeInTheDocument();
+  });
+
+  it("closes on Escape", () => {
+    const { onClose } = renderDialog();
+
+    fireEvent.keyDown(window, { key: "Escape" });
+
+    expect(onClose).toHaveBeenCalled();
+  });
+});
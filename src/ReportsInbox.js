@@ -0,0 +1,238 @@
+import React, { useCallback, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import Pagination, { fromPageCounts } from "./Pagination";
+import { PRIORITIES } from "./ModerationQueue";
+import { useApiConfig, useApiCall, useApiSubmit } from "./hooks/useApi";
+import { moderationApi } from "./services/api";
+import { formatDateTime, formatRelativeTime } from "./utils/time";
+
+const PAGE_SIZE = 20;
+
+const STATUS_OPTIONS = ["pending", "reviewed", "resolved", "dismissed", "all"];
+
+export const REPORT_REASONS = {
+  spam: "Spam",
+  inappropriate: "Inappropriate",
+  harassment: "Harassment",
+  hate_speech: "Hate speech",
+  violence: "Violence",
+  misinformation: "Misinformation",
+  copyright: "Copyright",
+  other: "Other"
+};
+
+// Review decisions offered for open reports, as accepted by PATCH /admin/reports/:id
+const REVIEW_ACTIONS = [
+  { key: "remove", label: "🗑️ Remove comment", review: { status: "resolved", actionTaken: "comment_removed" } },
+  { key: "keep", label: "✅ Keep comment", review: { status: "resolved", actionTaken: "none" } },
+  { key: "reviewed", label: "👀 Mark reviewed", review: { status: "reviewed" } },
+  { key: "dismiss", label: "✖ Dismiss", review: { status: "dismissed" } }
+];
+
+const readFilters = (searchParams) => ({
+  status: searchParams.get("status") || "pending",
+  priority: searchParams.get("priority") || "",
+  reason: searchParams.get("reason") || "",
+  page: Math.max(1, parseInt(searchParams.get("page"), 10) || 1)
+});
+
+// Newest first; the service would sort priority names alphabetically, so filter on priority instead
+const toQueryParams = ({ status, priority, reason, page }) => {
+  const params = { page, limit: PAGE_SIZE, status, sort: "createdAt", order: "desc" };
+  if (priority) params.priority = priority;
+  if (reason) params.reason = reason;
+  return params;
+};
+
+const ReportItem = ({ report, onReviewed }) => {
+  const { commentsUrl } = useApiConfig();
+  const [notes, setNotes] = useState("");
+  const { submit, loading, error } = useApiSubmit();
+  const isOpen = report.status === "pending" || report.status === "reviewed";
+  const comment = report.comment;
+
+  const review = async (action) => {
+    const body = { ...action.review };
+    if (notes.trim()) body.notes = notes.trim();
+
+    await submit(
+      () => moderationApi.reviewReport(commentsUrl, report._id, body),
+      () => onReviewed(action)
+    );
+  };
+
+  return (
+    <li className="moderation-item">
+      <div className="moderation-item-body">
+        <div className="moderation-item-meta">
+          <span className={`priority-badge priority-${report.priority}`}>{report.priority}</span>
+          <strong>{REPORT_REASONS[report.reason] || report.reason}</strong>
+          <span className={`status-badge status-${report.status}`}>{report.status}</span>
+          <span className="comment-time" title={formatDateTime(report.createdAt)}>
+            reported {formatRelativeTime(report.createdAt)}
+          </span>
+        </div>
+        {report.description && <p className="report-description">“{report.description}”</p>}
+
+        {comment ? (
+          <blockquote className="reported-comment">
+            <p>{comment.content}</p>
+            <footer>
+              👤 {comment.author?.name} · {formatRelativeTime(comment.createdAt)} ·{" "}
+              <span className={`status-badge status-${comment.status}`}>{comment.status}</span>
+              {comment.reports > 1 && <> · 🚩 {comment.reports} reports</>}
+            </footer>
+          </blockquote>
+        ) : (
+          <p className="page-status">The reported comment no longer exists.</p>
+        )}
+
+        {report.reviewedAt && (
+          <div className="moderation-item-reason">
+            Reviewed {formatRelativeTime(report.reviewedAt)}
+            {report.actionTaken && report.actionTaken !== "none" && ` · ${report.actionTaken.replace(/_/g, " ")}`}
+            {report.reviewNotes && ` · ${report.reviewNotes}`}
+          </div>
+        )}
+
+        {isOpen && (
+          <div className="report-review">
+            <input
+              className="form-control"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              placeholder="Review notes (optional)"
+              maxLength={500}
+              disabled={loading}
+            />
+            <div className="moderation-item-actions">
+              {REVIEW_ACTIONS.map(action => (
+                <button
+                  key={action.key}
+                  type="button"
+                  className={`btn moderation-btn ${action.key}`}
+                  onClick={() => review(action)}
+                  disabled={loading || (!comment && action.review.actionTaken === "comment_removed")}
+                >
+                  {action.label}
+                </button>
+              ))}
+            </div>
+            {error && <div className="field-error">❌ {error}</div>}
+          </div>
+        )}
+      </div>
+    </li>
+  );
+};
+
+// Reports filed against comments, with review decisions for the open ones
+const ReportsInbox = () => {
+  const { commentsUrl } = useApiConfig();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [message, setMessage] = useState(null);
+
+  const filters = useMemo(() => readFilters(searchParams), [searchParams]);
+  const queryParams = useMemo(() => toQueryParams(filters), [filters]);
+
+  const fetchReports = useCallback(() =>
+    moderationApi.getReports(commentsUrl, queryParams).then(res => res.data),
+    [commentsUrl, queryParams]
+  );
+
+  const { data, loading, error, refetch } = useApiCall(fetchReports);
+
+  const updateParams = (changes, keepPage = false) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) next.set(key, value);
+        else next.delete(key);
+      });
+      if (!keepPage) next.delete("page");
+      return next;
+    });
+    setMessage(null);
+  };
+
+  const handleReviewed = (action) => {
+    setMessage(`Report ${action.review.status}${action.review.actionTaken === "comment_removed" ? " and comment removed" : ""}.`);
+    refetch();
+  };
+
+  const reports = data?.data || [];
+  const summary = data?.meta?.reportsSummary;
+
+  return (
+    <div>
+      {summary && (
+        <div className="moderation-summary">
+          {["pending", "reviewed", "resolved", "dismissed"].map(status => (
+            <button
+              key={status}
+              type="button"
+              className={`summary-card status-${status}${filters.status === status ? " active" : ""}`}
+              onClick={() => updateParams({ status })}
+            >
+              <span className="summary-count">{summary[status] || 0}</span>
+              <span className="summary-label">{status}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="post-filters">
+        <div className="filter-field">
+          <label className="filter-label" htmlFor="reports-status">Status</label>
+          <select id="reports-status" className="form-control" value={filters.status} onChange={(e) => updateParams({ status: e.target.value })}>
+            {STATUS_OPTIONS.map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </div>
+        <div className="filter-field">
+          <label className="filter-label" htmlFor="reports-priority">Priority</label>
+          <select id="reports-priority" className="form-control" value={filters.priority} onChange={(e) => updateParams({ priority: e.target.value })}>
+            <option value="">Any priority</option>
+            {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+          </select>
+        </div>
+        <div className="filter-field">
+          <label className="filter-label" htmlFor="reports-reason">Reason</label>
+          <select id="reports-reason" className="form-control" value={filters.reason} onChange={(e) => updateParams({ reason: e.target.value })}>
+            <option value="">Any reason</option>
+            {Object.entries(REPORT_REASONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {message && <div className="moderation-message">✔️ {message}</div>}
+
+      {loading ? (
+        <p className="page-status">⏳ Loading reports...</p>
+      ) : error ? (
+        <p className="page-status error">
+          ❌ {error}{" "}
+          <button type="button" className="link-button" onClick={refetch}>🔄 Retry</button>
+        </p>
+      ) : reports.length === 0 ? (
+        <p className="page-status">📭 No reports here.</p>
+      ) : (
+        <ul className="moderation-list">
+          {reports.map(report => (
+            <ReportItem key={report._id} report={report} onReviewed={handleReviewed} />
+          ))}
+        </ul>
+      )}
+
+      {data?.pagination && (
+        <Pagination
+          pagination={fromPageCounts(data.pagination)}
+          onPageChange={(page) => updateParams({ page: page > 1 ? page : "" }, true)}
+          disabled={loading}
+          label="Reports pages"
+        />
+      )}
+    </div>
+  );
+};
+
+export default ReportsInbox;
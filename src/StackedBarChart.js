@@ -0,0 +1,41 @@
+import React from "react";
+
+// Minimal stacked column chart drawn with CSS: one column per row, one segment per series.
+// rows: [{ label, values: { [seriesKey]: number } }], series: [{ key, label, color }]
+const StackedBarChart = ({ rows, series, height = 180, emptyMessage = "No data for this period." }) => {
+  const totals = rows.map(row => series.reduce((sum, { key }) => sum + (row.values[key] || 0), 0));
+  const max = Math.max(0, ...totals);
+
+  if (rows.length === 0 || max === 0) {
+    return <p className="page-status">{emptyMessage}</p>;
+  }
+
+  return (
+    <figure className="stacked-chart">
+      <div className="stacked-chart-plot" style={{ height }}>
+        {rows.map((row, index) => (
+          <div
+            key={row.label}
+            className="stacked-chart-column"
+            title={`${row.label}: ${series.map(({ key, label }) => `${label} ${row.values[key] || 0}`).join(", ")}`}
+          >
+            <span className="stacked-chart-total">{totals[index]}</span>
+            <div className="stacked-chart-bar" style={{ height: `${(totals[index] / max) * 100}%` }}>
+              {series.map(({ key, color }) => (row.values[key] ? (
+                <div key={key} style={{ flexGrow: row.values[key], background: color }} />
+              ) : null))}
+            </div>
+            <span className="stacked-chart-label">{row.label}</span>
+          </div>
+        ))}
+      </div>
+      <figcaption className="stacked-chart-legend">
+        {series.map(({ key, label, color }) => (
+          <span key={key}><i style={{ background: color }} /> {label}</span>
+        ))}
+      </figcaption>
+    </figure>
+  );
+};
+
+export default StackedBarChart;
@@ -0,0 +1,43 @@
+import React, { useState } from "react";
+import { Link, useLocation } from "react-router-dom";
+import { displayNameOf, useAuth } from "./context/AuthContext";
+
+const UserMenu = () => {
+  const { user, isAuthenticated, isModerator, logout } = useAuth();
+  const location = useLocation();
+  const [signingOut, setSigningOut] = useState(false);
+
+  if (!isAuthenticated) {
+    // Come back to the current page after signing in
+    const state = ["/login", "/register"].includes(location.pathname) ? location.state : { from: location };
+    return (
+      <nav className="user-menu">
+        <Link to="/search" className="user-menu-link">🔍 Search</Link>
+        <Link to="/login" state={state} className="user-menu-link">Sign in</Link>
+        <Link to="/register" state={state} className="user-menu-link primary">Register</Link>
+      </nav>
+    );
+  }
+
+  const onSignOut = async () => {
+    setSigningOut(true);
+    await logout();
+    setSigningOut(false);
+  };
+
+  return (
+    <nav className="user-menu">
+      <span className="user-menu-name">
+        👤 {displayNameOf(user)}
+        {user.role !== "user" && <span className="user-menu-role">{user.role}</span>}
+      </span>
+      <Link to="/search" className="user-menu-link">🔍 Search</Link>
+      {isModerator && <Link to="/moderation" className="user-menu-link">🛡️ Moderation</Link>}
+      <button type="button" className="user-menu-link" onClick={onSignOut} disabled={signingOut}>
+        {signingOut ? "Signing out..." : "Sign out"}
+      </button>
+    </nav>
+  );
+};
+
+export default UserMenu;
@@ -0,0 +1,88 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { authApi, refreshSession } from "../services/api";
+import { getRefreshToken, getSession, saveSession, clearSession, subscribe } from "../services/session";
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+const AuthContext = createContext(null);
+
+export const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(getSession);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const locationRef = useRef(location);
+  locationRef.current = location;
+
+  // Follow session changes made by the api.js interceptors and other tabs; when a request
+  // needs a user that is no longer signed in, send them to the login page and back afterwards
+  useEffect(() => subscribe((next, reason) => {
+    setSession(next);
+    if ((reason === "expired" || reason === "login-required") && locationRef.current.pathname !== "/login") {
+      navigate("/login", { state: { from: locationRef.current, reason } });
+    }
+  }), [navigate]);
+
+  // Silent refresh shortly before the access token expires
+  const expiresAt = session?.expiresAt;
+  useEffect(() => {
+    if (!expiresAt) return undefined;
+
+    const timer = setTimeout(() => {
+      refreshSession().catch(() => {
+        // Handled by the interceptor: a rejected token ends the session, a network error waits for the next 401
+      });
+    }, Math.max(0, expiresAt - Date.now() - REFRESH_MARGIN_MS));
+
+    return () => clearTimeout(timer);
+  }, [expiresAt]);
+
+  const login = useCallback(async (credentials) => {
+    const res = await authApi.login(credentials);
+    saveSession(res.data.data);
+    return res.data.data.user;
+  }, []);
+
+  const register = useCallback(async ({ rememberMe, ...userData }) => {
+    await authApi.register(userData);
+    return login({ login: userData.email, password: userData.password, rememberMe });
+  }, [login]);
+
+  const logout = useCallback(async ({ allDevices = false } = {}) => {
+    try {
+      await authApi.logout({ refreshToken: getRefreshToken(), allDevices });
+    } catch (err) {
+      // The local session ends regardless; the refresh token expires on its own
+      console.error('Logout request failed:', err);
+    }
+    clearSession("logout");
+  }, []);
+
+  const value = useMemo(() => {
+    const user = session?.user || null;
+    return {
+      user,
+      isAuthenticated: Boolean(session),
+      isModerator: ["moderator", "admin"].includes(user?.role),
+      isAdmin: user?.role === "admin",
+      login,
+      register,
+      logout
+    };
+  }, [session, login, register, logout]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used within an AuthProvider");
+  }
+  return context;
+};
+
+// Name shown for the signed-in user, matching the auth-service displayName virtual
+export const displayNameOf = (user) =>
+  user ? (user.displayName || [user.firstName, user.lastName].filter(Boolean).join(" ") || user.username) : null;
@@ -0,0 +1,146 @@
+import React from "react";
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import { MemoryRouter, Route, Routes, useLocation } from "react-router-dom";
+import { AuthProvider, displayNameOf, useAuth } from "./AuthContext";
+import { authApi, refreshSession } from "../services/api";
+import { clearSession, getSession, requireLogin, saveSession } from "../services/session";
+
+jest.mock("../services/api", () => ({
+  authApi: { login: jest.fn(), register: jest.fn(), logout: jest.fn() },
+  refreshSession: jest.fn()
+}));
+
+const USER = { id: "u1", username: "ada", email: "ada@example.com", role: "moderator" };
+
+const issued = (suffix = "1", expiresIn = 900) => ({
+  accessToken: `access-${suffix}`,
+  refreshToken: `refresh-${suffix}`,
+  expiresIn,
+  user: USER
+});
+
+const Account = () => {
+  const { user, isAuthenticated, isModerator, isAdmin, login, register, logout } = useAuth();
+  return (
+    <div>
+      <p>{isAuthenticated ? `Signed in as ${user.username}` : "Signed out"}</p>
+      <p>{`moderator: ${isModerator}, admin: ${isAdmin}`}</p>
+      <button onClick={() => login({ login: "ada", password: "secret" })}>Log in</button>
+      <button onClick={() => register({ username: "ada", email: "ada@example.com", password: "secret", rememberMe: true })}>
+        Register
+      </button>
+      <button onClick={() => logout({ allDevices: true })}>Log out</button>
+    </div>
+  );
+};
+
+const LoginPage = () => {
+  const { state } = useLocation();
+  return <p>{`Login page: back to ${state.from.pathname} (${state.reason})`}</p>;
+};
+
+const renderApp = (path = "/drafts") => render(
+  <MemoryRouter initialEntries={[path]}>
+    <AuthProvider>
+      <Routes>
+        <Route path="/login" element={<LoginPage />} />
+        <Route path="*" element={<Account />} />
+      </Routes>
+    </AuthProvider>
+  </MemoryRouter>
+);
+
+describe("AuthProvider", () => {
+  beforeEach(() => {
+    clearSession();
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    refreshSession.mockResolvedValue("access-2");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it("signs in and exposes the user's role", async () => {
+    authApi.login.mockResolvedValue({ data: { data: issued() } });
+    renderApp();
+    expect(screen.getByText("Signed out")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Log in" }));
+
+    expect(await screen.findByText("Signed in as ada")).toBeInTheDocument();
+    expect(screen.getByText("moderator: true, admin: false")).toBeInTheDocument();
+    expect(getSession()).toMatchObject({ accessToken: "access-1", user: USER });
+  });
+
+  it("signs in after registering", async () => {
+    authApi.register.mockResolvedValue({ data: { data: USER } });
+    authApi.login.mockResolvedValue({ data: { data: issued() } });
+    renderApp();
+
+    fireEvent.click(screen.getByRole("button", { name: "Register" }));
+
+    expect(await screen.findByText("Signed in as ada")).toBeInTheDocument();
+    expect(authApi.register).toHaveBeenCalledWith({ username: "ada", email: "ada@example.com", password: "secret" });
+    expect(authApi.login).toHaveBeenCalledWith({ login: "ada@example.com", password: "secret", rememberMe: true });
+  });
+
+  it("ends the local session even when the logout request fails", async () => {
+    saveSession(issued());
+    authApi.logout.mockRejectedValue(new Error("Network Error"));
+    renderApp();
+
+    fireEvent.click(screen.getByRole("button", { name: "Log out" }));
+
+    expect(await screen.findByText("Signed out")).toBeInTheDocument();
+    expect(authApi.logout).toHaveBeenCalledWith({ refreshToken: "refresh-1", allDevices: true });
+  });
+
+  it("sends the user to the login page when the session expires", () => {
+    saveSession(issued());
+    renderApp("/drafts");
+
+    act(() => clearSession("expired"));
+
+    expect(screen.getByText("Login page: back to /drafts (expired)")).toBeInTheDocument();
+  });
+
+  it("sends the user to the login page when a request needs one", () => {
+    renderApp("/posts/new");
+
+    act(() => requireLogin());
+
+    expect(screen.getByText("Login page: back to /posts/new (login-required)")).toBeInTheDocument();
+  });
+
+  it("stays on the page after an explicit logout elsewhere", () => {
+    saveSession(issued());
+    renderApp();
+
+    act(() => clearSession("logout"));
+
+    expect(screen.getByText("Signed out")).toBeInTheDocument();
+  });
+
+  it("refreshes the session a minute before the access token expires", () => {
+    jest.useFakeTimers();
+    saveSession(issued("1", 5 * 60));
+    renderApp();
+
+    act(() => jest.advanceTimersByTime(4 * 60 * 1000 - 1));
+    expect(refreshSession).not.toHaveBeenCalled();
+
+    act(() => jest.advanceTimersByTime(1));
+    expect(refreshSession).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("displayNameOf", () => {
+  it("prefers the display name, then the full name, then the username", () => {
+    expect(displayNameOf({ displayName: "Ada L.", firstName: "Ada", username: "ada" })).toBe("Ada L.");
+    expect(displayNameOf({ firstName: "Ada", lastName: "Lovelace", username: "ada" })).toBe("Ada Lovelace");
+    expect(displayNameOf({ username: "ada" })).toBe("ada");
+    expect(displayNameOf(null)).toBeNull();
+  });
+});
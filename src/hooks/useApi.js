@@ -1,31 +1,74 @@
-import { useState, useEffect, useCallback } from 'react';
-import axios from 'axios';
+import { useState, useEffect, useCallback, useRef } from 'react';
 
-export const useApiConfig = () => {
-  const postsUrl = process.env.REACT_APP_POSTS_SERVICE_URL || "http://localhost:4000";
-  const commentsUrl = process.env.REACT_APP_COMMENTS_SERVICE_URL || "http://localhost:4001";
+// All services are reached through the API gateway; the per-service URLs
+// are only needed to bypass it (e.g. when running a single service locally)
+export const getApiConfig = () => {
+  const gatewayUrl = process.env.REACT_APP_API_GATEWAY_URL || "http://localhost:5000";
+  const postsUrl = process.env.REACT_APP_POSTS_SERVICE_URL || gatewayUrl;
+  const commentsUrl = process.env.REACT_APP_COMMENTS_SERVICE_URL || gatewayUrl;
+  const authUrl = process.env.REACT_APP_AUTH_SERVICE_URL || gatewayUrl;
   
-  return { postsUrl, commentsUrl };
+  return { gatewayUrl, postsUrl, commentsUrl, authUrl };
 };
 
-export const useApiCall = (apiCall, dependencies = []) => {
+export const useApiConfig = () => getApiConfig();
+
+// Services report errors as { error: { message, details } } (posts-service)
+// or { error, code, message? } (comments-service, auth-service)
+export const getErrorMessage = (err) => {
+  const body = err.response?.data;
+  if (typeof body?.error === 'string') return body.message || body.error;
+  return body?.error?.message || body?.message || err.message || 'An error occurred';
+};
+
+// Map validation details to { field: message }, keeping the first message per field.
+// Array items ("tags.2") are reported against the array itself.
+export const getFieldErrors = (err) => {
+  const body = err.response?.data;
+  const details = body?.error?.details || body?.details;
+  if (!Array.isArray(details)) return {};
+
+  return details.reduce((fields, { field, message }) => {
+    const key = (field || '').replace(/\.\d+$/, '');
+    if (key && !fields[key]) fields[key] = message;
+    return fields;
+  }, {});
+};
+
+// Machine-readable failure details: the service error code, HTTP status, any retry hint
+// and when a locked account unlocks (auth-service)
+export const getErrorInfo = (err) => {
+  const body = err.response?.data || {};
+  return {
+    code: body.code || body.error?.code || null,
+    status: err.response?.status || null,
+    retryAfter: body.retryAfter || err.response?.headers?.['retry-after'] || null,
+    unlockAt: body.unlockAt || null
+  };
+};
+
+// apiCall must be memoized (useCallback); a new function triggers a new request
+export const useApiCall = (apiCall) => {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Only the latest call may update state, so a slow earlier response cannot overwrite a newer one
+  const latestCall = useRef(0);
 
   const execute = useCallback(async () => {
+    const callId = ++latestCall.current;
     try {
       setLoading(true);
       setError(null);
       const result = await apiCall();
-      setData(result);
+      if (callId === latestCall.current) setData(result);
     } catch (err) {
-      setError(err.message || 'An error occurred');
+      if (callId === latestCall.current) setError(getErrorMessage(err));
       console.error('API call failed:', err);
     } finally {
-      setLoading(false);
+      if (callId === latestCall.current) setLoading(false);
     }
-  }, dependencies);
+  }, [apiCall]);
 
   useEffect(() => {
     execute();
@@ -41,20 +84,28 @@ export const useApiCall = (apiCall, dependencies = []) => {
 export const useApiSubmit = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [errorInfo, setErrorInfo] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
 
   const submit = useCallback(async (apiCall, onSuccess) => {
     try {
       setLoading(true);
       setError(null);
-      await apiCall();
-      if (onSuccess) onSuccess();
+      setErrorInfo(null);
+      setFieldErrors({});
+      const result = await apiCall();
+      if (onSuccess) onSuccess(result);
+      return true;
     } catch (err) {
-      setError(err.message || 'An error occurred');
+      setError(getErrorMessage(err));
+      setErrorInfo(getErrorInfo(err));
+      setFieldErrors(getFieldErrors(err));
       console.error('API submit failed:', err);
+      return false;
     } finally {
       setLoading(false);
     }
   }, []);
 
-  return { submit, loading, error };
+  return { submit, loading, error, errorInfo, fieldErrors };
 };
\ No newline at end of file
@@ -0,0 +1,49 @@
+import { useCallback, useState } from 'react';
+import { displayNameOf, useAuth } from '../context/AuthContext';
+
+const STORAGE_KEY = 'blogspace.commentAuthor';
+
+const readStoredAuthor = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return stored && stored.name && stored.email ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+// Identity sent as `author` with new comments. Signed-in users comment under their account;
+// guests enter a name and email once and it is remembered in localStorage unless they opt out.
+export const useCommentAuthor = () => {
+  const { user, isAuthenticated } = useAuth();
+  const [guest, setGuest] = useState(readStoredAuthor);
+
+  const rememberGuest = useCallback((author, remember = true) => {
+    const value = { name: author.name.trim(), email: author.email.trim().toLowerCase() };
+    try {
+      if (remember) {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+      } else {
+        window.localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch {
+      // Storage can be unavailable (private mode); the identity still applies to this session
+    }
+    setGuest(value);
+  }, []);
+
+  const forgetGuest = useCallback(() => {
+    try {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } catch {
+      // Nothing stored
+    }
+    setGuest(null);
+  }, []);
+
+  const author = isAuthenticated && user?.email
+    ? { name: displayNameOf(user), email: user.email }
+    : guest;
+
+  return { author, isAuthenticated, rememberGuest, forgetGuest };
+};
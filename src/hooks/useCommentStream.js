@@ -0,0 +1,38 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { subscribeToComments } from '../services/commentStream';
+
+// Receive live comment events for a post while mounted. The latest `onEvent` is always
+// called, so handlers can read current state without resubscribing.
+export const useCommentStream = (postId, onEvent) => {
+  const handlerRef = useRef(onEvent);
+  handlerRef.current = onEvent;
+
+  useEffect(() => {
+    if (!postId) return undefined;
+    return subscribeToComments(postId, (event) => handlerRef.current(event));
+  }, [postId]);
+};
+
+// Count each comment's removal once, whether the reader deleted it or the stream reported it.
+// `track(commentId, removed)` returns true when it changed the count through `adjustCount(delta)`.
+export const useRemovalTracker = (adjustCount) => {
+  const removedIds = useRef(new Set());
+
+  return useCallback((commentId, removed) => {
+    if (removedIds.current.has(commentId) === removed) return false;
+    if (removed) removedIds.current.add(commentId);
+    else removedIds.current.delete(commentId);
+    adjustCount(removed ? -1 : 1);
+    return true;
+  }, [adjustCount]);
+};
+
+// Whether a stream event takes a loaded comment off the page. Authors keep their own comment
+// while an edit awaits moderation, as CommentThread tells them it is hidden from others.
+export const removesComment = (event, comment, user) => {
+  if (!comment || comment._id !== event.commentId) return false;
+  if (event.type === 'comment.deleted') return true;
+  if (event.type !== 'comment.hidden') return false;
+  const isOwn = Boolean(user?.id && comment.author?.userId === user.id);
+  return !(isOwn && event.status === 'pending');
+};
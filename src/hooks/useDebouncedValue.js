@@ -0,0 +1,13 @@
+import { useEffect, useState } from 'react';
+
+// `value` once it has stopped changing for `delayMs`
+export const useDebouncedValue = (value, delayMs = 300) => {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delayMs);
+    return () => clearTimeout(timer);
+  }, [value, delayMs]);
+
+  return debounced;
+};
@@ -0,0 +1,15 @@
+import { useEffect, useState } from 'react';
+
+// Current time in milliseconds, refreshed every `intervalMs` while `active`
+export const useNow = (intervalMs = 1000, active = true) => {
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    if (!active) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs, active]);
+
+  return now;
+};
@@ -0,0 +1,24 @@
+import React, { useCallback } from "react";
+import { useParams } from "react-router-dom";
+import PostList from "../PostList";
+import { useApiConfig } from "../hooks/useApi";
+import { postsApi } from "../services/api";
+
+const AuthorPage = () => {
+  const { author } = useParams();
+  const { postsUrl } = useApiConfig();
+
+  const fetchPosts = useCallback((params) =>
+    postsApi.getPostsByAuthor(postsUrl, author, params),
+    [postsUrl, author]
+  );
+
+  return (
+    <div className="section">
+      <h2 className="section-title">✍️ Posts by {author}</h2>
+      <PostList fetchPosts={fetchPosts} hiddenFilters={["author"]} emptyMessage={`${author} has not published anything yet.`} />
+    </div>
+  );
+};
+
+export default AuthorPage;
@@ -0,0 +1,50 @@
+import React, { useCallback } from "react";
+import { Link, useParams } from "react-router-dom";
+import PostList from "../PostList";
+import { useApiConfig, useApiCall } from "../hooks/useApi";
+import { postsApi, categoriesApi } from "../services/api";
+
+const CategoryPage = () => {
+  const { slug } = useParams();
+  const { postsUrl } = useApiConfig();
+
+  const fetchCategory = useCallback(() =>
+    categoriesApi.getCategoryBySlug(postsUrl, slug).then(res => res.data.data),
+    [postsUrl, slug]
+  );
+
+  const { data: category, loading, error } = useApiCall(fetchCategory);
+
+  const categoryId = category?._id;
+  const fetchPosts = useCallback((params) =>
+    postsApi.getPostsByCategory(postsUrl, categoryId, params),
+    [postsUrl, categoryId]
+  );
+
+  if (loading) {
+    return (
+      <div className="section">
+        <p className="page-status">⏳ Loading category...</p>
+      </div>
+    );
+  }
+
+  if (error || !category) {
+    return (
+      <div className="section">
+        <p className="page-status error">❌ {error || "Category not found"}</p>
+        <Link to="/" className="read-more">← Back to all posts</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="section">
+      <h2 className="section-title">📂 {category.name}</h2>
+      {category.description && <p className="page-description">{category.description}</p>}
+      <PostList fetchPosts={fetchPosts} hiddenFilters={["category"]} emptyMessage="No posts in this category yet." />
+    </div>
+  );
+};
+
+export default CategoryPage;
@@ -0,0 +1,27 @@
+import React, { useState } from "react";
+import PostCreate from "../PostCreate";
+import PostList from "../PostList";
+
+const HomePage = () => {
+  const [refreshTrigger, setRefreshTrigger] = useState(0);
+
+  const handlePostCreated = () => {
+    setRefreshTrigger(prev => prev + 1);
+  };
+
+  return (
+    <>
+      <div className="section">
+        <h2 className="section-title">✨ Create New Post</h2>
+        <PostCreate onPostCreated={handlePostCreated} />
+      </div>
+
+      <div className="section">
+        <h2 className="section-title">📚 Recent Posts</h2>
+        <PostList key={refreshTrigger} />
+      </div>
+    </>
+  );
+};
+
+export default HomePage;
@@ -0,0 +1,104 @@
+import React, { useState } from "react";
+import { Link, Navigate, useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { useApiSubmit } from "../hooks/useApi";
+import { describeAuthError, LOGIN_REASONS } from "../utils/authErrors";
+
+// Where to go after signing in: the page that sent the user here, or home
+export const redirectTarget = (location) => {
+  const from = location.state?.from;
+  if (!from || ["/login", "/register"].includes(from.pathname)) return "/";
+  return `${from.pathname}${from.search || ""}${from.hash || ""}`;
+};
+
+const LoginPage = () => {
+  const { login, isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [form, setForm] = useState({ login: "", password: "", rememberMe: false });
+  const { submit, loading, error, errorInfo, fieldErrors } = useApiSubmit();
+
+  if (isAuthenticated && !loading) {
+    return <Navigate to={redirectTarget(location)} replace />;
+  }
+
+  const updateField = (field) => (event) => {
+    const { type, checked, value } = event.target;
+    setForm(prev => ({ ...prev, [field]: type === "checkbox" ? checked : value }));
+  };
+
+  const onSubmit = async (event) => {
+    event.preventDefault();
+    await submit(
+      () => login({ login: form.login.trim(), password: form.password, rememberMe: form.rememberMe }),
+      () => navigate(redirectTarget(location), { replace: true })
+    );
+  };
+
+  const reason = !error && LOGIN_REASONS[location.state?.reason];
+
+  return (
+    <div className="section auth-section">
+      <h2 className="section-title">🔐 Sign in</h2>
+      {reason && <div className="comment-notice">{reason}</div>}
+      <form className="enhanced-form" onSubmit={onSubmit} noValidate>
+        <div className="form-group">
+          <label className="form-label" htmlFor="login">👤 Email or username</label>
+          <input
+            id="login"
+            value={form.login}
+            onChange={updateField("login")}
+            className={`form-control${fieldErrors.login ? " invalid" : ""}`}
+            autoComplete="username"
+            disabled={loading}
+            autoFocus
+            required
+          />
+          {fieldErrors.login && <div className="field-error">{fieldErrors.login}</div>}
+        </div>
+        <div className="form-group">
+          <label className="form-label" htmlFor="password">🔑 Password</label>
+          <input
+            id="password"
+            type="password"
+            value={form.password}
+            onChange={updateField("password")}
+            className={`form-control${fieldErrors.password ? " invalid" : ""}`}
+            autoComplete="current-password"
+            disabled={loading}
+            required
+          />
+          {fieldErrors.password && <div className="field-error">{fieldErrors.password}</div>}
+        </div>
+        <label className="remember-option">
+          <input
+            type="checkbox"
+            checked={form.rememberMe}
+            onChange={updateField("rememberMe")}
+            disabled={loading}
+          />
+          Keep me signed in on this device
+        </label>
+
+        {error && (
+          <div style={{ color: '#e53e3e', marginBottom: '10px', fontSize: '0.9rem' }}>
+            ❌ {describeAuthError(errorInfo, error)}
+            {errorInfo?.code && <span className="error-code">{errorInfo.code}</span>}
+          </div>
+        )}
+        <button
+          className="btn btn-primary"
+          type="submit"
+          disabled={loading || !form.login.trim() || !form.password}
+        >
+          {loading ? "⏳ Signing in..." : "🔓 Sign in"}
+        </button>
+      </form>
+      <p className="auth-switch">
+        New here? <Link to="/register" state={location.state}>Create an account</Link>
+      </p>
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,46 @@
+import React from "react";
+import { Navigate, NavLink, Route, Routes, useLocation } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import ModerationQueue from "../ModerationQueue";
+import ReportsInbox from "../ReportsInbox";
+import ModerationStats from "../ModerationStats";
+
+// Moderator area over the comments-service /admin API. Statistics need the admin role.
+const ModerationPage = () => {
+  const { isAuthenticated, isModerator, isAdmin } = useAuth();
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" state={{ from: location, reason: "login-required" }} replace />;
+  }
+
+  if (!isModerator) {
+    return (
+      <div className="section">
+        <p className="page-status">🔒 The moderation area is only available to moderators.</p>
+      </div>
+    );
+  }
+
+  const tabClass = ({ isActive }) => `moderation-tab${isActive ? " active" : ""}`;
+
+  return (
+    <div className="section">
+      <h2 className="section-title">🛡️ Moderation</h2>
+      <nav className="moderation-tabs">
+        <NavLink to="/moderation" end className={tabClass}>Comment queue</NavLink>
+        <NavLink to="/moderation/reports" className={tabClass}>Reports</NavLink>
+        {isAdmin && <NavLink to="/moderation/stats" className={tabClass}>Statistics</NavLink>}
+      </nav>
+
+      <Routes>
+        <Route index element={<ModerationQueue />} />
+        <Route path="reports" element={<ReportsInbox />} />
+        {isAdmin && <Route path="stats" element={<ModerationStats />} />}
+        <Route path="*" element={<Navigate to="/moderation" replace />} />
+      </Routes>
+    </div>
+  );
+};
+
+export default ModerationPage;
@@ -0,0 +1,11 @@
+import React from "react";
+import { Link } from "react-router-dom";
+
+const NotFoundPage = () => (
+  <div className="section">
+    <p className="page-status">🧭 This page does not exist.</p>
+    <Link to="/" className="read-more">← Back to all posts</Link>
+  </div>
+);
+
+export default NotFoundPage;
@@ -0,0 +1,93 @@
+import React, { useCallback, useEffect, useMemo } from "react";
+import { Link, useParams } from "react-router-dom";
+import DOMPurify from "dompurify";
+import CommentList from "../CommentList";
+import PostLikeButton from "../PostLikeButton";
+import PostMeta from "../PostMeta";
+import { useApiConfig, useApiCall } from "../hooks/useApi";
+import { postsApi, statsApi } from "../services/api";
+
+const PostPage = () => {
+  const { slug } = useParams();
+  const { postsUrl } = useApiConfig();
+
+  const fetchPost = useCallback(() =>
+    postsApi.getPostBySlug(postsUrl, slug).then(res => res.data.data),
+    [postsUrl, slug]
+  );
+
+  const { data: post, loading, error } = useApiCall(fetchPost);
+  const postId = post?._id;
+
+  // Reading the post does not count a view; posts-service drops repeat views itself
+  useEffect(() => {
+    if (postId) {
+      statsApi.recordView(postsUrl, postId).catch(() => {});
+    }
+  }, [postsUrl, postId]);
+
+  // contentHtml is sanitized by posts-service; sanitize again since it is injected as HTML
+  const html = useMemo(
+    () => DOMPurify.sanitize(post?.contentHtml || ""),
+    [post]
+  );
+
+  if (loading) {
+    return (
+      <div className="section">
+        <p className="page-status">⏳ Loading post...</p>
+      </div>
+    );
+  }
+
+  if (error || !post) {
+    return (
+      <div className="section">
+        <p className="page-status error">❌ {error || "Post not found"}</p>
+        <Link to="/" className="read-more">← Back to all posts</Link>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <article className="section post-detail">
+        <h1 className="post-detail-title">{post.title}</h1>
+        <PostMeta post={post} />
+
+        {post.featuredImage?.url && (
+          <img
+            className="post-featured-image"
+            src={post.featuredImage.url}
+            alt={post.featuredImage.alt || post.title}
+          />
+        )}
+
+        {post.toc?.length > 1 && (
+          <nav className="post-toc">
+            <h4>Contents</h4>
+            <ul>
+              {post.toc.map(entry => (
+                <li key={entry.id} className={`toc-level-${entry.level}`}>
+                  <a href={`#${entry.id}`}>{entry.text}</a>
+                </li>
+              ))}
+            </ul>
+          </nav>
+        )}
+
+        <div className="post-content" dangerouslySetInnerHTML={{ __html: html }} />
+
+        <div className="post-reactions">
+          <PostLikeButton post={post} syncState />
+        </div>
+      </article>
+
+      <div className="section comments-section">
+        <CommentList postId={post._id} />
+      </div>
+    </>
+  );
+};
+
+export default PostPage;
@@ -0,0 +1,190 @@
+import React, { useState } from "react";
+import { Link, Navigate, useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { useApiSubmit } from "../hooks/useApi";
+import { describeAuthError } from "../utils/authErrors";
+import { redirectTarget } from "./LoginPage";
+
+const initialForm = {
+  email: "",
+  username: "",
+  firstName: "",
+  lastName: "",
+  password: "",
+  confirmPassword: ""
+};
+
+// Mirrors the auth-service password rules so most mistakes are caught before submitting
+const PASSWORD_RULES = [
+  { test: (value) => value.length >= 8, label: "at least 8 characters" },
+  { test: (value) => /[a-z]/.test(value), label: "a lowercase letter" },
+  { test: (value) => /[A-Z]/.test(value), label: "an uppercase letter" },
+  { test: (value) => /[0-9]/.test(value), label: "a number" }
+];
+
+// auth-service rejects empty strings for the optional name fields
+const buildPayload = (form) => {
+  const payload = {
+    email: form.email.trim(),
+    username: form.username.trim(),
+    password: form.password,
+    confirmPassword: form.confirmPassword
+  };
+  if (form.firstName.trim()) payload.firstName = form.firstName.trim();
+  if (form.lastName.trim()) payload.lastName = form.lastName.trim();
+  return payload;
+};
+
+const FieldError = ({ message }) =>
+  message ? <div className="field-error">{message}</div> : null;
+
+const RegisterPage = () => {
+  const { register, isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [form, setForm] = useState(initialForm);
+  const { submit, loading, error, errorInfo, fieldErrors } = useApiSubmit();
+
+  if (isAuthenticated && !loading) {
+    return <Navigate to={redirectTarget(location)} replace />;
+  }
+
+  const updateField = (field) => (event) =>
+    setForm(prev => ({ ...prev, [field]: event.target.value }));
+
+  const passwordMismatch = form.confirmPassword && form.confirmPassword !== form.password;
+  const passwordValid = PASSWORD_RULES.every(rule => rule.test(form.password));
+  const canSubmit = form.email.trim() && form.username.trim() && passwordValid && form.confirmPassword && !passwordMismatch;
+
+  const onSubmit = async (event) => {
+    event.preventDefault();
+    if (!canSubmit) return;
+
+    await submit(
+      () => register(buildPayload(form)),
+      () => navigate(redirectTarget(location), { replace: true })
+    );
+  };
+
+  const inputClass = (field) => `form-control${fieldErrors[field] ? " invalid" : ""}`;
+
+  return (
+    <div className="section auth-section">
+      <h2 className="section-title">✨ Create an account</h2>
+      <form className="enhanced-form" onSubmit={onSubmit} noValidate>
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label" htmlFor="email">✉️ Email</label>
+            <input
+              id="email"
+              type="email"
+              value={form.email}
+              onChange={updateField("email")}
+              className={inputClass("email")}
+              autoComplete="email"
+              disabled={loading}
+              autoFocus
+              required
+            />
+            <FieldError message={fieldErrors.email} />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="username">👤 Username</label>
+            <input
+              id="username"
+              value={form.username}
+              onChange={updateField("username")}
+              className={inputClass("username")}
+              autoComplete="username"
+              maxLength={30}
+              disabled={loading}
+              required
+            />
+            <FieldError message={fieldErrors.username} />
+          </div>
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label" htmlFor="firstName">First name <span className="optional">(optional)</span></label>
+            <input
+              id="firstName"
+              value={form.firstName}
+              onChange={updateField("firstName")}
+              className={inputClass("firstName")}
+              autoComplete="given-name"
+              maxLength={50}
+              disabled={loading}
+            />
+            <FieldError message={fieldErrors.firstName} />
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="lastName">Last name <span className="optional">(optional)</span></label>
+            <input
+              id="lastName"
+              value={form.lastName}
+              onChange={updateField("lastName")}
+              className={inputClass("lastName")}
+              autoComplete="family-name"
+              maxLength={50}
+              disabled={loading}
+            />
+            <FieldError message={fieldErrors.lastName} />
+          </div>
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label" htmlFor="password">🔑 Password</label>
+            <input
+              id="password"
+              type="password"
+              value={form.password}
+              onChange={updateField("password")}
+              className={inputClass("password")}
+              autoComplete="new-password"
+              maxLength={128}
+              disabled={loading}
+              required
+            />
+            <FieldError message={fieldErrors.password} />
+            <ul className="password-rules">
+              {PASSWORD_RULES.map(rule => (
+                <li key={rule.label} className={rule.test(form.password) ? "met" : ""}>{rule.label}</li>
+              ))}
+            </ul>
+          </div>
+          <div className="form-group">
+            <label className="form-label" htmlFor="confirmPassword">🔁 Confirm password</label>
+            <input
+              id="confirmPassword"
+              type="password"
+              value={form.confirmPassword}
+              onChange={updateField("confirmPassword")}
+              className={`form-control${fieldErrors.confirmPassword || passwordMismatch ? " invalid" : ""}`}
+              autoComplete="new-password"
+              disabled={loading}
+              required
+            />
+            <FieldError message={fieldErrors.confirmPassword || (passwordMismatch && "Passwords do not match")} />
+          </div>
+        </div>
+
+        {error && (
+          <div style={{ color: '#e53e3e', marginBottom: '10px', fontSize: '0.9rem' }}>
+            ❌ {describeAuthError(errorInfo, error)}
+            {errorInfo?.code && <span className="error-code">{errorInfo.code}</span>}
+          </div>
+        )}
+        <button className="btn btn-primary" type="submit" disabled={loading || !canSubmit}>
+          {loading ? "⏳ Creating account..." : "🚀 Create account"}
+        </button>
+      </form>
+      <p className="auth-switch">
+        Already have an account? <Link to="/login" state={location.state}>Sign in</Link>
+      </p>
+    </div>
+  );
+};
+
+export default RegisterPage;
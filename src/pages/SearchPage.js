@@ -0,0 +1,233 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import Highlight from "../Highlight";
+import Pagination from "../Pagination";
+import PostMeta from "../PostMeta";
+import { useApiConfig, useApiCall } from "../hooks/useApi";
+import { useDebouncedValue } from "../hooks/useDebouncedValue";
+import { postsApi } from "../services/api";
+
+const PAGE_SIZE = 10;
+const MIN_QUERY_LENGTH = 2;
+
+// The query, facet filters and page live in the URL like the post listings' filters
+const readSearch = (searchParams) => ({
+  q: (searchParams.get("q") || "").trim(),
+  category: searchParams.get("category") || "",
+  tag: searchParams.get("tag") || "",
+  author: searchParams.get("author") || "",
+  page: Math.max(1, parseInt(searchParams.get("page"), 10) || 1)
+});
+
+// Counts for one facet; the selected value is toggled off when clicked again
+const FacetList = ({ title, items, selected, onSelect }) => {
+  if (items.length === 0) return null;
+
+  return (
+    <div className="search-facet">
+      <h4 className="search-facet-title">{title}</h4>
+      <ul className="search-facet-list">
+        {items.map(({ value, label, count }) => (
+          <li key={value}>
+            <button
+              type="button"
+              className={`search-facet-option${value === selected ? " active" : ""}`}
+              onClick={() => onSelect(value === selected ? "" : value)}
+              aria-pressed={value === selected}
+            >
+              <span>{label}</span>
+              <span className="search-facet-count">{count}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const SearchResult = ({ post }) => (
+  <li className="search-result">
+    <h3 className="post-title">
+      <Link to={`/posts/${post.slug}`} className="post-link">
+        <Highlight {...post.highlights.title} />
+      </Link>
+    </h3>
+    <PostMeta post={post} />
+    {post.highlights.snippet.text && (
+      <p className="search-snippet">
+        <Highlight {...post.highlights.snippet} />
+      </p>
+    )}
+  </li>
+);
+
+// Full-text search over published posts. Results update as the reader types and
+// are ranked by relevance; facets narrow them by category, tag and author.
+const SearchPage = () => {
+  const { postsUrl } = useApiConfig();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const search = useMemo(() => readSearch(searchParams), [searchParams]);
+  const [query, setQuery] = useState(search.q);
+  const debouncedQuery = useDebouncedValue(query.trim());
+
+  // Follow the URL when it changes elsewhere (back button, header link) without
+  // touching whitespace the reader is still typing
+  useEffect(() => {
+    setQuery(current => (current.trim() === search.q ? current : search.q));
+  }, [search.q]);
+
+  // Each change sets or clears the given params and goes back to the first page
+  const updateSearch = useCallback((changes, options) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) next.set(key, value);
+        else next.delete(key);
+      });
+      next.delete("page");
+      return next;
+    }, options);
+  }, [setSearchParams]);
+
+  // Typing replaces the history entry so Back leaves the page instead of replaying keystrokes
+  useEffect(() => {
+    if (debouncedQuery !== search.q) {
+      updateSearch({ q: debouncedQuery }, { replace: true });
+    }
+  }, [debouncedQuery]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const submitSearch = (event) => {
+    event.preventDefault();
+    if (query.trim() !== search.q) {
+      updateSearch({ q: query.trim() }, { replace: true });
+    }
+  };
+
+  const changePage = (page) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev);
+      if (page > 1) next.set("page", page);
+      else next.delete("page");
+      return next;
+    });
+  };
+
+  const canSearch = search.q.length >= MIN_QUERY_LENGTH;
+
+  const fetchResults = useCallback(() => {
+    if (!canSearch) return Promise.resolve(null);
+
+    const params = { q: search.q, page: search.page, limit: PAGE_SIZE };
+    if (search.category) params.category = search.category;
+    if (search.tag) params.tags = search.tag;
+    if (search.author) params.author = search.author;
+
+    return postsApi.searchPosts(postsUrl, params).then(res => ({
+      posts: res.data.data,
+      pagination: res.data.pagination,
+      facets: res.data.meta.facets
+    }));
+  }, [postsUrl, canSearch, search]);
+
+  const { data, loading, error, refetch } = useApiCall(fetchResults);
+
+  const facets = data?.facets || { categories: [], tags: [], authors: [] };
+  const hasFilters = Boolean(search.category || search.tag || search.author);
+  const posts = data?.posts || [];
+  const total = data?.pagination?.totalCount ?? posts.length;
+
+  const renderResults = () => {
+    if (!canSearch) {
+      return <p className="search-status">Type at least {MIN_QUERY_LENGTH} characters to search posts.</p>;
+    }
+    if (error) {
+      return (
+        <p className="search-status error">
+          ❌ {error}{" "}
+          <button type="button" className="link-button" onClick={refetch}>🔄 Retry</button>
+        </p>
+      );
+    }
+    if (!data) {
+      return <p className="search-status">⏳ Searching...</p>;
+    }
+    if (posts.length === 0) {
+      return (
+        <p className="search-status">
+          🔍 No posts match “{search.q}”{hasFilters ? " with these filters" : ""}.
+        </p>
+      );
+    }
+
+    return (
+      <>
+        <ul className={`search-results${loading ? " stale" : ""}`} aria-busy={loading}>
+          {posts.map(post => <SearchResult key={post._id} post={post} />)}
+        </ul>
+        <Pagination pagination={data.pagination} onPageChange={changePage} disabled={loading} label="Search results pages" />
+      </>
+    );
+  };
+
+  return (
+    <div className="section">
+      <h2 className="section-title">🔍 Search</h2>
+      <form className="search-form" role="search" onSubmit={submitSearch}>
+        <input
+          type="search"
+          className="form-control search-input"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder='Search posts, e.g. react hooks or "error handling"'
+          aria-label="Search posts"
+          maxLength={100}
+          autoFocus
+        />
+      </form>
+
+      <div className="search-layout">
+        {canSearch && (
+          <aside className="search-facets" aria-label="Refine results">
+            <FacetList
+              title="Categories"
+              items={facets.categories.map(({ id, name, count }) => ({ value: id, label: name, count }))}
+              selected={search.category}
+              onSelect={(category) => updateSearch({ category })}
+            />
+            <FacetList
+              title="Tags"
+              items={facets.tags.map(({ tag, count }) => ({ value: tag, label: `#${tag}`, count }))}
+              selected={search.tag}
+              onSelect={(tag) => updateSearch({ tag })}
+            />
+            <FacetList
+              title="Authors"
+              items={facets.authors.map(({ author, count }) => ({ value: author, label: author, count }))}
+              selected={search.author}
+              onSelect={(author) => updateSearch({ author })}
+            />
+            {hasFilters && (
+              <button
+                type="button"
+                className="filter-reset"
+                onClick={() => updateSearch({ category: "", tag: "", author: "" })}
+              >
+                ✖ Clear filters
+              </button>
+            )}
+          </aside>
+        )}
+        <div className="search-main">
+          {canSearch && data && (
+            <p className="search-summary">
+              {total} result{total === 1 ? "" : "s"} for “{search.q}”
+            </p>
+          )}
+          {renderResults()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SearchPage;
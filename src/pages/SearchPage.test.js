@@ -0,0 +1,161 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import { Link, MemoryRouter, useLocation } from "react-router-dom";
+import SearchPage from "./SearchPage";
+import { postsApi } from "../services/api";
+
+jest.mock("../services/api", () => ({
+  postsApi: { searchPosts: jest.fn() },
+  statsApi: { getPostLikes: jest.fn() }
+}));
+
+const result = (id, title, titleMatches, snippet = { text: "", matches: [] }) => ({
+  _id: id,
+  slug: `post-${id}`,
+  title,
+  highlights: { title: { text: title, matches: titleMatches }, snippet }
+});
+
+const searchResponse = (posts, facets = {}) => ({
+  data: {
+    data: posts,
+    pagination: { currentPage: 1, totalPages: 1, totalCount: posts.length },
+    meta: { facets: { categories: [], tags: [], authors: [], ...facets } }
+  }
+});
+
+const FACETS = {
+  categories: [{ id: "c1", name: "Frontend", count: 2 }],
+  tags: [{ tag: "react", count: 2 }, { tag: "hooks", count: 1 }],
+  authors: [{ author: "ada", count: 2 }]
+};
+
+let currentLocation;
+const LocationProbe = () => {
+  currentLocation = useLocation();
+  return null;
+};
+
+const renderSearch = (url = "/search") => render(
+  <MemoryRouter initialEntries={["/", url]} initialIndex={1}>
+    <SearchPage />
+    <LocationProbe />
+  </MemoryRouter>
+);
+
+const searchBox = () => screen.getByRole("searchbox", { name: "Search posts" });
+
+describe("SearchPage", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    postsApi.searchPosts.mockImplementation(() => Promise.resolve(searchResponse([
+      result("1", "React hooks in depth", [[0, 5]], { text: "…using react hooks…", matches: [[7, 12]] }),
+      result("2", "State in React", [[9, 14]])
+    ], FACETS)));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("asks for a longer query before searching", () => {
+    renderSearch("/search?q=r");
+
+    expect(screen.getByText("Type at least 2 characters to search posts.")).toBeInTheDocument();
+    expect(postsApi.searchPosts).not.toHaveBeenCalled();
+  });
+
+  it("searches with the URL query and filters and marks the matches", async () => {
+    renderSearch("/search?q=react&tag=hooks&author=ada&page=2");
+
+    expect(await screen.findByText("2 results for “react”")).toBeInTheDocument();
+    expect(postsApi.searchPosts).toHaveBeenCalledWith(expect.any(String), {
+      q: "react",
+      page: 2,
+      limit: 10,
+      tags: "hooks",
+      author: "ada"
+    });
+    expect(screen.getByRole("link", { name: "React hooks in depth" })).toHaveAttribute("href", "/posts/post-1");
+    expect(screen.getAllByText(/^react$/i, { selector: "mark" }).map(mark => mark.textContent)).toEqual(["React", "react", "React"]);
+  });
+
+  it("searches once typing pauses and replaces the history entry", async () => {
+    renderSearch();
+    const entry = currentLocation.key;
+
+    fireEvent.change(searchBox(), { target: { value: "re" } });
+    fireEvent.change(searchBox(), { target: { value: "react " } });
+    expect(postsApi.searchPosts).not.toHaveBeenCalled();
+
+    expect(await screen.findByText("2 results for “react”")).toBeInTheDocument();
+    expect(postsApi.searchPosts).toHaveBeenCalledTimes(1);
+    expect(currentLocation.search).toBe("?q=react");
+    expect(currentLocation.key).not.toBe(entry);
+    expect(searchBox()).toHaveValue("react ");
+  });
+
+  it("searches straight away on Enter", async () => {
+    renderSearch();
+
+    fireEvent.change(searchBox(), { target: { value: "hooks" } });
+    fireEvent.submit(searchBox());
+
+    expect(currentLocation.search).toBe("?q=hooks");
+    expect(await screen.findByText("2 results for “hooks”")).toBeInTheDocument();
+  });
+
+  it("follows the query when the URL changes elsewhere", async () => {
+    render(
+      <MemoryRouter initialEntries={["/search?q=react"]}>
+        <Link to="/search?q=hooks">Search for hooks</Link>
+        <SearchPage />
+      </MemoryRouter>
+    );
+    await screen.findByText("2 results for “react”");
+
+    fireEvent.click(screen.getByRole("link", { name: "Search for hooks" }));
+
+    expect(await screen.findByText("2 results for “hooks”")).toBeInTheDocument();
+    expect(searchBox()).toHaveValue("hooks");
+  });
+
+  it("narrows the results by facet and toggles a facet off again", async () => {
+    renderSearch("/search?q=react&page=2");
+    await screen.findByText("2 results for “react”");
+
+    fireEvent.click(screen.getByRole("button", { name: "#hooks 1" }));
+    expect(await screen.findByRole("button", { name: "#hooks 1", pressed: true })).toBeInTheDocument();
+    expect(currentLocation.search).toBe("?q=react&tag=hooks");
+
+    fireEvent.click(screen.getByRole("button", { name: "#hooks 1" }));
+    expect(await screen.findByRole("button", { name: "#hooks 1", pressed: false })).toBeInTheDocument();
+    expect(currentLocation.search).toBe("?q=react");
+  });
+
+  it("clears every facet filter at once", async () => {
+    renderSearch("/search?q=react&category=c1&author=ada");
+
+    fireEvent.click(await screen.findByRole("button", { name: "✖ Clear filters" }));
+
+    expect(await screen.findByText("2 results for “react”")).toBeInTheDocument();
+    expect(currentLocation.search).toBe("?q=react");
+  });
+
+  it("says when nothing matches the filters", async () => {
+    postsApi.searchPosts.mockResolvedValue(searchResponse([]));
+    renderSearch("/search?q=elm&tag=react");
+
+    expect(await screen.findByText("🔍 No posts match “elm” with these filters.")).toBeInTheDocument();
+  });
+
+  it("shows the error and retries", async () => {
+    postsApi.searchPosts.mockRejectedValueOnce({ response: { data: { error: { message: "Search is unavailable" } } } });
+    renderSearch("/search?q=react");
+
+    expect(await screen.findByText(/Search is unavailable/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole("button", { name: "🔄 Retry" }));
+
+    expect(await screen.findByText("2 results for “react”")).toBeInTheDocument();
+  });
+});
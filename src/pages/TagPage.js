@@ -0,0 +1,24 @@
+import React, { useCallback } from "react";
+import { useParams } from "react-router-dom";
+import PostList from "../PostList";
+import { useApiConfig } from "../hooks/useApi";
+import { postsApi } from "../services/api";
+
+const TagPage = () => {
+  const { tag } = useParams();
+  const { postsUrl } = useApiConfig();
+
+  const fetchPosts = useCallback((params) =>
+    postsApi.getPostsByTag(postsUrl, tag, params),
+    [postsUrl, tag]
+  );
+
+  return (
+    <div className="section">
+      <h2 className="section-title">🏷️ #{tag}</h2>
+      <PostList fetchPosts={fetchPosts} hiddenFilters={["tag"]} emptyMessage="No posts with this tag yet." />
+    </div>
+  );
+};
+
+export default TagPage;
@@ -1,4 +1,12 @@
 import axios from 'axios';
+import { getApiConfig } from '../hooks/useApi';
+import {
+  getAccessToken,
+  getRefreshToken,
+  saveSession,
+  clearSession,
+  requireLogin
+} from './session';
 
 export const createApiService = (baseUrl) => {
   const instance = axios.create({
@@ -14,18 +22,177 @@ export const createApiService = (baseUrl) => {
   };
 };
 
+// Shared client for every service call. Attaches the access token and, on a 401,
+// refreshes the session once and retries; without a usable session it asks for a login.
+const apiClient = axios.create({ timeout: 10000 });
+
+// Concurrent 401s share one refresh, since each refresh token can only be used once
+let pendingRefresh = null;
+
+export const refreshSession = () => {
+  if (!pendingRefresh) {
+    const refreshToken = getRefreshToken();
+
+    pendingRefresh = (refreshToken
+      ? authApi.refresh(refreshToken)
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then(res => {
+        saveSession(res.data.data);
+        return res.data.data.accessToken;
+      })
+      .catch(err => {
+        // A network failure leaves the session alone; a rejected token ends it
+        if (!refreshToken || err.response) clearSession('expired');
+        throw err;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+
+  return pendingRefresh;
+};
+
+apiClient.interceptors.request.use((config) => {
+  const token = getAccessToken();
+  if (token && !config.skipAuth) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+apiClient.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+
+    if (response?.status !== 401 || !config || config.skipAuth || config.retriedAfterRefresh) {
+      throw error;
+    }
+
+    if (!getRefreshToken()) {
+      requireLogin();
+      throw error;
+    }
+
+    let accessToken;
+    try {
+      accessToken = await refreshSession();
+    } catch {
+      throw error;
+    }
+
+    config.retriedAfterRefresh = true;
+    config.headers.Authorization = `Bearer ${accessToken}`;
+    return apiClient(config);
+  }
+);
+
+export const authApi = {
+  register: (userData) =>
+    apiClient.post(`${getApiConfig().authUrl}/auth/register`, userData, { skipAuth: true }),
+
+  login: (credentials) =>
+    apiClient.post(`${getApiConfig().authUrl}/auth/login`, credentials, { skipAuth: true }),
+
+  // Never sends the (possibly expired) access token: the gateway rejects invalid tokens outright
+  refresh: (refreshToken) =>
+    apiClient.post(`${getApiConfig().authUrl}/auth/refresh`, { refreshToken }, { skipAuth: true }),
+
+  logout: (body) =>
+    apiClient.post(`${getApiConfig().authUrl}/auth/logout`, body),
+
+  me: () =>
+    apiClient.get(`${getApiConfig().authUrl}/auth/me`),
+};
+
 export const postsApi = {
-  getPosts: (postsUrl) => 
-    axios.get(`${postsUrl}/posts`),
+  getPosts: (postsUrl, params) => 
+    apiClient.get(`${postsUrl}/posts`, { params }),
+
+  getPostBySlug: (postsUrl, slug) =>
+    apiClient.get(`${postsUrl}/posts/slug/${encodeURIComponent(slug)}`),
+
+  getPostsByCategory: (postsUrl, categoryId, params) =>
+    apiClient.get(`${postsUrl}/posts/category/${categoryId}`, { params }),
+
+  getPostsByAuthor: (postsUrl, author, params) =>
+    apiClient.get(`${postsUrl}/posts/author/${encodeURIComponent(author)}`, { params }),
+
+  getPostsByTag: (postsUrl, tag, params) =>
+    apiClient.get(`${postsUrl}/posts/tags/${encodeURIComponent(tag)}`, { params }),
+
+  searchPosts: (postsUrl, params) =>
+    apiClient.get(`${postsUrl}/posts/search`, { params }),
   
   createPost: (postsUrl, postData) => 
-    axios.post(`${postsUrl}/posts`, postData),
+    apiClient.post(`${postsUrl}/posts`, postData),
+};
+
+export const categoriesApi = {
+  getActiveCategories: (postsUrl) =>
+    apiClient.get(`${postsUrl}/categories/active`, { params: { limit: 100, sortBy: 'name' } }),
+
+  getCategoryBySlug: (postsUrl, slug) =>
+    apiClient.get(`${postsUrl}/categories/slug/${encodeURIComponent(slug)}`),
 };
 
 export const commentsApi = {
-  getComments: (commentsUrl, postId) => 
-    axios.get(`${commentsUrl}/posts/${postId}/comments`),
+  getComments: (commentsUrl, postId, params) => 
+    apiClient.get(`${commentsUrl}/posts/${postId}/comments`, { params }),
+
+  getReplies: (commentsUrl, commentId, params) =>
+    apiClient.get(`${commentsUrl}/comments/${commentId}/replies`, { params }),
   
   createComment: (commentsUrl, postId, commentData) => 
-    axios.post(`${commentsUrl}/posts/${postId}/comments`, commentData),
-};
\ No newline at end of file
+    apiClient.post(`${commentsUrl}/posts/${postId}/comments`, commentData),
+
+  updateComment: (commentsUrl, commentId, content) =>
+    apiClient.put(`${commentsUrl}/comments/${commentId}`, { content }),
+
+  deleteComment: (commentsUrl, commentId) =>
+    apiClient.delete(`${commentsUrl}/comments/${commentId}`),
+
+  likeComment: (commentsUrl, commentId) =>
+    apiClient.post(`${commentsUrl}/comments/${commentId}/like`),
+
+  reportComment: (commentsUrl, commentId, report) =>
+    apiClient.post(`${commentsUrl}/comments/${commentId}/report`, report),
+};
+
+// posts-service engagement API (/stats); views and likes are per user, or per browser fingerprint for guests
+export const statsApi = {
+  recordView: (postsUrl, postId) =>
+    apiClient.post(`${postsUrl}/stats/posts/${postId}/view`),
+
+  getPostLikes: (postsUrl, postId, params) =>
+    apiClient.get(`${postsUrl}/stats/posts/${postId}/likes`, { params }),
+
+  likePost: (postsUrl, postId) =>
+    apiClient.post(`${postsUrl}/stats/posts/${postId}/like`),
+
+  unlikePost: (postsUrl, postId) =>
+    apiClient.delete(`${postsUrl}/stats/posts/${postId}/like`),
+};
+
+// comments-service moderation API (/admin, moderators only; stats are admin only)
+export const moderationApi = {
+  getQueue: (commentsUrl, params) =>
+    apiClient.get(`${commentsUrl}/admin/comments`, { params }),
+
+  moderateComment: (commentsUrl, commentId, decision) =>
+    apiClient.patch(`${commentsUrl}/admin/comments/${commentId}`, decision),
+
+  bulkModerate: (commentsUrl, commentIds, decision) =>
+    apiClient.patch(`${commentsUrl}/admin/comments/bulk`, { commentIds, ...decision }),
+
+  getReports: (commentsUrl, params) =>
+    apiClient.get(`${commentsUrl}/admin/reports`, { params }),
+
+  reviewReport: (commentsUrl, reportId, review) =>
+    apiClient.patch(`${commentsUrl}/admin/reports/${reportId}`, review),
+
+  getStats: (commentsUrl, params) =>
+    apiClient.get(`${commentsUrl}/admin/stats`, { params }),
+};
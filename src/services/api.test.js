@@ -0,0 +1,141 @@
+import axios, { AxiosError } from "axios";
+import { clearSession, getSession, saveSession, subscribe } from "./session";
+
+// Every request goes through this adapter. It is installed before api.js creates its client,
+// so the real request and response interceptors run against canned responses.
+const server = jest.fn();
+axios.defaults.adapter = (config) => server(config);
+const { authApi, postsApi } = require("./api");
+
+const respond = (config, status, data = {}) => {
+  const response = { data, status, statusText: String(status), headers: {}, config };
+  if (status < 400) return Promise.resolve(response);
+  return Promise.reject(new AxiosError(`Request failed with status code ${status}`, "ERR_BAD_REQUEST", config, null, response));
+};
+
+const tokens = (suffix) => ({
+  accessToken: `access-${suffix}`,
+  refreshToken: `refresh-${suffix}`,
+  expiresIn: 900,
+  user: { id: "u1", username: "ada" }
+});
+
+const isRefresh = (config) => config.url.endsWith("/auth/refresh");
+
+// Accepts only the given access token and issues the `next` pair on refresh
+const serveWithToken = (validToken, next) => (config) => {
+  if (isRefresh(config)) return respond(config, 200, { data: next });
+  return config.headers.Authorization === `Bearer ${validToken}`
+    ? respond(config, 200, { data: { url: config.url } })
+    : respond(config, 401, { error: "Token expired", code: "TOKEN_EXPIRED" });
+};
+
+const refreshCalls = () => server.mock.calls.filter(([config]) => isRefresh(config));
+
+describe("api client", () => {
+  let reasons;
+  let unsubscribe;
+
+  beforeEach(() => {
+    clearSession();
+    reasons = [];
+    unsubscribe = subscribe((session, reason) => reasons.push(reason));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+  });
+
+  const signIn = () => {
+    saveSession(tokens("1"));
+    reasons.length = 0;
+  };
+
+  it("sends the access token, except to the public auth endpoints", async () => {
+    signIn();
+    server.mockImplementation((config) => respond(config, 200, { data: tokens("2") }));
+
+    await postsApi.getPosts("http://posts", {});
+    await authApi.login({ login: "ada", password: "secret" });
+
+    const [[posts], [login]] = server.mock.calls;
+    expect(posts.headers.Authorization).toBe("Bearer access-1");
+    expect(login.headers.Authorization).toBeUndefined();
+  });
+
+  it("refreshes an expired session once and retries the request", async () => {
+    signIn();
+    server.mockImplementation(serveWithToken("access-2", tokens("2")));
+
+    const res = await authApi.me();
+
+    expect(res.status).toBe(200);
+    expect(refreshCalls()).toHaveLength(1);
+    expect(JSON.parse(refreshCalls()[0][0].data)).toEqual({ refreshToken: "refresh-1" });
+    expect(server.mock.calls[2][0].headers.Authorization).toBe("Bearer access-2");
+    expect(getSession()).toMatchObject({ accessToken: "access-2", refreshToken: "refresh-2" });
+  });
+
+  it("shares one refresh between concurrent requests", async () => {
+    signIn();
+    server.mockImplementation(serveWithToken("access-2", tokens("2")));
+
+    const results = await Promise.all([authApi.me(), postsApi.getPosts("http://posts", {}), authApi.me()]);
+
+    expect(results.map(res => res.status)).toEqual([200, 200, 200]);
+    expect(refreshCalls()).toHaveLength(1);
+  });
+
+  it("does not refresh again when the retried request is also refused", async () => {
+    signIn();
+    server.mockImplementation(serveWithToken("never-valid", tokens("2")));
+
+    await expect(authApi.me()).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(refreshCalls()).toHaveLength(1);
+    expect(server).toHaveBeenCalledTimes(3);
+  });
+
+  it("ends the session when the refresh token is rejected", async () => {
+    signIn();
+    server.mockImplementation((config) => isRefresh(config)
+      ? respond(config, 401, { error: "Refresh token revoked", code: "REFRESH_TOKEN_REVOKED" })
+      : respond(config, 401, { error: "Token expired", code: "TOKEN_EXPIRED" }));
+
+    const error = await authApi.me().catch(err => err);
+
+    expect(error.response.data.code).toBe("TOKEN_EXPIRED");
+    expect(getSession()).toBeNull();
+    expect(reasons).toEqual(["expired"]);
+  });
+
+  it("keeps the session when the refresh fails on the network", async () => {
+    signIn();
+    server.mockImplementation((config) => isRefresh(config)
+      ? Promise.reject(new AxiosError("Network Error", "ERR_NETWORK", config))
+      : respond(config, 401, { error: "Token expired" }));
+
+    await expect(authApi.me()).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(getSession()).toMatchObject({ refreshToken: "refresh-1" });
+    expect(reasons).toEqual([]);
+  });
+
+  it("asks for a login when there is no session to refresh", async () => {
+    server.mockImplementation((config) => respond(config, 401, { error: "Authentication required" }));
+
+    await expect(authApi.me()).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(refreshCalls()).toHaveLength(0);
+    expect(reasons).toEqual(["login-required"]);
+  });
+
+  it("leaves a failed login to the caller", async () => {
+    server.mockImplementation((config) => respond(config, 401, { error: "Invalid credentials" }));
+
+    await expect(authApi.login({ login: "ada", password: "wrong" })).rejects.toMatchObject({ response: { status: 401 } });
+
+    expect(server).toHaveBeenCalledTimes(1);
+    expect(reasons).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+import { getApiConfig } from '../hooks/useApi';
+
+// Live comment events pushed by comments-service over Server-Sent Events. Every mounted
+// comment list and thread shares one connection, reopened when the set of followed posts changes.
+const COMMENT_EVENTS = [
+  'comment.created',
+  'comment.approved',
+  'comment.edited',
+  'comment.liked',
+  'comment.hidden',
+  'comment.deleted'
+];
+
+// EventSource reconnects dropped streams itself; a refused one (e.g. at capacity) is retried after this
+const REFUSED_RETRY_MS = 30000;
+
+const handlersByPost = new Map();
+let source = null;
+let reopenTimer = null;
+let missedEvents = false;
+
+const dispatch = (postId, event) => {
+  (handlersByPost.get(postId) || []).forEach(handler => handler(event));
+};
+
+const open = () => {
+  if (source) source.close();
+  source = null;
+
+  const postIds = [...handlersByPost.keys()];
+  if (postIds.length === 0 || typeof window.EventSource === 'undefined') return;
+
+  const { commentsUrl } = getApiConfig();
+  const stream = new window.EventSource(
+    `${commentsUrl}/comments/stream?postIds=${postIds.map(encodeURIComponent).join(',')}`
+  );
+
+  // The service does not replay events, so followers reload whatever changed while disconnected
+  stream.addEventListener('ready', () => {
+    if (!missedEvents) return;
+    missedEvents = false;
+    postIds.forEach(postId => dispatch(postId, { type: 'resync', postId }));
+  });
+
+  COMMENT_EVENTS.forEach(type => {
+    stream.addEventListener(type, (message) => {
+      const data = JSON.parse(message.data);
+      dispatch(data.postId, { type, ...data });
+    });
+  });
+
+  stream.onerror = () => {
+    missedEvents = true;
+    if (stream.readyState === window.EventSource.CLOSED && source === stream) {
+      scheduleOpen(REFUSED_RETRY_MS);
+    }
+  };
+
+  source = stream;
+};
+
+const scheduleOpen = (delay = 0) => {
+  clearTimeout(reopenTimer);
+  reopenTimer = setTimeout(open, delay);
+};
+
+// Call `handler(event)` for every event on the post's comments; returns the unsubscribe function.
+// Subscriptions made in the same tick share one reconnect.
+export const subscribeToComments = (postId, handler) => {
+  if (!handlersByPost.has(postId)) {
+    handlersByPost.set(postId, new Set());
+    scheduleOpen();
+  }
+  handlersByPost.get(postId).add(handler);
+
+  return () => {
+    const handlers = handlersByPost.get(postId);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      handlersByPost.delete(postId);
+      scheduleOpen();
+    }
+  };
+};
@@ -0,0 +1,170 @@
+// A stand-in for the browser's EventSource that tests can drive
+class FakeEventSource {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSED = 2;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeEventSource.CONNECTING;
+    this.listeners = {};
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  emit(type, data = {}) {
+    (this.listeners[type] || []).forEach(listener => listener({ data: JSON.stringify(data) }));
+  }
+
+  // A dropped connection is retried by the browser; a refused one is closed for good
+  fail({ refused = false } = {}) {
+    this.readyState = refused ? FakeEventSource.CLOSED : FakeEventSource.CONNECTING;
+    this.onerror();
+  }
+
+  close() {
+    this.readyState = FakeEventSource.CLOSED;
+  }
+}
+
+const openStreams = () => FakeEventSource.instances.filter(stream => stream.readyState !== FakeEventSource.CLOSED);
+const latestStream = () => FakeEventSource.instances[FakeEventSource.instances.length - 1];
+const followedPosts = (stream) => new URL(stream.url).searchParams.get("postIds").split(",");
+
+// The service keeps its connection in module state, so each test loads a fresh copy
+const loadStream = () => {
+  let stream;
+  jest.isolateModules(() => {
+    stream = require("./commentStream");
+  });
+  return stream;
+};
+
+describe("commentStream", () => {
+  let subscribeToComments;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    FakeEventSource.instances = [];
+    window.EventSource = FakeEventSource;
+    ({ subscribeToComments } = loadStream());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete window.EventSource;
+  });
+
+  it("opens one connection for the posts followed in the same tick", () => {
+    subscribeToComments("p1", jest.fn());
+    subscribeToComments("p2", jest.fn());
+    subscribeToComments("p1", jest.fn());
+
+    jest.runOnlyPendingTimers();
+
+    expect(FakeEventSource.instances).toHaveLength(1);
+    expect(latestStream().url).toMatch(/\/comments\/stream\?postIds=/);
+    expect(followedPosts(latestStream())).toEqual(["p1", "p2"]);
+  });
+
+  it("passes each event to the handlers of its post", () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    subscribeToComments("p1", first);
+    subscribeToComments("p2", second);
+    jest.runOnlyPendingTimers();
+
+    latestStream().emit("comment.liked", { postId: "p1", commentId: "c1", likes: 3 });
+
+    expect(first).toHaveBeenCalledWith({ type: "comment.liked", postId: "p1", commentId: "c1", likes: 3 });
+    expect(second).not.toHaveBeenCalled();
+  });
+
+  it("reconnects without a post once its last handler unsubscribes", () => {
+    const unsubscribeFirst = subscribeToComments("p1", jest.fn());
+    const unsubscribeSecond = subscribeToComments("p1", jest.fn());
+    subscribeToComments("p2", jest.fn());
+    jest.runOnlyPendingTimers();
+
+    unsubscribeFirst();
+    jest.runOnlyPendingTimers();
+    expect(FakeEventSource.instances).toHaveLength(1);
+
+    unsubscribeSecond();
+    jest.runOnlyPendingTimers();
+    expect(openStreams()).toHaveLength(1);
+    expect(followedPosts(latestStream())).toEqual(["p2"]);
+  });
+
+  it("closes the connection when nothing is followed", () => {
+    const unsubscribe = subscribeToComments("p1", jest.fn());
+    jest.runOnlyPendingTimers();
+
+    unsubscribe();
+    jest.runOnlyPendingTimers();
+
+    expect(openStreams()).toHaveLength(0);
+  });
+
+  it("asks every follower to reload after a dropped connection comes back", () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    subscribeToComments("p1", first);
+    subscribeToComments("p2", second);
+    jest.runOnlyPendingTimers();
+    const stream = latestStream();
+
+    stream.emit("ready");
+    expect(first).not.toHaveBeenCalled();
+
+    stream.fail();
+    stream.emit("ready");
+    stream.emit("ready");
+
+    expect(first.mock.calls).toEqual([[{ type: "resync", postId: "p1" }]]);
+    expect(second.mock.calls).toEqual([[{ type: "resync", postId: "p2" }]]);
+    expect(FakeEventSource.instances).toHaveLength(1);
+  });
+
+  it("retries a refused connection later and resyncs once it is accepted", () => {
+    const handler = jest.fn();
+    subscribeToComments("p1", handler);
+    jest.runOnlyPendingTimers();
+
+    latestStream().fail({ refused: true });
+    jest.advanceTimersByTime(29999);
+    expect(FakeEventSource.instances).toHaveLength(1);
+
+    jest.advanceTimersByTime(1);
+    expect(FakeEventSource.instances).toHaveLength(2);
+
+    latestStream().emit("ready");
+    expect(handler).toHaveBeenCalledWith({ type: "resync", postId: "p1" });
+  });
+
+  it("does not retry a connection it replaced", () => {
+    subscribeToComments("p1", jest.fn());
+    jest.runOnlyPendingTimers();
+    const replaced = latestStream();
+    subscribeToComments("p2", jest.fn());
+    jest.runOnlyPendingTimers();
+
+    replaced.fail({ refused: true });
+    jest.advanceTimersByTime(30000);
+
+    expect(FakeEventSource.instances).toHaveLength(2);
+  });
+
+  it("does nothing where EventSource is unavailable", () => {
+    delete window.EventSource;
+
+    subscribeToComments("p1", jest.fn());
+    jest.runOnlyPendingTimers();
+
+    expect(FakeEventSource.instances).toHaveLength(0);
+  });
+});
@@ -0,0 +1,33 @@
+// Posts and comments this browser has liked or reported. comments-service identifies likers and
+// reporters by IP and user agent and never lists them back, so the client remembers its own.
+const STORAGE_KEY = 'blogspace.reactions';
+const MAX_IDS = 500;
+
+const load = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+let current = load();
+
+const persist = () => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(current));
+  } catch {
+    // Storage unavailable (private mode); reactions are remembered until the tab closes
+  }
+};
+
+// kind is 'likedPosts', 'likedComments' or 'reportedComments'
+export const hasReaction = (kind, id) => Boolean(id && current[kind]?.includes(id));
+
+// Keep the most recent ids only; older ones fall back to what the services report
+export const setReaction = (kind, id, active) => {
+  if (!id || hasReaction(kind, id) === active) return;
+  const ids = (current[kind] || []).filter(known => known !== id);
+  current = { ...current, [kind]: active ? [...ids, id].slice(-MAX_IDS) : ids };
+  persist();
+};
@@ -0,0 +1,75 @@
+// Persisted auth session: the access/refresh token pair issued by auth-service and the user
+// it belongs to. Kept outside React so the axios interceptors in api.js can read and update it.
+const STORAGE_KEY = 'blogspace.session';
+
+const listeners = new Set();
+
+const load = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return stored && stored.accessToken && stored.refreshToken ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+let current = load();
+
+const persist = () => {
+  try {
+    if (current) {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(current));
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch {
+    // Storage unavailable (private mode); the session lasts until the tab closes
+  }
+};
+
+const notify = (reason) => listeners.forEach(listener => listener(current, reason));
+
+export const getSession = () => current;
+
+export const getAccessToken = () => current?.accessToken || null;
+
+export const getRefreshToken = () => current?.refreshToken || null;
+
+// Store the token response of POST /auth/login or /auth/refresh
+export const saveSession = ({ accessToken, refreshToken, expiresIn, user }) => {
+  current = {
+    accessToken,
+    refreshToken,
+    expiresAt: Date.now() + expiresIn * 1000,
+    user: user || current?.user || null
+  };
+  persist();
+  notify('updated');
+};
+
+// reason is 'logout' for an explicit sign-out and 'expired' when the session could not be refreshed
+export const clearSession = (reason = 'logout') => {
+  if (!current) return;
+  current = null;
+  persist();
+  notify(reason);
+};
+
+// A request needed a signed-in user and there is no session to refresh
+export const requireLogin = () => notify('login-required');
+
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Sessions changed in another tab (login, logout, token rotation) apply here too
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key === STORAGE_KEY) {
+      const wasSignedIn = Boolean(current);
+      current = load();
+      notify(wasSignedIn && !current ? 'logout' : 'updated');
+    }
+  });
+}
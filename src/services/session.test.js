@@ -0,0 +1,120 @@
+const STORAGE_KEY = "blogspace.session";
+
+const stored = () => JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+
+// session.js reads localStorage when it loads, so each test gets a fresh copy
+const loadSession = () => {
+  let session;
+  jest.isolateModules(() => {
+    session = require("./session");
+  });
+  return session;
+};
+
+// What another tab's login, token rotation or logout looks like from this one
+const changeInOtherTab = (value) => {
+  if (value) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+  else window.localStorage.removeItem(STORAGE_KEY);
+  window.dispatchEvent(new StorageEvent("storage", { key: STORAGE_KEY }));
+};
+
+const tokens = { accessToken: "access-1", refreshToken: "refresh-1", expiresIn: 900, user: { id: "u1" } };
+
+describe("session", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    jest.spyOn(Date, "now").mockReturnValue(1700000000000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("restores the session stored by an earlier visit", () => {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ accessToken: "a", refreshToken: "r", user: null }));
+
+    const session = loadSession();
+
+    expect(session.getAccessToken()).toBe("a");
+    expect(session.getRefreshToken()).toBe("r");
+  });
+
+  it("ignores an unreadable or incomplete stored session", () => {
+    window.localStorage.setItem(STORAGE_KEY, "{not json");
+    expect(loadSession().getSession()).toBeNull();
+
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ accessToken: "a" }));
+    expect(loadSession().getSession()).toBeNull();
+  });
+
+  it("stores issued tokens with their expiry and keeps the user across refreshes", () => {
+    const session = loadSession();
+    const listener = jest.fn();
+    session.subscribe(listener);
+
+    session.saveSession(tokens);
+    session.saveSession({ accessToken: "access-2", refreshToken: "refresh-2", expiresIn: 60 });
+
+    const expected = { accessToken: "access-2", refreshToken: "refresh-2", expiresAt: 1700000060000, user: { id: "u1" } };
+    expect(session.getSession()).toEqual(expected);
+    expect(stored()).toEqual(expected);
+    expect(listener.mock.calls.map(([, reason]) => reason)).toEqual(["updated", "updated"]);
+  });
+
+  it("clears the session with the reason it ended, once", () => {
+    const session = loadSession();
+    session.saveSession(tokens);
+    const listener = jest.fn();
+    session.subscribe(listener);
+
+    session.clearSession("expired");
+    session.clearSession("logout");
+
+    expect(session.getSession()).toBeNull();
+    expect(stored()).toBeNull();
+    expect(listener.mock.calls).toEqual([[null, "expired"]]);
+  });
+
+  it("asks for a login without touching the session", () => {
+    const session = loadSession();
+    session.saveSession(tokens);
+    const listener = jest.fn();
+    const unsubscribe = session.subscribe(listener);
+
+    session.requireLogin();
+    unsubscribe();
+    session.requireLogin();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ accessToken: "access-1" }), "login-required");
+  });
+
+  it("follows logins, token rotations and logouts in other tabs", () => {
+    const session = loadSession();
+    const listener = jest.fn();
+    session.subscribe(listener);
+
+    changeInOtherTab({ accessToken: "access-1", refreshToken: "refresh-1", user: { id: "u1" } });
+    expect(session.getAccessToken()).toBe("access-1");
+
+    changeInOtherTab({ accessToken: "access-2", refreshToken: "refresh-2", user: { id: "u1" } });
+    expect(session.getRefreshToken()).toBe("refresh-2");
+
+    changeInOtherTab(null);
+    expect(session.getSession()).toBeNull();
+
+    expect(listener.mock.calls.map(([, reason]) => reason)).toEqual(["updated", "updated", "logout"]);
+  });
+
+  it("ignores changes to other storage keys", () => {
+    const session = loadSession();
+    const listener = jest.fn();
+    session.subscribe(listener);
+
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ accessToken: "a", refreshToken: "r" }));
+    window.dispatchEvent(new StorageEvent("storage", { key: "blogspace.reactions" }));
+
+    expect(session.getSession()).toBeNull();
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,3 @@
+// jest-dom adds custom jest matchers for asserting on DOM nodes,
+// e.g. expect(element).toHaveTextContent(/react/i)
+import '@testing-library/jest-dom';
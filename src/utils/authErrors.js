@@ -0,0 +1,27 @@
+import { formatDateTime } from './time';
+
+// Readable messages for the error codes returned by auth-service on login and registration.
+// Anything not listed falls back to the message from the response.
+const MESSAGES = {
+  INVALID_CREDENTIALS: () => 'Incorrect email, username or password.',
+  ACCOUNT_LOCKED: ({ unlockAt }) =>
+    unlockAt
+      ? `Too many failed attempts. The account is locked until ${formatDateTime(unlockAt)}.`
+      : 'Too many failed attempts. The account is temporarily locked.',
+  ACCOUNT_SUSPENDED: () => 'This account has been suspended. Contact an administrator for help.',
+  AUTH_RATE_LIMIT_EXCEEDED: () => 'Too many sign-in attempts from this device. Please wait a few minutes and try again.',
+  REGISTER_RATE_LIMIT_EXCEEDED: () => 'Too many accounts were created from this device. Please try again later.',
+  USER_ALREADY_EXISTS: () => 'An account with this email or username already exists.',
+  VALIDATION_ERROR: () => 'Please correct the highlighted fields.'
+};
+
+export const describeAuthError = (errorInfo, fallback) => {
+  const describe = errorInfo && MESSAGES[errorInfo.code];
+  return describe ? describe(errorInfo) : fallback;
+};
+
+// Why the login page was opened without the user asking for it
+export const LOGIN_REASONS = {
+  expired: 'Your session has expired. Please sign in again.',
+  'login-required': 'Please sign in to continue.'
+};
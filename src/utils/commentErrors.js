@@ -0,0 +1,35 @@
+// Readable messages for the rejection codes returned by comments-service and the gateway.
+// Anything not listed falls back to the message from the response.
+const MESSAGES = {
+  COMMENT_RATE_LIMIT_EXCEEDED: (retry) => `You have posted a lot of comments recently. Please try again${retry}.`,
+  SPAM_PREVENTION: (retry) => `You are commenting too quickly. Please wait${retry} before posting again.`,
+  BURST_PROTECTION: (retry) => `Too many requests in a short time. Please slow down and try again${retry}.`,
+  RATE_LIMIT_EXCEEDED: (retry) => `Too many requests. Please try again${retry}.`,
+  DUPLICATE_CONTENT: () => 'You already posted this comment. Please write something new.',
+  CONTENT_REJECTED: () => 'Your comment was rejected because it appears to violate the community guidelines.',
+  MAX_DEPTH_EXCEEDED: () => 'This thread is as deep as it can go. Reply to an earlier comment instead.',
+  PARENT_COMMENT_NOT_FOUND: () => 'The comment you are replying to no longer exists.',
+  POST_NOT_FOUND: () => 'This post no longer exists.',
+  COMMENT_NOT_FOUND: () => 'This comment no longer exists.',
+  EDIT_WINDOW_EXPIRED: () => 'The edit window for this comment has closed.',
+  NOT_COMMENT_OWNER: () => 'You can only change your own comments.',
+  LIKE_RATE_LIMIT_EXCEEDED: (retry) => `You are liking too quickly. Please try again${retry}.`,
+  REPORT_RATE_LIMIT_EXCEEDED: (retry) => `You have sent several reports recently. Please try again${retry}.`,
+  ALREADY_LIKED: () => 'You have already liked this comment.',
+  ALREADY_REPORTED: () => 'You have already reported this comment. Our moderators will review it.'
+};
+
+// retryAfter is either a duration ("5 minutes") or, from the Retry-After header, seconds
+const formatRetry = (retryAfter) => {
+  if (!retryAfter) return '';
+  return /^\d+$/.test(String(retryAfter)) ? ` in ${retryAfter} seconds` : ` in ${retryAfter}`;
+};
+
+export const describeCommentError = (errorInfo, fallback) => {
+  const describe = errorInfo && MESSAGES[errorInfo.code];
+  return describe ? describe(formatRetry(errorInfo.retryAfter)) : fallback;
+};
+
+// Rate limits and spam checks are temporary; the user can retry the same comment later
+export const isRetryableCommentError = (errorInfo) =>
+  Boolean(errorInfo && (errorInfo.status === 429 || /RATE_LIMIT|SPAM_PREVENTION|BURST/.test(errorInfo.code || '')));
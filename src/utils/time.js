@@ -0,0 +1,38 @@
+const UNITS = [
+  { unit: "year", seconds: 365 * 24 * 60 * 60 },
+  { unit: "month", seconds: 30 * 24 * 60 * 60 },
+  { unit: "week", seconds: 7 * 24 * 60 * 60 },
+  { unit: "day", seconds: 24 * 60 * 60 },
+  { unit: "hour", seconds: 60 * 60 },
+  { unit: "minute", seconds: 60 }
+];
+
+const relativeFormat = new Intl.RelativeTimeFormat(undefined, { numeric: "auto" });
+
+// "just now", "5 minutes ago", "yesterday", "in 2 hours"
+export const formatRelativeTime = (value, now = Date.now()) => {
+  const elapsed = (new Date(value).getTime() - now) / 1000;
+  const match = UNITS.find(({ seconds }) => Math.abs(elapsed) >= seconds);
+
+  if (!match) {
+    return "just now";
+  }
+
+  return relativeFormat.format(Math.round(elapsed / match.seconds), match.unit);
+};
+
+export const formatDateTime = (value) =>
+  new Date(value).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+
+// Compact countdown for a duration in milliseconds: "23h 05m", "4m 09s", "12s"
+export const formatRemaining = (ms) => {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = total % 60;
+  const pad = (value) => String(value).padStart(2, "0");
+
+  if (hours > 0) return `${hours}h ${pad(minutes)}m`;
+  if (minutes > 0) return `${minutes}m ${pad(seconds)}s`;
+  return `${seconds}s`;
+};